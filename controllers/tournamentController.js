@@ -1,7 +1,40 @@
 // tournamentController.js
-const { Tournament, Match, Standing, Team, Parent } = require('../models');
+const {
+  Tournament,
+  Match,
+  Standing,
+  Team,
+  Parent,
+  Venue,
+} = require('../models');
 const { validationResult } = require('express-validator');
 const mongoose = require('mongoose');
+const {
+  shuffle,
+  placeSeeds,
+  snakeGroups,
+  crossSeedGroups,
+  seedTeams,
+} = require('../services/tournament-seeding');
+const {
+  updateGroupRanks,
+  rebuildGroupStandings,
+} = require('../services/tournament-standings');
+const liveScoring = require('../services/live-scoring');
+const disputes = require('../services/match-disputes');
+const checkIn = require('../services/team-check-in');
+const { publish } = require('../services/tournament-events');
+const { saveTeamStatLines, STAT_FIELDS } = require('../services/player-stats');
+const PlayerStatLine = require('../models/PlayerStatLine');
+const {
+  bracketPdf,
+  scheduleCsv,
+  teamCalendar,
+} = require('../services/tournament-exports');
+const {
+  buildSchedule,
+  courtsFromVenues,
+} = require('../services/tournament-scheduler');
 
 // Export as regular functions (not class)
 exports.createTournament = async (req, res) => {
@@ -371,10 +404,141 @@ exports.removeTeamFromTournament = async (req, res) => {
   }
 };
 
+// Set manual seed numbers for registered teams
+exports.updateSeeds = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { tournamentId } = req.params;
+    const { seeds, seedingStrategy = 'manual' } = req.body;
+
+    const tournament =
+      await Tournament.findById(tournamentId).populate('registeredTeams');
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found',
+      });
+    }
+
+    // Validates the seeds against the registered teams
+    const teams = await seedTeams(tournament, tournament.registeredTeams, {
+      strategy: 'manual',
+      seeds,
+    });
+
+    tournament.seeds = seeds;
+    tournament.seedingStrategy = seedingStrategy;
+    tournament.updatedBy = req.user.id;
+    await tournament.save();
+
+    res.json({
+      success: true,
+      message: 'Seeds updated successfully',
+      seedingStrategy: tournament.seedingStrategy,
+      seeds: tournament.seeds,
+      order: teams.map((team, i) => ({
+        seed: i + 1,
+        team: team._id,
+        name: team.name,
+      })),
+    });
+  } catch (error) {
+    console.error('Error updating seeds:', error);
+    res.status(error.code === 'INVALID_SEEDING' ? 400 : 500).json({
+      success: false,
+      message:
+        error.code === 'INVALID_SEEDING'
+          ? error.message
+          : 'Failed to update seeds',
+      error: error.message,
+    });
+  }
+};
+
+// Set the venues a tournament is played at, and the travel buffer between
+// them
+exports.setTournamentVenues = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { tournamentId } = req.params;
+    const { venues, travelBufferMinutes } = req.body;
+
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found',
+      });
+    }
+
+    const found = await Venue.find({
+      _id: { $in: venues },
+      isActive: true,
+    }).select('name address courts hours');
+    if (found.length !== new Set(venues.map(String)).size) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more venues were not found or are inactive',
+      });
+    }
+
+    tournament.venues = [...new Set(venues.map(String))];
+    if (travelBufferMinutes !== undefined) {
+      tournament.settings.travelBufferMinutes = travelBufferMinutes;
+    }
+    tournament.updatedBy = req.user.id;
+    await tournament.save();
+
+    const byId = new Map(found.map((v) => [v._id.toString(), v]));
+    res.json({
+      success: true,
+      message: 'Tournament venues updated successfully',
+      venues: tournament.venues.map((id) => byId.get(id.toString())),
+      travelBufferMinutes: tournament.settings.travelBufferMinutes,
+    });
+  } catch (error) {
+    console.error('Error updating tournament venues:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update tournament venues',
+      error: error.message,
+    });
+  }
+};
+
+// generate-brackets options that are kept in the tournament settings
+const PLACEMENT_OPTIONS = [
+  'consolationBracket',
+  'thirdPlaceGame',
+  'placementGames',
+];
+
 exports.generateBrackets = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
     const { tournamentId } = req.params;
-    const { format } = req.body;
+    const { format, seeding, seeds, sourceTournamentId } = req.body;
 
     const tournament =
       await Tournament.findById(tournamentId).populate('registeredTeams');
@@ -401,20 +565,62 @@ exports.generateBrackets = async (req, res) => {
       });
     }
 
+    if (seeding) tournament.seedingStrategy = seeding;
+    if (seeds) tournament.seeds = seeds;
+
+    PLACEMENT_OPTIONS.forEach((option) => {
+      if (req.body[option] !== undefined) {
+        tournament.settings[option] = req.body[option];
+      }
+    });
+    if (req.body.minGamesPerTeam !== undefined) {
+      tournament.settings.minGamesPerTeam = req.body.minGamesPerTeam;
+    }
+    if (
+      PLACEMENT_OPTIONS.some((option) => req.body[option]) &&
+      !['single-elimination', 'groups-knockout'].includes(
+        format || tournament.format
+      )
+    ) {
+      return res.status(400).json({
+        success: false,
+        message:
+          'Consolation and placement games need a single-elimination or groups-knockout format',
+      });
+    }
+
+    const teams = await seedTeams(tournament, tournament.registeredTeams, {
+      sourceTournamentId,
+    });
+    const seeded = !['registration', 'random'].includes(
+      tournament.seedingStrategy
+    );
+
+    console.log(
+      `Seeding (${tournament.seedingStrategy}): ${teams.map((t, i) => `${i + 1}. ${t.name}`).join(', ')}`
+    );
+
     let matches = [];
 
     switch (format || tournament.format) {
       case 'single-elimination':
-        matches = await generateSingleEliminationBracket(tournament);
+        matches = await generateSingleEliminationBracket(tournament, teams);
         break;
       case 'double-elimination':
-        matches = await generateDoubleEliminationBracket(tournament);
+        matches = await generateDoubleEliminationBracket(tournament, teams);
         break;
       case 'round-robin':
-        matches = await generateRoundRobinSchedule(tournament);
+        matches = await generateRoundRobinSchedule(tournament, teams);
         break;
       case 'group-stage':
-        matches = await generateGroupStage(tournament);
+        matches = await generateGroupStage(tournament, teams, { seeded });
+        break;
+      case 'groups-knockout':
+        tournament.format = 'groups-knockout';
+        matches = await generateGroupStage(tournament, teams, {
+          seeded,
+          stage: 'group',
+        });
         break;
       default:
         throw new Error('Invalid tournament format');
@@ -424,15 +630,29 @@ exports.generateBrackets = async (req, res) => {
     tournament.updatedBy = req.user.id;
     await tournament.save();
 
+    const minGames = guaranteedGames(matches);
+    const promised = tournament.settings.minGamesPerTeam;
+
     res.json({
       success: true,
       message: 'Tournament brackets generated successfully',
       matches: matches.length,
+      guaranteedGames: minGames,
+      ...(promised &&
+        minGames < promised && {
+          warning: `Some teams may only play ${minGames} game(s), fewer than the ${promised} promised`,
+        }),
+      seeding: tournament.seedingStrategy,
+      seeds: teams.map((team, i) => ({
+        seed: i + 1,
+        team: team._id,
+        name: team.name,
+      })),
       tournament,
     });
   } catch (error) {
     console.error('Error generating brackets:', error);
-    res.status(500).json({
+    res.status(error.code === 'INVALID_SEEDING' ? 400 : 500).json({
       success: false,
       message: 'Failed to generate brackets',
       error: error.message,
@@ -440,47 +660,24 @@ exports.generateBrackets = async (req, res) => {
   }
 };
 
-// Helper function for single elimination bracket
-const generateSingleEliminationBracket = async (tournament, teams = null) => {
-  const bracketTeams = teams || tournament.registeredTeams;
-  const numTeams = bracketTeams.length;
-
-  if (numTeams < tournament.minTeams) {
-    throw new Error(
-      `Minimum ${tournament.minTeams} teams required, only ${numTeams} available`
-    );
-  }
-
-  const nextPowerOfTwo = Math.pow(2, Math.ceil(Math.log2(numTeams)));
-  const byes = nextPowerOfTwo - numTeams;
-
-  console.log(
-    `Creating single elimination bracket: ${numTeams} teams, ${byes} byes, next power of 2: ${nextPowerOfTwo}`
-  );
-
-  const matches = [];
-  let matchNumber = 1;
-  let round = 1;
-
-  // Determine total number of rounds
-  const totalRounds = Math.ceil(Math.log2(nextPowerOfTwo)) + (byes > 0 ? 0 : 0);
-
-  console.log(`Total rounds: ${totalRounds}`);
-
-  // Create first round matches
-  const firstRoundMatches = [];
-  const usedTeams = new Set();
-
-  for (let i = 0; i < nextPowerOfTwo / 2; i++) {
-    const team1Index = i * 2;
-    const team2Index = i * 2 + 1;
-
-    const team1 = team1Index < numTeams ? bracketTeams[team1Index]._id : null;
-    const team2 = team2Index < numTeams ? bracketTeams[team2Index]._id : null;
+// Create the matches of a winners bracket. `slots` holds one entry per
+// first round position ({ team, seed, label } or null for a bye), as built
+// by placeSeeds or crossSeedGroups. Teams with a bye go straight into the
+// second round. Returns the matches by round.
+const createWinnersBracket = async (
+  tournament,
+  slots,
+  { round = 1, matchNumber = 1, stage } = {}
+) => {
+  const rounds = [];
+  let roundMatches = [];
 
-    // Track used teams
-    if (team1) usedTeams.add(team1.toString());
-    if (team2) usedTeams.add(team2.toString());
+  for (let i = 0; i < slots.length; i += 2) {
+    const slot1 = slots[i];
+    const slot2 = slots[i + 1];
+    const team1 = slot1 ? slot1.team._id || slot1.team : null;
+    const team2 = slot2 ? slot2.team._id || slot2.team : null;
+    const isBye = !team1 !== !team2;
 
     const match = new Match({
       tournament: tournament._id,
@@ -488,82 +685,295 @@ const generateSingleEliminationBracket = async (tournament, teams = null) => {
       matchNumber: matchNumber++,
       team1,
       team2,
-      status:
-        team1 && team2 ? 'scheduled' : team1 || team2 ? 'bye' : 'scheduled',
+      status: isBye ? 'bye' : 'scheduled',
       bracketType: 'winners',
       bracketLocation: 'upper',
+      stage,
       positions: {
-        team1Position: team1Index + 1,
-        team2Position: team2Index + 1,
+        team1Position: slot1 ? slot1.seed : 0,
+        team2Position: slot2 ? slot2.seed : 0,
+        team1Label: slot1?.label,
+        team2Label: slot2?.label,
       },
     });
 
     await match.save();
-    matches.push(match);
-    firstRoundMatches.push(match);
+    roundMatches.push(match);
 
+    const describe = (slot, team) =>
+      slot ? slot.label || `#${slot.seed} ${slot.team.name || team}` : 'BYE';
     console.log(
-      `Round ${round}, Match ${match.matchNumber}: ${team1 ? 'Team ' + team1 : 'BYE'} vs ${team2 ? 'Team ' + team2 : 'BYE'}`
+      `Round ${round}, Match ${match.matchNumber}: ${describe(slot1, team1)} vs ${describe(slot2, team2)}`
     );
   }
+  rounds.push(roundMatches);
 
-  console.log(`Created ${firstRoundMatches.length} first round matches`);
-  console.log(`${byes} byes in first round`);
-
-  // Create subsequent rounds
-  let currentRoundMatches = firstRoundMatches;
-  while (currentRoundMatches.length > 1) {
+  while (roundMatches.length > 1) {
     round++;
     const nextRoundMatches = [];
-    const matchesInRound = currentRoundMatches.length / 2;
 
-    console.log(`Creating round ${round} with ${matchesInRound} matches`);
+    console.log(
+      `Creating round ${round} with ${roundMatches.length / 2} matches`
+    );
 
-    for (let i = 0; i < currentRoundMatches.length; i += 2) {
-      const match1 = currentRoundMatches[i];
-      const match2 = currentRoundMatches[i + 1];
+    for (let i = 0; i < roundMatches.length; i += 2) {
+      const match1 = roundMatches[i];
+      const match2 = roundMatches[i + 1];
 
       const match = new Match({
         tournament: tournament._id,
         round,
         matchNumber: matchNumber++,
+        team1:
+          match1.status === 'bye' ? match1.team1 || match1.team2 : undefined,
+        team2:
+          match2.status === 'bye' ? match2.team1 || match2.team2 : undefined,
         status: 'scheduled',
         bracketType: 'winners',
         bracketLocation: 'upper',
+        stage,
       });
 
       await match.save();
-      matches.push(match);
       nextRoundMatches.push(match);
 
       // Link matches
-      if (match1) {
-        match1.nextMatch = match._id;
-        await match1.save();
+      match1.nextMatch = match._id;
+      await match1.save();
+      match2.nextMatch = match._id;
+      await match2.save();
+
+      console.log(
+        `Round ${round}, Match ${match.matchNumber}: Winner of Match ${match1.matchNumber} vs Winner of Match ${match2.matchNumber}`
+      );
+    }
+
+    rounds.push(nextRoundMatches);
+    roundMatches = nextRoundMatches;
+  }
+
+  return rounds;
+};
+
+// The last match of a winners bracket is the championship
+const markFinal = async (rounds) => {
+  const [lastMatch] = rounds[rounds.length - 1];
+  if (lastMatch && rounds.length > 1) {
+    lastMatch.bracketType = 'final';
+    await lastMatch.save();
+    console.log(`Final match: Match ${lastMatch.matchNumber}`);
+  }
+};
+
+const ordinal = (n) => {
+  const suffixes = ['th', 'st', 'nd', 'rd'];
+  const v = n % 100;
+  return `${n}${suffixes[(v - 20) % 10] || suffixes[v] || suffixes[0]}`;
+};
+
+// Create an elimination bracket for the losers of `feeders` (the played
+// matches of one bracket round, in bracket order). They play for places
+// `from` to from + feeders - 1, starting in `round`. With `full` the
+// losers of every round of this bracket play on for their places as well
+// (5th-8th: the 5th and the 7th place games); otherwise only the winner's
+// place is decided. Returns the matches created.
+const createPlacementBracket = async (
+  tournament,
+  feeders,
+  { from, round, counter, full = false, name = 'Placement', stage }
+) => {
+  const matches = [];
+  // Matches whose loser (first round) or winner moves on
+  let entries = feeders.map((match) => ({ match, moves: 'loserNextMatch' }));
+
+  while (entries.length > 1) {
+    const remaining = Math.ceil(entries.length / 2);
+    const nextEntries = [];
+    const roundMatches = [];
+
+    for (let i = 0; i < entries.length; i += 2) {
+      // With an odd number the last team waits for the next round
+      if (i + 1 === entries.length) {
+        nextEntries.push(entries[i]);
+        continue;
       }
-      if (match2) {
-        match2.nextMatch = match._id;
-        await match2.save();
+
+      // The best and worst place still open to the teams of this round
+      const to = from + entries.length - 1;
+      const match = new Match({
+        tournament: tournament._id,
+        round,
+        matchNumber: counter.next++,
+        status: 'scheduled',
+        bracketType: 'losers',
+        bracketLocation: 'consolation',
+        isConsolation: true,
+        stage,
+        placementRange: { from, to },
+        placementLabel:
+          to === from + 1
+            ? `${ordinal(from)} place game`
+            : `${name} ${ordinal(from)}-${ordinal(to)}`,
+      });
+      await match.save();
+
+      for (const entry of [entries[i], entries[i + 1]]) {
+        entry.match[entry.moves] = match._id;
+        await entry.match.save();
       }
 
       console.log(
-        `Round ${round}, Match ${match.matchNumber}: Winner of Match ${match1?.matchNumber} vs Winner of Match ${match2?.matchNumber}`
+        `Round ${round}, Match ${match.matchNumber}: ${match.placementLabel}`
+      );
+      matches.push(match);
+      roundMatches.push(match);
+      nextEntries.push({ match, moves: 'nextMatch' });
+    }
+
+    if (full && roundMatches.length > 1) {
+      matches.push(
+        ...(await createPlacementBracket(tournament, roundMatches, {
+          from: from + remaining,
+          round: round + 1,
+          counter,
+          full,
+          name,
+          stage,
+        }))
       );
     }
 
-    currentRoundMatches = nextRoundMatches;
+    entries = nextEntries;
+    round++;
+  }
+
+  return matches;
+};
+
+// Add the consolation and placement games the tournament settings ask for
+// to a winners bracket (matches by round, as from createWinnersBracket).
+// A bracket round feeds one of them at most; with eight teams the
+// quarter-final losers play the 5th-8th place games rather than a
+// consolation bracket. When the tournament promises a number of games the
+// consolation bracket plays out every place, so nobody goes home early.
+const addPlacementGames = async (tournament, rounds, { stage } = {}) => {
+  const {
+    consolationBracket,
+    thirdPlaceGame,
+    placementGames,
+    minGamesPerTeam,
+  } = tournament.settings || {};
+  const counter = {
+    next: Math.max(0, ...rounds.flat().map((m) => m.matchNumber)) + 1,
+  };
+  const claimed = new Set();
+  const matches = [];
+
+  const feedFrom = async (index, full, name) => {
+    const roundMatches = rounds[index];
+    if (index < 0 || !roundMatches || claimed.has(index)) return;
+    const played = roundMatches.filter((m) => m.status !== 'bye');
+    if (played.length < 2) return;
+
+    claimed.add(index);
+    matches.push(
+      ...(await createPlacementBracket(tournament, played, {
+        // One team per match of the round is still in the bracket
+        from: roundMatches.length + 1,
+        round: roundMatches[0].round + 1,
+        counter,
+        full,
+        name,
+        stage,
+      }))
+    );
+  };
+
+  const finalIndex = rounds.length - 1;
+  if (thirdPlaceGame) await feedFrom(finalIndex - 1, true);
+  if (placementGames) await feedFrom(finalIndex - 2, true);
+  if (consolationBracket) {
+    await feedFrom(0, !!minGamesPerTeam, 'Consolation');
+  }
+
+  return matches;
+};
+
+// Fewest games a team can end up playing: every team in a group format,
+// or losing whenever losing ends their tournament soonest in a bracket
+const guaranteedGames = (matches) => {
+  if (matches.length === 0) return 0;
+
+  if (matches.every((m) => m.group)) {
+    const games = new Map();
+    matches.forEach((m) =>
+      [m.team1, m.team2].filter(Boolean).forEach((team) => {
+        games.set(idOf(team), (games.get(idOf(team)) || 0) + 1);
+      })
+    );
+    return Math.min(...games.values());
   }
 
-  // If there's only one match in the final round, it's the championship
-  if (matches.length > 0) {
-    const lastMatch = matches[matches.length - 1];
-    if (lastMatch.round === totalRounds) {
-      lastMatch.bracketType = 'final';
-      await lastMatch.save();
-      console.log(`Final match: Match ${lastMatch.matchNumber}`);
+  const byId = new Map(matches.map((m) => [idOf(m), m]));
+  const memo = new Map();
+  const gamesFrom = (matchId) => {
+    const match = matchId && byId.get(idOf(matchId));
+    if (!match) return 0;
+    if (!memo.has(idOf(match))) {
+      memo.set(
+        idOf(match),
+        match.status === 'bye'
+          ? gamesFrom(match.nextMatch)
+          : 1 +
+              Math.min(
+                gamesFrom(match.nextMatch),
+                gamesFrom(match.loserNextMatch)
+              )
+      );
     }
+    return memo.get(idOf(match));
+  };
+
+  // Teams start in the matches no other match feeds
+  const fed = new Set(
+    matches.flatMap((m) => [idOf(m.nextMatch), idOf(m.loserNextMatch)])
+  );
+  const entries = matches.filter(
+    (m) => !fed.has(idOf(m)) && (m.team1 || m.team2)
+  );
+  return entries.length ? Math.min(...entries.map((m) => gamesFrom(m))) : 0;
+};
+
+// Helper function for single elimination bracket
+const generateSingleEliminationBracket = async (tournament, teams = null) => {
+  const bracketTeams = teams || tournament.registeredTeams;
+  const numTeams = bracketTeams.length;
+
+  if (numTeams < tournament.minTeams) {
+    throw new Error(
+      `Minimum ${tournament.minTeams} teams required, only ${numTeams} available`
+    );
   }
 
+  const nextPowerOfTwo = Math.pow(2, Math.ceil(Math.log2(numTeams)));
+  const byes = nextPowerOfTwo - numTeams;
+
+  console.log(
+    `Creating single elimination bracket: ${numTeams} teams, ${byes} byes, next power of 2: ${nextPowerOfTwo}`
+  );
+
+  // Seed 1 plays seed N, 2 plays N-1, ... placed so the top seeds meet as
+  // late as possible; byes go to the top seeds
+  const rounds = await createWinnersBracket(
+    tournament,
+    placeSeeds(bracketTeams)
+  );
+  await markFinal(rounds);
+
+  const matches = [
+    ...rounds.flat(),
+    ...(await addPlacementGames(tournament, rounds)),
+  ];
   console.log(`Total matches created: ${matches.length}`);
   return matches;
 };
@@ -602,7 +1012,11 @@ const generateRoundRobinSchedule = async (tournament, teams = null) => {
 };
 
 // Helper function for group stage
-const generateGroupStage = async (tournament, teams = null) => {
+const generateGroupStage = async (
+  tournament,
+  teams = null,
+  { seeded = false, stage } = {}
+) => {
   const bracketTeams = teams || tournament.registeredTeams;
   const numTeams = bracketTeams.length;
   const groups = Math.ceil(numTeams / 4);
@@ -612,15 +1026,19 @@ const generateGroupStage = async (tournament, teams = null) => {
     `Creating group stage with ${numTeams} teams in ${groups} groups`
   );
 
-  // Shuffle teams if not already shuffled
-  const shuffledTeams = [...bracketTeams].sort(() => Math.random() - 0.5);
+  // Seeded teams are spread over the groups in snake order so the top
+  // seeds are kept apart; otherwise the draw is random
+  const groupedTeams = snakeGroups(
+    seeded ? bracketTeams : shuffle(bracketTeams),
+    groups
+  );
 
   // Clear existing groups
   tournament.groups = [];
 
   for (let g = 0; g < groups; g++) {
     const groupName = String.fromCharCode(65 + g);
-    const groupTeams = shuffledTeams.slice(g * 4, (g + 1) * 4);
+    const groupTeams = groupedTeams[g];
 
     console.log(`Group ${groupName}: ${groupTeams.length} teams`);
 
@@ -639,6 +1057,7 @@ const generateGroupStage = async (tournament, teams = null) => {
           team1: groupTeams[i]._id,
           team2: groupTeams[j]._id,
           group: groupName,
+          stage,
           status: 'scheduled',
           bracketType: 'winners',
         });
@@ -666,116 +1085,42 @@ const generateDoubleEliminationBracket = async (tournament, teams = null) => {
 
   console.log(`Creating double elimination bracket with ${numTeams} teams`);
 
-  // Create winners bracket (upper bracket)
-  const winnersMatches = [];
-  let round = 1;
-  let teamsInRound = numTeams;
+  // Create winners bracket (upper bracket), seeded like single elimination
+  const winnersMatches = (
+    await createWinnersBracket(tournament, placeSeeds(bracketTeams))
+  ).flat();
+  matches.push(...winnersMatches);
+  matchNumber += winnersMatches.length;
 
-  while (Math.ceil(teamsInRound / 2) > 0) {
-    const matchesInRound = Math.ceil(teamsInRound / 2);
-    const roundMatches = [];
+  // Create losers bracket (lower bracket) - simplified version
+  const losersStartRound = Math.ceil(Math.log2(numTeams)) + 1;
+  const losersMatchCount = Math.floor(winnersMatches.length / 2);
 
-    console.log(`Winners bracket round ${round}: ${matchesInRound} matches`);
+  console.log(
+    `Creating losers bracket starting at round ${losersStartRound}: ${losersMatchCount} matches`
+  );
 
-    for (let i = 0; i < matchesInRound; i++) {
-      const team1Index = i * 2;
-      const team2Index = i * 2 + 1;
+  for (let i = 0; i < losersMatchCount; i++) {
+    const match = new Match({
+      tournament: tournament._id,
+      round: losersStartRound,
+      matchNumber: matchNumber++,
+      bracketType: 'losers',
+      bracketLocation: 'lower',
+      status: 'scheduled',
+      isConsolation: true,
+    });
 
-      const team1 =
-        team1Index < teamsInRound
-          ? bracketTeams[team1Index % bracketTeams.length]?._id
-          : null;
-      const team2 =
-        team2Index < teamsInRound
-          ? bracketTeams[team2Index % bracketTeams.length]?._id
-          : null;
+    await match.save();
+    matches.push(match);
+    console.log(
+      `Losers bracket, Match ${match.matchNumber}: Consolation match`
+    );
+  }
 
-      const match = new Match({
-        tournament: tournament._id,
-        round: round,
-        matchNumber: matchNumber++,
-        team1,
-        team2,
-        bracketType: 'winners',
-        bracketLocation: 'upper',
-        status:
-          team1 && team2 ? 'scheduled' : team1 || team2 ? 'bye' : 'scheduled',
-      });
-
-      await match.save();
-      matches.push(match);
-      roundMatches.push(match);
-      winnersMatches.push(match);
-
-      console.log(
-        `Winners round ${round}, Match ${match.matchNumber}: ${team1 ? 'Team' : 'BYE'} vs ${team2 ? 'Team' : 'BYE'}`
-      );
-    }
-
-    // Link matches for next round
-    if (roundMatches.length > 1) {
-      for (let i = 0; i < roundMatches.length; i += 2) {
-        const match1 = roundMatches[i];
-        const match2 = roundMatches[i + 1];
-
-        // Create next round match
-        const nextMatch = new Match({
-          tournament: tournament._id,
-          round: round + 1,
-          matchNumber: matchNumber++,
-          bracketType: 'winners',
-          bracketLocation: 'upper',
-          status: 'scheduled',
-        });
-
-        await nextMatch.save();
-        matches.push(nextMatch);
-
-        // Link current matches to next match
-        if (match1) {
-          match1.nextMatch = nextMatch._id;
-          await match1.save();
-        }
-        if (match2) {
-          match2.nextMatch = nextMatch._id;
-          await match2.save();
-        }
-      }
-    }
-
-    teamsInRound = Math.ceil(teamsInRound / 2);
-    round++;
-  }
-
-  // Create losers bracket (lower bracket) - simplified version
-  const losersStartRound = Math.ceil(Math.log2(numTeams)) + 1;
-  const losersMatchCount = Math.floor(winnersMatches.length / 2);
-
-  console.log(
-    `Creating losers bracket starting at round ${losersStartRound}: ${losersMatchCount} matches`
-  );
-
-  for (let i = 0; i < losersMatchCount; i++) {
-    const match = new Match({
-      tournament: tournament._id,
-      round: losersStartRound,
-      matchNumber: matchNumber++,
-      bracketType: 'losers',
-      bracketLocation: 'lower',
-      status: 'scheduled',
-      isConsolation: true,
-    });
-
-    await match.save();
-    matches.push(match);
-    console.log(
-      `Losers bracket, Match ${match.matchNumber}: Consolation match`
-    );
-  }
-
-  console.log(`Created ${matches.length} double elimination matches total`);
-  return matches;
-};
+  console.log(`Created ${matches.length} double elimination matches total`);
+  return matches;
+};
 
 exports.updateMatch = async (req, res) => {
   try {
@@ -818,27 +1163,19 @@ exports.updateMatch = async (req, res) => {
     } else if (winner) {
       match.winner = winner;
       match.loser =
-        winner === match.team1._id ? match.team2._id : match.team1._id;
+        idOf(winner) === idOf(match.team1) ? match.team2._id : match.team1._id;
     }
 
     match.actualEndTime = new Date();
     await match.save();
+    publishMatchStatus(match);
 
     if (match.group) {
       await updateGroupStandings(match);
+      await advanceToKnockoutIfComplete(match);
     }
 
-    if (match.nextMatch && match.winner) {
-      const nextMatch = await Match.findById(match.nextMatch);
-      if (nextMatch) {
-        if (!nextMatch.team1) {
-          nextMatch.team1 = match.winner;
-        } else if (!nextMatch.team2) {
-          nextMatch.team2 = match.winner;
-        }
-        await nextMatch.save();
-      }
-    }
+    await advanceWinner(match);
 
     res.json({
       success: true,
@@ -855,93 +1192,327 @@ exports.updateMatch = async (req, res) => {
   }
 };
 
-// Helper function for standings
-const updateGroupStandings = async (match) => {
-  if (!match.tournament || !match.group || match.status !== 'completed') {
+// Live updates for spectators (services/tournament-events.js)
+const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+const publishMatchStatus = (match) =>
+  publish(idOf(match.tournament), 'match-status', {
+    matchId: idOf(match),
+    status: match.status,
+    team1Score: match.team1Score,
+    team2Score: match.team2Score,
+    winner: idOf(match.winner),
+  });
+
+const publishBracket = (tournamentId, matches, extra = {}) =>
+  publish(idOf(tournamentId), 'bracket', {
+    ...extra,
+    matches: matches.map((m) => ({
+      matchId: idOf(m),
+      round: m.round,
+      team1: idOf(m.team1),
+      team2: idOf(m.team2),
+      status: m.status,
+    })),
+  });
+
+const publishSchedule = (tournamentId, matches, extra = {}) =>
+  publish(idOf(tournamentId), 'schedule', {
+    ...extra,
+    matches: matches.map((m) => ({
+      matchId: idOf(m),
+      scheduledTime: m.scheduledTime || null,
+      court: m.court || null,
+      venue: m.venue || null,
+    })),
+  });
+
+// Put a team into the first open slot of the match it moves on to
+const moveTeamOn = async (match, targetId, team) => {
+  if (!targetId || !team) return;
+
+  const target = await Match.findById(targetId);
+  if (!target) return;
+  if ([target.team1, target.team2].some((t) => idOf(t) === idOf(team))) {
+    return;
+  }
+
+  if (!target.team1) {
+    target.team1 = team._id || team;
+  } else if (!target.team2) {
+    target.team2 = team._id || team;
+  }
+  await target.save();
+  publishBracket(match.tournament, [target], { fromMatch: idOf(match) });
+};
+
+// After a result changed: swap the team that moved on from `match` for the
+// new one, or take it out when there is none
+const replaceAdvancedTeam = async (match, targetId, previous, next) => {
+  if (!targetId || idOf(previous) === idOf(next)) return;
+
+  const target = await Match.findById(targetId);
+  if (!target) return;
+
+  const slot = ['team1', 'team2'].find(
+    (s) => previous && idOf(target[s]) === idOf(previous)
+  );
+  if (slot) {
+    target[slot] = next ? next._id || next : null;
+  } else if (next && !target.team1) {
+    target.team1 = next._id || next;
+  } else if (next && !target.team2) {
+    target.team2 = next._id || next;
+  } else {
     return;
   }
+  if (target.status === 'bye' && target.team1 && target.team2) {
+    target.status = 'scheduled';
+  }
+
+  await target.save();
+  publishBracket(match.tournament, [target], { fromMatch: idOf(match) });
+  return target;
+};
+
+// The loser of a bracket match into its consolation or placement game
+const advanceLoser = (match) =>
+  moveTeamOn(match, match.loserNextMatch, match.loser);
+
+// Put the winner of a bracket match into the match it feeds
+const advanceWinner = async (match) => {
+  await moveTeamOn(match, match.nextMatch, match.winner);
+  await advanceLoser(match);
+};
 
-  const tournament = await Tournament.findById(match.tournament._id);
+// Helper function for standings. The group table is counted again from
+// its finished matches, so corrected, forfeited, protested and reset
+// results are only ever counted once.
+const updateGroupStandings = async (match) => {
+  if (!match.tournament || !match.group) return;
+
+  const tournament = await Tournament.findById(
+    match.tournament._id || match.tournament
+  );
   if (!tournament) return;
 
-  const updateStanding = async (
-    teamId,
-    isWinner,
-    isDraw,
-    pointsFor,
-    pointsAgainst
-  ) => {
-    let standing = await Standing.findOne({
-      tournament: tournament._id,
-      team: teamId,
-      group: match.group,
-    });
+  await rebuildGroupStandings(tournament, match.group);
+};
 
-    if (!standing) {
-      standing = new Standing({
-        tournament: tournament._id,
-        team: teamId,
-        group: match.group,
-        played: 0,
-        wins: 0,
-        losses: 0,
-        draws: 0,
-        pointsFor: 0,
-        pointsAgainst: 0,
-        points: 0,
-      });
-    }
-
-    standing.played += 1;
-
-    if (isDraw) {
-      standing.draws += 1;
-      standing.points += tournament.settings.pointsPerDraw;
-    } else if (isWinner) {
-      standing.wins += 1;
-      standing.points += tournament.settings.pointsPerWin;
-    } else {
-      standing.losses += 1;
-      standing.points += tournament.settings.pointsPerLoss;
+const knockoutError = (message) => {
+  const error = new Error(message);
+  error.code = 'KNOCKOUT_NOT_READY';
+  return error;
+};
+
+// Build the knockout bracket of a groups-knockout tournament from the final
+// group tables: the top settings.advancePerGroup teams of every group,
+// crossed A1 v B2, B1 v A2 and so on
+const generateKnockoutStage = async (tournament) => {
+  const groupMatches = await Match.find({
+    tournament: tournament._id,
+    group: { $nin: [null, ''] },
+    stage: { $ne: 'knockout' },
+  }).select('round matchNumber status');
+
+  const pending = groupMatches.filter((m) =>
+    ['scheduled', 'in-progress'].includes(m.status)
+  );
+  if (pending.length > 0) {
+    throw knockoutError(`${pending.length} group matches still pending`);
+  }
+
+  const perGroup = tournament.settings?.advancePerGroup || 2;
+  const groups = [];
+  for (const group of tournament.groups) {
+    const ranked = await updateGroupRanks(tournament, group.name);
+    if (ranked.length > 0) {
+      groups.push({ name: group.name, standings: ranked.slice(0, perGroup) });
     }
+  }
 
-    standing.pointsFor += pointsFor;
-    standing.pointsAgainst += pointsAgainst;
-    await standing.save();
-  };
+  const qualifiers = groups.reduce((sum, g) => sum + g.standings.length, 0);
+  if (qualifiers < 2) {
+    throw knockoutError('At least two teams must qualify from the groups');
+  }
 
-  const isDraw = match.team1Score === match.team2Score;
-  const team1Wins = match.team1Score > match.team2Score;
-  const team2Wins = match.team2Score > match.team1Score;
+  console.log(
+    `Creating knockout stage: ${qualifiers} teams from ${groups.length} groups`
+  );
 
-  await updateStanding(
-    match.team1._id,
-    team1Wins,
-    isDraw,
-    match.team1Score,
-    match.team2Score
+  const rounds = await createWinnersBracket(
+    tournament,
+    crossSeedGroups(groups),
+    {
+      round: Math.max(0, ...groupMatches.map((m) => m.round)) + 1,
+      matchNumber: Math.max(0, ...groupMatches.map((m) => m.matchNumber)) + 1,
+      stage: 'knockout',
+    }
   );
-  await updateStanding(
-    match.team2._id,
-    team2Wins,
-    isDraw,
-    match.team2Score,
-    match.team1Score
+  await markFinal(rounds);
+
+  return [
+    ...rounds.flat(),
+    ...(await addPlacementGames(tournament, rounds, { stage: 'knockout' })),
+  ];
+};
+
+// Claim the tournament and generate its knockout stage; only one caller
+// gets to do it. Returns the new matches, or null when the tournament is
+// not a groups-knockout tournament or already has its knockout stage.
+const startKnockoutStage = async (tournamentId) => {
+  const tournament = await Tournament.findOneAndUpdate(
+    {
+      _id: tournamentId,
+      format: 'groups-knockout',
+      knockoutGeneratedAt: null,
+    },
+    { knockoutGeneratedAt: new Date() },
+    { new: true }
   );
+  if (!tournament) return null;
 
-  await updateGroupRanks(tournament._id, match.group);
+  try {
+    const matches = await generateKnockoutStage(tournament);
+    publishBracket(tournament._id, matches, { stage: 'knockout' });
+    return matches;
+  } catch (error) {
+    await Tournament.updateOne(
+      { _id: tournament._id },
+      { $unset: { knockoutGeneratedAt: 1 } }
+    );
+    throw error;
+  }
 };
 
-const updateGroupRanks = async (tournamentId, group) => {
-  const standings = await Standing.find({
+// Move on to the knockout once the last group match is done
+const advanceToKnockoutIfComplete = async (match) => {
+  if (!match.group) return;
+
+  const tournamentId = match.tournament._id || match.tournament;
+  const pending = await Match.countDocuments({
     tournament: tournamentId,
-    group: group,
-  }).sort({ points: -1, pointsDifference: -1, pointsFor: -1 });
+    group: { $nin: [null, ''] },
+    stage: { $ne: 'knockout' },
+    status: { $in: ['scheduled', 'in-progress'] },
+  });
+  if (pending > 0) return;
+
+  try {
+    const matches = await startKnockoutStage(tournamentId);
+    if (matches) {
+      console.log(
+        `🏆 Group stage complete, created ${matches.length} knockout matches`
+      );
+    }
+  } catch (error) {
+    // The result is already saved; the knockout can be generated by hand
+    console.error('Error creating knockout stage:', error);
+  }
+};
+
+// Generate the knockout stage of a groups-knockout tournament by hand, e.g.
+// after group matches were cancelled
+exports.generateKnockout = async (req, res) => {
+  try {
+    const { tournamentId } = req.params;
+
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found',
+      });
+    }
+
+    if (tournament.format !== 'groups-knockout') {
+      return res.status(400).json({
+        success: false,
+        message: 'Tournament does not have a knockout stage',
+      });
+    }
+
+    const matches = await startKnockoutStage(tournamentId);
+    if (!matches) {
+      return res.status(400).json({
+        success: false,
+        message: 'Knockout stage already generated for this tournament',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Knockout stage generated successfully',
+      matches: matches.length,
+      matchDetails: matches.map((m) => ({
+        id: m._id,
+        round: m.round,
+        matchNumber: m.matchNumber,
+        teams: `${m.positions?.team1Label || 'TBD'} vs ${m.positions?.team2Label || 'TBD'}`,
+        status: m.status,
+      })),
+    });
+  } catch (error) {
+    console.error('Error generating knockout stage:', error);
+    res.status(error.code === 'KNOCKOUT_NOT_READY' ? 400 : 500).json({
+      success: false,
+      message:
+        error.code === 'KNOCKOUT_NOT_READY'
+          ? error.message
+          : 'Failed to generate knockout stage',
+      error: error.message,
+    });
+  }
+};
 
-  for (let i = 0; i < standings.length; i++) {
-    standings[i].rank = i + 1;
-    await standings[i].save();
+// Teams that did not check in forfeit every game they are drawn in; two
+// missing teams drawn together both forfeit and nobody wins. A forfeit can
+// put the winner against another missing team, and the last group game
+// forfeited starts the knockout, so look again until there is nothing left
+// to forfeit.
+const forfeitMissingTeams = async (tournament, teams, user) => {
+  const missing = new Set(teams.map(idOf));
+  const forfeited = [];
+
+  for (;;) {
+    const matches = await Match.find({
+      tournament: tournament._id,
+      status: 'scheduled',
+      team1: { $ne: null },
+      team2: { $ne: null },
+      $or: [{ team1: { $in: [...missing] } }, { team2: { $in: [...missing] } }],
+    }).sort({ round: 1, matchNumber: 1 });
+    if (!matches.length) break;
+
+    for (const match of matches) {
+      const doubleForfeit =
+        missing.has(idOf(match.team1)) && missing.has(idOf(match.team2));
+      const team = missing.has(idOf(match.team1)) ? match.team1 : match.team2;
+      const details = { reason: 'Did not check in', user };
+      if (doubleForfeit) {
+        disputes.recordDoubleForfeit(match, tournament.settings, details);
+      } else {
+        disputes.recordForfeit(match, team, tournament.settings, details);
+      }
+      await match.save();
+      publishMatchStatus(match);
+
+      if (match.group) {
+        await updateGroupStandings(match);
+        await advanceToKnockoutIfComplete(match);
+      } else {
+        await advanceWinner(match);
+      }
+      forfeited.push({
+        matchId: match._id,
+        matchNumber: match.matchNumber,
+        team: doubleForfeit ? null : team,
+        doubleForfeit,
+      });
+    }
   }
+
+  return forfeited;
 };
 
 exports.startTournament = async (req, res) => {
@@ -973,14 +1544,48 @@ exports.startTournament = async (req, res) => {
       });
     }
 
+    const whenMissing = tournament.settings.checkIn?.whenMissing || 'ignore';
+    const missing = checkIn.missingTeams(tournament);
+    if (missing.length && whenMissing === 'refuse') {
+      const teams = await Team.find({ _id: { $in: missing } }).select('name');
+      return res.status(400).json({
+        success: false,
+        message: `${missing.length} team(s) have not checked in: ${teams
+          .map((team) => team.name)
+          .join(', ')}`,
+        missingTeams: teams,
+      });
+    }
+
     tournament.status = 'ongoing';
     tournament.updatedBy = req.user.id;
     await tournament.save();
 
+    const forfeits =
+      missing.length && whenMissing === 'forfeit'
+        ? await forfeitMissingTeams(tournament, missing, req.user)
+        : [];
+    if (forfeits.length) {
+      console.log(
+        `🏳️ ${tournament.name}: ${forfeits.length} forfeit(s) for teams that did not check in`
+      );
+    }
+
+    const registered = await Team.find({
+      _id: { $in: tournament.registeredTeams },
+    }).select('name grade sex levelOfCompetition');
+    const flaggedPlayers = checkIn.duplicatePlayers(tournament, registered);
+
     res.json({
       success: true,
       message: 'Tournament started successfully',
       tournament,
+      ...(missing.length && { missingTeams: missing }),
+      ...(forfeits.length && { forfeits }),
+      ...(flaggedPlayers.length && {
+        flaggedPlayers,
+        warning: `${flaggedPlayers.length} player(s) are on more than one roster in the same division`,
+      }),
     });
   } catch (error) {
     console.error('Error starting tournament:', error);
@@ -1056,10 +1661,13 @@ exports.getStandings = async (req, res) => {
 
     const standings = await Standing.find({ tournament: tournamentId })
       .populate('team', 'name grade levelOfCompetition')
-      .sort({ group: 1, points: -1, pointsDifference: -1, pointsFor: -1 });
+      .sort({ group: 1, rank: 1, points: -1 });
 
+    // Each standing carries decidedBy: 'points' or the tiebreaker that
+    // settled its rank
     res.json({
       success: true,
+      tiebreakers: tournament.settings.tiebreakers,
       standings,
     });
   } catch (error) {
@@ -1072,6 +1680,64 @@ exports.getStandings = async (req, res) => {
   }
 };
 
+// Record the tournament director's decision for teams still level after
+// every other tiebreaker (used by the coin-flip tiebreaker)
+exports.setTiebreakOrder = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { tournamentId } = req.params;
+    const { group, teamIds } = req.body;
+
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found',
+      });
+    }
+
+    const standings = await Standing.find({
+      tournament: tournamentId,
+      group,
+      team: { $in: teamIds },
+    });
+    if (standings.length !== teamIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: `All teams must have a standing in group ${group}`,
+      });
+    }
+
+    for (const standing of standings) {
+      standing.tiebreakOrder =
+        teamIds.findIndex((id) => id === standing.team.toString()) + 1;
+      await standing.save();
+    }
+
+    const ranked = await updateGroupRanks(tournament, group);
+
+    res.json({
+      success: true,
+      message: 'Tiebreak order saved',
+      standings: ranked,
+    });
+  } catch (error) {
+    console.error('Error setting tiebreak order:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to set tiebreak order',
+      error: error.message,
+    });
+  }
+};
+
 exports.getSchedule = async (req, res) => {
   try {
     const { tournamentId } = req.params;
@@ -1711,9 +2377,18 @@ exports.getTournamentProgress = async (req, res) => {
 
     console.log(`📋 Found ${matches.length} total matches`);
 
+    // Consolation and placement games are reported on their own so they do
+    // not hold up the bracket rounds
+    const placementMatches = matches.filter(
+      (m) => m.bracketLocation === 'consolation'
+    );
+    const bracketMatches = matches.filter(
+      (m) => m.bracketLocation !== 'consolation'
+    );
+
     // Group matches by round
     const matchesByRound = {};
-    matches.forEach((match) => {
+    bracketMatches.forEach((match) => {
       if (!matchesByRound[match.round]) {
         matchesByRound[match.round] = [];
       }
@@ -1784,6 +2459,38 @@ exports.getTournamentProgress = async (req, res) => {
     const canAdvance = allMatchesHaveWinners && !nextRoundExists;
     const isFinalRound = currentWinningTeams.length <= 2;
 
+    const isPlayed = (m) => ['completed', 'walkover'].includes(m.status);
+
+    // Places decided so far: the final and every game for two places
+    const finalPlacements = [];
+    const lastRound = matchesByRound[rounds[rounds.length - 1]] || [];
+    const placeGames = [
+      ...(lastRound.length === 1 && !lastRound[0].group
+        ? [{ match: lastRound[0], from: 1 }]
+        : []),
+      ...placementMatches
+        .filter((m) => m.placementRange?.to === m.placementRange?.from + 1)
+        .map((m) => ({ match: m, from: m.placementRange.from })),
+    ];
+    placeGames.forEach(({ match, from }) => {
+      if (!isPlayed(match) || !match.winner) return;
+      finalPlacements.push(
+        {
+          place: from,
+          team: { _id: match.winner._id, name: match.winner.name },
+        },
+        ...(match.loser
+          ? [
+              {
+                place: from + 1,
+                team: { _id: match.loser._id, name: match.loser.name },
+              },
+            ]
+          : [])
+      );
+    });
+    finalPlacements.sort((a, b) => a.place - b.place);
+
     res.json({
       success: true,
       progress,
@@ -1803,6 +2510,22 @@ exports.getTournamentProgress = async (req, res) => {
       rounds: rounds,
       nextRound,
       nextRoundExists,
+      placementGames: placementMatches.map((m) => ({
+        matchId: m._id,
+        round: m.round,
+        matchNumber: m.matchNumber,
+        label: m.placementLabel,
+        placementRange: m.placementRange,
+        team1: m.team1 && { _id: m.team1._id, name: m.team1.name },
+        team2: m.team2 && { _id: m.team2._id, name: m.team2.name },
+        status: m.status,
+        winner: m.winner && { _id: m.winner._id, name: m.winner.name },
+      })),
+      placementProgress: {
+        totalMatches: placementMatches.length,
+        completedMatches: placementMatches.filter(isPlayed).length,
+      },
+      finalPlacements,
     });
   } catch (error) {
     console.error('❌ Error getting tournament progress:', error);
@@ -1832,10 +2555,12 @@ exports.advanceToNextRound = async (req, res) => {
       });
     }
 
-    // Get current round matches
+    // Get current round matches (consolation and placement games are
+    // played alongside the bracket rounds but are not part of them)
     const currentRoundMatches = await Match.find({
       tournament: tournamentId,
       round: parseInt(round),
+      bracketLocation: { $ne: 'consolation' },
     })
       .populate('team1 team2 winner loser')
       .sort({ matchNumber: 1 });
@@ -1890,6 +2615,7 @@ exports.advanceToNextRound = async (req, res) => {
     const existingNextRoundMatches = await Match.find({
       tournament: tournamentId,
       round: nextRound,
+      bracketLocation: { $ne: 'consolation' },
     });
 
     if (existingNextRoundMatches.length > 0) {
@@ -1913,7 +2639,7 @@ exports.advanceToNextRound = async (req, res) => {
     console.log(`🎯 Creating ${numMatches} matches for round ${nextRound}`);
 
     // Shuffle winners for random pairing (optional)
-    const shuffledWinners = [...allWinners].sort(() => Math.random() - 0.5);
+    const shuffledWinners = shuffle(allWinners);
 
     for (let i = 0; i < numMatches; i++) {
       const team1 = shuffledWinners[i * 2] || null;
@@ -1942,6 +2668,53 @@ exports.advanceToNextRound = async (req, res) => {
       matches.push(populatedMatch);
     }
 
+    // Losers of this round go on to the consolation or placement games the
+    // tournament asks for: the 3rd place game after the semi-finals, 5th-8th
+    // after the quarter-finals, the consolation bracket after the first round
+    const placementMatches = [];
+    const played = currentRoundMatches.filter(
+      (m) => m.status !== 'bye' && m.loser
+    );
+    const firstRound = !(await Match.exists({
+      tournament: tournamentId,
+      round: { $lt: parseInt(round) },
+      bracketLocation: { $ne: 'consolation' },
+    }));
+    const {
+      consolationBracket,
+      thirdPlaceGame,
+      placementGames,
+      minGamesPerTeam,
+    } = tournament.settings || {};
+    const placement =
+      (thirdPlaceGame && allWinners.length === 2) ||
+      (placementGames && allWinners.length === 4);
+
+    if (
+      played.length >= 2 &&
+      !played.some((m) => m.loserNextMatch) &&
+      (placement || (consolationBracket && firstRound))
+    ) {
+      const lastMatch = await Match.findOne({ tournament: tournamentId })
+        .sort({ matchNumber: -1 })
+        .select('matchNumber');
+      placementMatches.push(
+        ...(await createPlacementBracket(tournament, played, {
+          from: currentRoundMatches.length + 1,
+          round: nextRound,
+          counter: { next: (lastMatch?.matchNumber || 0) + 1 },
+          full: placement || !!minGamesPerTeam,
+          name: placement ? 'Placement' : 'Consolation',
+        }))
+      );
+      for (const match of played) {
+        await advanceLoser(match);
+      }
+      console.log(
+        `🥉 Created ${placementMatches.length} consolation/placement matches`
+      );
+    }
+
     // Update tournament status if needed
     if (allWinners.length === 2 && tournament.status === 'open') {
       tournament.status = 'ongoing';
@@ -1953,6 +2726,10 @@ exports.advanceToNextRound = async (req, res) => {
     tournament.updatedBy = req.user.id;
     await tournament.save();
 
+    publishBracket(tournamentId, [...matches, ...placementMatches], {
+      round: nextRound,
+    });
+
     console.log(
       `✅ Successfully created round ${nextRound} with ${matches.length} matches`
     );
@@ -1962,6 +2739,7 @@ exports.advanceToNextRound = async (req, res) => {
       message: `Round ${nextRound} created with ${matches.length} matches`,
       nextRound,
       matchesCreated: matches.length,
+      placementMatchesCreated: placementMatches.length,
       winningTeamsCount: allWinners.length,
       matches: matches,
       tournamentStatus: tournament.status,
@@ -2149,27 +2927,35 @@ exports.resetMatch = async (req, res) => {
     }
 
     // Reset match data
+    const before = disputes.resultOf(match);
+    const previousWinner = match.winner;
+    const previousLoser = match.loser;
     match.winner = null;
     match.loser = null;
     match.team1Score = 0;
     match.team2Score = 0;
     match.status = match.team1 && match.team2 ? 'scheduled' : 'bye';
     match.walkoverReason = undefined;
+    match.forfeitedBy = undefined;
+    match.doubleForfeit = undefined;
     match.actualEndTime = undefined;
+    disputes.logHistory(match, 'reset', before, {
+      user: req.user,
+      note: req.body?.reason,
+    });
 
     await match.save();
+    publishMatchStatus(match);
 
     // If this match had a nextMatch assigned, clear the team from that match
-    if (match.nextMatch) {
-      const nextMatch = await Match.findById(match.nextMatch);
+    if (match.nextMatch && previousWinner) {
+      const nextMatch = await replaceAdvancedTeam(
+        match,
+        match.nextMatch,
+        previousWinner,
+        null
+      );
       if (nextMatch) {
-        // Remove this team from the next match
-        if (nextMatch.team1?.toString() === match._id.toString()) {
-          nextMatch.team1 = null;
-        } else if (nextMatch.team2?.toString() === match._id.toString()) {
-          nextMatch.team2 = null;
-        }
-
         // Update next match status
         nextMatch.status =
           nextMatch.team1 && nextMatch.team2 ? 'scheduled' : 'bye';
@@ -2177,6 +2963,9 @@ exports.resetMatch = async (req, res) => {
       }
     }
 
+    // Take the loser back out of their consolation or placement game
+    await replaceAdvancedTeam(match, match.loserNextMatch, previousLoser, null);
+
     // If this was a group stage match, update standings
     if (match.group) {
       await updateGroupStandings(match);
@@ -2360,6 +3149,7 @@ exports.quickDeclareWinner = async (req, res) => {
     });
 
     await match.save();
+    publishMatchStatus(match);
 
     // Populate the updated match
     const updatedMatch = await Match.findById(matchId).populate(
@@ -2378,42 +3168,763 @@ exports.quickDeclareWinner = async (req, res) => {
         nextMatch.status =
           nextMatch.team1 && nextMatch.team2 ? 'scheduled' : 'bye';
         await nextMatch.save();
+        publishBracket(match.tournament, [nextMatch], {
+          fromMatch: idOf(match),
+        });
       }
     }
+    await advanceLoser(match);
 
     // Update standings if group match
     if (match.group) {
       await updateGroupStandings(match);
+      await advanceToKnockoutIfComplete(match);
+    }
+
+    console.log(`✅ Winner declared: ${winner.name} won match ${matchId}`);
+
+    res.json({
+      success: true,
+      message: 'Winner declared successfully',
+      match: updatedMatch,
+      winner: {
+        id: winner._id,
+        name: winner.name,
+      },
+      loser: {
+        id: loser._id,
+        name: loser.name,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error quick declaring winner:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to declare winner',
+      error: error.message,
+    });
+  }
+};
+
+// Admins can keep score on any match, other users on the matches they are
+// the scorekeeper of
+const canKeepScore = (user, match) =>
+  user.role === 'admin' ||
+  (match.scorekeeper && match.scorekeeper.toString() === user._id.toString());
+
+const liveMatchResponse = (match, settings) => ({
+  matchId: match._id,
+  status: match.status,
+  team1: match.team1 && { _id: match.team1._id, name: match.team1.name },
+  team2: match.team2 && { _id: match.team2._id, name: match.team2.name },
+  team1Score: match.team1Score,
+  team2Score: match.team2Score,
+  boxScore: liveScoring.buildBoxScore(match, settings),
+  events: match.liveScoring?.events || [],
+});
+
+// Load a match for the scorekeeper, apply a change from
+// services/live-scoring.js and save it
+const runScoringAction = async (req, res, message, action) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const match = await Match.findById(req.params.matchId)
+      .populate('team1 team2', 'name')
+      .populate('tournament', 'name settings');
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'Match not found',
+      });
+    }
+
+    if (!canKeepScore(req.user, match)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to keep score for this match',
+      });
+    }
+
+    const settings = match.tournament?.settings || {};
+    const statusBefore = match.status;
+    const scoreBefore = JSON.stringify(
+      liveScoring.buildBoxScore(match, settings)
+    );
+
+    const result = await action(match, settings);
+    await match.save();
+
+    const boxScore = liveScoring.buildBoxScore(match, settings);
+    if (JSON.stringify(boxScore) !== scoreBefore) {
+      publish(idOf(match.tournament), 'score', {
+        matchId: idOf(match),
+        team1Score: match.team1Score,
+        team2Score: match.team2Score,
+        period: boxScore.currentPeriodLabel,
+        fouls: boxScore.fouls,
+        timeouts: boxScore.timeouts,
+      });
+    }
+    if (match.status !== statusBefore) publishMatchStatus(match);
+
+    res.json({
+      success: true,
+      message,
+      ...liveMatchResponse(match, settings),
+      ...result,
+    });
+  } catch (error) {
+    console.error(`Error in live scoring (${message}):`, error);
+    res.status(error.code === 'INVALID_SCORING' ? 400 : 500).json({
+      success: false,
+      message: error.code === 'INVALID_SCORING' ? error.message : message,
+      error: error.message,
+    });
+  }
+};
+
+// Assign the parent who keeps score for a match
+exports.assignScorekeeper = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { scorekeeperId } = req.body;
+
+    if (scorekeeperId) {
+      const scorekeeper = await Parent.exists({ _id: scorekeeperId });
+      if (!scorekeeper) {
+        return res.status(404).json({
+          success: false,
+          message: 'Scorekeeper not found',
+        });
+      }
+    }
+
+    const match = await Match.findByIdAndUpdate(
+      req.params.matchId,
+      scorekeeperId
+        ? { scorekeeper: scorekeeperId }
+        : { $unset: { scorekeeper: 1 } },
+      { new: true }
+    ).populate('scorekeeper', 'fullName email');
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'Match not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: scorekeeperId
+        ? 'Scorekeeper assigned successfully'
+        : 'Scorekeeper removed',
+      scorekeeper: match.scorekeeper || null,
+    });
+  } catch (error) {
+    console.error('Error assigning scorekeeper:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign scorekeeper',
+      error: error.message,
+    });
+  }
+};
+
+// Box score, entries and audit trail for the scorekeeper's screen
+exports.getLiveScore = (req, res) =>
+  runScoringAction(req, res, 'Live score', async (match) => ({
+    audit: match.liveScoring?.audit || [],
+  }));
+
+exports.startLiveMatch = (req, res) =>
+  runScoringAction(req, res, 'Match started', async (match) => {
+    liveScoring.startMatch(match, req.user);
+    console.log(`🏀 Match ${match.matchNumber} started`);
+  });
+
+// Record a basket (or a period total), foul or timeout
+exports.recordScoringEvent = (req, res) =>
+  runScoringAction(req, res, 'Entry recorded', async (match, settings) => ({
+    event: liveScoring.recordEvent(match, req.body, req.user, settings),
+  }));
+
+exports.correctScoringEvent = (req, res) =>
+  runScoringAction(req, res, 'Entry corrected', async (match, settings) => {
+    const { reason, ...changes } = req.body;
+    return {
+      event: liveScoring.correctEvent(
+        match,
+        req.params.eventId,
+        changes,
+        reason,
+        req.user,
+        settings
+      ),
+    };
+  });
+
+exports.voidScoringEvent = (req, res) =>
+  runScoringAction(req, res, 'Entry voided', async (match, settings) => ({
+    event: liveScoring.voidEvent(
+      match,
+      req.params.eventId,
+      req.body.reason,
+      req.user,
+      settings
+    ),
+  }));
+
+// End the current period
+exports.advanceLivePeriod = (req, res) =>
+  runScoringAction(req, res, 'Period ended', async (match, settings) => {
+    liveScoring.advancePeriod(match, req.user, settings);
+  });
+
+// Make the box score the final result. Standings, the knockout and the next
+// bracket match are updated like for any other result.
+exports.finalizeLiveMatch = (req, res) =>
+  runScoringAction(req, res, 'Match finalized', async (match, settings) => {
+    liveScoring.finalizeMatch(match, req.user, settings);
+    await match.save();
+
+    if (match.group) {
+      await updateGroupStandings(match);
+      await advanceToKnockoutIfComplete(match);
+    }
+    await advanceWinner(match);
+
+    console.log(
+      `✅ Match ${match.matchNumber} final: ${match.team1Score}-${match.team2Score}`
+    );
+    return { winner: match.winner || null };
+  });
+
+// Player stat lines of a match, per team
+exports.getMatchStats = async (req, res) => {
+  try {
+    const match = await Match.findById(req.params.matchId).populate(
+      'team1 team2',
+      'name'
+    );
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'Match not found',
+      });
+    }
+
+    const lines = await PlayerStatLine.find({ match: match._id })
+      .sort({ points: -1, playerName: 1 })
+      .lean();
+    const linesOf = (team) =>
+      team
+        ? lines.filter((line) => line.team.toString() === team._id.toString())
+        : [];
+
+    res.json({
+      success: true,
+      matchId: match._id,
+      statFields: STAT_FIELDS,
+      team1: { team: match.team1, lines: linesOf(match.team1) },
+      team2: { team: match.team2, lines: linesOf(match.team2) },
+    });
+  } catch (error) {
+    console.error('Error fetching match stats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch match stats',
+      error: error.message,
+    });
+  }
+};
+
+// Enter (replace) one team's player stat lines for a match. Admins, the
+// match's scorekeeper and the team's coaches can do this.
+exports.saveMatchStats = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { side, lines } = req.body;
+
+    const match = await Match.findById(req.params.matchId).populate(
+      'tournament',
+      'name year startDate'
+    );
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'Match not found',
+      });
+    }
+
+    const isCoach =
+      match[side] &&
+      (await Team.exists({ _id: match[side], coachIds: req.user._id }));
+    if (!canKeepScore(req.user, match) && !isCoach) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to enter stats for this team',
+      });
+    }
+
+    const result = await saveTeamStatLines(match, side, lines, req.user);
+
+    res.json({
+      success: true,
+      message: `Saved ${result.lines.length} stat lines`,
+      ...result,
+      ...(result.scoreMismatch && {
+        warning: `Player points add up to ${result.pointsTotal}, the team scored ${result.teamScore}`,
+      }),
+    });
+  } catch (error) {
+    console.error('Error saving match stats:', error);
+    res.status(error.code === 'INVALID_STATS' ? 400 : 500).json({
+      success: false,
+      message:
+        error.code === 'INVALID_STATS'
+          ? error.message
+          : 'Failed to save match stats',
+      error: error.message,
+    });
+  }
+};
+
+// Load a match, apply a forfeit or protest change from
+// services/match-disputes.js and carry the result through to the group
+// table and the bracket. A result that changes who moved on is refused once
+// the match they moved on to has been played.
+const runDisputeAction = async (req, res, message, action) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const match = await Match.findById(req.params.matchId).populate(
+      'tournament',
+      'name settings knockoutGeneratedAt'
+    );
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'Match not found',
+      });
+    }
+
+    const settings = match.tournament?.settings || {};
+    const previous = { winner: match.winner, loser: match.loser };
+    const statusBefore = match.status;
+
+    const result = await action(match, settings);
+
+    const winnerChanged = idOf(previous.winner) !== idOf(match.winner);
+    const loserChanged = idOf(previous.loser) !== idOf(match.loser);
+    const affected = [
+      winnerChanged && match.nextMatch,
+      loserChanged && match.loserNextMatch,
+    ].filter(Boolean);
+    if (affected.length) {
+      const played = await Match.find({
+        _id: { $in: affected },
+        status: { $in: ['in-progress', 'completed', 'walkover'] },
+      }).select('matchNumber');
+      if (played.length) {
+        return res.status(400).json({
+          success: false,
+          message: `Match ${played.map((m) => m.matchNumber).join(', ')} has already been played with the current result; reset it first`,
+        });
+      }
+    }
+
+    await match.save();
+    if (match.status !== statusBefore || winnerChanged) {
+      publishMatchStatus(match);
+    }
+
+    if (winnerChanged) {
+      await replaceAdvancedTeam(
+        match,
+        match.nextMatch,
+        previous.winner,
+        match.winner
+      );
+    }
+    if (loserChanged) {
+      await replaceAdvancedTeam(
+        match,
+        match.loserNextMatch,
+        previous.loser,
+        match.loser
+      );
+    }
+
+    if (match.group) {
+      await updateGroupStandings(match);
+      await advanceToKnockoutIfComplete(match);
+    }
+
+    res.json({
+      success: true,
+      message,
+      match,
+      ...result,
+      ...(match.group &&
+        (winnerChanged || loserChanged) &&
+        match.tournament?.knockoutGeneratedAt && {
+          warning:
+            'The knockout stage was already drawn; it was not changed by this result',
+        }),
+    });
+  } catch (error) {
+    console.error(`Error in match dispute (${message}):`, error);
+    res.status(error.code === 'INVALID_DISPUTE' ? 400 : 500).json({
+      success: false,
+      message: error.code === 'INVALID_DISPUTE' ? error.message : message,
+      error: error.message,
+    });
+  }
+};
+
+// Coaches can act for the teams they coach, admins for any team
+const coachesTeam = async (user, teamId) =>
+  user.role === 'admin' ||
+  !!(await Team.exists({ _id: teamId, coachIds: user._id }));
+
+// Record that a team forfeits a match that was not played
+exports.forfeitMatch = (req, res) =>
+  runDisputeAction(req, res, 'Forfeit recorded', async (match, settings) => {
+    disputes.recordForfeit(match, req.body.teamId, settings, {
+      reason: req.body.reason,
+      user: req.user,
+    });
+    console.log(`🏳️ Match ${match.matchNumber}: forfeit by ${req.body.teamId}`);
+    return {};
+  });
+
+// A coach protests the result of a finished match
+exports.fileProtest = (req, res) =>
+  runDisputeAction(req, res, 'Protest filed', async (match, settings) => {
+    const teams = [idOf(match.team1), idOf(match.team2)].filter(Boolean);
+    let team = req.body.teamId;
+    if (!team) {
+      const coached = await Team.find({
+        _id: { $in: teams },
+        coachIds: req.user._id,
+      }).select('_id');
+      team = coached.length === 1 ? idOf(coached[0]) : null;
+      if (!team) {
+        const error = new Error('Say which team the protest is for');
+        error.code = 'INVALID_DISPUTE';
+        throw error;
+      }
+    }
+    if (!(await coachesTeam(req.user, team))) {
+      const error = new Error('Only a coach of the team can protest for it');
+      error.code = 'INVALID_DISPUTE';
+      throw error;
+    }
+
+    const protest = disputes.fileProtest(match, {
+      team,
+      reason: req.body.reason,
+      user: req.user,
+      windowHours: settings.protestWindowHours,
+    });
+    console.log(`📣 Protest filed on match ${match.matchNumber}`);
+    return { protest };
+  });
+
+// The coach who filed a protest (or an admin) takes it back
+exports.withdrawProtest = (req, res) =>
+  runDisputeAction(req, res, 'Protest withdrawn', async (match) => {
+    const protest = match.protests.id(req.params.protestId);
+    if (
+      protest &&
+      req.user.role !== 'admin' &&
+      idOf(protest.filedBy) !== idOf(req.user)
+    ) {
+      const error = new Error('Only whoever filed a protest can withdraw it');
+      error.code = 'INVALID_DISPUTE';
+      throw error;
+    }
+    return {
+      protest: disputes.withdrawProtest(match, req.params.protestId, {
+        user: req.user,
+      }),
+    };
+  });
+
+// The director upholds or denies a protest
+exports.decideProtest = (req, res) =>
+  runDisputeAction(req, res, 'Protest decided', async (match, settings) => {
+    const { protest, resultChanged } = disputes.decideProtest(
+      match,
+      req.params.protestId,
+      req.body,
+      settings,
+      { user: req.user }
+    );
+    console.log(
+      `⚖️ Protest on match ${match.matchNumber} ${protest.status}${
+        protest.outcome ? ` (${protest.outcome})` : ''
+      }`
+    );
+    return { protest, resultChanged };
+  });
+
+// Forfeits, protests and resets of a match, latest first
+exports.getMatchHistory = async (req, res) => {
+  try {
+    const match = await Match.findById(req.params.matchId)
+      .select('matchNumber round status protests history forfeitedBy')
+      .populate('protests.team', 'name')
+      .populate('protests.filedBy protests.decidedBy history.by', 'fullName');
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'Match not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      matchId: match._id,
+      status: match.status,
+      forfeitedBy: match.forfeitedBy || null,
+      protests: match.protests,
+      history: [...match.history].reverse(),
+    });
+  } catch (error) {
+    console.error('Error fetching match history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch match history',
+      error: error.message,
+    });
+  }
+};
+
+// ============================================
+// TEAM CHECK-IN
+// ============================================
+
+const CHECK_IN_TEAM_FIELDS = 'name grade sex levelOfCompetition coachIds';
+
+// Load the tournament and team, make sure the user coaches the team (or is
+// an admin), apply a change from services/team-check-in.js and save
+const runCheckInAction = async (req, res, message, action) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { tournamentId, teamId } = req.params;
+    const [tournament, team] = await Promise.all([
+      Tournament.findById(tournamentId),
+      Team.findById(teamId).select(CHECK_IN_TEAM_FIELDS),
+    ]);
+    if (!tournament || !team) {
+      return res.status(404).json({
+        success: false,
+        message: tournament ? 'Team not found' : 'Tournament not found',
+      });
+    }
+    if (!(await coachesTeam(req.user, team._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only a coach of the team can do this',
+      });
+    }
+
+    const entry = await action(tournament, team);
+    await tournament.save();
+
+    const registered = await Team.find({
+      _id: { $in: tournament.registeredTeams },
+    }).select(CHECK_IN_TEAM_FIELDS);
+    const flaggedPlayers = checkIn
+      .duplicatePlayers(tournament, registered)
+      .filter((flag) => flag.teams.some((id) => idOf(id) === idOf(team)));
+
+    res.json({
+      success: true,
+      message,
+      checkIn: entry,
+      rosterLocked: checkIn.isRosterLocked(tournament),
+      ...(flaggedPlayers.length && {
+        flaggedPlayers,
+        warning: `${flaggedPlayers.length} player(s) are also on another roster in this division`,
+      }),
+    });
+  } catch (error) {
+    console.error(`Error in team check-in (${message}):`, error);
+    res.status(error.code === 'INVALID_CHECK_IN' ? 400 : 500).json({
+      success: false,
+      message: error.code === 'INVALID_CHECK_IN' ? error.message : message,
+      error: error.message,
+    });
+  }
+};
+
+// Every registered team's check-in, roster and flags. Admins see every
+// team; a coach sees only the teams they coach.
+exports.getCheckIns = async (req, res) => {
+  try {
+    const tournament = await Tournament.findById(req.params.tournamentId);
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found',
+      });
+    }
+
+    const registered = await Team.find({
+      _id: { $in: tournament.registeredTeams },
+    }).select(CHECK_IN_TEAM_FIELDS);
+    const isAdmin = req.user.role === 'admin';
+    const teams = isAdmin
+      ? registered
+      : registered.filter((team) =>
+          (team.coachIds || []).some((id) => idOf(id) === idOf(req.user))
+        );
+    const flaggedPlayers = checkIn
+      .duplicatePlayers(tournament, registered)
+      .filter(
+        (flag) =>
+          isAdmin ||
+          flag.teams.some((id) => teams.some((team) => idOf(team) === idOf(id)))
+      );
+
+    const checkIns = teams.map((team) => {
+      const entry = checkIn.checkInFor(tournament, team);
+      return {
+        team,
+        checkedIn: !!entry?.checkedInAt,
+        checkedInAt: entry?.checkedInAt || null,
+        roster: entry?.roster || [],
+        rosterUpdatedAt: entry?.rosterUpdatedAt || null,
+        flags: flaggedPlayers.filter((flag) =>
+          flag.teams.some((id) => idOf(id) === idOf(team))
+        ),
+      };
+    });
+
+    res.json({
+      success: true,
+      whenMissing: tournament.settings.checkIn?.whenMissing || 'ignore',
+      rosterLockAt: tournament.settings.checkIn?.rosterLockAt || null,
+      rosterLocked: checkIn.isRosterLocked(tournament),
+      checkedIn: checkIns.filter((c) => c.checkedIn).length,
+      totalTeams: checkIns.length,
+      checkIns,
+      flaggedPlayers,
+    });
+  } catch (error) {
+    console.error('Error fetching check-ins:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch check-ins',
+      error: error.message,
+    });
+  }
+};
+
+// The players a team can put on its roster
+exports.getRosterPool = async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.teamId).select(
+      CHECK_IN_TEAM_FIELDS
+    );
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found',
+      });
+    }
+    if (!(await coachesTeam(req.user, team._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only a coach of the team can do this',
+      });
     }
 
-    console.log(`✅ Winner declared: ${winner.name} won match ${matchId}`);
-
-    res.json({
-      success: true,
-      message: 'Winner declared successfully',
-      match: updatedMatch,
-      winner: {
-        id: winner._id,
-        name: winner.name,
-      },
-      loser: {
-        id: loser._id,
-        name: loser.name,
-      },
-    });
+    res.json({ success: true, players: await checkIn.rosterPool(team) });
   } catch (error) {
-    console.error('❌ Error quick declaring winner:', error);
+    console.error('Error fetching roster pool:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to declare winner',
+      message: 'Failed to fetch players',
       error: error.message,
     });
   }
 };
 
+// Submit or change a roster before game day, without checking in
+exports.updateRoster = (req, res) =>
+  runCheckInAction(req, res, 'Roster saved', (tournament, team) =>
+    checkIn.setRoster(tournament, team, req.body.players, {
+      user: req.user,
+      isAdmin: req.user.role === 'admin',
+    })
+  );
+
+// Check a team in, with the roster it plays with
+exports.checkInTeam = (req, res) =>
+  runCheckInAction(req, res, 'Team checked in', async (tournament, team) => {
+    const entry = await checkIn.checkInTeam(tournament, team, {
+      players: req.body.players,
+      user: req.user,
+      isAdmin: req.user.role === 'admin',
+    });
+    console.log(`✅ ${team.name} checked in to ${tournament.name}`);
+    return entry;
+  });
+
+// Take back a check-in made by mistake (admin)
+exports.undoCheckIn = (req, res) =>
+  runCheckInAction(req, res, 'Check-in removed', async (tournament, team) =>
+    checkIn.undoCheckIn(tournament, team)
+  );
+
 // Generate schedule with courts and times
 exports.generateTournamentSchedule = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
     const { tournamentId } = req.params;
     const {
       startDate,
@@ -2421,9 +3932,14 @@ exports.generateTournamentSchedule = async (req, res) => {
       startTime,
       endTime,
       courts,
+      venues,
       matchDuration,
       breakDuration,
-      scheduleType = 'sequential', // sequential, parallel, round_robin
+      minRestMinutes,
+      travelBufferMinutes,
+      gradeTimeRules,
+      blackouts,
+      dryRun = false,
     } = req.body;
 
     const tournament = await Tournament.findById(tournamentId);
@@ -2434,18 +3950,45 @@ exports.generateTournamentSchedule = async (req, res) => {
       });
     }
 
-    // Get all unscheduled matches
-    const unscheduledMatches = await Match.find({
-      tournament: tournamentId,
-      $or: [
-        { scheduledTime: { $exists: false } },
-        { scheduledTime: null },
-        { status: 'scheduled' },
-      ],
-    })
-      .populate('team1 team2')
+    // Courts come from the tournament's venues (or the venues picked for
+    // this run); a plain list of court names still works for single-gym
+    // events
+    const venueIds = venues?.length ? venues : tournament.venues || [];
+    let scheduleCourts = courts || [];
+    if (venueIds.length) {
+      const venueDocs = await Venue.find({
+        _id: { $in: venueIds },
+        isActive: true,
+      });
+      const byId = new Map(venueDocs.map((v) => [v._id.toString(), v]));
+      const ordered = venueIds
+        .map((id) => byId.get(id.toString()))
+        .filter(Boolean);
+      scheduleCourts = courtsFromVenues(ordered, { startDate, endDate });
+    }
+
+    if (!scheduleCourts.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add venues to the tournament or provide a list of courts',
+      });
+    }
+
+    // Every match still to be played is (re)scheduled; games in progress or
+    // finished keep their slot and count against rest and court use
+    const allMatches = await Match.find({ tournament: tournamentId })
+      .populate('team1 team2', 'name grade coachIds')
       .sort({ round: 1, matchNumber: 1 });
 
+    const unscheduledMatches = allMatches.filter(
+      (match) => match.status === 'scheduled'
+    );
+    const fixedMatches = allMatches.filter(
+      (match) =>
+        ['in-progress', 'completed', 'walkover'].includes(match.status) &&
+        match.scheduledTime
+    );
+
     if (unscheduledMatches.length === 0) {
       return res.json({
         success: true,
@@ -2454,123 +3997,97 @@ exports.generateTournamentSchedule = async (req, res) => {
       });
     }
 
-    // Parse dates and times
-    const startDateTime = new Date(startDate);
-    const endDateTime = new Date(endDate);
-    const [startHour, startMinute] = startTime.split(':').map(Number);
-    const [endHour, endMinute] = endTime.split(':').map(Number);
+    // Bracket matches wait for the matches that feed them
+    const timedIds = new Set(
+      [...unscheduledMatches, ...fixedMatches].map((m) => m._id.toString())
+    );
+    const feeders = new Map();
+    allMatches.forEach((match) => {
+      if (!match.nextMatch || !timedIds.has(match._id.toString())) return;
+      const key = match.nextMatch.toString();
+      if (!feeders.has(key)) feeders.set(key, []);
+      feeders.get(key).push(match._id.toString());
+    });
 
     const matchDurationMinutes =
       matchDuration || tournament.settings.matchDuration || 40;
     const breakDurationMinutes =
-      breakDuration || tournament.settings.breakDuration || 10;
-    const totalSlotDuration = matchDurationMinutes + breakDurationMinutes;
-
-    const scheduledMatches = [];
-    const courtAssignments = {};
-    const dateSlots = {};
+      breakDuration ?? tournament.settings.breakDuration ?? 10;
 
-    // Initialize court assignments
-    courts.forEach((court) => {
-      courtAssignments[court] = [];
+    const { placements, unplaced } = buildSchedule(unscheduledMatches, {
+      courts: scheduleCourts,
+      startDate,
+      endDate,
+      startTime,
+      endTime,
+      matchDuration: matchDurationMinutes,
+      breakDuration: breakDurationMinutes,
+      minRestMinutes: minRestMinutes ?? tournament.settings.minRestMinutes,
+      travelBufferMinutes:
+        travelBufferMinutes ?? tournament.settings.travelBufferMinutes,
+      gradeTimeRules: gradeTimeRules || tournament.settings.gradeTimeRules,
+      blackouts: blackouts || tournament.settings.blackouts,
+      fixedMatches,
+      feeders,
     });
 
-    let matchIndex = 0;
-    let currentDate = new Date(startDateTime);
-
-    // Create time slots for each day
-    while (
-      currentDate <= endDateTime &&
-      matchIndex < unscheduledMatches.length
-    ) {
-      const dateStr = currentDate.toISOString().split('T')[0];
-      dateSlots[dateStr] = [];
-
-      let currentTime = new Date(currentDate);
-      currentTime.setHours(startHour, startMinute, 0, 0);
-
-      const dayEnd = new Date(currentDate);
-      dayEnd.setHours(endHour, endMinute, 0, 0);
-
-      // Create time slots for the day
-      while (currentTime < dayEnd && matchIndex < unscheduledMatches.length) {
-        const slotEnd = new Date(currentTime);
-        slotEnd.setMinutes(slotEnd.getMinutes() + matchDurationMinutes);
-
-        // Assign to available court
-        let assignedCourt = null;
-        for (const court of courts) {
-          const courtSchedule = courtAssignments[court] || [];
-          const isCourtAvailable = !courtSchedule.some((slot) => {
-            const slotStart = new Date(slot.start);
-            const slotEnd = new Date(slot.end);
-            return (
-              (currentTime >= slotStart && currentTime < slotEnd) ||
-              (slotEnd > currentTime && slotEnd <= slotEnd)
-            );
-          });
-
-          if (isCourtAvailable) {
-            assignedCourt = court;
-            break;
-          }
-        }
-
-        if (assignedCourt) {
-          const match = unscheduledMatches[matchIndex];
-
-          // Apply constraints (teams shouldn't play back-to-back)
-          const teamConstraints = await checkTeamConstraints(
-            match.team1?._id,
-            match.team2?._id,
-            currentTime,
-            courtAssignments
-          );
+    if (!dryRun) {
+      for (const { match, court, venue, venueName, start } of placements) {
+        match.scheduledTime = start;
+        match.court = court;
+        match.venueId = venue || undefined;
+        if (venue) match.venue = venueName;
+        match.duration = matchDurationMinutes;
+        await match.save();
+      }
 
-          if (teamConstraints.allowed) {
-            match.scheduledTime = new Date(currentTime);
-            match.court = assignedCourt;
-            match.duration = matchDurationMinutes;
-            await match.save();
-
-            // Record court assignment
-            courtAssignments[assignedCourt].push({
-              start: new Date(currentTime),
-              end: slotEnd,
-              matchId: match._id,
-            });
-
-            scheduledMatches.push({
-              matchId: match._id,
-              matchNumber: match.matchNumber,
-              round: match.round,
-              teams: `${match.team1?.name || 'TBD'} vs ${match.team2?.name || 'TBD'}`,
-              scheduledTime: match.scheduledTime,
-              court: assignedCourt,
-              duration: matchDurationMinutes,
-            });
-
-            matchIndex++;
-          }
+      // Old times of matches that no longer fit would clash with the new
+      // schedule
+      for (const { match } of unplaced) {
+        if (match.scheduledTime || match.court) {
+          match.scheduledTime = undefined;
+          match.court = undefined;
+          match.venueId = undefined;
+          await match.save();
         }
-
-        // Move to next time slot
-        currentTime.setMinutes(currentTime.getMinutes() + totalSlotDuration);
       }
 
-      // Move to next day
-      currentDate.setDate(currentDate.getDate() + 1);
+      publishSchedule(tournamentId, [
+        ...placements.map(({ match }) => match),
+        ...unplaced.map(({ match }) => match),
+      ]);
     }
 
+    const describe = (match) =>
+      `${match.team1?.name || 'TBD'} vs ${match.team2?.name || 'TBD'}`;
+
     res.json({
       success: true,
-      message: `Scheduled ${scheduledMatches.length} matches`,
-      scheduledMatches,
-      totalSlots: Object.values(courtAssignments).reduce(
-        (sum, slots) => sum + slots.length,
-        0
+      message: `Scheduled ${placements.length} matches${
+        unplaced.length ? `, ${unplaced.length} could not be placed` : ''
+      }`,
+      dryRun,
+      scheduledMatches: placements.map(
+        ({ match, court, venue, venueName, start }) => ({
+          matchId: match._id,
+          matchNumber: match.matchNumber,
+          round: match.round,
+          teams: describe(match),
+          scheduledTime: start,
+          venueId: venue,
+          venue: venueName,
+          court,
+          duration: matchDurationMinutes,
+        })
       ),
-      remainingMatches: unscheduledMatches.length - matchIndex,
+      unplacedMatches: unplaced.map(({ match, reasons }) => ({
+        matchId: match._id,
+        matchNumber: match.matchNumber,
+        round: match.round,
+        teams: describe(match),
+        reasons,
+      })),
+      remainingMatches: unplaced.length,
     });
   } catch (error) {
     console.error('Error generating schedule:', error);
@@ -2582,70 +4099,6 @@ exports.generateTournamentSchedule = async (req, res) => {
   }
 };
 
-// Helper function for team constraints
-const checkTeamConstraints = async (
-  team1Id,
-  team2Id,
-  proposedTime,
-  courtAssignments
-) => {
-  // Check if teams are playing elsewhere at the same time
-  // Check for minimum rest periods (e.g., 60 minutes between matches)
-  const MIN_REST_MINUTES = 60;
-
-  const conflicts = {
-    team1: false,
-    team2: false,
-    message: '',
-  };
-
-  // Check all court assignments for conflicts
-  for (const [court, slots] of Object.entries(courtAssignments)) {
-    for (const slot of slots) {
-      const slotStart = new Date(slot.start);
-      const slotEnd = new Date(slot.end);
-
-      // Check if proposed time overlaps with existing slot
-      const proposedEnd = new Date(proposedTime);
-      proposedEnd.setMinutes(proposedEnd.getMinutes() + MIN_REST_MINUTES);
-
-      const isOverlap =
-        (proposedTime >= slotStart && proposedTime < slotEnd) ||
-        (proposedEnd > slotStart && proposedEnd <= slotEnd);
-
-      if (isOverlap) {
-        // Get match details to check teams
-        const match = await Match.findById(slot.matchId).populate(
-          'team1 team2'
-        );
-        if (match) {
-          if (
-            team1Id &&
-            (match.team1?._id?.toString() === team1Id.toString() ||
-              match.team2?._id?.toString() === team1Id.toString())
-          ) {
-            conflicts.team1 = true;
-            conflicts.message += `Team 1 has a match at ${slotStart.toLocaleTimeString()}. `;
-          }
-          if (
-            team2Id &&
-            (match.team1?._id?.toString() === team2Id.toString() ||
-              match.team2?._id?.toString() === team2Id.toString())
-          ) {
-            conflicts.team2 = true;
-            conflicts.message += `Team 2 has a match at ${slotStart.toLocaleTimeString()}. `;
-          }
-        }
-      }
-    }
-  }
-
-  return {
-    allowed: !conflicts.team1 && !conflicts.team2,
-    conflicts,
-  };
-};
-
 // Bulk schedule matches
 exports.bulkScheduleMatches = async (req, res) => {
   try {
@@ -2737,6 +4190,13 @@ exports.bulkScheduleMatches = async (req, res) => {
       }
     }
 
+    if (results.succeeded.length) {
+      publishSchedule(
+        tournamentId,
+        results.succeeded.map((r) => ({ _id: r.matchId, ...r }))
+      );
+    }
+
     res.json({
       success: true,
       message: `Scheduled ${results.succeeded.length} matches, ${results.failed.length} failed`,
@@ -2752,6 +4212,46 @@ exports.bulkScheduleMatches = async (req, res) => {
   }
 };
 
+// Group a day's matches by court, and by venue then court in the
+// tournament's venue order
+function groupSchedule(tournament, matches) {
+  const scheduleByCourt = {};
+  matches.forEach((match) => {
+    const court = match.court || 'Unassigned';
+    if (!scheduleByCourt[court]) {
+      scheduleByCourt[court] = [];
+    }
+    scheduleByCourt[court].push(match);
+  });
+
+  const venueOrder = (tournament.venues || []).map((id) => id.toString());
+  const venueGroups = new Map();
+  matches.forEach((match) => {
+    const key = match.venueId ? match.venueId._id.toString() : 'unassigned';
+    if (!venueGroups.has(key)) {
+      venueGroups.set(key, {
+        venueId: match.venueId?._id || null,
+        name: match.venueId?.name || match.venue || 'Unassigned',
+        address: match.venueId?.address,
+        courts: {},
+      });
+    }
+    const group = venueGroups.get(key);
+    const court = match.court || 'Unassigned';
+    if (!group.courts[court]) group.courts[court] = [];
+    group.courts[court].push(match);
+  });
+  const rank = (key) => {
+    const index = venueOrder.indexOf(key);
+    return index === -1 ? venueOrder.length : index;
+  };
+  const scheduleByVenue = [...venueGroups.entries()]
+    .sort(([a], [b]) => rank(a) - rank(b))
+    .map(([, group]) => group);
+
+  return { scheduleByCourt, scheduleByVenue };
+}
+
 // Get schedule for a specific date
 exports.getScheduleForDate = async (req, res) => {
   try {
@@ -2778,23 +4278,20 @@ exports.getScheduleForDate = async (req, res) => {
       },
     })
       .populate('team1 team2 referee')
+      .populate('venueId', 'name address')
       .sort({ scheduledTime: 1, court: 1 });
 
-    // Group by court
-    const scheduleByCourt = {};
-    matches.forEach((match) => {
-      const court = match.court || 'Unassigned';
-      if (!scheduleByCourt[court]) {
-        scheduleByCourt[court] = [];
-      }
-      scheduleByCourt[court].push(match);
-    });
+    const { scheduleByCourt, scheduleByVenue } = groupSchedule(
+      tournament,
+      matches
+    );
 
     res.json({
       success: true,
       date: date,
       matches,
       scheduleByCourt,
+      scheduleByVenue,
       totalMatches: matches.length,
     });
   } catch (error) {
@@ -2807,6 +4304,177 @@ exports.getScheduleForDate = async (req, res) => {
   }
 };
 
+// File name for a download, e.g. "spring-classic-2026-bracket.pdf"
+function exportFileName(tournament, suffix) {
+  return [tournament.name, tournament.year, ...[].concat(suffix)]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+// Printable bracket (PDF)
+exports.exportBracketPdf = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { tournamentId } = req.params;
+
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found',
+      });
+    }
+
+    const [matches, standings] = await Promise.all([
+      Match.find({ tournament: tournamentId })
+        .populate('team1 team2 winner', 'name')
+        .sort({ round: 1, matchNumber: 1 }),
+      Standing.find({ tournament: tournamentId })
+        .populate('team', 'name')
+        .sort({ group: 1, rank: 1 }),
+    ]);
+
+    const pdf = bracketPdf(tournament, matches, standings);
+
+    res.header('Content-Type', 'application/pdf');
+    res.attachment(`${exportFileName(tournament, 'bracket')}.pdf`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error exporting bracket:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export bracket',
+      error: error.message,
+    });
+  }
+};
+
+// Schedule as CSV, every day unless ?date is given, optionally one ?court
+exports.exportScheduleCsv = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { tournamentId } = req.params;
+    const { date, court } = req.query;
+
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found',
+      });
+    }
+
+    const filter = {
+      tournament: tournamentId,
+      scheduledTime: { $ne: null },
+    };
+    if (date) {
+      const startDate = new Date(date);
+      startDate.setHours(0, 0, 0, 0);
+      const endDate = new Date(date);
+      endDate.setHours(23, 59, 59, 999);
+      filter.scheduledTime = { $gte: startDate, $lte: endDate };
+    }
+    if (court) filter.court = court;
+
+    const matches = await Match.find(filter)
+      .populate('team1 team2 referee')
+      .populate('venueId', 'name address')
+      .sort({ scheduledTime: 1, court: 1 });
+
+    // One group per day, like getScheduleForDate
+    const byDay = new Map();
+    matches.forEach((match) => {
+      const day = new Date(match.scheduledTime).toDateString();
+      if (!byDay.has(day)) byDay.set(day, []);
+      byDay.get(day).push(match);
+    });
+    const days = [...byDay.entries()].map(([day, dayMatches]) => ({
+      date: day,
+      ...groupSchedule(tournament, dayMatches),
+    }));
+
+    res.header('Content-Type', 'text/csv');
+    res.attachment(
+      `${exportFileName(tournament, [
+        'schedule',
+        date && new Date(date).toISOString().slice(0, 10),
+      ])}.csv`
+    );
+    res.send(scheduleCsv(days));
+  } catch (error) {
+    console.error('Error exporting schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export schedule',
+      error: error.message,
+    });
+  }
+};
+
+// One team's games as an iCal feed for calendar subscriptions
+exports.exportTeamCalendar = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { tournamentId, teamId } = req.params;
+
+    const [tournament, team] = await Promise.all([
+      Tournament.findById(tournamentId),
+      Team.findById(teamId).select('name'),
+    ]);
+    if (!tournament || !team) {
+      return res.status(404).json({
+        success: false,
+        message: tournament ? 'Team not found' : 'Tournament not found',
+      });
+    }
+
+    const matches = await Match.find({
+      tournament: tournamentId,
+      $or: [{ team1: teamId }, { team2: teamId }],
+      scheduledTime: { $ne: null },
+    })
+      .populate('team1 team2', 'name')
+      .populate('venueId', 'name address')
+      .sort({ scheduledTime: 1 });
+
+    res.header('Content-Type', 'text/calendar; charset=utf-8');
+    res.attachment(`${exportFileName(tournament, [team.name, 'games'])}.ics`);
+    res.send(teamCalendar({ tournament, team, matches }));
+  } catch (error) {
+    console.error('Error exporting team calendar:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export team calendar',
+      error: error.message,
+    });
+  }
+};
+
 // Update match schedule
 exports.updateMatchSchedule = async (req, res) => {
   try {
@@ -2872,6 +4540,7 @@ exports.updateMatchSchedule = async (req, res) => {
     if (referee !== undefined) match.referee = referee;
 
     await match.save();
+    publishSchedule(match.tournament, [match]);
 
     const updatedMatch = await Match.findById(matchId).populate(
       'team1 team2 referee'
@@ -2896,7 +4565,7 @@ exports.updateMatchSchedule = async (req, res) => {
 exports.getAvailableTimeSlots = async (req, res) => {
   try {
     const { tournamentId } = req.params;
-    const { date, startTime, endTime, court } = req.query;
+    const { date, startTime, endTime, court, venue } = req.query;
 
     const tournament = await Tournament.findById(tournamentId);
     if (!tournament) {
@@ -2934,46 +4603,130 @@ exports.getAvailableTimeSlots = async (req, res) => {
         $lte: endOfDay,
       },
       ...(court && { court: court }),
+      ...(venue && { venueId: venue }),
     }).sort({ scheduledTime: 1 });
 
-    // Generate time slots
-    const timeSlots = [];
-    let currentTime = new Date(startOfDay);
+    const overlapsMatch = (slotStart, slotEnd) => (match) => {
+      const matchStart = new Date(match.scheduledTime);
+      const matchEnd = new Date(matchStart);
+      matchEnd.setMinutes(
+        matchEnd.getMinutes() + (match.duration || matchDuration)
+      );
+      return slotStart < matchEnd && matchStart < slotEnd;
+    };
+
+    // Free slots of the day for a set of matches, optionally limited to a
+    // court's opening hours and blackouts
+    const freeSlots = (courtMatches, windows = [], blackouts = []) => {
+      const slots = [];
+      const currentTime = new Date(startOfDay);
 
-    while (currentTime < endOfDay) {
-      const slotEnd = new Date(currentTime);
-      slotEnd.setMinutes(slotEnd.getMinutes() + matchDuration);
+      while (currentTime < endOfDay) {
+        const slotEnd = new Date(currentTime);
+        slotEnd.setMinutes(slotEnd.getMinutes() + matchDuration);
 
-      // Check if slot is occupied
-      const isOccupied = matches.some((match) => {
-        const matchStart = new Date(match.scheduledTime);
-        const matchEnd = new Date(matchStart);
-        matchEnd.setMinutes(
-          matchEnd.getMinutes() + (match.duration || matchDuration)
+        const isOpen =
+          !windows.length ||
+          windows.some((w) => w.start <= currentTime && slotEnd <= w.end);
+        const isBlackedOut = blackouts.some(
+          (b) => new Date(b.start) < slotEnd && currentTime < new Date(b.end)
         );
-
-        return (
-          (currentTime >= matchStart && currentTime < matchEnd) ||
-          (slotEnd > matchStart && slotEnd <= matchEnd)
+        const isOccupied = courtMatches.some(
+          overlapsMatch(currentTime, slotEnd)
         );
-      });
 
-      if (!isOccupied) {
-        timeSlots.push({
-          start: new Date(currentTime),
-          end: new Date(slotEnd),
-          duration: matchDuration,
-          available: true,
-        });
+        if (isOpen && !isBlackedOut && !isOccupied) {
+          slots.push({
+            start: new Date(currentTime),
+            end: new Date(slotEnd),
+            duration: matchDuration,
+            available: true,
+          });
+        }
+
+        currentTime.setMinutes(currentTime.getMinutes() + slotDuration);
       }
 
-      currentTime.setMinutes(currentTime.getMinutes() + slotDuration);
+      return slots;
+    };
+
+    // Without venues there is a single list, free when no game is on
+    if (!tournament.venues?.length) {
+      const timeSlots = freeSlots(matches);
+      return res.json({
+        success: true,
+        date: targetDate.toISOString().split('T')[0],
+        timeSlots,
+        venues: [],
+        totalSlots: timeSlots.length,
+        matchDuration,
+        breakDuration,
+      });
     }
 
+    const venueIds = venue
+      ? tournament.venues.filter((id) => id.toString() === venue)
+      : tournament.venues;
+    const venueDocs = await Venue.find({ _id: { $in: venueIds } });
+    const byId = new Map(venueDocs.map((v) => [v._id.toString(), v]));
+    const tournamentBlackouts = tournament.settings.blackouts || [];
+
+    const venues = venueIds
+      .map((id) => byId.get(id.toString()))
+      .filter(Boolean)
+      .map((venueDoc) => {
+        const venueId = venueDoc._id.toString();
+        const courts = courtsFromVenues([venueDoc], {
+          startDate: targetDate,
+          endDate: targetDate,
+        })
+          .filter((c) => !court || c.name === court)
+          .map((c) => {
+            const blackouts = [
+              ...c.blackouts,
+              ...tournamentBlackouts.filter(
+                (b) =>
+                  (!b.courts?.length || b.courts.includes(c.name)) &&
+                  (!b.venues?.length ||
+                    b.venues.some((id) => id.toString() === venueId))
+              ),
+            ];
+            const courtMatches = matches.filter(
+              (m) => m.venueId?.toString() === venueId && m.court === c.name
+            );
+            const timeSlots = freeSlots(courtMatches, c.windows, blackouts);
+            return {
+              court: c.name,
+              timeSlots,
+              totalSlots: timeSlots.length,
+            };
+          });
+
+        return {
+          venueId: venueDoc._id,
+          name: venueDoc.name,
+          address: venueDoc.address,
+          courts,
+          totalSlots: courts.reduce((sum, c) => sum + c.totalSlots, 0),
+        };
+      });
+
+    const timeSlots = venues.flatMap((v) =>
+      v.courts.flatMap((c) =>
+        c.timeSlots.map((slot) => ({
+          ...slot,
+          venueId: v.venueId,
+          venue: v.name,
+          court: c.court,
+        }))
+      )
+    );
+
     res.json({
       success: true,
       date: targetDate.toISOString().split('T')[0],
       timeSlots,
+      venues,
       totalSlots: timeSlots.length,
       matchDuration,
       breakDuration,
@@ -3061,6 +4814,7 @@ exports.resetTournamentSchedule = async (req, res) => {
           $unset: {
             weatherConditions: 1,
             venue: 1,
+            venueId: 1,
             equipmentNotes: 1,
             specialRequirements: 1,
           },
@@ -3108,6 +4862,7 @@ exports.resetTournamentSchedule = async (req, res) => {
     }
 
     console.log(`✅ Schedule reset complete: ${resetMessage}`);
+    publishSchedule(tournamentId, [], { reset: resetType });
 
     res.json({
       success: true,
@@ -3277,7 +5032,7 @@ exports.recreateBracket = async (req, res) => {
     // Apply seeding if specified
     let teams = [...tournament.registeredTeams];
     if (seeding === 'random') {
-      teams = teams.sort(() => Math.random() - 0.5);
+      teams = shuffle(teams);
       console.log('Applied random seeding');
     } else if (seeding === 'ranked') {
       // Sort by level (Gold first) and then by team name
@@ -3295,6 +5050,13 @@ exports.recreateBracket = async (req, res) => {
         .map((id) => teams.find((t) => t._id.toString() === id))
         .filter(Boolean);
       console.log('Applied manual seeding');
+    } else {
+      // Tournament seeds, previous standings, group ranks or registration
+      tournament.seedingStrategy = seeding;
+      teams = await seedTeams(tournament, teams, {
+        sourceTournamentId: req.body.sourceTournamentId,
+      });
+      console.log(`Applied ${seeding} seeding`);
     }
 
     console.log(
@@ -3312,7 +5074,17 @@ exports.recreateBracket = async (req, res) => {
         matches = await generateRoundRobinSchedule(tournament, teams);
         break;
       case 'group-stage':
-        matches = await generateGroupStage(tournament, teams);
+        matches = await generateGroupStage(tournament, teams, {
+          seeded: seeding !== 'random',
+        });
+        break;
+      case 'groups-knockout':
+        tournament.format = 'groups-knockout';
+        tournament.knockoutGeneratedAt = undefined;
+        matches = await generateGroupStage(tournament, teams, {
+          seeded: seeding !== 'random',
+          stage: 'group',
+        });
         break;
       default:
         throw new Error('Invalid tournament format');
@@ -3350,7 +5122,7 @@ exports.recreateBracket = async (req, res) => {
     });
   } catch (error) {
     console.error('Error recreating bracket:', error);
-    res.status(500).json({
+    res.status(error.code === 'INVALID_SEEDING' ? 400 : 500).json({
       success: false,
       message: 'Failed to recreate bracket',
       error: error.message,
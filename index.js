@@ -46,7 +46,15 @@ const healthCheck = require('./health');
 const formFieldRoutes = require('./routes/formFieldRoutes');
 const advertisementRoutes = require('./routes/advertisementRoutes');
 const subscriptionRoutes = require('./routes/subscription-routes');
+const ledgerRoutes = require('./routes/ledgerRoutes');
+const reconciliationRoutes = require('./routes/reconciliationRoutes');
+const installmentPlanRoutes = require('./routes/installmentPlanRoutes');
+const discountRoutes = require('./routes/discountRoutes');
+const venueRoutes = require('./routes/venueRoutes');
+const statsRoutes = require('./routes/statsRoutes');
+const refereeRoutes = require('./routes/refereeRoutes');
 const { startScheduler } = require('./services/subscription-scheduler');
+const { startScheduledJobs } = require('./services/scheduledJobs');
 const videoGalleryRoutes = require('./routes/videoGallery');
 
 const app = express();
@@ -88,12 +96,14 @@ const corsOptions = {
     'Origin',
     'Access-Control-Request-Method',
     'Access-Control-Request-Headers',
+    'Idempotency-Key',
   ],
   exposedHeaders: [
     'Content-Length',
     'Content-Type',
     'Authorization',
     'Access-Control-Allow-Origin',
+    'Idempotent-Replayed',
   ],
   credentials: true,
   preflightContinue: false,
@@ -126,6 +136,10 @@ app.use('/api/payments', paymentProcessRoutes);
 app.use('/api/payment-configuration', paymentConfiguration);
 app.use('/api/clover', cloverTokenRoutes);
 app.use('/api/refunds', refundRoutes);
+app.use('/api/ledger', ledgerRoutes);
+app.use('/api/reconciliation', reconciliationRoutes);
+app.use('/api/installment-plans', installmentPlanRoutes);
+app.use('/api/discounts', discountRoutes);
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 app.use('/api/upload', uploadRoutes);
 app.use('/api/email-templates', emailTemplateRoutes);
@@ -149,6 +163,9 @@ app.use('/api/tickets', ticketRoutes);
 app.use('/api/admin', adminTicketRoutes);
 app.use('/api', tournamentPublicRoutes);
 app.use('/api/tournaments', tournamentRoutes);
+app.use('/api/venues', venueRoutes);
+app.use('/api/stats', statsRoutes);
+app.use('/api/referees', refereeRoutes);
 app.use('/api/teams', teamsRoutes);
 app.use('/api/page-builder', pageBuilder);
 app.get('/api/health', healthCheck);
@@ -216,9 +233,10 @@ mongoose.connection.once('open', () => {
   }, 5000);
 });
 
-// Start the scheduler after DB connects
+// Start the schedulers after DB connects
 mongoose.connection.once('open', () => {
   startScheduler();
+  startScheduledJobs();
 });
 
 // Update player details
@@ -0,0 +1,234 @@
+// middleware/idempotency.js
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const mongoose = require('mongoose');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+
+// The request being handled, so a charge made anywhere below the handler can
+// be tied back to its key
+const chargeContext = new AsyncLocalStorage();
+
+/**
+ * Note that the current request has charged a card. Called by the payment
+ * provider contract after every successful charge; outside an idempotent
+ * request it does nothing.
+ *
+ * @param {Object} [charge]  ChargeResult from the provider
+ */
+function recordCharge(charge) {
+  const state = chargeContext.getStore();
+  if (!state) return;
+  state.charged = true;
+  state.chargeId = charge?.id;
+}
+
+// How long a key (and its stored response) is honoured, in hours
+function getKeyTtlHours() {
+  const hours = parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS);
+  return hours > 0 ? hours : 24;
+}
+
+function hashRequestBody(body) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(body || {}))
+    .digest('hex');
+}
+
+// Logged-in parents own their keys; anonymous form payments are scoped to the
+// buyer email so two families can never collide on the same key.
+function resolveScope(req) {
+  const parentId = req.user?._id || req.user?.id;
+  if (parentId) {
+    return { scope: `parent:${parentId}`, parentId };
+  }
+
+  const email = req.body?.email || req.body?.buyerEmailAddress;
+  if (email) {
+    return { scope: `email:${String(email).trim().toLowerCase()}` };
+  }
+
+  return null;
+}
+
+function extractPaymentId(body) {
+  const candidate = body?.paymentId || body?.payment?.id;
+  return candidate && mongoose.Types.ObjectId.isValid(candidate)
+    ? candidate
+    : undefined;
+}
+
+/**
+ * Makes a payment endpoint safe to retry. When the request carries an
+ * Idempotency-Key header, the first successful response is stored and
+ * replayed for any later request with the same key (within the TTL) instead
+ * of running the handler - and charging the card - again.
+ *
+ * Requests without the header are processed as before. The key is settled
+ * once the response has gone out, however the handler ended it. Failed
+ * (non-2xx) responses release the key so the client can retry with it,
+ * unless the card was already charged: then the failure is stored and
+ * replayed like a success, and the card is never charged twice.
+ */
+const idempotency =
+  (options = {}) =>
+  async (req, res, next) => {
+    const key = req.get(HEADER);
+    if (!key) return next();
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `${HEADER} must be at most ${MAX_KEY_LENGTH} characters`,
+      });
+    }
+
+    const owner = resolveScope(req);
+    if (!owner) {
+      return res.status(400).json({
+        success: false,
+        error: `${HEADER} requires an authenticated parent or buyer email`,
+      });
+    }
+
+    const ttlHours = options.ttlHours || getKeyTtlHours();
+    const endpoint = req.originalUrl.split('?')[0];
+    const requestHash = hashRequestBody(req.body);
+
+    let record;
+    try {
+      let existing = await IdempotencyKey.findOne({
+        scope: owner.scope,
+        key,
+      });
+
+      // TTL cleanup runs periodically, so expired keys can still be around
+      if (existing && existing.expiresAt <= new Date()) {
+        await IdempotencyKey.deleteOne({ _id: existing._id });
+        existing = null;
+      }
+
+      if (existing) {
+        if (
+          existing.requestHash !== requestHash ||
+          existing.endpoint !== endpoint
+        ) {
+          return res.status(422).json({
+            success: false,
+            error: `${HEADER} has already been used for a different request`,
+          });
+        }
+
+        if (existing.status === 'processing') {
+          return res.status(409).json({
+            success: false,
+            error:
+              'A request with this Idempotency-Key is still being processed',
+          });
+        }
+
+        console.log('🔁 Replaying idempotent response:', {
+          key,
+          scope: owner.scope,
+          paymentId: existing.paymentId,
+        });
+
+        res.set('Idempotent-Replayed', 'true');
+        res.status(existing.responseStatus || 200);
+        return typeof existing.responseBody === 'string'
+          ? res.send(existing.responseBody)
+          : res.json(existing.responseBody);
+      }
+
+      record = await IdempotencyKey.create({
+        key,
+        scope: owner.scope,
+        parentId: owner.parentId,
+        method: req.method,
+        endpoint,
+        requestHash,
+        expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000),
+      });
+    } catch (error) {
+      // Another request with the same key won the insert race
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          error: 'A request with this Idempotency-Key is still being processed',
+        });
+      }
+      console.error('Idempotency key lookup failed:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to process idempotency key',
+      });
+    }
+
+    const state = { charged: false, chargeId: undefined };
+    let responseBody;
+
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      // Store plain JSON so a replay is byte-for-byte what the client got
+      responseBody = JSON.parse(JSON.stringify(body ?? null));
+      return originalJson(body);
+    };
+    const originalSend = res.send.bind(res);
+    res.send = (body) => {
+      // res.json goes through send too; keep what it stored
+      if (responseBody === undefined && body !== undefined) {
+        responseBody = Buffer.isBuffer(body)
+          ? body.toString()
+          : typeof body === 'object'
+            ? JSON.parse(JSON.stringify(body))
+            : String(body);
+      }
+      return originalSend(body);
+    };
+
+    let settled = false;
+    const settle = () => {
+      if (settled) return;
+      settled = true;
+      const statusCode = res.statusCode;
+      const keep = (statusCode >= 200 && statusCode < 300) || state.charged;
+
+      const update = keep
+        ? IdempotencyKey.updateOne(
+            { _id: record._id },
+            {
+              $set: {
+                status: 'completed',
+                responseStatus: statusCode,
+                responseBody: responseBody ?? null,
+                paymentId: extractPaymentId(responseBody),
+                providerPaymentId: state.chargeId,
+                completedAt: new Date(),
+              },
+            },
+          )
+        : IdempotencyKey.deleteOne({ _id: record._id });
+
+      update.catch((error) =>
+        console.error('Failed to store idempotent response:', error),
+      );
+    };
+
+    res.on('finish', settle);
+    // When the client has gone away 'finish' never comes; the handler
+    // ending the response is then the sign that it is done
+    const originalEnd = res.end.bind(res);
+    res.end = (...args) => {
+      const result = originalEnd(...args);
+      if (res.destroyed) settle();
+      return result;
+    };
+
+    req.idempotencyKey = key;
+    chargeContext.run(state, next);
+  };
+
+module.exports = { idempotency, recordCharge, IDEMPOTENCY_HEADER: HEADER };
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+// A pricing rule evaluated at checkout by services/discounts.js
+const discountRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: String,
+    // sibling: every player after the first in a family for the same season
+    // multi_program: family already registered in another program that year
+    // early_bird: paid at least daysBeforeDeadline before registrationDeadline
+    // promo_code: entered at checkout, optionally limited in uses
+    // staff_comp: coaches/staff (by role or listed parent)
+    type: {
+      type: String,
+      enum: [
+        'sibling',
+        'multi_program',
+        'early_bird',
+        'promo_code',
+        'staff_comp',
+      ],
+      required: true,
+    },
+    valueType: {
+      type: String,
+      enum: ['percent', 'fixed'],
+      default: 'percent',
+    },
+    // Percent (0-100) or a fixed amount in dollars taken off each item
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    // Where the rule applies; empty means everywhere
+    programs: [
+      {
+        type: String,
+        enum: ['tryout', 'training', 'tournament', 'general', 'form'],
+      },
+    ],
+    season: String,
+    year: Number,
+    tournament: String,
+    formId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Form',
+    },
+
+    // early_bird
+    daysBeforeDeadline: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // promo_code
+    code: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    maxUses: Number,
+    maxUsesPerParent: Number,
+    usesCount: {
+      type: Number,
+      default: 0,
+    },
+
+    // staff_comp
+    eligibleRoles: [
+      {
+        type: String,
+        enum: ['coach', 'admin'],
+      },
+    ],
+    eligibleParentIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Parent',
+      },
+    ],
+
+    // Non-stackable rules are never combined with other discounts; the
+    // checkout uses whichever gives the bigger saving
+    stackable: {
+      type: Boolean,
+      default: true,
+    },
+    // Lower runs first when stacking (percentages apply to what is left)
+    priority: {
+      type: Number,
+      default: 100,
+    },
+    validFrom: Date,
+    validUntil: Date,
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parent',
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+discountRuleSchema.pre('validate', function (next) {
+  if (this.type === 'promo_code' && !this.code) {
+    this.invalidate('code', 'Promo code rules need a code');
+  }
+  if (this.valueType === 'percent' && this.value > 100) {
+    this.invalidate('value', 'A percentage discount cannot exceed 100');
+  }
+  next();
+});
+
+discountRuleSchema.index(
+  { code: 1 },
+  { unique: true, partialFilterExpression: { code: { $type: 'string' } } },
+);
+discountRuleSchema.index({ isActive: 1, type: 1, priority: 1 });
+
+module.exports = mongoose.model('DiscountRule', discountRuleSchema);
@@ -34,6 +34,65 @@ const tournamentSettingsSchema = new mongoose.Schema({
   showScheduleTable: { type: Boolean, default: true },
 });
 
+// Conditional logic (services/form-logic.js): a condition on another
+// field's answer, groups of conditions joined by AND ('all') or OR ('any'),
+// and rules that act on the field they belong to when their groups hold
+const logicConditionSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true }, // id or name of the field read
+    operator: {
+      type: String,
+      enum: [
+        'equals',
+        'notEquals',
+        'contains',
+        'notContains',
+        'greaterThan',
+        'lessThan',
+        'isEmpty',
+        'isNotEmpty',
+      ],
+      default: 'equals',
+    },
+    value: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false },
+);
+
+const logicRuleSchema = new mongoose.Schema(
+  {
+    match: { type: String, enum: ['all', 'any'], default: 'all' },
+    groups: [
+      {
+        _id: false,
+        match: { type: String, enum: ['all', 'any'], default: 'all' },
+        conditions: [logicConditionSchema],
+      },
+    ],
+    action: {
+      type: String,
+      enum: ['show', 'hide', 'require', 'setValue', 'skipToPage', 'setPrice'],
+      required: true,
+    },
+    value: mongoose.Schema.Types.Mixed, // setValue
+    page: { type: Number, min: 1 }, // skipToPage, counting from 1
+    price: { type: Number, min: 0 }, // setPrice, like paymentConfig.amount
+  },
+  { _id: false },
+);
+
+// A change to the price (services/form-pricing.js), in cents and negative
+// for a discount, optionally only between two dates
+const priceModifierSchema = new mongoose.Schema(
+  {
+    label: String,
+    amount: { type: Number, required: true },
+    activeFrom: Date,
+    activeUntil: Date,
+  },
+  { _id: false },
+);
+
 const formFieldSchema = new mongoose.Schema({
   id: { type: String, required: true },
   type: {
@@ -56,6 +115,7 @@ const formFieldSchema = new mongoose.Schema({
       'section',
       'heading',
       'divider',
+      'calculated',
     ],
   },
   label: { type: String, required: true },
@@ -70,8 +130,22 @@ const formFieldSchema = new mongoose.Schema({
       label: String,
       value: String,
       selected: { type: Boolean, default: false },
+      priceModifier: priceModifierSchema,
     },
   ],
+  // Added to the price when a checkbox without options is ticked
+  priceModifier: priceModifierSchema,
+  // Calculated fields: a formula over other answers, e.g.
+  // "{players} * 2500 + max({jerseys} - 1, 0) * 1500"
+  calculation: {
+    formula: String,
+    format: {
+      type: String,
+      enum: ['number', 'currency'],
+      default: 'number',
+    },
+    addToTotal: { type: Boolean, default: false }, // the result is in cents
+  },
   validation: {
     pattern: String,
     min: Number,
@@ -94,6 +168,7 @@ const formFieldSchema = new mongoose.Schema({
     },
     value: mongoose.Schema.Types.Mixed,
     show: { type: Boolean, default: true },
+    rules: [logicRuleSchema],
   },
   fileConfig: {
     accept: String,
@@ -123,6 +198,8 @@ const formFieldSchema = new mongoose.Schema({
       },
     ],
     fixedPrice: { type: Boolean, default: true },
+    // Always applied while active, e.g. a late fee after the deadline
+    priceModifiers: [priceModifierSchema],
     squareAppId: String,
     squareLocationId: String,
     sandboxMode: { type: Boolean, default: true },
@@ -147,6 +224,10 @@ const formSchema = new mongoose.Schema(
       emailTo: [String],
       emailTemplate: String,
       storeSubmissions: { type: Boolean, default: true },
+      // Each section field starts a new step, and people can save a draft
+      // and finish later from an emailed link (services/form-wizard.js)
+      multiStep: { type: Boolean, default: false },
+      saveAndResume: { type: Boolean, default: true },
       captcha: { type: Boolean, default: false },
       submitButtonStyle: {
         color: { type: String, default: '#594230' },
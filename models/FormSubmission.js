@@ -31,9 +31,44 @@ const FormSubmissionSchema = new mongoose.Schema(
       transactionId: String,
       receiptUrl: String,
       processedAt: Date,
+      // Price before discounts and what services/discounts.js took off
+      subtotal: Number,
+      discountTotal: { type: Number, default: 0 },
+      discounts: [
+        {
+          ruleId: { type: mongoose.Schema.Types.ObjectId, ref: 'DiscountRule' },
+          name: String,
+          type: { type: String },
+          code: String,
+          amount: Number,
+          _id: false,
+        },
+      ],
       metadata: mongoose.Schema.Types.Mixed,
     },
 
+    // How the price was worked out on the server (services/form-pricing.js),
+    // in cents, for receipts
+    pricing: {
+      currency: String,
+      lines: [
+        {
+          label: String,
+          fieldId: String,
+          kind: {
+            type: String,
+            enum: ['base', 'option', 'formula', 'adjustment'],
+          },
+          amountCents: Number,
+          _id: false,
+        },
+      ],
+      subtotalCents: Number,
+      discountCents: { type: Number, default: 0 },
+      totalCents: Number,
+      calculatedAt: Date,
+    },
+
     // Tournament Information (for tournament forms)
     tournamentInfo: {
       tournamentName: String,
@@ -104,6 +139,33 @@ const FormSubmissionSchema = new mongoose.Schema(
       default: 'submitted',
     },
 
+    // Save-and-resume drafts of multi-step forms (status 'pending' until
+    // submitted). The resume link carries a token; only its hash is kept.
+    isDraft: { type: Boolean, default: false },
+    draft: {
+      step: { type: Number, default: 0 },
+      resumeTokenHash: String,
+      expiresAt: Date,
+      lastSavedAt: Date,
+      emailedAt: Date,
+    },
+
+    // Admin follow-up: free tags to sort submissions by, and internal notes
+    // the person who submitted never sees
+    tags: [{ type: String, trim: true }],
+    notes: [
+      {
+        text: { type: String, required: true, trim: true },
+        author: { type: mongoose.Schema.Types.ObjectId, ref: 'Parent' },
+        authorName: String,
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+
+    // The answers, name and email as lowercase text, kept up to date on save
+    // for searching (see searchTextOf)
+    searchText: { type: String, select: false },
+
     // Email Status
     emailSent: { type: Boolean, default: false },
     emailSentAt: Date,
@@ -127,13 +189,51 @@ const FormSubmissionSchema = new mongoose.Schema(
 FormSubmissionSchema.index({ formId: 1, submittedAt: -1 });
 FormSubmissionSchema.index({ submittedBy: 1, submittedAt: -1 });
 FormSubmissionSchema.index({ status: 1 });
+FormSubmissionSchema.index({ 'draft.resumeTokenHash': 1 }, { sparse: true });
 FormSubmissionSchema.index({ 'payment.status': 1 });
 FormSubmissionSchema.index({ 'payment.transactionId': 1 }, { sparse: true });
+FormSubmissionSchema.index({ formId: 1, tags: 1 });
 // Tournament-specific indexes
 FormSubmissionSchema.index({ 'tournamentInfo.tournamentDates.startDate': 1 });
 FormSubmissionSchema.index({ 'tournamentInfo.venueInfo.venueDate': 1 });
 FormSubmissionSchema.index({ 'tournamentInfo.ticketInfo.packageName': 1 });
 
+// Every answer (nested lists and objects included) with the submitter's
+// name and email, as one lowercase string
+function searchTextOf(submission) {
+  const data =
+    submission.data instanceof Map
+      ? Object.fromEntries(submission.data)
+      : submission.data || {};
+  const words = [];
+  const collect = (value) => {
+    if (value === undefined || value === null) return;
+    if (Array.isArray(value)) return value.forEach(collect);
+    if (value instanceof Date) return words.push(value.toISOString());
+    if (typeof value === 'object') return Object.values(value).forEach(collect);
+    words.push(String(value));
+  };
+  // Answers are kept under both the field id and name, so drop repeats
+  [...new Set(Object.values(data))].forEach(collect);
+  collect(submission.userName);
+  collect(submission.userEmail);
+  return [...new Set(words)].join(' ').toLowerCase();
+}
+
+FormSubmissionSchema.statics.searchTextOf = searchTextOf;
+
+FormSubmissionSchema.pre('save', function (next) {
+  if (
+    this.isNew ||
+    this.isModified('data') ||
+    this.isModified('userName') ||
+    this.isModified('userEmail')
+  ) {
+    this.searchText = searchTextOf(this);
+  }
+  next();
+});
+
 // Virtual to get total amount
 FormSubmissionSchema.virtual('totalAmount').get(function () {
   return (
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A published version of a form: what the form looked like when it was
+// published, kept so submissions can be shown against the fields they were
+// filled in with. Snapshots are never changed once saved.
+const formVersionSchema = new mongoose.Schema(
+  {
+    form: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Form',
+      required: true,
+    },
+    version: { type: Number, required: true, min: 1 },
+    // title, description, fields, settings, isTournamentForm and
+    // tournamentSettings as they were published
+    snapshot: { type: mongoose.Schema.Types.Mixed, required: true },
+    note: String,
+    // Set when this version was made by rolling back to an older one
+    rolledBackFrom: Number,
+    publishedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Parent' },
+    publishedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true },
+);
+
+formVersionSchema.index({ form: 1, version: -1 }, { unique: true });
+
+formVersionSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Published form versions cannot be changed'));
+  }
+  next();
+});
+
+formVersionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'],
+  function (next) {
+    next(new Error('Published form versions cannot be changed'));
+  },
+);
+
+module.exports = mongoose.model('FormVersion', formVersionSchema);
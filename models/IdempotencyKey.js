@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Stores the outcome of a payment request sent with an Idempotency-Key header
+// so a retried request can be answered without charging the card again.
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+    },
+    // Keys are unique per caller: `parent:<id>` for logged-in parents,
+    // `email:<address>` for anonymous form payments
+    scope: {
+      type: String,
+      required: true,
+    },
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parent',
+    },
+    method: String,
+    endpoint: {
+      type: String,
+      required: true,
+    },
+    // Hash of the request body - the same key may not be reused for a
+    // different request
+    requestHash: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['processing', 'completed'],
+      default: 'processing',
+    },
+    responseStatus: Number,
+    responseBody: mongoose.Schema.Types.Mixed,
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+    },
+    // Processor payment ID when the card was charged, kept even if the
+    // handler failed afterwards
+    providerPaymentId: String,
+    completedAt: Date,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+// MongoDB removes the document once expiresAt has passed
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+
+const installmentSchema = new mongoose.Schema({
+  sequence: {
+    type: Number,
+    required: true,
+  },
+  dueDate: {
+    type: Date,
+    required: true,
+  },
+  // Dollars, like Payment.amount
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // late = charge failed but the grace period has not run out yet
+  status: {
+    type: String,
+    enum: ['scheduled', 'paid', 'late', 'failed', 'skipped'],
+    default: 'scheduled',
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  lastAttemptAt: Date,
+  nextAttemptAt: Date,
+  failureReason: String,
+  reminderSentAt: Date,
+  paidAt: Date,
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+  },
+});
+
+// A season fee split into scheduled charges against a card on file
+const installmentPlanSchema = new mongoose.Schema(
+  {
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parent',
+      required: true,
+    },
+    playerIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Player',
+      },
+    ],
+    description: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    season: String,
+    year: Number,
+    tryoutId: String,
+    paymentType: {
+      type: String,
+      enum: ['tryout', 'training', 'tournament', 'general'],
+      default: 'training',
+    },
+
+    totalAmount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    amountPaid: {
+      type: Number,
+      default: 0,
+    },
+    balance: {
+      type: Number,
+      default: 0,
+    },
+    currency: {
+      type: String,
+      default: 'USD',
+    },
+
+    // Card on file with the processor that charges the plan
+    paymentSystem: {
+      type: String,
+      enum: ['square', 'clover', 'stripe', 'fake'],
+      required: true,
+    },
+    customerId: String,
+    cardId: String,
+    cardLast4: String,
+    cardBrand: String,
+
+    status: {
+      type: String,
+      enum: ['active', 'paused', 'completed', 'cancelled', 'defaulted'],
+      default: 'active',
+    },
+    // Days after a due date during which a failed charge is retried before
+    // the installment (and the plan) is marked failed
+    gracePeriodDays: {
+      type: Number,
+      default: 7,
+      min: 0,
+    },
+    maxRetries: {
+      type: Number,
+      default: 3,
+      min: 1,
+    },
+    retryIntervalDays: {
+      type: Number,
+      default: 2,
+      min: 1,
+    },
+
+    installments: [installmentSchema],
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parent',
+    },
+    pausedAt: Date,
+    pausedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parent',
+    },
+    pauseReason: String,
+    cancelledAt: Date,
+    completedAt: Date,
+    defaultedAt: Date,
+    notes: String,
+  },
+  {
+    timestamps: true,
+  },
+);
+
+installmentPlanSchema.index({ parentId: 1, status: 1 });
+installmentPlanSchema.index({ status: 1, 'installments.dueDate': 1 });
+installmentPlanSchema.index({ status: 1, 'installments.nextAttemptAt': 1 });
+
+module.exports = mongoose.model('InstallmentPlan', installmentPlanSchema);
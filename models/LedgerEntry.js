@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+const ledgerLineSchema = new mongoose.Schema(
+  {
+    // Account code, e.g. `processor:square`, `revenue:tryout`, `refunds:tryout`
+    account: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Amounts are integer cents; exactly one side is set per line
+    debitCents: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    creditCents: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    memo: String,
+  },
+  { _id: false },
+);
+
+// A balanced double-entry journal entry. Entries are never edited once
+// posted - mistakes are corrected by posting a manual adjustment.
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['charge', 'refund', 'subscription_renewal', 'adjustment'],
+      required: true,
+    },
+    description: String,
+    lines: {
+      type: [ledgerLineSchema],
+      validate: {
+        validator: (lines) => Array.isArray(lines) && lines.length >= 2,
+        message: 'A ledger entry needs at least two lines',
+      },
+    },
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+    },
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parent',
+    },
+    // Form ticket purchases are charged without a Payment record
+    ticketPurchaseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TicketPurchase',
+    },
+    paymentSystem: String,
+    currency: {
+      type: String,
+      default: 'USD',
+    },
+    // Identifies what the entry was posted for (e.g. `charge:<paymentId>`),
+    // so re-running a sync never posts the same event twice
+    sourceKey: String,
+    postedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    postedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parent',
+    },
+    reason: String,
+    metadata: mongoose.Schema.Types.Mixed,
+  },
+  {
+    timestamps: true,
+  },
+);
+
+ledgerEntrySchema.pre('validate', function (next) {
+  let debits = 0;
+  let credits = 0;
+
+  for (const line of this.lines || []) {
+    const debit = line.debitCents || 0;
+    const credit = line.creditCents || 0;
+
+    if (!Number.isInteger(debit) || !Number.isInteger(credit)) {
+      this.invalidate('lines', 'Ledger amounts must be whole cents');
+      return next();
+    }
+    if (debit > 0 === credit > 0) {
+      this.invalidate(
+        'lines',
+        `Ledger line for ${line.account} must have either a debit or a credit`,
+      );
+      return next();
+    }
+
+    debits += debit;
+    credits += credit;
+  }
+
+  if (debits !== credits) {
+    this.invalidate(
+      'lines',
+      `Ledger entry is not balanced (debits ${debits} != credits ${credits})`,
+    );
+  }
+
+  next();
+});
+
+ledgerEntrySchema.index({ sourceKey: 1 }, { unique: true, sparse: true });
+ledgerEntrySchema.index({ paymentId: 1, postedAt: 1 });
+ledgerEntrySchema.index({ 'lines.account': 1, postedAt: -1 });
+ledgerEntrySchema.index({ type: 1, postedAt: -1 });
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
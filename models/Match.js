@@ -81,6 +81,20 @@ const matchSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Where the loser plays next (consolation and placement games)
+    loserNextMatch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Match',
+    },
+    // Places the two teams of a consolation or placement game play for,
+    // e.g. 3-4 for the 3rd place game
+    placementRange: {
+      from: Number,
+      to: Number,
+    },
+    placementLabel: {
+      type: String,
+    },
     walkoverReason: {
       type: String,
     },
@@ -101,6 +115,14 @@ const matchSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      // Where a knockout team came from, e.g. "A1" for the winner of group A
+      team1Label: String,
+      team2Label: String,
+    },
+    // Set on groups-knockout tournaments to tell the two phases apart
+    stage: {
+      type: String,
+      enum: ['group', 'knockout'],
     },
     bracketLocation: {
       type: String,
@@ -147,6 +169,106 @@ const matchSchema = new mongoose.Schema(
       ref: 'Parent',
     },
 
+    // Parent allowed to keep score besides admins
+    scorekeeper: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parent',
+    },
+    // Live scorekeeping (services/live-scoring.js). The box score is worked
+    // out from the events; corrected and voided events are kept, and every
+    // change is logged in audit.
+    liveScoring: {
+      currentPeriod: { type: Number, default: 0 },
+      startedAt: Date,
+      finalizedAt: Date,
+      events: [
+        {
+          type: {
+            type: String,
+            enum: ['score', 'foul', 'timeout', 'period'],
+            required: true,
+          },
+          team: { type: String, enum: ['team1', 'team2'] },
+          period: { type: Number, min: 1 },
+          points: { type: Number, min: 1 },
+          playerNumber: String,
+          playerName: String,
+          note: String,
+          recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Parent' },
+          recordedAt: Date,
+          correctedAt: Date,
+          voided: { type: Boolean, default: false },
+          voidReason: String,
+        },
+      ],
+      audit: [
+        {
+          action: {
+            type: String,
+            enum: ['start', 'record', 'correct', 'void', 'period', 'finalize'],
+          },
+          event: mongoose.Schema.Types.ObjectId,
+          before: mongoose.Schema.Types.Mixed,
+          after: mongoose.Schema.Types.Mixed,
+          reason: String,
+          by: { type: mongoose.Schema.Types.ObjectId, ref: 'Parent' },
+          at: Date,
+          _id: false,
+        },
+      ],
+    },
+
+    // Forfeits and protests (services/match-disputes.js)
+    forfeitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Team',
+    },
+    // Neither team turned up: a walkover with no winner
+    doubleForfeit: Boolean,
+    protests: [
+      {
+        team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+        filedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Parent' },
+        reason: { type: String, required: true },
+        status: {
+          type: String,
+          enum: ['pending', 'upheld', 'denied', 'withdrawn'],
+          default: 'pending',
+        },
+        filedAt: Date,
+        // What the director did about an upheld protest
+        outcome: {
+          type: String,
+          enum: ['replay', 'overturn', 'score'],
+        },
+        decisionNote: String,
+        decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Parent' },
+        decidedAt: Date,
+      },
+    ],
+    // Every change to the result other than the first one entered
+    history: [
+      {
+        action: {
+          type: String,
+          enum: [
+            'forfeit',
+            'protest-filed',
+            'protest-withdrawn',
+            'protest-decided',
+            'reset',
+          ],
+        },
+        protest: mongoose.Schema.Types.ObjectId,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed,
+        note: String,
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'Parent' },
+        at: Date,
+        _id: false,
+      },
+    ],
+
     // Weather/venue info
     weatherConditions: {
       type: String,
@@ -155,6 +277,12 @@ const matchSchema = new mongoose.Schema(
     venue: {
       type: String,
     },
+    // Set by the scheduler when the tournament has venues; `venue` then
+    // holds the venue name
+    venueId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Venue',
+    },
 
     // Equipment/requirements
     equipmentNotes: {
@@ -42,7 +42,7 @@ const paymentSchema = new mongoose.Schema(
     },
     paymentSystem: {
       type: String,
-      enum: ['square', 'clover', 'stripe', 'paypal'],
+      enum: ['square', 'clover', 'stripe', 'paypal', 'fake'],
       required: true,
     },
     configurationId: {
@@ -117,6 +117,43 @@ const paymentSchema = new mongoose.Schema(
       default: 'general',
     },
 
+    // Discounts applied at checkout; amount is what was charged after them
+    subtotal: Number,
+    discountTotal: {
+      type: Number,
+      default: 0,
+    },
+    discounts: [
+      {
+        ruleId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'DiscountRule',
+        },
+        name: String,
+        type: {
+          type: String,
+          enum: [
+            'sibling',
+            'multi_program',
+            'early_bird',
+            'promo_code',
+            'staff_comp',
+          ],
+        },
+        code: String,
+        amount: Number,
+        playerId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Player',
+        },
+        teamId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Team',
+        },
+        _id: false,
+      },
+    ],
+
     // Note/Description
     note: String,
 
@@ -138,6 +175,20 @@ const paymentSchema = new mongoose.Schema(
         season: String,
         year: Number,
         tryoutId: String,
+        // Net amount charged for this player, after discounts
+        amount: Number,
+      },
+    ],
+
+    // Teams a tournament payment covers, with the net amount charged for each
+    teams: [
+      {
+        teamId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Team',
+        },
+        amount: Number,
+        _id: false,
       },
     ],
 
@@ -157,6 +208,12 @@ const paymentSchema = new mongoose.Schema(
       year: Number,
       amountPerPlayer: Number,
       amountPerTeam: Number,
+      installmentPlanId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'InstallmentPlan',
+      },
+      installmentId: mongoose.Schema.Types.ObjectId,
+      installmentSequence: Number,
     },
 
     // Refunds
@@ -182,6 +239,41 @@ const paymentSchema = new mongoose.Schema(
           enum: ['web', 'admin_dashboard', 'api'],
           default: 'web',
         },
+        requestedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Parent',
+        },
+        requestedAt: Date,
+        // Which line items (players, teams, tickets) the refund comes from
+        allocations: [
+          {
+            itemType: {
+              type: String,
+              enum: ['player', 'team', 'ticket'],
+              required: true,
+            },
+            playerId: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: 'Player',
+            },
+            teamId: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: 'Team',
+            },
+            ticketPurchaseId: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: 'TicketPurchase',
+            },
+            season: String,
+            year: Number,
+            tryoutId: String,
+            tournament: String,
+            packageName: String,
+            quantity: Number,
+            amount: { type: Number, required: true },
+            _id: false,
+          },
+        ],
       },
     ],
 
@@ -214,6 +306,7 @@ paymentSchema.index({ teamIds: 1 });
 paymentSchema.index({ status: 1, createdAt: -1 });
 paymentSchema.index({ paymentSystem: 1 });
 paymentSchema.index({ configurationId: 1 });
+paymentSchema.index({ 'discounts.ruleId': 1, parentId: 1 });
 
 const Payment = mongoose.model('Payment', paymentSchema);
 
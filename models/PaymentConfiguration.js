@@ -4,7 +4,7 @@ const mongoose = require('mongoose');
 const paymentConfigurationSchema = new mongoose.Schema({
   paymentSystem: {
     type: String,
-    enum: ['square', 'clover', 'stripe', 'paypal'],
+    enum: ['square', 'clover', 'stripe', 'paypal', 'fake'],
     required: true,
   },
   isActive: {
@@ -50,6 +50,10 @@ const paymentConfigurationSchema = new mongoose.Schema({
       type: String,
       default: 'https://sandbox.dev.clover.com/v3',
     },
+    webhookAuthCode: {
+      type: String,
+      select: false,
+    },
   },
   // Stripe configuration (optional for future)
   stripeConfig: {
@@ -67,6 +71,10 @@ const paymentConfigurationSchema = new mongoose.Schema({
       default: 'sandbox',
     },
   },
+  // Fake provider (offline, staging/tests only - no credentials needed)
+  fakeConfig: {
+    webhookSecret: String,
+  },
   // General settings
   settings: {
     currency: {
@@ -131,6 +139,7 @@ paymentConfigurationSchema.methods.toJSON = function () {
   delete obj.squareConfig?.webhookSignatureKey;
   delete obj.cloverConfig?.accessToken;
   delete obj.cloverConfig?.refreshToken;
+  delete obj.cloverConfig?.webhookAuthCode;
   delete obj.stripeConfig?.secretKey;
   delete obj.stripeConfig?.webhookSecret;
   delete obj.paypalConfig?.clientSecret;
@@ -28,7 +28,7 @@ const seasonRegistrationSchema = new mongoose.Schema(
     },
     paymentStatus: {
       type: String,
-      enum: ['pending', 'paid', 'failed', 'refunded'],
+      enum: ['pending', 'paid', 'failed', 'refunded', 'partially_refunded'],
       default: 'pending',
     },
     paymentId: {
@@ -73,6 +73,7 @@ seasonRegistrationSchema.virtual('paymentStatusDisplay').get(function () {
     paid: 'Paid',
     failed: 'Payment Failed',
     refunded: 'Refunded',
+    partially_refunded: 'Partially Refunded',
   };
   return statusMap[this.paymentStatus] || this.paymentStatus;
 });
@@ -154,7 +155,7 @@ const playerSchema = new mongoose.Schema(
     },
     paymentStatus: {
       type: String,
-      enum: ['pending', 'paid', 'failed', 'refunded'],
+      enum: ['pending', 'paid', 'failed', 'refunded', 'partially_refunded'],
       default: 'pending',
     },
     lastPaymentDate: Date,
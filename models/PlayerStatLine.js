@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// One player's numbers in one match. Players of visiting teams are usually
+// not in the Player collection, so `player` is optional and the line is
+// then identified by name and jersey number.
+const playerStatLineSchema = new mongoose.Schema(
+  {
+    match: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Match',
+      required: true,
+    },
+    tournament: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tournament',
+      required: true,
+    },
+    team: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Team',
+      required: true,
+    },
+    player: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Player',
+    },
+    playerName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    jerseyNumber: {
+      type: String,
+      trim: true,
+    },
+    // Year of the tournament, for season leaderboards
+    year: {
+      type: Number,
+      required: true,
+    },
+    points: { type: Number, default: 0, min: 0 },
+    rebounds: { type: Number, default: 0, min: 0 },
+    assists: { type: Number, default: 0, min: 0 },
+    steals: { type: Number, default: 0, min: 0 },
+    fouls: { type: Number, default: 0, min: 0 },
+    threePointersMade: { type: Number, default: 0, min: 0 },
+    // On the roster but did not get into the game; not counted as a game
+    // played
+    didNotPlay: {
+      type: Boolean,
+      default: false,
+    },
+    enteredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parent',
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+playerStatLineSchema.index({ match: 1, team: 1 });
+playerStatLineSchema.index({ player: 1, year: 1 });
+playerStatLineSchema.index({ tournament: 1 });
+playerStatLineSchema.index({ year: 1 });
+
+module.exports = mongoose.model('PlayerStatLine', playerStatLineSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// A single mismatch between a processor and our records, found by a
+// reconciliation run. The same mismatch seen again on a later run updates
+// the open item instead of creating a duplicate.
+const reconciliationDiscrepancySchema = new mongoose.Schema(
+  {
+    // `<type>:<paymentSystem>:<externalPaymentId>:<externalRefundId>`
+    key: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: [
+        'missing_local', // processor has a settled payment we have no record of
+        'missing_at_provider', // we have a completed payment the processor does not
+        'amount_mismatch',
+        'status_mismatch',
+        'refund_missing_local', // processor refund not recorded locally
+        'refund_amount_mismatch', // refunded totals disagree
+      ],
+      required: true,
+    },
+    paymentSystem: {
+      type: String,
+      required: true,
+    },
+    reportId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReconciliationReport',
+      required: true,
+    },
+    lastReportId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReconciliationReport',
+    },
+    externalPaymentId: String,
+    externalRefundId: String,
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+    },
+    ticketPurchaseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TicketPurchase',
+    },
+    // Amounts in dollars, like Payment.amount
+    providerAmount: Number,
+    localAmount: Number,
+    providerStatus: String,
+    localStatus: String,
+    message: String,
+    status: {
+      type: String,
+      enum: ['open', 'resolved', 'ignored'],
+      default: 'open',
+    },
+    resolutionNote: String,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parent',
+    },
+    resolvedAt: Date,
+    firstSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+reconciliationDiscrepancySchema.index({ key: 1, status: 1 });
+reconciliationDiscrepancySchema.index({ status: 1, lastSeenAt: -1 });
+reconciliationDiscrepancySchema.index({ paymentSystem: 1, type: 1 });
+reconciliationDiscrepancySchema.index({ lastReportId: 1 });
+
+module.exports = mongoose.model(
+  'ReconciliationDiscrepancy',
+  reconciliationDiscrepancySchema,
+);
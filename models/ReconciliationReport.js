@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// One provider reconciliation run: which processor and period were compared
+// against local Payment/TicketPurchase records, and what was found.
+const reconciliationReportSchema = new mongoose.Schema(
+  {
+    paymentSystem: {
+      type: String,
+      enum: ['square', 'clover', 'stripe', 'paypal', 'fake'],
+      required: true,
+    },
+    configurationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PaymentConfiguration',
+    },
+    periodStart: {
+      type: Date,
+      required: true,
+    },
+    periodEnd: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['running', 'completed', 'failed'],
+      default: 'running',
+    },
+    trigger: {
+      type: String,
+      enum: ['scheduled', 'manual'],
+      default: 'scheduled',
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parent',
+    },
+    summary: {
+      providerPayments: { type: Number, default: 0 },
+      providerRefunds: { type: Number, default: 0 },
+      localPayments: { type: Number, default: 0 },
+      localTicketPurchases: { type: Number, default: 0 },
+      matched: { type: Number, default: 0 },
+      discrepancies: { type: Number, default: 0 },
+      newDiscrepancies: { type: Number, default: 0 },
+      // Discrepancy count per type
+      byType: {
+        type: Map,
+        of: Number,
+        default: {},
+      },
+    },
+    error: String,
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    completedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+);
+
+reconciliationReportSchema.index({ paymentSystem: 1, createdAt: -1 });
+reconciliationReportSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model(
+  'ReconciliationReport',
+  reconciliationReportSchema,
+);
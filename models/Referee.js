@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Certification levels, lowest first
+const CERTIFICATION_LEVELS = ['trainee', 'level1', 'level2', 'level3'];
+
+// A parent on the officials roster. Matches point at the parent
+// (referee, assistantReferee1, assistantReferee2); this holds what the
+// assignment needs to know about them.
+const refereeSchema = new mongoose.Schema(
+  {
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parent',
+      required: true,
+      unique: true,
+    },
+    certificationLevel: {
+      type: String,
+      enum: CERTIFICATION_LEVELS,
+      default: 'trainee',
+    },
+    certificationExpires: Date,
+    // Dollars per game as referee / as an assistant
+    payRate: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    assistantPayRate: {
+      type: Number,
+      min: 0,
+    },
+    maxGamesPerDay: {
+      type: Number,
+      default: 4,
+      min: 1,
+    },
+    // When they can work. No windows means any time, apart from the
+    // unavailable periods.
+    availability: [
+      {
+        start: { type: Date, required: true },
+        end: { type: Date, required: true },
+        _id: false,
+      },
+    ],
+    unavailable: [
+      {
+        start: { type: Date, required: true },
+        end: { type: Date, required: true },
+        reason: String,
+        _id: false,
+      },
+    ],
+    // Teams they must not officiate besides those of their own children and
+    // the ones they coach (found automatically)
+    conflictTeams: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Team',
+      },
+    ],
+    notes: String,
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+refereeSchema.statics.CERTIFICATION_LEVELS = CERTIFICATION_LEVELS;
+
+module.exports = mongoose.model('Referee', refereeSchema);
@@ -50,7 +50,7 @@ if (mongoose.models.Registration) {
       },
       paymentStatus: {
         type: String,
-        enum: ['pending', 'paid', 'failed', 'refunded'],
+        enum: ['pending', 'paid', 'failed', 'refunded', 'partially_refunded'],
         default: 'pending',
       },
       paymentComplete: { type: Boolean, default: false },
@@ -117,6 +117,7 @@ if (mongoose.models.Registration) {
       paid: 'Paid',
       failed: 'Payment Failed',
       refunded: 'Refunded',
+      partially_refunded: 'Partially Refunded',
     };
     return statusMap[this.paymentStatus] || this.paymentStatus;
   });
@@ -51,6 +51,19 @@ const standingSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // What settled the rank: 'points', a tiebreaker from
+    // Tournament.settings.tiebreakers, or null while still level
+    decidedBy: {
+      type: String,
+    },
+    // coin-flip tiebreaker: order set by the tournament director (1 first),
+    // otherwise lots drawn once
+    tiebreakOrder: {
+      type: Number,
+    },
+    coinFlip: {
+      type: Number,
+    },
   },
   {
     timestamps: true,
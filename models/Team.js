@@ -26,7 +26,7 @@ const teamSchema = new mongoose.Schema({
       paymentComplete: { type: Boolean, default: false },
       paymentStatus: {
         type: String,
-        enum: ['pending', 'paid', 'failed'],
+        enum: ['pending', 'paid', 'failed', 'refunded', 'partially_refunded'],
         default: 'pending',
       },
       amountPaid: { type: Number, default: 0 },
@@ -49,10 +49,31 @@ const ticketPurchaseSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['pending', 'completed', 'failed', 'refunded'],
+      enum: [
+        'pending',
+        'completed',
+        'failed',
+        'refunded',
+        'partially_refunded',
+      ],
       default: 'pending',
       required: true,
     },
+    refundedAmount: { type: Number, default: 0 },
+
+    // Discounts applied at checkout; amount is what was charged after them
+    subtotal: Number,
+    discountTotal: { type: Number, default: 0 },
+    discounts: [
+      {
+        ruleId: { type: mongoose.Schema.Types.ObjectId, ref: 'DiscountRule' },
+        name: String,
+        type: { type: String },
+        code: String,
+        amount: Number,
+        _id: false,
+      },
+    ],
 
     // Package/Ticket Details
     packageName: { type: String },
@@ -60,6 +60,7 @@ const tournamentSchema = new mongoose.Schema(
         'double-elimination',
         'round-robin',
         'group-stage',
+        'groups-knockout',
       ],
       default: 'single-elimination',
     },
@@ -69,6 +70,27 @@ const tournamentSchema = new mongoose.Schema(
         ref: 'Team',
       },
     ],
+    // How generate-brackets orders teams; see services/tournament-seeding.js
+    seedingStrategy: {
+      type: String,
+      enum: ['registration', 'manual', 'standings', 'group-ranks', 'random'],
+      default: 'registration',
+    },
+    // Seed numbers set by an admin for manual seeding (1 = top seed)
+    seeds: [
+      {
+        team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+        seed: { type: Number, min: 1 },
+        _id: false,
+      },
+    ],
+    // Venues games are played at, in the order they are offered courts
+    venues: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Venue',
+      },
+    ],
     groups: [
       {
         name: String,
@@ -91,6 +113,119 @@ const tournamentSchema = new mongoose.Schema(
       pointsPerLoss: { type: Number, default: 0 },
       matchDuration: { type: Number, default: 40 },
       breakDuration: { type: Number, default: 10 },
+      // Live scoring: regulation periods (4 quarters, 2 halves) and
+      // timeouts per team per game (unset means no limit)
+      periods: { type: Number, default: 4, min: 1 },
+      timeoutsPerGame: { type: Number, min: 0 },
+      // Score given to a forfeited game, the standing points of the team
+      // that forfeits (unset: pointsPerLoss) and whether the forfeit score
+      // counts in point-based tiebreakers
+      forfeit: {
+        winnerScore: { type: Number, default: 20, min: 0 },
+        loserScore: { type: Number, default: 0, min: 0 },
+        loserPoints: Number,
+        countInTiebreakers: { type: Boolean, default: true },
+      },
+      // Hours after a match ends that a coach can still protest it
+      protestWindowHours: { type: Number, default: 24, min: 0 },
+      // Game-day check-in (services/team-check-in.js). Rosters lock at
+      // rosterLockAt, or when the tournament starts if unset. Teams that
+      // have not checked in when it starts are ignored, stop it starting
+      // ('refuse') or forfeit their games ('forfeit').
+      checkIn: {
+        whenMissing: {
+          type: String,
+          enum: ['ignore', 'refuse', 'forfeit'],
+          default: 'ignore',
+        },
+        rosterLockAt: Date,
+      },
+      // Scheduler defaults (services/tournament-scheduler.js)
+      minRestMinutes: { type: Number, default: 60, min: 0 },
+      // e.g. { grades: ['3'], notBefore: '09:00' }
+      gradeTimeRules: [
+        {
+          grades: [String],
+          notBefore: String,
+          notAfter: String,
+          _id: false,
+        },
+      ],
+      // Extra elimination games: a consolation bracket for first-round
+      // losers, a 3rd place game and 5th-8th place games
+      consolationBracket: { type: Boolean, default: false },
+      thirdPlaceGame: { type: Boolean, default: false },
+      placementGames: { type: Boolean, default: false },
+      // Games every team is promised; generate-brackets warns when the
+      // bracket cannot guarantee them
+      minGamesPerTeam: { type: Number, min: 1 },
+      // Officials per match (referee plus assistants) and the certification
+      // the referee needs (services/referee-assignment.js)
+      refereesPerMatch: { type: Number, default: 1, min: 1, max: 3 },
+      minRefereeLevel: {
+        type: String,
+        enum: ['trainee', 'level1', 'level2', 'level3'],
+        default: 'trainee',
+      },
+      // Minutes a team or coach needs between games at different venues
+      travelBufferMinutes: { type: Number, default: 30, min: 0 },
+      // Times no games can be played; venues and courts empty means
+      // everywhere
+      blackouts: [
+        {
+          start: Date,
+          end: Date,
+          venues: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Venue' }],
+          courts: [String],
+          reason: String,
+          _id: false,
+        },
+      ],
+      // groups-knockout: teams per group that go through to the knockout
+      advancePerGroup: { type: Number, default: 2, min: 1 },
+      // Applied in order to teams level on points in a group table
+      tiebreakers: {
+        type: [
+          {
+            type: String,
+            enum: [
+              'head-to-head',
+              'point-differential',
+              'points-for',
+              'points-allowed',
+              'fewest-forfeits',
+              'coin-flip',
+            ],
+          },
+        ],
+        default: ['head-to-head', 'point-differential', 'points-for'],
+      },
+    },
+    // Each team's game-day roster and check-in
+    checkIns: [
+      {
+        team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+        roster: [
+          {
+            player: { type: mongoose.Schema.Types.ObjectId, ref: 'Player' },
+            fullName: String,
+            jerseyNumber: String,
+            _id: false,
+          },
+        ],
+        rosterUpdatedAt: Date,
+        rosterUpdatedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Parent',
+        },
+        checkedInAt: Date,
+        checkedInBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Parent' },
+      },
+    ],
+    // Set once the group stage of a groups-knockout tournament has been
+    // turned into a knockout bracket
+    knockoutGeneratedAt: {
+      type: Date,
     },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const timeOfDay = {
+  type: String,
+  match: /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/,
+};
+
+// A gym or other site tournament games are played at
+const venueSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    address: {
+      street: String,
+      city: String,
+      state: String,
+      zip: String,
+    },
+    courts: [
+      {
+        name: { type: String, required: true, trim: true },
+        isActive: { type: Boolean, default: true },
+        _id: false,
+      },
+    ],
+    // Weekly opening hours, dayOfWeek 0 = Sunday. A day that is not listed
+    // is closed; no hours at all means the venue is open whenever games are
+    // scheduled.
+    hours: [
+      {
+        dayOfWeek: { type: Number, min: 0, max: 6, required: true },
+        open: { ...timeOfDay, required: true },
+        close: { ...timeOfDay, required: true },
+        _id: false,
+      },
+    ],
+    // Dates the venue is unavailable (rentals, maintenance); courts empty
+    // means the whole venue
+    blackouts: [
+      {
+        start: Date,
+        end: Date,
+        courts: [String],
+        reason: String,
+        _id: false,
+      },
+    ],
+    notes: String,
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parent',
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+venueSchema.virtual('fullAddress').get(function () {
+  const { street, city, state, zip } = this.address || {};
+  return [street, city, [state, zip].filter(Boolean).join(' ')]
+    .filter(Boolean)
+    .join(', ');
+});
+
+venueSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Venue', venueSchema);
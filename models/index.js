@@ -5,6 +5,7 @@ const Team = require('./Team');
 const Match = require('./Match');
 const Standing = require('./Standing');
 const Parent = require('./Parent');
+const Venue = require('./Venue');
 
 module.exports = {
   Tournament,
@@ -12,4 +13,5 @@ module.exports = {
   Match,
   Standing,
   Parent,
+  Venue,
 };
@@ -0,0 +1,265 @@
+// routes/discountRoutes.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const DiscountRule = require('../models/DiscountRule');
+const { authenticate, isAdmin } = require('../utils/auth');
+const { evaluateDiscounts, splitAmount } = require('../services/discounts');
+
+const RULE_TYPES = [
+  'sibling',
+  'multi_program',
+  'early_bird',
+  'promo_code',
+  'staff_comp',
+];
+const PROGRAMS = ['tryout', 'training', 'tournament', 'general', 'form'];
+
+// Fields an admin may set on a rule
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'type',
+  'valueType',
+  'value',
+  'programs',
+  'season',
+  'year',
+  'tournament',
+  'formId',
+  'daysBeforeDeadline',
+  'code',
+  'maxUses',
+  'maxUsesPerParent',
+  'eligibleRoles',
+  'eligibleParentIds',
+  'stackable',
+  'priority',
+  'validFrom',
+  'validUntil',
+  'isActive',
+];
+
+function sendValidationErrors(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, errors: errors.array() });
+  return true;
+}
+
+function pickEditable(source) {
+  return EDITABLE_FIELDS.reduce((fields, key) => {
+    if (source[key] !== undefined) fields[key] = source[key];
+    return fields;
+  }, {});
+}
+
+function ruleErrorStatus(error) {
+  return error.name === 'ValidationError' || error.code === 11000 ? 400 : 500;
+}
+
+function ruleErrorMessage(error) {
+  return error.code === 11000 ? 'Promo code already exists' : error.message;
+}
+
+const ruleValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().notEmpty(),
+    field('type').isIn(RULE_TYPES),
+    field('value').isFloat({ min: 0 }),
+    body('valueType').optional().isIn(['percent', 'fixed']),
+    body('programs').optional().isArray(),
+    body('programs.*').isIn(PROGRAMS),
+    body('formId').optional({ nullable: true }).isMongoId(),
+    body('eligibleParentIds').optional().isArray(),
+    body('eligibleParentIds.*').isMongoId(),
+    body('validFrom').optional({ nullable: true }).isISO8601(),
+    body('validUntil').optional({ nullable: true }).isISO8601(),
+  ];
+};
+
+// List rules (admin)
+router.get('/', authenticate, isAdmin, async (req, res) => {
+  try {
+    const { type, isActive, code } = req.query;
+
+    const query = {};
+    if (type) query.type = type;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (code) query.code = String(code).toUpperCase();
+
+    const rules = await DiscountRule.find(query)
+      .sort({ priority: 1, createdAt: -1 })
+      .lean();
+
+    res.json({ success: true, rules });
+  } catch (error) {
+    console.error('Error fetching discount rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch discount rules',
+    });
+  }
+});
+
+// Create a rule (admin)
+router.post(
+  '/',
+  authenticate,
+  isAdmin,
+  ruleValidators(false),
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const rule = await DiscountRule.create({
+        ...pickEditable(req.body),
+        createdBy: req.user._id,
+      });
+
+      console.log(`🏷️ Discount rule created: ${rule.name} (${rule.type})`);
+      res.status(201).json({ success: true, rule });
+    } catch (error) {
+      console.error('Error creating discount rule:', error);
+      res
+        .status(ruleErrorStatus(error))
+        .json({ success: false, error: ruleErrorMessage(error) });
+    }
+  },
+);
+
+// Update a rule (admin)
+router.put(
+  '/:id',
+  authenticate,
+  isAdmin,
+  ruleValidators(true),
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res
+          .status(400)
+          .json({ success: false, error: 'Invalid rule ID' });
+      }
+
+      const rule = await DiscountRule.findById(req.params.id);
+      if (!rule) {
+        return res
+          .status(404)
+          .json({ success: false, error: 'Discount rule not found' });
+      }
+
+      rule.set(pickEditable(req.body));
+      await rule.save();
+
+      res.json({ success: true, rule });
+    } catch (error) {
+      console.error('Error updating discount rule:', error);
+      res
+        .status(ruleErrorStatus(error))
+        .json({ success: false, error: ruleErrorMessage(error) });
+    }
+  },
+);
+
+// Deactivate a rule (admin). Rules are kept so past payments still resolve.
+router.delete('/:id', authenticate, isAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid rule ID' });
+    }
+
+    const rule = await DiscountRule.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true },
+    );
+    if (!rule) {
+      return res
+        .status(404)
+        .json({ success: false, error: 'Discount rule not found' });
+    }
+
+    res.json({ success: true, rule });
+  } catch (error) {
+    console.error('Error deactivating discount rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to deactivate discount rule',
+    });
+  }
+});
+
+// Preview what a checkout would cost the signed-in parent
+router.post(
+  '/quote',
+  authenticate,
+  [
+    body('program').isIn(PROGRAMS),
+    body('amount').isInt({ min: 0 }).withMessage('Amount in cents is required'),
+    body('playerIds').optional().isArray(),
+    body('teamIds').optional().isArray(),
+    body('promoCode').optional().isString(),
+    body('formId').optional().isMongoId(),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const {
+        program,
+        amount,
+        playerIds = [],
+        teamIds = [],
+        promoCode,
+        season,
+        year,
+        tournament,
+        tryoutId,
+        formId,
+      } = req.body;
+
+      let items;
+      if (playerIds.length) {
+        items = splitAmount(amount, playerIds.length).map((amountCents, i) => ({
+          itemType: 'player',
+          playerId: playerIds[i],
+          amountCents,
+        }));
+      } else if (teamIds.length) {
+        items = splitAmount(amount, teamIds.length).map((amountCents, i) => ({
+          itemType: 'team',
+          teamId: teamIds[i],
+          amountCents,
+        }));
+      } else {
+        items = [{ itemType: program, amountCents: amount }];
+      }
+
+      const pricing = await evaluateDiscounts({
+        program,
+        items,
+        parent: req.user,
+        promoCode,
+        season,
+        year,
+        tournament,
+        tryoutId,
+        formId,
+      });
+
+      res.json({ success: true, pricing });
+    } catch (error) {
+      console.error('Error quoting discounts:', error);
+      res
+        .status(error.code === 'INVALID_PROMO_CODE' ? 400 : 500)
+        .json({ success: false, error: error.message });
+    }
+  },
+);
+
+module.exports = router;
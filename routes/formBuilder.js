@@ -3,6 +3,24 @@ const express = require('express');
 const router = express.Router();
 const Form = require('../models/Form');
 const FormSubmission = require('../models/FormSubmission');
+const FormVersion = require('../models/FormVersion');
+const {
+  snapshotOf,
+  publishSnapshot,
+  fieldsByVersion,
+  diffSnapshots,
+  rollbackForm,
+  renderSubmission,
+} = require('../services/form-versions');
+const { logicProblems } = require('../services/form-logic');
+const { formulaProblems } = require('../services/form-pricing');
+const {
+  submissionQuery,
+  backfillSearchText,
+  streamSubmissionsExport,
+  cleanTags,
+  tagCounts,
+} = require('../services/form-submissions');
 const { authenticate, isAdmin } = require('../utils/auth');
 const { body, validationResult } = require('express-validator');
 const mongoose = require('mongoose');
@@ -10,6 +28,7 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
+const { once } = require('events');
 
 // Simple UUID v4 generator (replaces the uuid package)
 function uuidv4() {
@@ -200,6 +219,18 @@ router.post(
         });
       }
 
+      const logicErrors = [
+        ...logicProblems(req.body.fields),
+        ...formulaProblems(req.body.fields),
+      ];
+      if (logicErrors.length) {
+        return res.status(400).json({
+          success: false,
+          errors: logicErrors,
+          error: 'Invalid conditional logic or formulas',
+        });
+      }
+
       // Add order to fields if not present
       if (req.body.fields && Array.isArray(req.body.fields)) {
         req.body.fields = req.body.fields.map((field, index) => ({
@@ -215,6 +246,9 @@ router.post(
       });
 
       await form.save();
+      if (form.status === 'published') {
+        await publishSnapshot(form, { user: req.user });
+      }
 
       res.status(201).json({
         success: true,
@@ -283,36 +317,51 @@ router.put(
         }
       }
 
-      // Increment version if fields or settings changed
-      const fieldsChanged =
-        JSON.stringify(form.fields) !== JSON.stringify(req.body.fields);
-      const settingsChanged =
-        JSON.stringify(form.settings) !== JSON.stringify(req.body.settings);
-      const tournamentSettingsChanged =
-        JSON.stringify(form.tournamentSettings) !==
-        JSON.stringify(req.body.tournamentSettings);
-
-      if (fieldsChanged || settingsChanged || tournamentSettingsChanged) {
-        req.body.version = (form.version || 1) + 1;
+      if (req.body.fields) {
+        const logicErrors = [
+          ...logicProblems(req.body.fields),
+          ...formulaProblems(req.body.fields),
+        ];
+        if (logicErrors.length) {
+          return res.status(400).json({
+            success: false,
+            errors: logicErrors,
+            error: 'Invalid conditional logic or formulas',
+          });
+        }
       }
 
-      // Update form
+      const wasPublished = form.status === 'published';
+      const before = JSON.stringify(snapshotOf(form));
+
+      // Update form (the version number is ours to set)
       Object.keys(req.body).forEach((key) => {
-        if (key !== '_id' && key !== 'createdAt' && key !== 'createdBy') {
+        if (!['_id', 'createdAt', 'createdBy', 'version'].includes(key)) {
           form[key] = req.body[key];
         }
       });
 
+      // Any change to what the form shows makes a new version
+      if (JSON.stringify(snapshotOf(form)) !== before) {
+        form.version = (form.version || 1) + 1;
+      }
+
       form.updatedBy = req.user._id;
       form.updatedAt = new Date();
 
       // Set publishedAt if status changed to published
-      if (req.body.status === 'published' && form.status !== 'published') {
+      if (form.status === 'published' && !wasPublished) {
         form.publishedAt = new Date();
       }
 
       await form.save();
 
+      // Publishing, or editing a published form, stores the version as it
+      // now stands; published versions are never overwritten
+      if (form.status === 'published') {
+        await publishSnapshot(form, { user: req.user });
+      }
+
       res.json({
         success: true,
         data: form,
@@ -399,8 +448,9 @@ router.delete('/builder/forms/:id', authenticate, async (req, res) => {
       });
     }
 
-    // Also delete all submissions for this form
+    // Also delete all submissions and published versions of this form
     await FormSubmission.deleteMany({ formId: form._id });
+    await FormVersion.deleteMany({ form: form._id });
 
     await form.deleteOne();
 
@@ -414,6 +464,521 @@ router.delete('/builder/forms/:id', authenticate, async (req, res) => {
   }
 });
 
+// Load a form the user may edit, or answer 404/403 and return null
+async function findEditableForm(req, res) {
+  const form = await Form.findById(req.params.id);
+  if (!form) {
+    res.status(404).json({ success: false, error: 'Form not found' });
+    return null;
+  }
+  if (
+    req.user.role !== 'admin' &&
+    form.createdBy.toString() !== req.user._id.toString()
+  ) {
+    res.status(403).json({
+      success: false,
+      error: 'You do not have permission to edit this form',
+    });
+    return null;
+  }
+  return form;
+}
+
+// Published versions of a form, newest first
+router.get('/builder/forms/:id/versions', authenticate, async (req, res) => {
+  try {
+    const form = await findEditableForm(req, res);
+    if (!form) return;
+
+    const [versions, counts] = await Promise.all([
+      FormVersion.find({ form: form._id })
+        .select('-snapshot')
+        .populate('publishedBy', 'fullName email')
+        .sort({ version: -1 })
+        .lean(),
+      FormSubmission.aggregate([
+        { $match: { formId: form._id, isDraft: { $ne: true } } },
+        { $group: { _id: '$formVersion', count: { $sum: 1 } } },
+      ]),
+    ]);
+    const submissions = new Map(counts.map((c) => [c._id, c.count]));
+
+    res.json({
+      success: true,
+      currentVersion: form.version,
+      status: form.status,
+      data: versions.map((version) => ({
+        ...version,
+        submissions: submissions.get(version.version) || 0,
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching form versions:', error);
+    res
+      .status(500)
+      .json({ success: false, error: 'Failed to fetch form versions' });
+  }
+});
+
+// One published version as it was
+router.get(
+  '/builder/forms/:id/versions/:version',
+  authenticate,
+  async (req, res) => {
+    try {
+      const form = await findEditableForm(req, res);
+      if (!form) return;
+
+      const version = await FormVersion.findOne({
+        form: form._id,
+        version: parseInt(req.params.version),
+      })
+        .populate('publishedBy', 'fullName email')
+        .lean();
+      if (!version) {
+        return res
+          .status(404)
+          .json({ success: false, error: 'Version not found' });
+      }
+
+      res.json({ success: true, data: version });
+    } catch (error) {
+      console.error('Error fetching form version:', error);
+      res
+        .status(500)
+        .json({ success: false, error: 'Failed to fetch form version' });
+    }
+  }
+);
+
+// What changed from one version to another. ?against= takes a version
+// number or "current" (the working copy); the default is the version
+// before.
+router.get(
+  '/builder/forms/:id/versions/:version/diff',
+  authenticate,
+  async (req, res) => {
+    try {
+      const form = await findEditableForm(req, res);
+      if (!form) return;
+
+      const version = parseInt(req.params.version);
+      const target = await FormVersion.findOne({ form: form._id, version });
+      if (!target) {
+        return res
+          .status(404)
+          .json({ success: false, error: 'Version not found' });
+      }
+
+      let base;
+      if (req.query.against === 'current') {
+        base = { version: 'current', snapshot: snapshotOf(form) };
+      } else {
+        base = await FormVersion.findOne({
+          form: form._id,
+          ...(req.query.against
+            ? { version: parseInt(req.query.against) }
+            : { version: { $lt: version } }),
+        }).sort({ version: -1 });
+        if (!base) {
+          return res.status(req.query.against ? 404 : 400).json({
+            success: false,
+            error: req.query.against
+              ? 'Version to compare against not found'
+              : 'This is the first published version',
+          });
+        }
+      }
+
+      // Always read older to newer
+      const [from, to] =
+        base.version === 'current' || base.version > version
+          ? [target, base]
+          : [base, target];
+
+      res.json({
+        success: true,
+        from: from.version,
+        to: to.version,
+        data: diffSnapshots(from.snapshot, to.snapshot),
+      });
+    } catch (error) {
+      console.error('Error comparing form versions:', error);
+      res
+        .status(500)
+        .json({ success: false, error: 'Failed to compare form versions' });
+    }
+  }
+);
+
+// Put an older version back. The form gets a new version number; a
+// published form is republished with it.
+router.post(
+  '/builder/forms/:id/versions/:version/rollback',
+  authenticate,
+  [body('note').optional().isString().trim()],
+  async (req, res) => {
+    try {
+      const form = await findEditableForm(req, res);
+      if (!form) return;
+
+      const version = parseInt(req.params.version);
+      try {
+        await rollbackForm(form, version);
+      } catch (error) {
+        if (error.code !== 'INVALID_FORM_VERSION') throw error;
+        return res.status(404).json({ success: false, error: error.message });
+      }
+
+      form.updatedBy = req.user._id;
+      await form.save();
+      if (form.status === 'published') {
+        await publishSnapshot(form, {
+          user: req.user,
+          note: req.body.note || `Rolled back to version ${version}`,
+          rolledBackFrom: version,
+        });
+      }
+
+      console.log(
+        `⏪ Form ${form.name} rolled back to version ${version} (now ${form.version})`
+      );
+
+      res.json({
+        success: true,
+        data: form,
+        message: `Form rolled back to version ${version}`,
+      });
+    } catch (error) {
+      console.error('Error rolling back form:', error);
+      res
+        .status(500)
+        .json({ success: false, error: 'Failed to roll back form' });
+    }
+  }
+);
+
+// ============ SUBMISSIONS ============
+
+const SUBMISSION_SORTS = ['submittedAt', 'userName', 'userEmail', 'status'];
+
+// Load one of the form's submissions, or answer 400/404 and return null
+async function findFormSubmission(req, res, form) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.submissionId)) {
+    res.status(400).json({ success: false, error: 'Invalid submission ID' });
+    return null;
+  }
+  const submission = await FormSubmission.findOne({
+    _id: req.params.submissionId,
+    formId: form._id,
+    isDraft: { $ne: true },
+  });
+  if (!submission) {
+    res.status(404).json({ success: false, error: 'Submission not found' });
+    return null;
+  }
+  return submission;
+}
+
+// Search and filter a form's submissions. Query: q (searches every answer,
+// the name and email), from, to, paymentStatus (paid, unpaid, free or a
+// payment status), status, tags (all of them), fields[field]=value (or
+// fields[field][contains|gte|lte]=value), sort, page and limit
+router.get('/builder/forms/:id/submissions', authenticate, async (req, res) => {
+  try {
+    const form = await findEditableForm(req, res);
+    if (!form) return;
+
+    let query;
+    try {
+      query = submissionQuery(form, req.query);
+    } catch (error) {
+      if (error.code !== 'INVALID_SUBMISSION_FILTER') throw error;
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (query.searchText) await backfillSearchText(form._id);
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const sortKey = String(req.query.sort || '-submittedAt');
+    if (!SUBMISSION_SORTS.includes(sortKey.replace(/^-/, ''))) {
+      return res.status(400).json({
+        success: false,
+        error: `Submissions can be sorted by ${SUBMISSION_SORTS.join(', ')}`,
+      });
+    }
+
+    const [submissions, total, tags] = await Promise.all([
+      FormSubmission.find(query)
+        .sort(sortKey)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('notes.author', 'fullName email')
+        .lean(),
+      FormSubmission.countDocuments(query),
+      tagCounts(form._id),
+    ]);
+
+    const { fields } = await fieldsByVersion(
+      form,
+      submissions.map((submission) => submission.formVersion)
+    );
+    submissions.forEach((submission) => {
+      submission.fields = renderSubmission(
+        submission,
+        fields.get(submission.formVersion || 1)
+      );
+    });
+
+    res.json({
+      success: true,
+      data: submissions,
+      tags,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('Error searching submissions:', error);
+    res
+      .status(500)
+      .json({ success: false, error: 'Failed to fetch submissions' });
+  }
+});
+
+// Every matching submission as CSV or XLSX (?format=), one column per
+// field, with the same filters as the list. Rows are streamed, so there is
+// no limit on how many.
+router.get(
+  '/builder/forms/:id/submissions/export',
+  authenticate,
+  async (req, res) => {
+    try {
+      const form = await findEditableForm(req, res);
+      if (!form) return;
+
+      const format = String(req.query.format || 'csv');
+      if (!['csv', 'xlsx'].includes(format)) {
+        return res
+          .status(400)
+          .json({ success: false, error: 'Export format must be csv or xlsx' });
+      }
+      let query;
+      try {
+        query = submissionQuery(form, req.query);
+      } catch (error) {
+        if (error.code !== 'INVALID_SUBMISSION_FILTER') throw error;
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      if (query.searchText) await backfillSearchText(form._id);
+
+      const fileName = `${form.name || 'form'}-submissions-${new Date()
+        .toISOString()
+        .slice(0, 10)}.${format}`.replace(/[^\w.-]+/g, '-');
+      res.setHeader(
+        'Content-Type',
+        format === 'xlsx'
+          ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+          : 'text/csv; charset=utf-8'
+      );
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="${fileName}"`
+      );
+
+      const count = await streamSubmissionsExport(form, query, res, {
+        format,
+      });
+      res.end();
+      console.log(
+        `📤 Exported ${count} submissions of form ${form.name} as ${format}`
+      );
+    } catch (error) {
+      console.error('Error exporting submissions:', error);
+      // Once rows have gone out the only way to signal failure is to cut
+      // the download short
+      if (res.headersSent) return res.destroy(error);
+      res
+        .status(500)
+        .json({ success: false, error: 'Failed to export submissions' });
+    }
+  }
+);
+
+// Replace a submission's tags
+router.put(
+  '/builder/forms/:id/submissions/:submissionId/tags',
+  authenticate,
+  [body('tags').isArray().withMessage('Tags must be a list')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const form = await findEditableForm(req, res);
+      if (!form) return;
+      const submission = await findFormSubmission(req, res, form);
+      if (!submission) return;
+
+      try {
+        submission.tags = cleanTags(req.body.tags);
+      } catch (error) {
+        if (error.code !== 'INVALID_SUBMISSION_FILTER') throw error;
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      await submission.save();
+
+      res.json({ success: true, data: { tags: submission.tags } });
+    } catch (error) {
+      console.error('Error tagging submission:', error);
+      res
+        .status(500)
+        .json({ success: false, error: 'Failed to tag submission' });
+    }
+  }
+);
+
+// Add an internal note to a submission
+router.post(
+  '/builder/forms/:id/submissions/:submissionId/notes',
+  authenticate,
+  [
+    body('text')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Note text is required')
+      .isLength({ max: 5000 })
+      .withMessage('Notes can be at most 5000 characters'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const form = await findEditableForm(req, res);
+      if (!form) return;
+      const submission = await findFormSubmission(req, res, form);
+      if (!submission) return;
+
+      submission.notes.push({
+        text: req.body.text,
+        author: req.user._id,
+        authorName: req.user.fullName || req.user.email,
+      });
+      await submission.save();
+
+      res.status(201).json({
+        success: true,
+        data: submission.notes[submission.notes.length - 1],
+      });
+    } catch (error) {
+      console.error('Error adding submission note:', error);
+      res.status(500).json({ success: false, error: 'Failed to add note' });
+    }
+  }
+);
+
+// Remove a note; only its author or an admin may
+router.delete(
+  '/builder/forms/:id/submissions/:submissionId/notes/:noteId',
+  authenticate,
+  async (req, res) => {
+    try {
+      const form = await findEditableForm(req, res);
+      if (!form) return;
+      const submission = await findFormSubmission(req, res, form);
+      if (!submission) return;
+
+      const note = mongoose.Types.ObjectId.isValid(req.params.noteId)
+        ? submission.notes.id(req.params.noteId)
+        : null;
+      if (!note) {
+        return res
+          .status(404)
+          .json({ success: false, error: 'Note not found' });
+      }
+      if (
+        req.user.role !== 'admin' &&
+        note.author?.toString() !== req.user._id.toString()
+      ) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only the author of a note can remove it',
+        });
+      }
+
+      note.deleteOne();
+      await submission.save();
+
+      res.json({ success: true, message: 'Note removed' });
+    } catch (error) {
+      console.error('Error removing submission note:', error);
+      res.status(500).json({ success: false, error: 'Failed to remove note' });
+    }
+  }
+);
+
+// A submission shown with the fields of the version it was submitted
+// against
+router.get(
+  '/builder/forms/:id/submissions/:submissionId',
+  authenticate,
+  async (req, res) => {
+    try {
+      const form = await findEditableForm(req, res);
+      if (!form) return;
+
+      if (!mongoose.Types.ObjectId.isValid(req.params.submissionId)) {
+        return res
+          .status(400)
+          .json({ success: false, error: 'Invalid submission ID' });
+      }
+      const submission = await FormSubmission.findOne({
+        _id: req.params.submissionId,
+        formId: form._id,
+      });
+      if (!submission) {
+        return res
+          .status(404)
+          .json({ success: false, error: 'Submission not found' });
+      }
+
+      const { fields, missing } = await fieldsByVersion(form, [
+        submission.formVersion,
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          submission,
+          formVersion: submission.formVersion,
+          fields: renderSubmission(
+            submission,
+            fields.get(submission.formVersion || 1)
+          ),
+          ...(missing.length && {
+            warning:
+              'This version was not kept; answers are shown with the current fields',
+          }),
+        },
+      });
+    } catch (error) {
+      console.error('Error fetching submission:', error);
+      res
+        .status(500)
+        .json({ success: false, error: 'Failed to fetch submission' });
+    }
+  }
+);
+
 // Export form data
 router.get('/builder/forms/:id/export', authenticate, async (req, res) => {
   try {
@@ -434,28 +999,44 @@ router.get('/builder/forms/:id/export', authenticate, async (req, res) => {
       });
     }
 
-    // Get submissions if requested
-    let submissions = [];
-    if (req.query.includeSubmissions === 'true') {
-      submissions = await FormSubmission.find({ formId: form._id })
-        .sort({ submittedAt: -1 })
-        .limit(1000)
-        .lean();
+    if (req.query.includeSubmissions !== 'true') {
+      return res.json({
+        success: true,
+        data: {
+          form,
+          submissions: [],
+          exportDate: new Date(),
+          totalSubmissions: 0,
+        },
+      });
     }
 
-    const exportData = {
-      form,
-      submissions,
-      exportDate: new Date(),
-      totalSubmissions: submissions.length,
+    // With submissions the JSON is streamed, so every submission fits
+    const write = async (text) => {
+      if (!res.write(text)) await once(res, 'drain');
     };
-
-    res.json({
-      success: true,
-      data: exportData,
-    });
+    res.type('json');
+    await write(
+      `{"success":true,"data":{"form":${JSON.stringify(
+        form
+      )},"exportDate":${JSON.stringify(new Date())},"submissions":[`
+    );
+    const cursor = FormSubmission.find({
+      formId: form._id,
+      isDraft: { $ne: true },
+    })
+      .sort({ submittedAt: -1 })
+      .lean()
+      .cursor();
+    let total = 0;
+    for await (const submission of cursor) {
+      await write(`${total ? ',' : ''}${JSON.stringify(submission)}`);
+      total += 1;
+    }
+    res.end(`],"totalSubmissions":${total}}}`);
   } catch (error) {
     console.error('Error exporting form:', error);
+    if (res.headersSent) return res.destroy(error);
     res.status(500).json({ success: false, error: 'Failed to export form' });
   }
 });
@@ -488,6 +1069,18 @@ router.post(
 
       const formData = importData.form;
 
+      const logicErrors = [
+        ...logicProblems(formData.fields),
+        ...formulaProblems(formData.fields),
+      ];
+      if (logicErrors.length) {
+        return res.status(400).json({
+          success: false,
+          errors: logicErrors,
+          error: 'Invalid conditional logic or formulas',
+        });
+      }
+
       // Check if form name already exists
       const existingForm = await Form.findOne({ name: formData.name });
       if (existingForm) {
@@ -519,6 +1112,9 @@ router.post(
       newForm.shortcode = `${prefix}${random}`;
 
       await newForm.save();
+      if (newForm.status === 'published') {
+        await publishSnapshot(newForm, { user: req.user });
+      }
 
       res.status(201).json({
         success: true,
@@ -4,6 +4,32 @@ const router = express.Router();
 const Form = require('../models/Form');
 const FormSubmission = require('../models/FormSubmission');
 const { submitPayment } = require('../services/payment-wrapper');
+const { idempotency } = require('../middleware/idempotency');
+const { publishSnapshot } = require('../services/form-versions');
+const { rulesOf, priceOf } = require('../services/form-logic');
+const {
+  calculateFields,
+  priceForm,
+  pricingRecord,
+  hasDynamicPricing,
+} = require('../services/form-pricing');
+const {
+  splitSteps,
+  valueOf,
+  evaluateForm,
+  validateStep,
+  draftData,
+  hashToken,
+  createResumeToken,
+  takeDraftEmailSlot,
+} = require('../services/form-wizard');
+const {
+  evaluateDiscounts,
+  redeemDiscounts,
+  releaseDiscounts,
+  toPaymentDiscountFields,
+} = require('../services/discounts');
+const { postTicketCharge } = require('../services/ledger');
 const TicketPurchase = require('../models/TicketPurchase');
 const { body, validationResult } = require('express-validator');
 const mongoose = require('mongoose');
@@ -14,6 +40,7 @@ const crypto = require('crypto');
 const {
   sendFormPaymentReceiptEmail,
   sendFormOwnerNotificationEmail,
+  sendFormResumeEmail,
 } = require('../utils/email');
 
 // Simple UUID v4 generator (replaces the uuid package)
@@ -180,6 +207,29 @@ router.get('/embed/:id', async (req, res) => {
       }
     }
 
+    // Multi-step forms show one section at a time
+    const steps = form.settings.multiStep ? splitSteps(form.fields) : [];
+    const isWizard = steps.length > 1;
+    const canSaveDraft = isWizard && form.settings.saveAndResume !== false;
+
+    // A resume link opens the form at the draft's step with its answers
+    let resumeDraft = null;
+    if (canSaveDraft && req.query.resume) {
+      const draft = await FormSubmission.findOne({
+        formId: form._id,
+        isDraft: true,
+        'draft.resumeTokenHash': hashToken(req.query.resume),
+        'draft.expiresAt': { $gt: new Date() },
+      });
+      resumeDraft = draft
+        ? {
+            token: req.query.resume,
+            step: clampStep(form, draft.draft.step),
+            values: Object.fromEntries(draft.data),
+          }
+        : { expired: true };
+    }
+
     // Return HTML for iframe
     res.set('Content-Type', 'text/html');
     res.send(`
@@ -231,6 +281,31 @@ router.get('/embed/:id', async (req, res) => {
           .file-item { display: flex; align-items: center; margin-bottom: 5px; }
           .file-name { margin-left: 10px; }
           .remove-file { color: #dc3545; margin-left: 10px; cursor: pointer; }
+          .form-progress { margin-bottom: 20px; }
+          .form-progress-label { font-size: 14px; color: #666; margin-bottom: 6px; }
+          .form-progress-track { height: 6px; background: #eee; border-radius: 3px; overflow: hidden; }
+          .form-progress-bar { 
+            height: 100%; background: ${form.settings.submitButtonStyle.backgroundColor}; 
+            transition: width 0.2s; 
+          }
+          .form-nav { display: flex; gap: 10px; margin-bottom: 10px; }
+          .form-back, .form-next { 
+            flex: 1; padding: 12px 24px; border-radius: 4px; font-size: 16px; cursor: pointer; 
+          }
+          .form-back { background: #fff; color: #333; border: 1px solid #ddd; }
+          .form-next { 
+            background-color: ${form.settings.submitButtonStyle.backgroundColor}; 
+            color: ${form.settings.submitButtonStyle.textColor}; border: none; 
+          }
+          .form-next:disabled { opacity: 0.6; cursor: not-allowed; }
+          .form-save-later { margin-top: 15px; text-align: center; }
+          .form-link-button { background: none; border: none; color: #007bff; cursor: pointer; font-size: 14px; }
+          .form-save-panel { margin-top: 10px; text-align: left; }
+          .form-save-panel .form-next { margin-top: 10px; width: 100%; }
+          .form-calculated { display: block; padding: 10px; background: #f8f9fa; border-radius: 4px; font-weight: 500; }
+          .form-price-breakdown { margin-bottom: 15px; }
+          .form-price-line { display: flex; justify-content: space-between; padding: 4px 0; font-size: 14px; }
+          .form-price-total { border-top: 1px solid #ddd; margin-top: 4px; padding-top: 8px; font-weight: bold; }
         </style>
       </head>
       <body>
@@ -241,14 +316,34 @@ router.get('/embed/:id', async (req, res) => {
           </div>
           
           <form id="dynamic-form" data-form-id="${form._id}">
-            ${generateFormFieldsHTML(form.fields)}
+            ${isWizard ? generateWizardHTML(steps) : generateFormFieldsHTML(form.fields)}
             
             <div class="form-actions">
-              <button type="submit" class="form-submit">
+              ${
+                isWizard
+                  ? `<div class="form-nav">
+                <button type="button" class="form-back" id="form-back" style="display: none;">Back</button>
+                <button type="button" class="form-next" id="form-next">Next</button>
+              </div>`
+                  : ''
+              }
+              <button type="submit" class="form-submit"${isWizard ? ' style="display: none;"' : ''}>
                 ${form.settings.submitText}
               </button>
             </div>
           </form>
+          ${
+            canSaveDraft
+              ? `<div class="form-save-later">
+            <button type="button" class="form-link-button" id="form-save-later">Save and finish later</button>
+            <div class="form-save-panel" id="form-save-panel" style="display: none;">
+              <label class="form-label" for="form-save-email">Email me a link to finish later</label>
+              <input type="email" id="form-save-email" class="form-input" placeholder="you@example.com" />
+              <button type="button" class="form-next" id="form-save-send">Save</button>
+            </div>
+          </div>`
+              : ''
+          }
           
           <div id="form-message" class="form-message" style="display: none;"></div>
         </div>
@@ -397,68 +492,8 @@ router.get('/embed/:id', async (req, res) => {
             }
           }
           
-          // Conditional logic
-          function updateFieldVisibility(fieldId, condition) {
-            const field = document.querySelector(\`[data-field-id="\${fieldId}"]\`);
-            if (field) {
-              field.style.display = condition ? 'block' : 'none';
-              const inputs = field.querySelectorAll('input, select, textarea');
-              inputs.forEach(input => {
-                if (!condition) {
-                  input.disabled = true;
-                  input.required = false;
-                } else {
-                  input.disabled = false;
-                  input.required = input.hasAttribute('data-required');
-                }
-              });
-            }
-          }
-          
-          function checkConditionalLogic(fieldId, dependsOnId) {
-            const field = document.querySelector(\`[data-field-id="\${fieldId}"]\`);
-            if (!field) return;
-            
-            const dependsOnField = document.getElementById(dependsOnId);
-            if (!dependsOnField) return;
-            
-            const condition = field.getAttribute('data-condition');
-            const expectedValue = field.getAttribute('data-value');
-            const shouldShow = field.getAttribute('data-show') === 'true';
-            
-            let currentValue;
-            if (dependsOnField.type === 'checkbox') {
-              currentValue = dependsOnField.checked;
-            } else if (dependsOnField.type === 'radio' && dependsOnField.name) {
-              const selectedRadio = document.querySelector(\`input[name="\${dependsOnField.name}"]:checked\`);
-              currentValue = selectedRadio ? selectedRadio.value : '';
-            } else {
-              currentValue = dependsOnField.value;
-            }
-            
-            let conditionMet = false;
-            
-            switch (condition) {
-              case 'equals':
-                conditionMet = currentValue == expectedValue;
-                break;
-              case 'notEquals':
-                conditionMet = currentValue != expectedValue;
-                break;
-              case 'contains':
-                conditionMet = String(currentValue).includes(String(expectedValue));
-                break;
-              case 'greaterThan':
-                conditionMet = parseFloat(currentValue) > parseFloat(expectedValue);
-                break;
-              case 'lessThan':
-                conditionMet = parseFloat(currentValue) < parseFloat(expectedValue);
-                break;
-            }
-            
-            const shouldDisplay = shouldShow ? conditionMet : !conditionMet;
-            updateFieldVisibility(fieldId, shouldDisplay);
-          }
+          ${generateLogicScript(form)}
+          ${hasDynamicPricing(form) ? generatePricingScript(form) : ''}
           
           // Form submission handler
           document.getElementById('dynamic-form').addEventListener('submit', async function(e) {
@@ -555,6 +590,9 @@ router.get('/embed/:id', async (req, res) => {
               formData.append('referrer', document.referrer);
               formData.append('userEmail', userEmail);
               formData.append('userName', userName);
+              if (window.formWizard && window.formWizard.token) {
+                formData.append('resumeToken', window.formWizard.token);
+              }
               
               // 7. Submit to server
               const response = await fetch('/forms/submit/${form._id}', {
@@ -572,6 +610,9 @@ router.get('/embed/:id', async (req, res) => {
                 // Reset form
                 this.reset();
                 uploadedFiles = {};
+                if (window.formWizard) {
+                  window.formWizard.finish();
+                }
                 
                 // Clear Square instances
                 if (window.squareCardInstance) {
@@ -624,14 +665,13 @@ router.get('/embed/:id', async (req, res) => {
               });
             }
             
-            // Initialize all conditional fields
-            const conditionalFields = document.querySelectorAll('[data-depends-on]');
-            conditionalFields.forEach(field => {
-              const fieldId = field.getAttribute('data-field-id');
-              const dependsOnId = field.getAttribute('data-depends-on');
-              checkConditionalLogic(fieldId, dependsOnId);
-            });
+            // Apply conditional logic now and whenever an answer changes
+            applyFormLogic();
+            const dynamicForm = document.getElementById('dynamic-form');
+            dynamicForm.addEventListener('input', applyFormLogic);
+            dynamicForm.addEventListener('change', applyFormLogic);
           });
+          ${isWizard ? generateWizardScript(form, steps, resumeDraft) : ''}
         </script>
       </body>
       </html>
@@ -642,6 +682,322 @@ router.get('/embed/:id', async (req, res) => {
   }
 });
 
+// ============ MULTI-STEP FORMS AND DRAFTS ============
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// A published form that can be filled in, or null once the error has been
+// sent
+async function findFillableForm(req, res) {
+  const form = await Form.findById(req.params.id);
+  if (!form || form.status !== 'published') {
+    res.status(404).json({ success: false, error: 'Form not available' });
+    return null;
+  }
+
+  if (form.passwordProtected) {
+    const formPassword =
+      req.body?.formPassword ||
+      req.query.formPassword ||
+      req.cookies[`form_${form._id}_password`];
+    if (formPassword !== form.formPassword) {
+      res.status(401).json({
+        success: false,
+        error: 'Invalid form password',
+        requiresPassword: true,
+      });
+      return null;
+    }
+  }
+  return form;
+}
+
+// The draft a resume token belongs to, or null once the error has been sent
+async function findDraft(form, token, res) {
+  const draft = await FormSubmission.findOne({
+    formId: form._id,
+    isDraft: true,
+    'draft.resumeTokenHash': hashToken(token),
+  });
+  if (!draft) {
+    res.status(404).json({ success: false, error: 'Draft not found' });
+    return null;
+  }
+  if (draft.draft.expiresAt && draft.draft.expiresAt < new Date()) {
+    res.status(410).json({
+      success: false,
+      error: 'This draft has expired. Please start the form again.',
+    });
+    return null;
+  }
+  return draft;
+}
+
+// Keep a step number within the form's steps
+function clampStep(form, step) {
+  const last = splitSteps(form.fields).length - 1;
+  return Math.min(Math.max(parseInt(step, 10) || 0, 0), last);
+}
+
+// Send the resume link, at most once a minute per draft and within the
+// hourly limits per sender IP and recipient
+async function emailDraftLink(req, form, draft, email, token) {
+  const sentAt = draft.draft.emailedAt;
+  if (sentAt && Date.now() - sentAt.getTime() < 60 * 1000) {
+    return false;
+  }
+  // Behind the host's proxy req.ip is the proxy, so take the client address
+  // it forwarded; the per-recipient limit holds even if that is made up
+  const ip = req.get('X-Forwarded-For')?.split(',')[0].trim() || req.ip;
+  if (!takeDraftEmailSlot(ip, email)) return false;
+  await sendFormResumeEmail(form, draft, {
+    email,
+    token,
+    totalSteps: splitSteps(form.fields).length,
+  });
+  draft.draft.emailedAt = new Date();
+  draft.userEmail = draft.userEmail || email;
+  return true;
+}
+
+// Check one step of a multi-step form before the next one opens
+router.post('/:id/steps/:step/validate', async (req, res) => {
+  try {
+    const form = await findFillableForm(req, res);
+    if (!form) return;
+
+    const stepIndex = parseInt(req.params.step, 10);
+    const values = req.body.values || {};
+    const { step, errors, nextStep } = validateStep(
+      form.fields,
+      stepIndex,
+      values,
+    );
+    if (!step) {
+      return res.status(404).json({ success: false, error: 'Step not found' });
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        errors,
+        error: 'Validation failed',
+      });
+    }
+
+    // Rules can skip steps, so the next step is not always the one after
+    res.json({
+      success: true,
+      data: {
+        step: stepIndex,
+        nextStep,
+        totalSteps: splitSteps(form.fields).length,
+      },
+    });
+  } catch (error) {
+    console.error('Step validation error:', error);
+    res.status(500).json({ success: false, error: 'Failed to check step' });
+  }
+});
+
+// Save a half-finished form; the resume token is only returned here
+router.post('/:id/drafts', async (req, res) => {
+  try {
+    const form = await findFillableForm(req, res);
+    if (!form) return;
+
+    if (form.settings.saveAndResume === false) {
+      return res.status(400).json({
+        success: false,
+        error: 'This form cannot be saved and finished later',
+      });
+    }
+
+    const { email } = req.body;
+    if (email && !EMAIL_PATTERN.test(email)) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Please enter a valid email address' });
+    }
+
+    const data = draftData(form.fields, req.body.values);
+    const { email: formEmail, name } = extractEmailAndName(form, data, req);
+    const { token, hash, expiresAt } = createResumeToken();
+
+    const draft = new FormSubmission({
+      formId: form._id,
+      formVersion: form.version,
+      data,
+      userEmail: email || formEmail || undefined,
+      userName: name || undefined,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      pageUrl: req.body.pageUrl,
+      status: 'pending',
+      isDraft: true,
+      draft: {
+        step: clampStep(form, req.body.step),
+        resumeTokenHash: hash,
+        expiresAt,
+        lastSavedAt: new Date(),
+      },
+    });
+
+    const emailed = email
+      ? await emailDraftLink(req, form, draft, email, token)
+      : false;
+    await draft.save();
+
+    console.log(`📝 Draft saved for form ${form._id}: ${draft._id}`);
+    res.status(201).json({
+      success: true,
+      message: emailed
+        ? 'Your answers are saved. We emailed you a link to finish later.'
+        : 'Your answers are saved',
+      data: {
+        draftId: draft._id,
+        resumeToken: token,
+        step: draft.draft.step,
+        expiresAt,
+        emailed,
+      },
+    });
+  } catch (error) {
+    console.error('Draft save error:', error);
+    res.status(500).json({ success: false, error: 'Failed to save draft' });
+  }
+});
+
+// Load a draft to carry on with it
+router.get('/:id/drafts/:token', async (req, res) => {
+  try {
+    const form = await findFillableForm(req, res);
+    if (!form) return;
+    const draft = await findDraft(form, req.params.token, res);
+    if (!draft) return;
+
+    res.json({
+      success: true,
+      data: {
+        draftId: draft._id,
+        values: Object.fromEntries(draft.data),
+        step: clampStep(form, draft.draft.step),
+        totalSteps: splitSteps(form.fields).length,
+        expiresAt: draft.draft.expiresAt,
+        lastSavedAt: draft.draft.lastSavedAt,
+      },
+    });
+  } catch (error) {
+    console.error('Draft load error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load draft' });
+  }
+});
+
+// Save more answers to a draft
+router.put('/:id/drafts/:token', async (req, res) => {
+  try {
+    const form = await findFillableForm(req, res);
+    if (!form) return;
+    const draft = await findDraft(form, req.params.token, res);
+    if (!draft) return;
+
+    const data = draftData(form.fields, req.body.values);
+    const { email, name } = extractEmailAndName(form, data, req);
+    draft.data = data;
+    draft.formVersion = form.version;
+    draft.userEmail = email || draft.userEmail;
+    draft.userName = name || draft.userName;
+    draft.draft.step = clampStep(form, req.body.step ?? draft.draft.step);
+    draft.draft.lastSavedAt = new Date();
+    await draft.save();
+
+    res.json({
+      success: true,
+      message: 'Your answers are saved',
+      data: {
+        draftId: draft._id,
+        step: draft.draft.step,
+        expiresAt: draft.draft.expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error('Draft save error:', error);
+    res.status(500).json({ success: false, error: 'Failed to save draft' });
+  }
+});
+
+// Email the link to finish a draft later
+router.post('/:id/drafts/:token/email', async (req, res) => {
+  try {
+    const form = await findFillableForm(req, res);
+    if (!form) return;
+
+    const { email } = req.body;
+    if (!email || !EMAIL_PATTERN.test(email)) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Please enter a valid email address' });
+    }
+
+    const draft = await findDraft(form, req.params.token, res);
+    if (!draft) return;
+
+    const emailed = await emailDraftLink(
+      req,
+      form,
+      draft,
+      email,
+      req.params.token,
+    );
+    if (!emailed) {
+      return res.status(429).json({
+        success: false,
+        error: 'Too many links were sent. Please wait and try again later.',
+      });
+    }
+    await draft.save();
+
+    res.json({ success: true, message: `We emailed a link to ${email}` });
+  } catch (error) {
+    console.error('Draft email error:', error);
+    res.status(500).json({ success: false, error: 'Failed to send the link' });
+  }
+});
+
+// ============ PRICING ============
+
+// The price of a set of answers as it would be charged, for the running
+// total on the form
+router.post('/:id/price', async (req, res) => {
+  try {
+    const form = await findFillableForm(req, res);
+    if (!form) return;
+
+    const priced = priceForm(form, req.body.values || {}, {
+      packageName: req.body.package,
+      quantity: req.body.quantity,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        currency: priced.currency,
+        lines: priced.lines,
+        subtotalCents: priced.subtotalCents,
+        calculated: priced.calculated,
+      },
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_FORM_PRICE') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('Form price error:', error);
+    res
+      .status(500)
+      .json({ success: false, error: 'Failed to work out the price' });
+  }
+});
+
 // Submit form (public endpoint)
 router.post('/:id/submit', upload.any(), async (req, res) => {
   try {
@@ -657,6 +1013,9 @@ router.post('/:id/submit', upload.any(), async (req, res) => {
         .json({ success: false, error: 'Form is not published' });
     }
 
+    // Forms published before versions were kept get theirs stored now
+    await publishSnapshot(form);
+
     // Check password protection
     if (form.passwordProtected) {
       const formPassword =
@@ -673,9 +1032,23 @@ router.post('/:id/submit', upload.any(), async (req, res) => {
     const errors = [];
     const submissionData = {};
 
-    // Collect all form data
+    // The answers as sent, then the form's conditional logic decides which
+    // fields count: hidden fields keep no answer and are never required
+    const sent = {};
     form.fields.forEach((field) => {
       const value = extractFieldValue(req, field);
+      sent[field.id] = value;
+      sent[field.name || field.id] = value;
+    });
+    const logic = evaluateForm(form, sent);
+    // Calculated fields are always worked out here, never taken as sent
+    const calculated = calculateFields(form.fields, logic.values, logic);
+
+    // Collect all form data
+    form.fields.forEach((field) => {
+      const state = logic.fields.get(field.id);
+      let value = state.visible ? (valueOf(field, logic.values) ?? '') : '';
+      if (field.type === 'calculated') value = calculated[field.id] ?? '';
       submissionData[field.id] = value;
       submissionData[field.name || field.id] = value;
 
@@ -697,7 +1070,7 @@ router.post('/:id/submit', upload.any(), async (req, res) => {
       // Validate required fields (skip payment fields)
       if (
         field.type !== 'payment' &&
-        field.required &&
+        state.required &&
         (!value || (typeof value === 'string' && value.trim() === ''))
       ) {
         errors.push(`${field.label} is required`);
@@ -856,8 +1229,8 @@ router.post('/:id/submit', upload.any(), async (req, res) => {
           paymentErrors.push('Please select a valid pricing package');
         }
       } else {
-        // Fixed price (backward compatibility)
-        totalAmount = paymentField.paymentConfig.amount;
+        // Fixed price (backward compatibility), unless a rule changed it
+        totalAmount = priceOf(paymentField, logic);
       }
 
       if (paymentErrors.length > 0) {
@@ -868,12 +1241,45 @@ router.post('/:id/submit', upload.any(), async (req, res) => {
         });
       }
 
+      // Options, adjustments and calculated fields on top of the base price
+      const baseAmount = totalAmount;
+      const priced = priceForm(form, sent, {
+        base: {
+          label: !selectedPackage
+            ? paymentField.label
+            : quantity > 1
+              ? `${selectedPackage.name} × ${quantity}`
+              : selectedPackage.name,
+          amountCents: baseAmount,
+        },
+      });
+      const subtotal = priced.subtotalCents;
+
+      // Apply discounts (promo codes, early bird) to the whole price
+      let pricing;
+      try {
+        pricing = await evaluateDiscounts({
+          program: 'form',
+          items: [{ itemType: 'form', amountCents: subtotal }],
+          formId: form._id,
+          promoCode: req.body.promoCode,
+        });
+      } catch (discountError) {
+        return res.status(400).json({
+          success: false,
+          error: discountError.message,
+        });
+      }
+      totalAmount = pricing.totalCents;
+      submission.pricing = pricingRecord(priced, pricing.discountCents);
+      const discountFields = toPaymentDiscountFields(pricing);
+
       // Add package info to submission data
       submission.data.selectedPackage = selectedPackage?.name;
       submission.data.quantity = quantity;
       submission.data.unitPrice = selectedPackage
         ? selectedPackage.price
-        : paymentField?.paymentConfig?.amount;
+        : baseAmount;
       submission.data.totalAmount = totalAmount;
 
       // Process payment
@@ -885,36 +1291,53 @@ router.post('/:id/submit', upload.any(), async (req, res) => {
           quantity: quantity,
         });
 
-        const paymentResult = await submitPayment(
-          req.body.paymentToken,
-          totalAmount,
-          {
-            parentId: req.user?._id || new mongoose.Types.ObjectId(),
-            buyerEmailAddress:
-              email || req.body.email || 'no-email@example.com',
-            description:
-              selectedPackage?.description ||
-              paymentField.paymentConfig.description ||
-              `Payment for ${form.title}`,
-            currency: paymentField.paymentConfig?.currency || 'USD',
-            metadata: {
-              formId: form._id.toString(),
-              formTitle: form.title,
-              fieldId: paymentField.id,
-              packageName: selectedPackage?.name,
-              quantity: quantity,
-              unitPrice: selectedPackage
-                ? selectedPackage.price
-                : paymentField.paymentConfig?.amount,
-            },
-          },
-        );
+        await redeemDiscounts(pricing);
+
+        // Fully discounted entries are recorded without charging the card;
+        // totalAmount is in cents and submitPayment takes dollars
+        let paymentResult;
+        try {
+          paymentResult =
+            totalAmount === 0
+              ? {
+                  success: true,
+                  payment: {
+                    id: `comp_${crypto.randomUUID()}`,
+                    status: 'COMPLETED',
+                  },
+                }
+              : await submitPayment(req.body.paymentToken, totalAmount / 100, {
+                  parentId: req.user?._id || new mongoose.Types.ObjectId(),
+                  buyerEmailAddress:
+                    email || req.body.email || 'no-email@example.com',
+                  description:
+                    selectedPackage?.description ||
+                    paymentField.paymentConfig.description ||
+                    `Payment for ${form.title}`,
+                  currency: paymentField.paymentConfig?.currency || 'USD',
+                  metadata: {
+                    formId: form._id.toString(),
+                    formTitle: form.title,
+                    fieldId: paymentField.id,
+                    packageName: selectedPackage?.name,
+                    quantity: quantity,
+                    unitPrice:
+                      (selectedPackage ? selectedPackage.price : baseAmount) /
+                      100,
+                  },
+                  discountFields,
+                });
+        } catch (chargeError) {
+          await releaseDiscounts(pricing);
+          throw chargeError;
+        }
 
         console.log('Payment result:', paymentResult);
 
+        // Stored in dollars, like the two-step flow
         submission.payment = {
           id: paymentResult.payment?.squareId || paymentResult.payment?.id,
-          amount: totalAmount,
+          amount: totalAmount / 100,
           currency: paymentField.paymentConfig?.currency || 'USD',
           status: paymentResult.payment?.status || 'completed',
           gateway: 'square',
@@ -922,12 +1345,14 @@ router.post('/:id/submit', upload.any(), async (req, res) => {
             paymentResult.payment?.squareId || paymentResult.payment?.id,
           receiptUrl: paymentResult.payment?.receiptUrl,
           processedAt: new Date(),
+          subtotal: subtotal / 100,
+          discountTotal: discountFields.discountTotal,
+          discounts: discountFields.discounts,
           metadata: {
             packageName: selectedPackage?.name,
             quantity: quantity,
-            unitPrice: selectedPackage
-              ? selectedPackage.price
-              : paymentField.paymentConfig?.amount,
+            unitPrice:
+              (selectedPackage ? selectedPackage.price : baseAmount) / 100,
           },
         };
 
@@ -953,6 +1378,15 @@ router.post('/:id/submit', upload.any(), async (req, res) => {
 
     await submission.save();
 
+    // The draft this submission was finished from is no longer needed
+    if (req.body.resumeToken) {
+      await FormSubmission.deleteOne({
+        formId: form._id,
+        isDraft: true,
+        'draft.resumeTokenHash': hashToken(req.body.resumeToken),
+      });
+    }
+
     // Increment form submission count
     await Form.findByIdAndUpdate(form._id, { $inc: { submissions: 1 } });
 
@@ -997,6 +1431,7 @@ router.post('/:id/submit', upload.any(), async (req, res) => {
 // Process form payment (for two-step flow)
 router.post(
   '/:id/process-payment',
+  idempotency(),
   [
     body('token').notEmpty().withMessage('Payment token is required'),
     body('email').isEmail().withMessage('Valid email is required'),
@@ -1029,6 +1464,7 @@ router.post(
         submissionId,
         selectedPackage,
         quantity = 1,
+        promoCode,
         metadata = {},
       } = req.body;
 
@@ -1059,6 +1495,14 @@ router.post(
         });
       }
 
+      // A saved draft has not been through submit's validation yet
+      if (submission.isDraft) {
+        return res.status(400).json({
+          success: false,
+          error: 'Submit the form before paying',
+        });
+      }
+
       // Verify submission is pending
       if (submission.status !== 'pending') {
         return res.status(400).json({
@@ -1157,10 +1601,24 @@ router.post(
           }
         }
       } else {
-        // Fixed price
-        amount = paymentField.paymentConfig?.amount || 0;
+        // Fixed price, as the rules set it for the submitted answers
+        const logic = evaluateForm(form, Object.fromEntries(submission.data));
+        amount = priceOf(paymentField, logic) || 0;
       }
 
+      // Options, adjustments and calculated fields on top of the base price
+      const priced = priceForm(form, Object.fromEntries(submission.data), {
+        base: {
+          label: !packageInfo
+            ? paymentField.label
+            : finalQuantity > 1
+              ? `${packageInfo.name} × ${finalQuantity}`
+              : packageInfo.name,
+          amountCents: amount,
+        },
+      });
+      amount = priced.subtotalCents;
+
       if (amount <= 0) {
         return res.status(400).json({
           success: false,
@@ -1175,24 +1633,45 @@ router.post(
         quantity: finalQuantity,
       });
 
+      // Apply discounts (promo codes, early bird) to the whole price
+      const subtotal = amount;
+      const pricing = await evaluateDiscounts({
+        program: 'form',
+        items: [{ itemType: 'form', amountCents: subtotal }],
+        formId: form._id,
+        promoCode,
+      });
+      await redeemDiscounts(pricing, { session });
+      amount = pricing.totalCents;
+
       // 5. IMPORTANT: Use the correct function - processFormPayment
       const { processFormPayment } = require('../services/form-payments');
 
-      const paymentResult = await processFormPayment(
-        token,
-        amount, // amount is in cents
-        paymentField.paymentConfig?.currency || 'USD',
-        {
-          formId: form._id.toString(),
-          submissionId: submission._id.toString(),
-          fieldId: paymentField.id,
-          buyerEmail: email,
-          selectedPackage: packageInfo?.name,
-          quantity: finalQuantity,
-          formTitle: form.title,
-          fieldLabel: paymentField.label,
-        },
-      );
+      // Fully discounted entries are recorded without charging the card
+      const paymentResult =
+        amount === 0
+          ? {
+              success: true,
+              payment: {
+                id: `comp_${crypto.randomUUID()}`,
+                status: 'COMPLETED',
+              },
+            }
+          : await processFormPayment(
+              token,
+              amount, // amount is in cents
+              paymentField.paymentConfig?.currency || 'USD',
+              {
+                formId: form._id.toString(),
+                submissionId: submission._id.toString(),
+                fieldId: paymentField.id,
+                buyerEmail: email,
+                selectedPackage: packageInfo?.name,
+                quantity: finalQuantity,
+                formTitle: form.title,
+                fieldLabel: paymentField.label,
+              },
+            );
 
       console.log('Square payment result:', paymentResult);
 
@@ -1218,6 +1697,9 @@ router.post(
         amount: amount / 100, // Store in dollars
         currency: paymentField.paymentConfig?.currency || 'USD',
         status: 'completed',
+        subtotal: subtotal / 100,
+        discountTotal: pricing.discountCents / 100,
+        discounts: toPaymentDiscountFields(pricing).discounts,
         packageName: packageInfo?.name,
         quantity: finalQuantity,
         unitPrice: packageInfo ? packageInfo.price / 100 : amount / 100,
@@ -1228,8 +1710,10 @@ router.post(
       });
 
       await ticketPurchase.save({ session });
+      await postTicketCharge(ticketPurchase, { session });
 
       // 7. Update FormSubmission
+      submission.pricing = pricingRecord(priced, pricing.discountCents);
       submission.payment = {
         id: paymentResult.payment.id,
         amount: amount / 100,
@@ -1239,6 +1723,9 @@ router.post(
         transactionId: paymentResult.payment.id,
         receiptUrl: paymentResult.payment.receiptUrl,
         processedAt: new Date(),
+        subtotal: subtotal / 100,
+        discountTotal: pricing.discountCents / 100,
+        discounts: toPaymentDiscountFields(pricing).discounts,
         metadata: {
           ticketPurchaseId: ticketPurchase._id,
           fieldId: paymentField.id,
@@ -1278,6 +1765,7 @@ router.post(
             receiptUrl: paymentResult.payment.receiptUrl,
             selectedPackage: packageInfo,
             quantity: finalQuantity,
+            pricing: submission.pricing,
             tournamentInfo: form.tournamentSettings,
             venues: form.tournamentSettings?.venues || [],
             formData: submission.data.toObject(),
@@ -1344,6 +1832,8 @@ router.post(
         receiptUrl: paymentResult.payment.receiptUrl,
         submissionId: submission._id,
         amount: amount / 100,
+        subtotal: subtotal / 100,
+        discounts: submission.payment.discounts,
         currency: paymentField.paymentConfig?.currency || 'USD',
         status: 'completed',
         package: packageInfo?.name,
@@ -1427,6 +1917,551 @@ async function sendPaymentConfirmationEmail(form, submission, paymentData) {
   */
 }
 
+// " (+$25.00)" after an option that changes the price, while it applies
+function priceTag(modifier, now = new Date()) {
+  if (!modifier?.amount) return '';
+  if (modifier.activeFrom && now < new Date(modifier.activeFrom)) return '';
+  if (modifier.activeUntil && now >= new Date(modifier.activeUntil)) return '';
+  const sign = modifier.amount < 0 ? '−' : '+';
+  return ` (${sign}$${(Math.abs(modifier.amount) / 100).toFixed(2)})`;
+}
+
+// Client script for the running total. The price is only ever worked out by
+// the server (services/form-pricing.js); the page asks for it as answers
+// change and shows the lines and the results of calculated fields
+function generatePricingScript(form) {
+  const paymentField = form.fields.find((field) => field.type === 'payment');
+  const config = {
+    formId: String(form._id),
+    paymentFieldId: paymentField?.id || null,
+  };
+
+  return `
+          // Running total
+          const pricingConfig = ${JSON.stringify(config)};
+          let priceTimer = null;
+
+          function formatCents(cents, currency) {
+            return (cents < 0 ? '−$' : '$') + (Math.abs(cents) / 100).toFixed(2) + ' ' + currency;
+          }
+
+          function priceRow(label, text, isTotal) {
+            const row = document.createElement('div');
+            row.className = 'form-price-line' + (isTotal ? ' form-price-total' : '');
+            const name = document.createElement('span');
+            name.textContent = label;
+            const amount = document.createElement('span');
+            amount.textContent = text;
+            row.appendChild(name);
+            row.appendChild(amount);
+            return row;
+          }
+
+          async function fetchPrice() {
+            const formEl = document.getElementById('dynamic-form');
+            const values = {};
+            for (const [key, value] of new FormData(formEl).entries()) {
+              if (value instanceof File) continue;
+              values[key] = key in values ? [].concat(values[key], value) : value;
+            }
+            const body = { values: values };
+            if (pricingConfig.paymentFieldId) {
+              const selected = document.querySelector(
+                'input[name="' + CSS.escape(pricingConfig.paymentFieldId) + '_package"]:checked'
+              );
+              if (selected) {
+                const quantity = document.querySelector(
+                  'input[data-package-index="' + selected.id.split('_').pop() + '"]'
+                );
+                body.package = selected.value;
+                body.quantity = quantity ? quantity.value : 1;
+              }
+            }
+
+            try {
+              const response = await fetch('/api/forms/' + pricingConfig.formId + '/price', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+              });
+              const result = await response.json();
+              if (!result.success) return;
+              const price = result.data;
+
+              Object.keys(price.calculated).forEach(function (fieldId) {
+                const output = document.getElementById('calc-' + fieldId);
+                if (!output) return;
+                const value = price.calculated[fieldId];
+                output.textContent = output.dataset.format === 'currency'
+                  ? formatCents(value, price.currency)
+                  : String(value);
+              });
+
+              const breakdown = pricingConfig.paymentFieldId &&
+                document.getElementById('price-breakdown-' + pricingConfig.paymentFieldId);
+              if (breakdown) {
+                breakdown.innerHTML = '';
+                price.lines.forEach(function (line) {
+                  breakdown.appendChild(priceRow(line.label, formatCents(line.amountCents, price.currency)));
+                });
+                if (price.lines.length) {
+                  breakdown.appendChild(priceRow('Total', formatCents(price.subtotalCents, price.currency), true));
+                }
+              }
+            } catch (error) {
+              console.error('Price update failed:', error);
+            }
+          }
+
+          function refreshPrice() {
+            clearTimeout(priceTimer);
+            priceTimer = setTimeout(fetchPrice, 300);
+          }
+
+          ['input', 'change', 'click'].forEach(function (type) {
+            document.getElementById('dynamic-form').addEventListener(type, refreshPrice);
+          });
+          refreshPrice();
+  `;
+}
+
+// Client script for conditional logic: the rules from services/form-logic.js
+// applied as people fill the form in (skipping steps is left to the server,
+// which answers each step check with the step to go to)
+function generateLogicScript(form) {
+  const logicFields = form.fields.map((field) => ({
+    id: field.id,
+    name: field.name || field.id,
+    type: field.type,
+    required: !!field.required,
+    rules: rulesOf(field).filter((rule) => rule.action !== 'skipToPage'),
+    currency: field.paymentConfig?.currency || 'USD',
+  }));
+  // "<" is escaped so rule values cannot end the script tag
+  const logicJson = JSON.stringify(logicFields).replace(/</g, '\\u003c');
+
+  return `
+          // Conditional logic
+          const formLogicFields = ${logicJson};
+
+          function isBlank(value) {
+            return value === undefined || value === null || value === false ||
+              (typeof value === 'string' && value.trim() === '') ||
+              (Array.isArray(value) && value.length === 0);
+          }
+
+          function logicValueOf(field, values) {
+            return values[field.id] !== undefined ? values[field.id] : values[field.name];
+          }
+
+          function fieldInputs(field) {
+            return Array.from(document.querySelectorAll(
+              '#dynamic-form [name="' + CSS.escape(field.name) + '"]'
+            ));
+          }
+
+          // Answers as they stand, keyed by field id and name
+          function currentAnswers() {
+            const values = {};
+            formLogicFields.forEach(function (field) {
+              const inputs = fieldInputs(field);
+              if (!inputs.length || inputs[0].type === 'file') return;
+              let value;
+              if (inputs[0].type === 'radio') {
+                const checked = inputs.find(function (input) { return input.checked; });
+                value = checked ? checked.value : '';
+              } else if (inputs[0].type === 'checkbox') {
+                const checked = inputs.filter(function (input) { return input.checked; })
+                  .map(function (input) { return input.value; });
+                value = inputs.length > 1 ? checked : (checked[0] || '');
+              } else {
+                value = inputs[0].value;
+              }
+              values[field.id] = value;
+              values[field.name] = value;
+            });
+            return values;
+          }
+
+          function conditionHolds(condition, values) {
+            const source = formLogicFields.find(function (f) {
+              return f.id === condition.field || f.name === condition.field;
+            });
+            const current = source ? logicValueOf(source, values) : values[condition.field];
+            const expected = String(condition.value === undefined || condition.value === null ? '' : condition.value);
+            const list = Array.isArray(current) ? current.map(String) : null;
+            const text = String(current === undefined || current === null ? '' : current);
+            switch (condition.operator) {
+              case 'equals': return list ? list.indexOf(expected) !== -1 : text === expected;
+              case 'notEquals': return list ? list.indexOf(expected) === -1 : text !== expected;
+              case 'contains': return list ? list.indexOf(expected) !== -1 : text.indexOf(expected) !== -1;
+              case 'notContains': return list ? list.indexOf(expected) === -1 : text.indexOf(expected) === -1;
+              case 'greaterThan': return parseFloat(current) > parseFloat(condition.value);
+              case 'lessThan': return parseFloat(current) < parseFloat(condition.value);
+              case 'isEmpty': return isBlank(current);
+              case 'isNotEmpty': return !isBlank(current);
+              default: return false;
+            }
+          }
+
+          function combine(match, results) {
+            return match === 'any' ? results.some(Boolean) : results.every(Boolean);
+          }
+
+          function ruleHolds(rule, values) {
+            const groups = (rule.groups || []).filter(function (group) {
+              return group.conditions && group.conditions.length;
+            });
+            if (!groups.length) return true;
+            return combine(rule.match, groups.map(function (group) {
+              return combine(group.match, group.conditions.map(function (condition) {
+                return conditionHolds(condition, values);
+              }));
+            }));
+          }
+
+          // One pass over the rules; hidden fields lose their answer
+          function evaluatePass(sent, current) {
+            const states = {};
+            const values = Object.assign({}, sent);
+            formLogicFields.forEach(function (field) {
+              const held = field.rules.map(function (rule) {
+                return { rule: rule, holds: ruleHolds(rule, current) };
+              });
+              const having = function (action) {
+                return held.filter(function (entry) { return entry.rule.action === action; });
+              };
+              const holding = function (action) {
+                return having(action).filter(function (entry) { return entry.holds; });
+              };
+              const visible = (!having('show').length || holding('show').length > 0) &&
+                !holding('hide').length;
+              const setValue = holding('setValue').pop();
+              const setPrice = holding('setPrice').pop();
+              states[field.id] = {
+                visible: visible,
+                required: visible && (field.required || holding('require').length > 0),
+                value: setValue ? setValue.rule.value : undefined,
+                price: setPrice ? Number(setPrice.rule.price) : undefined
+              };
+              if (!visible) {
+                delete values[field.id];
+                delete values[field.name];
+              } else if (setValue) {
+                values[field.id] = setValue.rule.value;
+                values[field.name] = setValue.rule.value;
+              }
+            });
+            return { values: values, fields: states };
+          }
+
+          function evaluateFormLogic(sent) {
+            let result = evaluatePass(sent, sent);
+            for (let pass = 0; pass < formLogicFields.length; pass++) {
+              const next = evaluatePass(sent, result.values);
+              const settled = JSON.stringify(next.values) === JSON.stringify(result.values);
+              result = next;
+              if (settled) break;
+            }
+            return result;
+          }
+
+          function updateFieldVisibility(field, state) {
+            const fieldDiv = document.querySelector('[data-field-id="' + CSS.escape(field.id) + '"]');
+            if (!fieldDiv) return;
+            fieldDiv.style.display = state.visible ? 'block' : 'none';
+            const inputs = fieldInputs(field);
+            const single = inputs.length === 1 || inputs[0]?.type === 'radio';
+            inputs.forEach(function (input) {
+              input.disabled = !state.visible;
+              input.required = state.visible && state.required && (single || input.type !== 'checkbox');
+            });
+            const label = fieldDiv.querySelector('.form-label');
+            const mark = label && label.querySelector('.required');
+            if (label && state.required && !mark && field.type !== 'payment') {
+              label.insertAdjacentHTML('beforeend', ' <span class="required">*</span>');
+            } else if (mark && !state.required) {
+              mark.remove();
+            }
+          }
+
+          function setFieldValue(field, value) {
+            const wanted = [].concat(value).map(String);
+            fieldInputs(field).forEach(function (input) {
+              if (input.type === 'checkbox' || input.type === 'radio') {
+                input.checked = wanted.indexOf(input.value) !== -1 || (input.type === 'checkbox' && value === true);
+              } else {
+                input.value = value;
+              }
+            });
+          }
+
+          function showPrice(field, price) {
+            const amount = document.querySelector('[data-field-id="' + CSS.escape(field.id) + '"] .form-payment-amount h4');
+            if (!amount) return;
+            if (amount.dataset.basePrice === undefined) amount.dataset.basePrice = amount.textContent;
+            amount.textContent = price === undefined
+              ? amount.dataset.basePrice
+              : '$' + (price / 100).toFixed(2) + ' ' + field.currency;
+          }
+
+          function applyFormLogic() {
+            const result = evaluateFormLogic(currentAnswers());
+            formLogicFields.forEach(function (field) {
+              const state = result.fields[field.id];
+              updateFieldVisibility(field, state);
+              if (state.visible && state.value !== undefined) setFieldValue(field, state.value);
+              if (field.type === 'payment') showPrice(field, state.price);
+            });
+          }
+  `;
+}
+
+// Steps of a multi-step form, one shown at a time under a progress bar
+function generateWizardHTML(steps) {
+  const progress = `
+    <div class="form-progress">
+      <div class="form-progress-label" id="form-progress-label">Step 1 of ${steps.length}</div>
+      <div class="form-progress-track">
+        <div class="form-progress-bar" id="form-progress-bar" style="width: ${100 / steps.length}%;"></div>
+      </div>
+    </div>
+  `;
+
+  return (
+    progress +
+    steps
+      .map(
+        (step, i) => `
+    <div class="form-step" data-step="${i}"${i > 0 ? ' style="display: none;"' : ''}>
+      ${generateFormFieldsHTML([...step.fields])}
+    </div>
+  `,
+      )
+      .join('')
+  );
+}
+
+// Client script for multi-step forms: checks each step on the server before
+// moving on, keeps a draft as the person goes and reopens it from a resume
+// link or from the token kept in the browser
+function generateWizardScript(form, steps, resumeDraft) {
+  const config = {
+    formId: String(form._id),
+    totalSteps: steps.length,
+    titles: steps.map((step) => step.title),
+    saveAndResume: form.settings.saveAndResume !== false,
+    resume: resumeDraft,
+  };
+  // "<" is escaped so saved answers cannot end the script tag
+  const configJson = JSON.stringify(config).replace(/</g, '\\u003c');
+
+  return `
+          // Multi-step form
+          window.formWizard = (function () {
+            const config = ${configJson};
+            const apiBase = '/api/forms/' + config.formId;
+            const storageKey = 'form_' + config.formId + '_draft';
+            const form = document.getElementById('dynamic-form');
+            const stepEls = form.querySelectorAll('.form-step');
+            const backBtn = document.getElementById('form-back');
+            const nextBtn = document.getElementById('form-next');
+            const submitBtn = form.querySelector('button[type="submit"]');
+            const savePanel = document.getElementById('form-save-panel');
+            // history holds the steps visited, since rules can skip some;
+            // finishing is set when the rules end the form early
+            const wizard = { current: 0, token: null, history: [], finishing: false };
+
+            if (config.saveAndResume) {
+              try { wizard.token = localStorage.getItem(storageKey); } catch (e) {}
+            }
+
+            function remember(token) {
+              wizard.token = token;
+              try {
+                if (token) localStorage.setItem(storageKey, token);
+                else localStorage.removeItem(storageKey);
+              } catch (e) {}
+            }
+
+            function showMessage(text, isError) {
+              const messageDiv = document.getElementById('form-message');
+              messageDiv.className = 'form-message ' + (isError ? 'form-error-message' : 'form-success');
+              messageDiv.textContent = text;
+              messageDiv.style.display = 'block';
+            }
+
+            // Answers so far; repeated names (checkbox groups) become arrays
+            function collectValues() {
+              const values = {};
+              for (const [key, value] of new FormData(form).entries()) {
+                if (value instanceof File) continue;
+                values[key] = key in values ? [].concat(values[key], value) : value;
+              }
+              return values;
+            }
+
+            function fillValues(values) {
+              Object.keys(values || {}).forEach(function (name) {
+                const value = values[name];
+                const wanted = [].concat(value).map(String);
+                form.querySelectorAll('[name="' + CSS.escape(name) + '"]').forEach(function (input) {
+                  if (input.type === 'file') return;
+                  if (input.type === 'checkbox' || input.type === 'radio') {
+                    input.checked = wanted.indexOf(input.value) !== -1;
+                  } else {
+                    input.value = Array.isArray(value) ? value[0] : value;
+                  }
+                });
+              });
+              applyFormLogic();
+            }
+
+            function showErrors(errors) {
+              form.querySelectorAll('.form-error').forEach(function (el) { el.textContent = ''; });
+              Object.keys(errors || {}).forEach(function (fieldId) {
+                const el = document.getElementById('error-' + fieldId);
+                if (el) el.textContent = errors[fieldId];
+              });
+            }
+
+            function showStep(index) {
+              wizard.current = Math.max(0, Math.min(index, config.totalSteps - 1));
+              stepEls.forEach(function (el, i) {
+                el.style.display = i === wizard.current ? 'block' : 'none';
+              });
+              const title = config.titles[wizard.current];
+              document.getElementById('form-progress-label').textContent =
+                'Step ' + (wizard.current + 1) + ' of ' + config.totalSteps + (title ? ': ' + title : '');
+              document.getElementById('form-progress-bar').style.width =
+                ((wizard.current + 1) / config.totalSteps) * 100 + '%';
+              const last = wizard.finishing || wizard.current === config.totalSteps - 1;
+              backBtn.style.display = wizard.current > 0 || wizard.finishing ? 'inline-block' : 'none';
+              nextBtn.style.display = last ? 'none' : 'inline-block';
+              submitBtn.style.display = last ? 'block' : 'none';
+              window.scrollTo(0, 0);
+            }
+
+            async function request(method, url, body) {
+              const response = await fetch(apiBase + url, {
+                method: method,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+              });
+              return { ok: response.ok, status: response.status, result: await response.json() };
+            }
+
+            // Save the answers, to the draft already started when there is one
+            async function saveDraft(email) {
+              const body = { values: collectValues(), step: wizard.current, pageUrl: window.location.href };
+              if (wizard.token) {
+                const saved = await request('PUT', '/drafts/' + wizard.token, body);
+                if (saved.ok && email) {
+                  return request('POST', '/drafts/' + wizard.token + '/email', { email: email });
+                }
+                if (saved.status !== 404 && saved.status !== 410) return saved;
+                remember(null);
+              }
+              if (email) body.email = email;
+              const created = await request('POST', '/drafts', body);
+              if (created.ok) remember(created.result.data.resumeToken);
+              return created;
+            }
+
+            nextBtn.addEventListener('click', async function () {
+              nextBtn.disabled = true;
+              try {
+                const checked = await request('POST', '/steps/' + wizard.current + '/validate', { values: collectValues() });
+                if (!checked.ok) {
+                  showErrors(checked.result.errors);
+                  if (!checked.result.errors) showMessage(checked.result.error || 'Please try again.', true);
+                  return;
+                }
+                showErrors({});
+                const nextStep = checked.result.data.nextStep;
+                if (nextStep === null) {
+                  wizard.finishing = true;
+                  showStep(wizard.current);
+                } else {
+                  wizard.history.push(wizard.current);
+                  showStep(nextStep);
+                }
+                if (config.saveAndResume) {
+                  saveDraft().catch(function (error) { console.error('Draft autosave failed:', error); });
+                }
+              } catch (error) {
+                console.error('Step check failed:', error);
+                showMessage('Could not check your answers. Please try again.', true);
+              } finally {
+                nextBtn.disabled = false;
+              }
+            });
+
+            backBtn.addEventListener('click', function () {
+              showErrors({});
+              if (wizard.finishing) {
+                wizard.finishing = false;
+                return showStep(wizard.current);
+              }
+              showStep(wizard.history.length ? wizard.history.pop() : wizard.current - 1);
+            });
+
+            if (savePanel) {
+              document.getElementById('form-save-later').addEventListener('click', function () {
+                savePanel.style.display = 'block';
+              });
+              document.getElementById('form-save-send').addEventListener('click', async function () {
+                const sendBtn = this;
+                sendBtn.disabled = true;
+                try {
+                  const email = document.getElementById('form-save-email').value.trim();
+                  const saved = await saveDraft(email || undefined);
+                  if (saved.ok) {
+                    savePanel.style.display = 'none';
+                    showMessage(saved.result.message || 'Your answers are saved', false);
+                  } else {
+                    showMessage(saved.result.error || 'Could not save your answers', true);
+                  }
+                } catch (error) {
+                  console.error('Draft save failed:', error);
+                  showMessage('Could not save your answers. Please try again.', true);
+                } finally {
+                  sendBtn.disabled = false;
+                }
+              });
+            }
+
+            showStep(0);
+            if (config.resume && config.resume.expired) {
+              showMessage('This link has expired or the form was already sent. Please start again.', true);
+            } else if (config.resume) {
+              remember(config.resume.token);
+              fillValues(config.resume.values);
+              showStep(config.resume.step);
+            } else if (wizard.token) {
+              fetch(apiBase + '/drafts/' + wizard.token)
+                .then(function (response) { return response.ok ? response.json() : null; })
+                .then(function (result) {
+                  if (!result || !result.success) return remember(null);
+                  fillValues(result.data.values);
+                  showStep(result.data.step);
+                })
+                .catch(function (error) { console.error('Draft load failed:', error); });
+            }
+
+            return {
+              get token() { return wizard.token; },
+              finish: function () {
+                remember(null);
+                wizard.history = [];
+                wizard.finishing = false;
+                showStep(0);
+              }
+            };
+          })();
+  `;
+}
+
 // Helper functions for form generation
 function generateFormFieldsHTML(fields) {
   let html = '';
@@ -1529,7 +2564,7 @@ function generateFormFieldsHTML(fields) {
                 .map(
                   (option) => `
                 <option value="${option.value}" ${option.selected ? 'selected' : ''}>
-                  ${option.label}
+                  ${option.label}${priceTag(option.priceModifier)}
                 </option>
               `,
                 )
@@ -1561,7 +2596,7 @@ function generateFormFieldsHTML(fields) {
                   ${field.required ? 'required data-required="true"' : ''}
                 />
                 <label for="${field.id}-${option.value}">
-                  ${option.label}
+                  ${option.label}${priceTag(option.priceModifier)}
                 </label>
               </div>
             `,
@@ -1574,6 +2609,37 @@ function generateFormFieldsHTML(fields) {
           break;
 
         case 'checkbox':
+          if (field.options?.length) {
+            html += `
+          <div class="form-field" data-field-id="${field.id}">
+            <label class="form-label">
+              ${field.label} ${requiredMark}
+            </label>
+            ${field.options
+              .map(
+                (option) => `
+              <div class="form-option">
+                <input 
+                  type="checkbox" 
+                  name="${field.name || field.id}" 
+                  id="${field.id}-${option.value}"
+                  value="${option.value}"
+                  class="form-checkbox"
+                  ${option.selected ? 'checked' : ''}
+                />
+                <label for="${field.id}-${option.value}">
+                  ${option.label}${priceTag(option.priceModifier)}
+                </label>
+              </div>
+            `,
+              )
+              .join('')}
+            ${helpText}
+            <div class="form-error" id="error-${field.id}"></div>
+          </div>
+        `;
+            break;
+          }
           html += `
           <div class="form-field" data-field-id="${field.id}">
             <div class="form-option">
@@ -1587,7 +2653,7 @@ function generateFormFieldsHTML(fields) {
                 ${field.required ? 'required data-required="true"' : ''}
               />
               <label for="${field.id}" class="form-label">
-                ${field.label} ${requiredMark}
+                ${field.label}${priceTag(field.priceModifier)} ${requiredMark}
               </label>
             </div>
             ${helpText}
@@ -1596,6 +2662,16 @@ function generateFormFieldsHTML(fields) {
         `;
           break;
 
+        case 'calculated':
+          html += `
+          <div class="form-field" data-field-id="${field.id}">
+            <label class="form-label">${field.label}</label>
+            <output class="form-calculated" id="calc-${field.id}" data-format="${field.calculation?.format || 'number'}">—</output>
+            ${helpText}
+          </div>
+        `;
+          break;
+
         case 'date':
         case 'time':
         case 'datetime-local':
@@ -1753,6 +2829,9 @@ function generateFormFieldsHTML(fields) {
     `
     }
     
+    <!-- Everything that makes up the price, filled in by the server -->
+    <div class="form-price-breakdown" id="price-breakdown-${field.id}"></div>
+    
     <!-- Container for Square's payment iframe -->
     <div id="sq-card-container-${field.id}"></div>
     <!-- Hidden input to store the payment token -->
@@ -3,15 +3,18 @@ const express = require('express');
 const router = express.Router();
 const Form = require('../models/Form');
 const FormSubmission = require('../models/FormSubmission');
+const FormVersion = require('../models/FormVersion');
 const { authenticate } = require('../utils/auth');
-const { submitPayment } = require('../services/payment-wrapper');
+const {
+  snapshotOf,
+  publishSnapshot,
+  fieldsByVersion,
+  renderSubmission,
+} = require('../services/form-versions');
+const { logicProblems } = require('../services/form-logic');
+const { formulaProblems } = require('../services/form-pricing');
 const { body, validationResult } = require('express-validator');
 const mongoose = require('mongoose');
-const crypto = require('crypto');
-const {
-  sendFormPaymentReceiptEmail,
-  sendFormOwnerNotificationEmail,
-} = require('../utils/email');
 
 // Form validation middleware
 const validateForm = [
@@ -35,6 +38,7 @@ const validateForm = [
       'file',
       'heading',
       'divider',
+      'calculated',
     ])
     .withMessage('Invalid field type'),
   body('fields.*.label').notEmpty().withMessage('Field label is required'),
@@ -49,6 +53,15 @@ const validateForm = [
       }
       return true;
     }),
+  body('fields').custom((fields) => {
+    const problems = [...logicProblems(fields), ...formulaProblems(fields)];
+    if (problems.length) {
+      throw new Error(
+        `Invalid conditional logic or formulas: ${problems.join('; ')}`,
+      );
+    }
+    return true;
+  }),
 ];
 
 // ========== FORM SUBMISSION WITH PAYMENT ==========
@@ -109,6 +122,9 @@ router.post('/:id/submit', async (req, res) => {
       });
     }
 
+    // Forms published before versions were kept get theirs stored now
+    await publishSnapshot(form);
+
     console.log('=== FORM SUBMISSION DEBUG ===');
     console.log('Form:', form.title);
     console.log('Form ID:', form._id);
@@ -500,617 +516,20 @@ async function sendConfirmationEmail(form, submission) {
   await sendFormSubmissionConfirmation(form, submission);
 }
 
-async function sendPaymentConfirmationEmail(form, submission, paymentData) {
-  // This function should be implemented in your email service
-  console.log(
-    'Would send payment confirmation email to:',
-    submission.userEmail,
-  );
-  console.log('Payment amount:', paymentData.amount, paymentData.currency);
-  console.log('Transaction ID:', paymentData.transactionId);
-
-  // Example implementation:
-  /*
-  const emailData = {
-    to: submission.userEmail,
-    subject: `Payment Confirmation - ${form.title}`,
-    html: `
-      <h2>Payment Confirmation</h2>
-      <p>Your payment has been successfully processed.</p>
-      <p><strong>Form:</strong> ${form.title}</p>
-      <p><strong>Amount:</strong> ${paymentData.amount} ${paymentData.currency}</p>
-      <p><strong>Transaction ID:</strong> ${paymentData.transactionId}</p>
-      <p><strong>Date:</strong> ${new Date().toLocaleString()}</p>
-      ${paymentData.receiptUrl ? `<p><a href="${paymentData.receiptUrl}">Download Receipt</a></p>` : ''}
-      ${paymentData.package ? `<p><strong>Package:</strong> ${paymentData.package.name} (Quantity: ${paymentData.package.quantity})</p>` : ''}
-      <h3>Your Submission Details:</h3>
-      <pre>${JSON.stringify(submission.data, null, 2)}</pre>
-    `,
-  };
-  
-  await sendEmail(emailData);
-  */
-}
-
 // ========== PAYMENT PROCESSING ENDPOINT ==========
 
-// Process form payment separately (for direct payment processing)
-router.post(
-  '/:id/process-payment',
-  [
-    body('token').notEmpty().withMessage('Payment token is required'),
-    body('email').isEmail().withMessage('Valid email is required'),
-    body('cardDetails').isObject().withMessage('Card details are required'),
-    body('cardDetails.last_4')
-      .optional()
-      .isLength({ min: 4, max: 4 })
-      .withMessage('Invalid card last 4 digits'),
-    body('submissionId').notEmpty().withMessage('Submission ID is required'),
-    body('selectedPackage').optional(),
-    body('quantity').optional().isInt({ min: 1 }),
-  ],
-  async (req, res) => {
-    const session = await mongoose.startSession();
-    session.startTransaction();
-
-    try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          errors: errors.array(),
-        });
-      }
-
-      const {
-        token,
-        email,
-        cardDetails,
-        submissionId,
-        selectedPackage,
-        quantity = 1,
-        metadata = {},
-      } = req.body;
-
-      const form = await Form.findById(req.params.id).session(session);
-      if (!form) {
-        return res.status(404).json({
-          success: false,
-          error: 'Form not found',
-        });
-      }
-
-      // Find the submission
-      const submission =
-        await FormSubmission.findById(submissionId).session(session);
-      if (!submission) {
-        return res.status(404).json({
-          success: false,
-          error: 'Submission not found',
-        });
-      }
-
-      // Verify submission belongs to this form
-      if (submission.formId.toString() !== form._id.toString()) {
-        return res.status(400).json({
-          success: false,
-          error: 'Submission does not belong to this form',
-        });
-      }
-
-      // Verify submission is in pending payment state
-      if (submission.status !== 'pending_payment') {
-        return res.status(400).json({
-          success: false,
-          error: `Submission is not in pending payment state. Current status: ${submission.status}`,
-        });
-      }
-
-      // Find the payment field (get the first one if multiple exist)
-      const paymentField = form.fields.find((f) => f.type === 'payment');
-      if (!paymentField) {
-        return res.status(400).json({
-          success: false,
-          error: 'Payment field not found',
-        });
-      }
-
-      console.log('Processing form payment:', {
-        formId: form._id,
-        formTitle: form.title,
-        submissionId: submission._id,
-        fieldId: paymentField.id,
-        fieldLabel: paymentField.label,
-        email: email.substring(0, 5) + '...',
-      });
-
-      // Calculate amount based on pricing packages or fixed price
-      let amount = 0;
-      let packageInfo = null;
-      let finalQuantity = parseInt(quantity) || 1;
-
-      if (paymentField.paymentConfig?.pricingPackages?.length > 0) {
-        // Pricing packages available
-        if (selectedPackage) {
-          // Use selected package
-          const selectedPkg = paymentField.paymentConfig.pricingPackages.find(
-            (pkg) => pkg.name === selectedPackage,
-          );
-
-          if (!selectedPkg) {
-            return res.status(400).json({
-              success: false,
-              error: 'Invalid package selected',
-            });
-          }
-
-          packageInfo = {
-            name: selectedPkg.name,
-            description: selectedPkg.description,
-            price: selectedPkg.price,
-            quantity: finalQuantity,
-            maxQuantity: selectedPkg.maxQuantity,
-          };
-
-          // Validate quantity
-          if (
-            selectedPkg.maxQuantity &&
-            finalQuantity > selectedPkg.maxQuantity
-          ) {
-            return res.status(400).json({
-              success: false,
-              error: `Maximum quantity for this package is ${selectedPkg.maxQuantity}`,
-            });
-          }
-
-          amount = selectedPkg.price * finalQuantity;
-        } else {
-          // Use default selected package
-          const defaultPkg =
-            paymentField.paymentConfig.pricingPackages.find(
-              (pkg) => pkg.defaultSelected && pkg.isEnabled,
-            ) ||
-            paymentField.paymentConfig.pricingPackages.find(
-              (pkg) => pkg.isEnabled,
-            );
-
-          if (defaultPkg) {
-            packageInfo = {
-              name: defaultPkg.name,
-              description: defaultPkg.description,
-              price: defaultPkg.price,
-              quantity: finalQuantity,
-              maxQuantity: defaultPkg.maxQuantity,
-            };
-
-            if (
-              defaultPkg.maxQuantity &&
-              finalQuantity > defaultPkg.maxQuantity
-            ) {
-              finalQuantity = defaultPkg.maxQuantity;
-            }
-
-            amount = defaultPkg.price * finalQuantity;
-          } else {
-            return res.status(400).json({
-              success: false,
-              error: 'No valid pricing package available',
-            });
-          }
-        }
-      } else {
-        // Fixed price
-        amount = paymentField.paymentConfig?.amount || 0;
-      }
-
-      if (amount <= 0) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid payment amount',
-        });
-      }
-
-      console.log('Payment amount calculated:', {
-        amount: amount,
-        amountInDollars: amount / 100,
-        package: packageInfo?.name,
-        quantity: finalQuantity,
-      });
-
-      // Process payment with Square
-      const paymentResult = await submitPayment(token, amount, {
-        buyerEmailAddress: email,
-        cardDetails: cardDetails || {
-          last_4: '0000',
-          card_brand: 'unknown',
-          exp_month: '01',
-          exp_year: '30',
-        },
-        metadata: {
-          formId: form._id,
-          formTitle: form.title,
-          fieldId: paymentField.id,
-          fieldLabel: paymentField.label,
-          submissionId: submission._id,
-          selectedPackage: packageInfo?.name,
-          quantity: finalQuantity,
-        },
-      });
-
-      // Update submission with payment data
-      const paymentData = {
-        paymentId: paymentResult.payment?.squareId || paymentResult.payment?.id,
-        amount: amount / 100,
-        currency: paymentField.paymentConfig?.currency || 'USD',
-        status: 'completed',
-        squarePaymentId:
-          paymentResult.payment?.squareId || paymentResult.payment?.id,
-        receiptUrl: paymentResult.payment?.receiptUrl,
-        cardLast4: cardDetails?.last_4 || '0000',
-        cardBrand: cardDetails?.card_brand || 'unknown',
-        timestamp: new Date(),
-      };
-
-      // Update submission data Map with payment info
-      if (packageInfo) {
-        submission.data.set('selectedPackage', packageInfo.name);
-        submission.data.set('quantity', finalQuantity);
-        paymentData.package = packageInfo.name;
-        paymentData.quantity = finalQuantity;
-      }
-
-      submission.data.set(paymentField.name || paymentField.id, paymentData);
-
-      // Update submission payment object
-      submission.payment = {
-        id: paymentResult.payment?.squareId || paymentResult.payment?.id,
-        amount: amount / 100,
-        currency: paymentField.paymentConfig?.currency || 'USD',
-        status: 'completed',
-        gateway: 'square',
-        transactionId:
-          paymentResult.payment?.squareId || paymentResult.payment?.id,
-        receiptUrl: paymentResult.payment?.receiptUrl,
-        processedAt: new Date(),
-        metadata: {
-          fieldId: paymentField.id,
-          fieldName: paymentField.name,
-          cardLast4: cardDetails?.last_4 || '0000',
-          cardBrand: cardDetails?.card_brand || 'unknown',
-          selectedPackage: packageInfo,
-        },
-      };
-
-      submission.status = 'completed';
-      submission.completedAt = new Date();
-
-      await submission.save({ session });
-
-      // Send payment confirmation email
-      if (email && paymentResult) {
-        try {
-          // Prepare the data for the receipt email
-          const formData = {
-            formTitle: form.title,
-            userName: submission.userName || submission.data.get('name') || '',
-            userEmail: email,
-            amount: amount / 100,
-            currency: paymentField.paymentConfig?.currency || 'USD',
-            transactionId:
-              paymentResult.payment?.squareId || paymentResult.payment?.id,
-            receiptUrl: paymentResult.payment?.receiptUrl,
-            selectedPackage: packageInfo,
-            quantity: finalQuantity,
-            tournamentInfo: form.tournamentSettings,
-            venues: form.tournamentSettings?.venues || [],
-            formData: submission.data.toObject(),
-          };
-
-          const submissionData = {
-            submissionId: submission._id,
-            submittedAt: submission.createdAt,
-            cardLast4: cardDetails?.last_4 || '0000',
-            cardBrand: cardDetails?.card_brand || 'unknown',
-            paymentStatus: 'completed',
-          };
-
-          // Use the new form payment receipt email function
-          await sendFormPaymentReceiptEmail(formData, submissionData);
-
-          // Also send notification to form owner(s) if they have email notifications enabled
-          if (form.settings?.sendEmail && form.settings?.emailTo?.length > 0) {
-            const ownerEmails = form.settings.emailTo.filter(
-              (email) => typeof email === 'string' && email.includes('@'),
-            );
-
-            if (ownerEmails.length > 0) {
-              try {
-                const paymentDetails = packageInfo
-                  ? `${packageInfo.name} (Quantity: ${finalQuantity})`
-                  : 'Fixed price';
-
-                // Send to each form owner email using the new helper function
-                for (const ownerEmail of ownerEmails) {
-                  await sendFormOwnerNotificationEmail({
-                    to: ownerEmail,
-                    formTitle: form.title,
-                    customerName: submission.userName || 'N/A',
-                    customerEmail: email,
-                    amount: amount / 100,
-                    currency: paymentField.paymentConfig?.currency || 'USD',
-                    transactionId:
-                      paymentResult.payment?.squareId ||
-                      paymentResult.payment?.id,
-                    submissionId: submission._id,
-                    paymentDetails,
-                    tournamentInfo: form.tournamentSettings,
-                  });
-                }
-              } catch (ownerEmailError) {
-                console.error(
-                  'Error sending owner notification email:',
-                  ownerEmailError,
-                );
-              }
-            }
-          }
-        } catch (emailError) {
-          console.error('Error sending payment receipt email:', emailError);
-          // Don't fail the payment if email fails - just log the error
-        }
-      }
-
-      await session.commitTransaction();
-
-      res.json({
-        success: true,
-        paymentId: paymentResult.payment?.squareId || paymentResult.payment?.id,
-        squarePaymentId:
-          paymentResult.payment?.squareId || paymentResult.payment?.id,
-        receiptUrl: paymentResult.payment?.receiptUrl,
-        submissionId: submission._id,
-        amount: amount / 100,
-        currency: paymentField.paymentConfig?.currency || 'USD',
-        status: 'completed',
-        package: packageInfo,
-        message: 'Payment processed successfully',
-      });
-    } catch (err) {
-      await session.abortTransaction();
-      console.error('Payment processing error:', err);
-      res.status(400).json({
-        success: false,
-        error: err.message || 'Payment processing failed',
-      });
-    } finally {
-      session.endSession();
-    }
-  },
-);
-
-// Keep the generic process-payment endpoint for backwards compatibility
-router.post('/process-payment', async (req, res) => {
-  const session = await mongoose.startSession();
-  session.startTransaction();
-
-  try {
-    const { token, fieldId, email, amount, cardDetails, formId, submissionId } =
-      req.body;
-
-    // Validate required fields
-    if (!token || !amount || !email || !formId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required payment fields',
-      });
-    }
-
-    // Get form to validate
-    const form = await Form.findById(formId).session(session);
-    if (!form) {
-      return res.status(404).json({
-        success: false,
-        error: 'Form not found',
-      });
-    }
-
-    // Find payment field
-    const paymentField = form.fields.find((f) =>
-      fieldId ? f.id === fieldId && f.type === 'payment' : f.type === 'payment',
-    );
-    if (!paymentField) {
-      return res.status(400).json({
-        success: false,
-        error: 'Payment field not found',
-      });
-    }
-
-    let submission;
-    let paymentResult;
-
-    if (submissionId) {
-      // Update existing submission (new multi-step flow)
-      submission = await FormSubmission.findById(submissionId).session(session);
-      if (!submission) {
-        return res.status(404).json({
-          success: false,
-          error: 'Submission not found',
-        });
-      }
-
-      // Verify submission belongs to this form
-      if (submission.formId.toString() !== form._id.toString()) {
-        return res.status(400).json({
-          success: false,
-          error: 'Submission does not belong to this form',
-        });
-      }
-
-      paymentResult = await submitPayment(token, amount, {
-        buyerEmailAddress: email,
-        cardDetails: cardDetails || {
-          last_4: '0000',
-          card_brand: 'unknown',
-          exp_month: '01',
-          exp_year: '30',
-        },
-        metadata: {
-          formId: form._id,
-          formTitle: form.title,
-          fieldId: paymentField.id,
-          fieldLabel: paymentField.label,
-          submissionId: submission._id,
-        },
-      });
-
-      // Update submission with payment data
-      const paymentData = {
-        paymentId: paymentResult.payment?.squareId || paymentResult.payment?.id,
-        amount: amount / 100,
-        currency: paymentField.paymentConfig?.currency || 'USD',
-        status: 'completed',
-        squarePaymentId:
-          paymentResult.payment?.squareId || paymentResult.payment?.id,
-        receiptUrl: paymentResult.payment?.receiptUrl,
-        cardLast4: cardDetails?.last_4 || '0000',
-        cardBrand: cardDetails?.card_brand || 'unknown',
-        timestamp: new Date(),
-      };
-
-      submission.data.set(paymentField.name || paymentField.id, paymentData);
-
-      submission.payment = {
-        id: paymentResult.payment?.squareId || paymentResult.payment?.id,
-        amount: amount / 100,
-        currency: paymentField.paymentConfig?.currency || 'USD',
-        status: 'completed',
-        gateway: 'square',
-        transactionId:
-          paymentResult.payment?.squareId || paymentResult.payment?.id,
-        receiptUrl: paymentResult.payment?.receiptUrl,
-        processedAt: new Date(),
-        metadata: {
-          fieldId: paymentField.id,
-          fieldName: paymentField.name,
-          cardLast4: cardDetails?.last_4 || '0000',
-          cardBrand: cardDetails?.card_brand || 'unknown',
-        },
-      };
-
-      submission.status = 'completed';
-      submission.completedAt = new Date();
-
-      await submission.save({ session });
-    } else {
-      // Create new submission with just payment (legacy flow)
-      paymentResult = await submitPayment(token, amount, {
-        buyerEmailAddress: email,
-        cardDetails: cardDetails || {
-          last_4: '0000',
-          card_brand: 'unknown',
-          exp_month: '01',
-          exp_year: '30',
-        },
-        metadata: {
-          formId: form._id,
-          formTitle: form.title,
-          fieldId: paymentField.id,
-          fieldLabel: paymentField.label,
-        },
-      });
-
-      submission = new FormSubmission({
-        formId: form._id,
-        formVersion: form.version || 1,
-        data: {
-          [paymentField.name || paymentField.id]: {
-            paymentId:
-              paymentResult.payment?.squareId || paymentResult.payment?.id,
-            amount: amount / 100,
-            currency: paymentField.paymentConfig?.currency || 'USD',
-            status: 'completed',
-            squarePaymentId:
-              paymentResult.payment?.squareId || paymentResult.payment?.id,
-            receiptUrl: paymentResult.payment?.receiptUrl,
-            cardLast4: cardDetails?.last_4 || '0000',
-            cardBrand: cardDetails?.card_brand || 'unknown',
-            timestamp: new Date(),
-          },
-        },
-        payment: {
-          id: paymentResult.payment?.squareId || paymentResult.payment?.id,
-          amount: amount / 100,
-          currency: paymentField.paymentConfig?.currency || 'USD',
-          status: 'completed',
-          gateway: 'square',
-          transactionId:
-            paymentResult.payment?.squareId || paymentResult.payment?.id,
-          receiptUrl: paymentResult.payment?.receiptUrl,
-          processedAt: new Date(),
-          metadata: {
-            fieldId: paymentField.id,
-            fieldName: paymentField.name,
-            cardLast4: cardDetails?.last_4 || '0000',
-            cardBrand: cardDetails?.card_brand || 'unknown',
-          },
-        },
-        userEmail: email,
-        ipAddress:
-          req.ip ||
-          req.headers['x-forwarded-for'] ||
-          req.connection.remoteAddress,
-        userAgent: req.headers['user-agent'],
-        referrer: req.headers['referer'] || req.headers['referrer'],
-        metadata: req.body.metadata || {},
-        status: 'completed',
-        completedAt: new Date(),
-      });
-
-      await submission.save({ session });
-
-      // Update form submission count
-      form.submissions = (form.submissions || 0) + 1;
-      await form.save({ session });
-    }
-
-    // Send payment confirmation email
-    if (email && paymentResult) {
-      try {
-        await sendPaymentConfirmationEmail(form, submission, {
-          amount: amount / 100,
-          currency: paymentField.paymentConfig?.currency || 'USD',
-          transactionId:
-            paymentResult.payment?.squareId || paymentResult.payment?.id,
-          receiptUrl: paymentResult.payment?.receiptUrl,
-        });
-      } catch (emailError) {
-        console.error('Error sending payment confirmation email:', emailError);
-      }
-    }
-
-    await session.commitTransaction();
-
-    res.json({
-      success: true,
-      paymentId: paymentResult.payment?.squareId || paymentResult.payment?.id,
-      squarePaymentId:
-        paymentResult.payment?.squareId || paymentResult.payment?.id,
-      receiptUrl: paymentResult.payment?.receiptUrl,
-      submissionId: submission._id,
-      amount: amount / 100,
-      status: 'completed',
-      message: 'Payment processed successfully',
-    });
-  } catch (err) {
-    await session.abortTransaction();
-    console.error('Payment processing error:', err);
-    res.status(400).json({
-      success: false,
-      error: err.message || 'Payment processing failed',
-    });
-  } finally {
-    session.endSession();
-  }
+// Two-step form payments are taken by /api/forms/:id/process-payment in
+// formPublic.js, which is mounted ahead of these routes.
+
+// Form payments are priced on the server by /api/forms/:id/submit and
+// /api/forms/:id/process-payment. This endpoint charged whatever amount the
+// page sent, so it is no longer served.
+router.post('/process-payment', (req, res) => {
+  res.status(410).json({
+    success: false,
+    error:
+      'This endpoint has been retired. Use /api/forms/:id/submit or /api/forms/:id/process-payment instead.',
+  });
 });
 
 // ========== EXISTING ROUTES (keep these as they are) ==========
@@ -1228,11 +647,10 @@ router.put('/:id', authenticate, validateForm, async (req, res) => {
   }
 
   try {
-    const form = await Form.findOneAndUpdate(
-      { _id: req.params.id, createdBy: req.user.id },
-      req.body,
-      { new: true, runValidators: true },
-    );
+    const form = await Form.findOne({
+      _id: req.params.id,
+      createdBy: req.user.id,
+    });
 
     if (!form) {
       return res.status(404).json({
@@ -1241,6 +659,28 @@ router.put('/:id', authenticate, validateForm, async (req, res) => {
       });
     }
 
+    const before = JSON.stringify(snapshotOf(form));
+
+    // The version number is ours to set
+    Object.keys(req.body).forEach((key) => {
+      if (!['_id', 'createdAt', 'createdBy', 'version'].includes(key)) {
+        form[key] = req.body[key];
+      }
+    });
+
+    // Any change to what the form shows makes a new version
+    if (JSON.stringify(snapshotOf(form)) !== before) {
+      form.version = (form.version || 1) + 1;
+    }
+
+    form.updatedBy = req.user._id;
+    await form.save();
+
+    // Published versions are stored so earlier submissions still render
+    if (form.status === 'published') {
+      await publishSnapshot(form, { user: req.user });
+    }
+
     res.json({
       success: true,
       data: form,
@@ -1270,6 +710,7 @@ router.delete('/:id', authenticate, async (req, res) => {
     }
 
     await FormSubmission.deleteMany({ formId: req.params.id });
+    await FormVersion.deleteMany({ form: form._id });
 
     res.json({
       success: true,
@@ -1296,7 +737,8 @@ router.get('/:id/submissions', authenticate, async (req, res) => {
       sort = '-submittedAt',
     } = req.query;
 
-    const query = { formId: req.params.id };
+    // Unfinished drafts are not submissions yet
+    const query = { formId: req.params.id, isDraft: { $ne: true } };
 
     // Date range filter
     if (from || to) {
@@ -1323,6 +765,21 @@ router.get('/:id/submissions', authenticate, async (req, res) => {
 
     const total = await FormSubmission.countDocuments(query);
 
+    // Answers laid out by the fields of the version each was submitted to
+    const form = await Form.findById(req.params.id).select('fields').lean();
+    if (form) {
+      const { fields } = await fieldsByVersion(
+        form,
+        submissions.map((submission) => submission.formVersion),
+      );
+      submissions.forEach((submission) => {
+        submission.fields = renderSubmission(
+          submission,
+          fields.get(submission.formVersion || 1),
+        );
+      });
+    }
+
     res.json({
       success: true,
       data: submissions,
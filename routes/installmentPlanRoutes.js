@@ -0,0 +1,538 @@
+// routes/installmentPlanRoutes.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const InstallmentPlan = require('../models/InstallmentPlan');
+const Parent = require('../models/Parent');
+const PaymentServiceFactory = require('../services/payment-service-factory');
+const { authenticate, isAdmin } = require('../utils/auth');
+const {
+  buildInstallmentSchedule,
+  refreshPlanTotals,
+  reschedulePlan,
+  saveCardForPlan,
+  chargeInstallment,
+} = require('../services/installment-plans');
+
+const PAYMENT_SYSTEMS = ['square', 'clover', 'stripe', 'fake'];
+const FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+
+function paginate(query) {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 50, 1), 500);
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+function sendValidationErrors(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, errors: errors.array() });
+  return true;
+}
+
+// Load :id and make sure the caller is an admin or the plan's parent
+async function loadPlan(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, error: 'Invalid plan ID' });
+    return null;
+  }
+
+  const plan = await InstallmentPlan.findById(req.params.id);
+  if (!plan) {
+    res
+      .status(404)
+      .json({ success: false, error: 'Installment plan not found' });
+    return null;
+  }
+
+  if (
+    req.user.role !== 'admin' &&
+    String(plan.parentId) !== String(req.user._id)
+  ) {
+    res.status(403).json({ success: false, error: 'Unauthorized' });
+    return null;
+  }
+
+  return plan;
+}
+
+// The signed-in parent's plans
+router.get('/mine', authenticate, async (req, res) => {
+  try {
+    const plans = await InstallmentPlan.find({ parentId: req.user._id })
+      .sort({ createdAt: -1 })
+      .populate('playerIds', 'fullName')
+      .lean();
+
+    res.json({ success: true, plans });
+  } catch (error) {
+    console.error('Error fetching installment plans:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch installment plans',
+    });
+  }
+});
+
+// List plans (admin)
+router.get('/', authenticate, isAdmin, async (req, res) => {
+  try {
+    const { status, parentId, season, year } = req.query;
+    const { page, limit, skip } = paginate(req.query);
+
+    const query = {};
+    if (status) query.status = status;
+    if (season) query.season = season;
+    if (year) query.year = parseInt(year);
+    if (parentId) {
+      if (!mongoose.Types.ObjectId.isValid(parentId)) {
+        return res
+          .status(400)
+          .json({ success: false, error: 'Invalid parent ID' });
+      }
+      query.parentId = parentId;
+    }
+
+    const [plans, total] = await Promise.all([
+      InstallmentPlan.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('parentId', 'fullName email')
+        .populate('playerIds', 'fullName')
+        .lean(),
+      InstallmentPlan.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      plans,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    console.error('Error fetching installment plans:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch installment plans',
+    });
+  }
+});
+
+// Create a plan for a family (admin)
+router.post(
+  '/',
+  authenticate,
+  isAdmin,
+  [
+    body('parentId').isMongoId().withMessage('Valid parent ID is required'),
+    body('description')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Description is required'),
+    body('totalAmount')
+      .isFloat({ gt: 0 })
+      .withMessage('Total amount must be positive'),
+    body('installmentCount')
+      .isInt({ min: 1, max: 24 })
+      .withMessage('Installment count must be between 1 and 24'),
+    body('firstDueDate').isISO8601().withMessage('First due date is required'),
+    body('frequency').optional().isIn(FREQUENCIES),
+    body('paymentSystem').optional().isIn(PAYMENT_SYSTEMS),
+    body('paymentType')
+      .optional()
+      .isIn(['tryout', 'training', 'tournament', 'general']),
+    body('playerIds').optional().isArray(),
+    body('playerIds.*').isMongoId(),
+    body('season').optional().isString(),
+    body('year').optional().isInt(),
+    body('tryoutId').optional().isString(),
+    body('gracePeriodDays').optional().isInt({ min: 0, max: 60 }),
+    body('maxRetries').optional().isInt({ min: 1, max: 10 }),
+    body('retryIntervalDays').optional().isInt({ min: 1, max: 30 }),
+    body('sourceId').optional().isString(),
+    body('notes').optional().isString(),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const {
+        parentId,
+        description,
+        totalAmount,
+        installmentCount,
+        firstDueDate,
+        frequency = 'monthly',
+        paymentType,
+        playerIds,
+        season,
+        year,
+        tryoutId,
+        gracePeriodDays,
+        maxRetries,
+        retryIntervalDays,
+        sourceId,
+        notes,
+      } = req.body;
+
+      const parent = await Parent.findById(parentId);
+      if (!parent) {
+        return res
+          .status(404)
+          .json({ success: false, error: 'Parent not found' });
+      }
+
+      const paymentSystem =
+        req.body.paymentSystem ||
+        (await PaymentServiceFactory.getCurrentPaymentSystem());
+
+      const plan = new InstallmentPlan({
+        parentId,
+        playerIds,
+        description,
+        season,
+        year,
+        tryoutId,
+        paymentType,
+        totalAmount,
+        paymentSystem,
+        gracePeriodDays,
+        maxRetries,
+        retryIntervalDays,
+        notes,
+        createdBy: req.user._id,
+        installments: buildInstallmentSchedule({
+          amount: totalAmount,
+          count: installmentCount,
+          firstDueDate,
+          frequency,
+        }),
+      });
+
+      if (sourceId) {
+        await saveCardForPlan(plan, {
+          sourceId,
+          email: parent.email,
+          name: parent.fullName,
+        });
+      } else if (paymentSystem === 'clover' && parent.savedCardId) {
+        // Reuse the card the family already saved for auto-pay
+        plan.customerId = parent.cloverCustomerId;
+        plan.cardId = parent.savedCardId;
+        plan.cardLast4 = parent.savedCardLast4;
+        plan.cardBrand = parent.savedCardBrand;
+      }
+
+      refreshPlanTotals(plan);
+      await plan.save();
+
+      console.log('🗓️ Installment plan created:', {
+        planId: plan._id,
+        parentId,
+        totalAmount,
+        installments: plan.installments.length,
+        by: req.user.email,
+      });
+
+      res.status(201).json({ success: true, plan });
+    } catch (error) {
+      console.error('Error creating installment plan:', error);
+      res
+        .status(
+          error.code === 'INVALID_SCHEDULE' || error.name === 'ValidationError'
+            ? 400
+            : 500,
+        )
+        .json({ success: false, error: error.message });
+    }
+  },
+);
+
+// A single plan (admin or the plan's parent)
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const plan = await loadPlan(req, res);
+    if (!plan) return;
+
+    await plan.populate([
+      { path: 'parentId', select: 'fullName email' },
+      { path: 'playerIds', select: 'fullName' },
+      { path: 'installments.paymentId', select: 'paymentId amount status' },
+    ]);
+
+    res.json({ success: true, plan });
+  } catch (error) {
+    console.error('Error fetching installment plan:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch installment plan',
+    });
+  }
+});
+
+// Save or replace the card a plan is charged to (admin or the plan's parent)
+router.post(
+  '/:id/card',
+  authenticate,
+  [
+    body('sourceId')
+      .isString()
+      .notEmpty()
+      .withMessage('Card token is required'),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const plan = await loadPlan(req, res);
+      if (!plan) return;
+
+      if (['completed', 'cancelled'].includes(plan.status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Cannot update the card on a ${plan.status} plan`,
+        });
+      }
+
+      const parent = await Parent.findById(plan.parentId);
+      await saveCardForPlan(plan, {
+        sourceId: req.body.sourceId,
+        email: parent?.email,
+        name: parent?.fullName,
+      });
+
+      // A new card means late installments can be tried again right away
+      for (const installment of plan.installments) {
+        if (installment.status === 'late') {
+          installment.nextAttemptAt = new Date();
+        }
+      }
+
+      await plan.save();
+
+      res.json({
+        success: true,
+        card: { last4: plan.cardLast4, brand: plan.cardBrand },
+      });
+    } catch (error) {
+      console.error('Error saving installment plan card:', error);
+      res.status(400).json({
+        success: false,
+        error: 'Failed to save card',
+        message: error.message,
+      });
+    }
+  },
+);
+
+// Pause a plan - nothing is charged until it is resumed (admin)
+router.post(
+  '/:id/pause',
+  authenticate,
+  isAdmin,
+  [body('reason').optional().isString().trim()],
+  async (req, res) => {
+    try {
+      const plan = await loadPlan(req, res);
+      if (!plan) return;
+
+      if (plan.status !== 'active') {
+        return res.status(400).json({
+          success: false,
+          error: `Only active plans can be paused (plan is ${plan.status})`,
+        });
+      }
+
+      plan.status = 'paused';
+      plan.pausedAt = new Date();
+      plan.pausedBy = req.user._id;
+      plan.pauseReason = req.body.reason;
+      await plan.save();
+
+      console.log(`⏸️ Installment plan ${plan._id} paused`, {
+        by: req.user.email,
+      });
+
+      res.json({ success: true, plan });
+    } catch (error) {
+      console.error('Error pausing installment plan:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to pause installment plan',
+      });
+    }
+  },
+);
+
+// Resume a paused plan; anything that fell due meanwhile is charged on the
+// next billing run (admin)
+router.post('/:id/resume', authenticate, isAdmin, async (req, res) => {
+  try {
+    const plan = await loadPlan(req, res);
+    if (!plan) return;
+
+    if (plan.status !== 'paused') {
+      return res.status(400).json({
+        success: false,
+        error: `Only paused plans can be resumed (plan is ${plan.status})`,
+      });
+    }
+
+    plan.status = 'active';
+    plan.pausedAt = undefined;
+    plan.pausedBy = undefined;
+    plan.pauseReason = undefined;
+    refreshPlanTotals(plan);
+    await plan.save();
+
+    console.log(`▶️ Installment plan ${plan._id} resumed`, {
+      by: req.user.email,
+    });
+
+    res.json({ success: true, plan });
+  } catch (error) {
+    console.error('Error resuming installment plan:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resume installment plan',
+    });
+  }
+});
+
+// Cancel a plan; paid installments are kept (admin)
+router.post(
+  '/:id/cancel',
+  authenticate,
+  isAdmin,
+  [body('reason').optional().isString().trim()],
+  async (req, res) => {
+    try {
+      const plan = await loadPlan(req, res);
+      if (!plan) return;
+
+      if (['completed', 'cancelled'].includes(plan.status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Plan is already ${plan.status}`,
+        });
+      }
+
+      plan.status = 'cancelled';
+      plan.cancelledAt = new Date();
+      if (req.body.reason) plan.notes = req.body.reason;
+      await plan.save();
+
+      console.log(`🛑 Installment plan ${plan._id} cancelled`, {
+        by: req.user.email,
+      });
+
+      res.json({ success: true, plan });
+    } catch (error) {
+      console.error('Error cancelling installment plan:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to cancel installment plan',
+      });
+    }
+  },
+);
+
+// Re-schedule the open installments of a plan (admin)
+router.patch(
+  '/:id/schedule',
+  authenticate,
+  isAdmin,
+  [
+    body('installments').optional().isArray({ min: 1 }),
+    body('installments.*._id').isMongoId(),
+    body('installments.*.dueDate').optional().isISO8601(),
+    body('installments.*.amount').optional().isFloat({ min: 0 }),
+    body('count').optional().isInt({ min: 1, max: 24 }),
+    body('firstDueDate').optional().isISO8601(),
+    body('frequency').optional().isIn(FREQUENCIES),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const plan = await loadPlan(req, res);
+      if (!plan) return;
+
+      if (['completed', 'cancelled'].includes(plan.status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Cannot re-schedule a ${plan.status} plan`,
+        });
+      }
+
+      const { installments, count, firstDueDate, frequency } = req.body;
+      reschedulePlan(plan, { installments, count, firstDueDate, frequency });
+      await plan.save();
+
+      console.log(`🗓️ Installment plan ${plan._id} re-scheduled`, {
+        by: req.user.email,
+      });
+
+      res.json({ success: true, plan });
+    } catch (error) {
+      console.error('Error re-scheduling installment plan:', error);
+      res.status(error.code === 'INVALID_SCHEDULE' ? 400 : 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// Charge an open installment now instead of waiting for the billing run (admin)
+router.post(
+  '/:id/installments/:installmentId/charge',
+  authenticate,
+  isAdmin,
+  async (req, res) => {
+    try {
+      const plan = await loadPlan(req, res);
+      if (!plan) return;
+
+      if (plan.status !== 'active') {
+        return res.status(400).json({
+          success: false,
+          error: `Cannot charge a ${plan.status} plan`,
+        });
+      }
+
+      const installment = plan.installments.id(req.params.installmentId);
+      if (!installment) {
+        return res
+          .status(404)
+          .json({ success: false, error: 'Installment not found' });
+      }
+      if (!['scheduled', 'late'].includes(installment.status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Installment is already ${installment.status}`,
+        });
+      }
+
+      const result = await chargeInstallment(plan, installment);
+
+      res.status(result.success ? 200 : 402).json({
+        success: result.success,
+        plan,
+        ...(result.payment && { paymentId: result.payment._id }),
+        ...(result.error && { error: result.error }),
+      });
+    } catch (error) {
+      console.error('Error charging installment:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to charge installment',
+        details: error.message,
+      });
+    }
+  },
+);
+
+module.exports = router;
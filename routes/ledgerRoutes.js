@@ -0,0 +1,272 @@
+// routes/ledgerRoutes.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const LedgerEntry = require('../models/LedgerEntry');
+const Payment = require('../models/Payment');
+const { authenticate, isAdmin } = require('../utils/auth');
+const {
+  fromCents,
+  postAdjustment,
+  getPaymentBalances,
+  getExpectedBalanceCents,
+  reconcilePayments,
+  backfillLedger,
+  getAccountBalances,
+} = require('../services/ledger');
+
+// List ledger entries with filters
+router.get('/entries', authenticate, isAdmin, async (req, res) => {
+  try {
+    const {
+      type,
+      paymentId,
+      account,
+      startDate,
+      endDate,
+      page = 1,
+      limit = 50,
+    } = req.query;
+
+    const query = {};
+    if (type) query.type = type;
+    if (account) query['lines.account'] = account;
+    if (paymentId) {
+      if (!mongoose.Types.ObjectId.isValid(paymentId)) {
+        return res
+          .status(400)
+          .json({ success: false, error: 'Invalid payment ID' });
+      }
+      query.paymentId = paymentId;
+    }
+    if (startDate || endDate) {
+      query.postedAt = {};
+      if (startDate) query.postedAt.$gte = new Date(startDate);
+      if (endDate) query.postedAt.$lte = new Date(endDate);
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 500);
+
+    const [entries, total] = await Promise.all([
+      LedgerEntry.find(query)
+        .sort({ postedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .populate('postedBy', 'fullName email')
+        .lean(),
+      LedgerEntry.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      entries,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching ledger entries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch ledger entries',
+    });
+  }
+});
+
+// Trial balance: debit/credit totals per account
+router.get('/balances', authenticate, isAdmin, async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const balances = await getAccountBalances({ startDate, endDate });
+
+    const totals = balances.reduce(
+      (sum, row) => ({
+        debit: sum.debit + row.debit,
+        credit: sum.credit + row.credit,
+      }),
+      { debit: 0, credit: 0 },
+    );
+
+    res.json({
+      success: true,
+      accounts: balances,
+      totals: {
+        debit: Math.round(totals.debit * 100) / 100,
+        credit: Math.round(totals.credit * 100) / 100,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching ledger balances:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch ledger balances',
+    });
+  }
+});
+
+// Ledger entries and balance for a single payment
+router.get('/payments/:paymentId', authenticate, isAdmin, async (req, res) => {
+  try {
+    const { paymentId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(paymentId)) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid payment ID' });
+    }
+
+    const payment = await Payment.findById(paymentId).lean();
+    if (!payment) {
+      return res
+        .status(404)
+        .json({ success: false, error: 'Payment not found' });
+    }
+
+    const [entries, balances] = await Promise.all([
+      LedgerEntry.find({ paymentId }).sort({ postedAt: 1 }).lean(),
+      getPaymentBalances([payment._id]),
+    ]);
+
+    const ledgerBalanceCents = balances.get(String(payment._id))?.balanceCents;
+    const expectedBalanceCents = getExpectedBalanceCents(payment);
+
+    res.json({
+      success: true,
+      payment: {
+        _id: payment._id,
+        paymentId: payment.paymentId,
+        status: payment.status,
+        refundStatus: payment.refundStatus,
+        amount: payment.amount,
+        refundedAmount: payment.refundedAmount || 0,
+      },
+      entries,
+      ledgerBalance: fromCents(ledgerBalanceCents || 0),
+      expectedBalance: fromCents(expectedBalanceCents),
+      inBalance: (ledgerBalanceCents || 0) === expectedBalanceCents,
+    });
+  } catch (error) {
+    console.error('Error fetching payment ledger:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch payment ledger',
+    });
+  }
+});
+
+// Post a manual adjustment
+router.post(
+  '/adjustments',
+  authenticate,
+  isAdmin,
+  [
+    body('description')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Description is required'),
+    body('reason').optional().isString(),
+    body('paymentId').optional().isMongoId(),
+    body('lines')
+      .isArray({ min: 2 })
+      .withMessage('At least two ledger lines are required'),
+    body('lines.*.account')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Each line needs an account'),
+    body('lines.*.debit').optional().isFloat({ min: 0 }),
+    body('lines.*.credit').optional().isFloat({ min: 0 }),
+    body('lines.*.memo').optional().isString(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    try {
+      const { description, reason, lines, paymentId } = req.body;
+
+      if (paymentId && !(await Payment.exists({ _id: paymentId }))) {
+        return res
+          .status(404)
+          .json({ success: false, error: 'Payment not found' });
+      }
+
+      const entry = await postAdjustment({
+        description,
+        reason,
+        lines,
+        paymentId,
+        postedBy: req.user._id,
+      });
+
+      console.log('📒 Manual ledger adjustment posted:', {
+        entryId: entry._id,
+        by: req.user.email,
+      });
+
+      res.status(201).json({ success: true, entry });
+    } catch (error) {
+      console.error('Error posting ledger adjustment:', error);
+      res.status(error.name === 'ValidationError' ? 400 : 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// Flag payments whose ledger balance disagrees with their stored status
+router.get('/reconciliation', authenticate, isAdmin, async (req, res) => {
+  try {
+    const { startDate, endDate, paymentSystem } = req.query;
+
+    const result = await reconcilePayments({
+      startDate,
+      endDate,
+      paymentSystem,
+    });
+
+    res.json({
+      success: true,
+      summary: {
+        checked: result.checked,
+        flagged: result.flagged,
+        inBalance: result.checked - result.flagged,
+      },
+      discrepancies: result.discrepancies,
+    });
+  } catch (error) {
+    console.error('Error running ledger reconciliation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run ledger reconciliation',
+    });
+  }
+});
+
+// Post ledger entries for payments and refunds recorded without them
+router.post('/backfill', authenticate, isAdmin, async (req, res) => {
+  try {
+    const result = await backfillLedger();
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error backfilling ledger:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to backfill ledger',
+    });
+  }
+});
+
+module.exports = router;
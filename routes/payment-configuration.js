@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const PaymentConfiguration = require('../models/PaymentConfiguration');
+const { isFakeProviderEnabled } = require('../services/fake-payment-provider');
 const { authenticate, isAdmin } = require('../utils/auth');
 const { body, validationResult } = require('express-validator');
 
@@ -115,7 +116,7 @@ router.post(
   isAdmin,
   [
     body('paymentSystem')
-      .isIn(['square', 'clover', 'stripe', 'paypal'])
+      .isIn(['square', 'clover', 'stripe', 'paypal', 'fake'])
       .withMessage('Valid payment system is required'),
     body('isActive').optional().isBoolean(),
     body('isDefault').optional().isBoolean(),
@@ -151,6 +152,7 @@ router.post(
         cloverConfig,
         stripeConfig,
         paypalConfig,
+        fakeConfig,
         settings,
         webhookUrls,
       } = req.body;
@@ -178,6 +180,12 @@ router.post(
             validationError = 'PayPal requires clientId and clientSecret';
           }
           break;
+        case 'fake':
+          if (!isFakeProviderEnabled()) {
+            validationError =
+              'The fake payment provider needs ENABLE_FAKE_PAYMENTS=true and cannot be configured in production';
+          }
+          break;
       }
 
       if (validationError) {
@@ -204,6 +212,7 @@ router.post(
         cloverConfig: cloverConfig || {},
         stripeConfig: stripeConfig || {},
         paypalConfig: paypalConfig || {},
+        fakeConfig: fakeConfig || {},
         settings: settings || {},
         webhookUrls: webhookUrls || {},
         createdBy: req.user._id,
@@ -300,6 +309,7 @@ router.put(
         'cloverConfig',
         'stripeConfig',
         'paypalConfig',
+        'fakeConfig',
         'settings',
         'webhookUrls',
       ];
@@ -310,7 +320,8 @@ router.put(
             field === 'squareConfig' ||
             field === 'cloverConfig' ||
             field === 'stripeConfig' ||
-            field === 'paypalConfig'
+            field === 'paypalConfig' ||
+            field === 'fakeConfig'
           ) {
             // Merge configuration objects
             configuration[field] = {
@@ -654,6 +665,15 @@ async function testPaymentConfiguration(paymentSystem, config) {
         };
       }
 
+      case 'fake':
+        return {
+          success: true,
+          message: 'Fake payment provider ready (offline, no credentials)',
+          details: {
+            currency: config.settings?.currency || 'USD',
+          },
+        };
+
       default:
         return {
           success: false,
@@ -1,5 +1,6 @@
 const express = require('express');
 const { authenticate } = require('../utils/auth');
+const { idempotency } = require('../middleware/idempotency');
 const Payment = require('../models/Payment');
 const PaymentConfiguration = require('../models/PaymentConfiguration');
 const PaymentServiceFactory = require('../services/payment-service-factory');
@@ -15,6 +16,20 @@ const {
 } = require('../utils/email');
 const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
+const {
+  isSuccessfulPaymentStatus,
+} = require('../services/payment-provider-contract');
+const {
+  evaluateDiscounts,
+  redeemDiscounts,
+  toPaymentDiscountFields,
+  splitAmount,
+} = require('../services/discounts');
+const { postPaymentCharge } = require('../services/ledger');
+
+// Payment endpoints honour an optional Idempotency-Key header so a retried
+// request replays the original result instead of charging again
+const authenticateIdempotent = [authenticate, idempotency()];
 
 // Helper to get payment service
 async function getPaymentService(paymentSystem = null) {
@@ -81,6 +96,9 @@ function validateConfigForPayment(config, paymentType = 'tournament') {
         throw new Error('Clover merchant ID not configured');
       }
       break;
+    case 'fake':
+      // Offline provider - nothing to configure
+      break;
     default:
       console.error('❌ Unsupported payment system:', paymentSystem);
       throw new Error(`Unsupported payment system: ${paymentSystem}`);
@@ -109,8 +127,31 @@ function createPaymentData(paymentService, paymentResult, baseData) {
   return paymentData;
 }
 
+// Apply the discount rules to a checkout. `amount` is the undiscounted fee in
+// cents as quoted by the frontend; it is split evenly over the items.
+async function priceCheckout(program, amount, items, context) {
+  const amounts = splitAmount(parseInt(amount), items.length);
+  return evaluateDiscounts({
+    ...context,
+    program,
+    items: items.map((item, i) => ({ ...item, amountCents: amounts[i] })),
+  });
+}
+
+// Net amount (dollars) charged for one player or team of a priced checkout
+function netItemAmount(pricing, key, id) {
+  const item = pricing.items.find((i) => String(i[key]) === String(id));
+  return item ? item.totalCents / 100 : 0;
+}
+
+// Checkouts fully covered by discounts (e.g. staff comps) are recorded
+// without charging the card
+function compPaymentResult() {
+  return { id: `comp_${crypto.randomUUID()}`, status: 'COMPLETED' };
+}
+
 // PROCESS TOURNAMENT TEAM PAYMENT
-router.post('/tournament-team', authenticate, async (req, res) => {
+router.post('/tournament-team', authenticateIdempotent, async (req, res) => {
   console.log('=== TOURNAMENT PAYMENT REQUEST RECEIVED ===');
 
   const session = await mongoose.startSession();
@@ -133,6 +174,7 @@ router.post('/tournament-team', authenticate, async (req, res) => {
       cardExpYear,
       tournaments,
       paymentSystem, // Optional: specify payment system
+      promoCode,
       isAdmin = false,
     } = req.body;
 
@@ -249,45 +291,29 @@ router.post('/tournament-team', authenticate, async (req, res) => {
       }
     }
 
+    // Apply discounts (early bird, promo codes, comps)
+    const pricing = await priceCheckout(
+      'tournament',
+      amount,
+      [{ itemType: 'team', teamId }],
+      { parent, tournament, year: parseInt(year), promoCode },
+    );
+    await redeemDiscounts(pricing, { session });
+
     // Process payment with the service
     let paymentResult;
-    const amountInCents = parseInt(amount);
-
-    if (paymentService.type === 'square') {
-      // Square payment
-      const paymentRequest = {
-        sourceId: sourceId || token,
-        amountMoney: {
-          amount: amountInCents,
-          currency: paymentService.settings?.currency || 'USD',
-        },
-        idempotencyKey: crypto.randomUUID(),
-        locationId: paymentService.config.locationId,
-        referenceId: `t:${teamId.slice(-12)}:${year}`,
-        note: `Tournament registration: ${tournament} ${year} - Team: ${team.name}`,
-        buyerEmailAddress,
-        autocomplete: true,
-      };
-
-      if (customerId) {
-        paymentRequest.customerId = customerId;
-      }
+    const amountInCents = pricing.totalCents;
 
-      console.log('Creating payment request:', {
-        paymentSystem: paymentService.type,
-        locationId: paymentService.config.locationId,
-        amount: amountInCents,
-      });
-
-      const { result } =
-        await paymentService.client.paymentsApi.createPayment(paymentRequest);
-      paymentResult = result.payment;
-    } else if (paymentService.type === 'clover') {
-      // Clover payment
+    if (amountInCents === 0) {
+      paymentResult = compPaymentResult();
+    } else {
+      // Every provider goes through the common contract, which reports the
+      // charge to the idempotency middleware
       const paymentData = {
         sourceId: sourceId || token,
         amount: amountInCents,
         email: buyerEmailAddress,
+        customerId,
         referenceId: `t:${teamId.slice(-12)}:${year}`,
         note: `Tournament registration: ${tournament} ${year} - Team: ${team.name}`,
       };
@@ -299,10 +325,7 @@ router.post('/tournament-team', authenticate, async (req, res) => {
       throw new Error('No payment result received');
     }
 
-    if (
-      paymentResult.status !== 'COMPLETED' &&
-      paymentResult.status !== 'PAID'
-    ) {
+    if (!isSuccessfulPaymentStatus(paymentResult.status)) {
       throw new Error(`Payment failed with status: ${paymentResult.status}`);
     }
 
@@ -325,7 +348,7 @@ router.post('/tournament-team', authenticate, async (req, res) => {
       registrationDate: new Date(),
       paymentStatus: 'paid',
       paymentComplete: true,
-      amountPaid: amount / 100,
+      amountPaid: amountInCents / 100,
       paymentId: paymentResult.id,
       paymentMethod: 'card',
       cardLast4: cardLast4,
@@ -358,13 +381,14 @@ router.post('/tournament-team', authenticate, async (req, res) => {
     const basePaymentData = {
       parentId: parent._id,
       teamId: teamId,
+      teams: [{ teamId, amount: netItemAmount(pricing, 'teamId', teamId) }],
       paymentId: paymentResult.id,
       buyerEmail: buyerEmailAddress,
       cardLastFour: cardLast4,
       cardBrand: finalCardBrand,
       cardExpMonth: finalCardExpMonth,
       cardExpYear: finalCardExpYear,
-      amount: amount / 100,
+      amount: amountInCents / 100,
       currency: paymentService.settings?.currency || 'USD',
       status: 'completed',
       processedAt: new Date(),
@@ -373,12 +397,14 @@ router.post('/tournament-team', authenticate, async (req, res) => {
       tournamentName: tournament,
       year: parseInt(year),
       paymentType: 'tournament',
+      ...toPaymentDiscountFields(pricing),
     };
 
     const payment = new Payment(
       createPaymentData(paymentService, paymentResult, basePaymentData),
     );
     await payment.save({ session });
+    await postPaymentCharge(payment, { session });
 
     // Send confirmation email
     try {
@@ -387,7 +413,7 @@ router.post('/tournament-team', authenticate, async (req, res) => {
         [teamId],
         tournament,
         year,
-        amount / 100,
+        amountInCents / 100,
       );
       console.log('Tournament confirmation email sent successfully');
     } catch (emailError) {
@@ -409,7 +435,9 @@ router.post('/tournament-team', authenticate, async (req, res) => {
       },
       payment: {
         paymentId: paymentResult.id,
-        amountPaid: amount / 100,
+        amountPaid: amountInCents / 100,
+        subtotal: pricing.subtotalCents / 100,
+        discounts: toPaymentDiscountFields(pricing).discounts,
         receiptUrl: paymentResult.receiptUrl || paymentResult.receipt_url,
         status: 'completed',
       },
@@ -436,7 +464,7 @@ router.post('/tournament-team', authenticate, async (req, res) => {
 });
 
 // MULTIPLE TOURNAMENT TEAMS PAYMENT - UPDATED
-router.post('/tournament-teams', authenticate, async (req, res) => {
+router.post('/tournament-teams', authenticateIdempotent, async (req, res) => {
   console.log('=== MULTIPLE TEAMS TOURNAMENT PAYMENT REQUEST RECEIVED ===');
 
   const session = await mongoose.startSession();
@@ -453,6 +481,7 @@ router.post('/tournament-teams', authenticate, async (req, res) => {
       year,
       cardDetails,
       paymentSystem, // Optional: specify payment system
+      promoCode,
       isAdmin = false,
     } = req.body;
 
@@ -531,39 +560,27 @@ router.post('/tournament-teams', authenticate, async (req, res) => {
     const customerField = `${paymentService.type}CustomerId`;
     customerId = parent[customerField];
 
+    // Apply discounts (early bird, promo codes, comps)
+    const pricing = await priceCheckout(
+      'tournament',
+      amount,
+      teamIds.map((teamId) => ({ itemType: 'team', teamId })),
+      { parent, tournament, year: parseInt(year), promoCode },
+    );
+    await redeemDiscounts(pricing, { session });
+
     // Process payment
     let paymentResult;
-    const amountInCents = parseInt(amount);
+    const amountInCents = pricing.totalCents;
 
-    if (paymentService.type === 'square') {
-      // Square payment for multiple teams
-      const paymentRequest = {
-        sourceId: sourceId || token,
-        amountMoney: {
-          amount: amountInCents,
-          currency: paymentService.settings?.currency || 'USD',
-        },
-        idempotencyKey: crypto.randomUUID(),
-        locationId: paymentService.config.locationId,
-        referenceId: `t:${parentId.slice(-12)}:${year}`,
-        note: `Tournament registration: ${tournament} ${year} - ${teamIds.length} team(s)`,
-        buyerEmailAddress,
-        autocomplete: true,
-      };
-
-      if (customerId) {
-        paymentRequest.customerId = customerId;
-      }
-
-      const { result } =
-        await paymentService.client.paymentsApi.createPayment(paymentRequest);
-      paymentResult = result.payment;
-    } else if (paymentService.type === 'clover') {
-      // Clover payment for multiple teams
+    if (amountInCents === 0) {
+      paymentResult = compPaymentResult();
+    } else {
       const paymentData = {
         sourceId: sourceId || token,
         amount: amountInCents,
         email: buyerEmailAddress,
+        customerId,
         referenceId: `t:${parentId.slice(-12)}:${year}`,
         note: `Tournament registration: ${tournament} ${year} - ${teamIds.length} team(s)`,
       };
@@ -571,10 +588,7 @@ router.post('/tournament-teams', authenticate, async (req, res) => {
       paymentResult = await paymentService.processPayment(paymentData);
     }
 
-    if (
-      !paymentResult ||
-      (paymentResult.status !== 'COMPLETED' && paymentResult.status !== 'PAID')
-    ) {
+    if (!paymentResult || !isSuccessfulPaymentStatus(paymentResult.status)) {
       throw new Error(`Payment failed with status: ${paymentResult?.status}`);
     }
 
@@ -585,7 +599,7 @@ router.post('/tournament-teams', authenticate, async (req, res) => {
     // Process each team
     const updatedTeams = [];
     const teamCount = teamIds.length;
-    const amountPerTeam = amount / 100 / teamCount;
+    const amountPerTeam = amountInCents / 100 / teamCount;
     const invalidTeams = [];
 
     for (const teamId of teamIds) {
@@ -613,7 +627,7 @@ router.post('/tournament-teams', authenticate, async (req, res) => {
         paymentId: paymentResult.id,
         cardLast4: cardDetails?.last_4 || 'N/A',
         cardBrand: cardDetails?.card_brand || 'N/A',
-        amountPaid: amountPerTeam,
+        amountPaid: netItemAmount(pricing, 'teamId', teamId),
         levelOfCompetition: team.levelOfCompetition || 'Silver',
       };
 
@@ -641,13 +655,17 @@ router.post('/tournament-teams', authenticate, async (req, res) => {
     const basePaymentData = {
       parentId: parent._id,
       teamIds: updatedTeams.map((team) => team._id),
+      teams: updatedTeams.map((team) => ({
+        teamId: team._id,
+        amount: netItemAmount(pricing, 'teamId', team._id),
+      })),
       paymentId: paymentResult.id,
       buyerEmail: buyerEmailAddress,
       cardLastFour: cardDetails?.last_4 || 'N/A',
       cardBrand: cardDetails?.card_brand || 'N/A',
       cardExpMonth: cardDetails?.exp_month || 0,
       cardExpYear: cardDetails?.exp_year || 0,
-      amount: amount / 100,
+      amount: amountInCents / 100,
       currency: paymentService.settings?.currency || 'USD',
       status: 'completed',
       processedAt: new Date(),
@@ -656,6 +674,7 @@ router.post('/tournament-teams', authenticate, async (req, res) => {
       tournamentName: tournament,
       year: parseInt(year),
       paymentType: 'tournament',
+      ...toPaymentDiscountFields(pricing),
       metadata: {
         teamCount: teamIds.length,
         tournament,
@@ -668,6 +687,7 @@ router.post('/tournament-teams', authenticate, async (req, res) => {
       createPaymentData(paymentService, paymentResult, basePaymentData),
     );
     await payment.save({ session });
+    await postPaymentCharge(payment, { session });
 
     // Send confirmation email
     try {
@@ -676,7 +696,7 @@ router.post('/tournament-teams', authenticate, async (req, res) => {
         updatedTeams.map((team) => team._id),
         tournament,
         year,
-        amount / 100,
+        amountInCents / 100,
       );
     } catch (emailError) {
       console.error('Failed to send email:', emailError);
@@ -696,7 +716,9 @@ router.post('/tournament-teams', authenticate, async (req, res) => {
       })),
       payment: {
         paymentId: paymentResult.id,
-        amountPaid: amount / 100,
+        amountPaid: amountInCents / 100,
+        subtotal: pricing.subtotalCents / 100,
+        discounts: toPaymentDiscountFields(pricing).discounts,
         receiptUrl: paymentResult.receiptUrl || paymentResult.receipt_url,
         status: 'completed',
       },
@@ -718,7 +740,7 @@ router.post('/tournament-teams', authenticate, async (req, res) => {
 // TRYOUT PAYMENT ENDPOINT
 router.post(
   '/tryout',
-  authenticate,
+  authenticateIdempotent,
   [
     body('token').notEmpty().withMessage('Payment token is required'),
     body('amount')
@@ -755,8 +777,8 @@ router.post(
       .withMessage('Invalid expiration year'),
     body('paymentSystem')
       .optional()
-      .isIn(['square', 'clover'])
-      .withMessage('Payment system must be square or clover'),
+      .isIn(['square', 'clover', 'fake'])
+      .withMessage('Payment system must be square, clover or fake'),
   ],
   async (req, res) => {
     console.log('🔍 DEBUG Tryout payment request:', {
@@ -820,8 +842,8 @@ router.post(
       players,
       cardDetails,
       paymentSystem,
+      promoCode,
     } = req.body;
-    const perPlayerAmount = amount / 100 / players.length;
 
     const session = await mongoose.startSession();
     session.startTransaction();
@@ -851,33 +873,34 @@ router.post(
         throw new Error('Parent not found');
       }
 
+      // Apply discounts (siblings, early bird, promo codes, comps)
+      const pricing = await priceCheckout(
+        'tryout',
+        amount,
+        players.map((p) => ({ itemType: 'player', playerId: p.playerId })),
+        {
+          parent,
+          season: players[0].season.trim(),
+          year: players[0].year,
+          tryoutId: players[0].tryoutId.trim(),
+          promoCode,
+        },
+      );
+      await redeemDiscounts(pricing, { session });
+
       // Process payment
       let paymentResult;
-      const amountInCents = parseInt(amount);
-
-      if (paymentService.type === 'square') {
-        const paymentRequest = {
-          sourceId: sourceId || token,
-          amountMoney: {
-            amount: amountInCents,
-            currency: paymentService.settings?.currency || 'USD',
-          },
-          idempotencyKey: crypto.randomUUID(),
-          locationId: paymentService.config.locationId,
-          customerId: parent.squareCustomerId,
-          referenceId: `parent:${parent._id}`,
-          note: `Tryout payment for ${players.length} player(s)`,
-          buyerEmailAddress: email,
-        };
+      const amountInCents = pricing.totalCents;
+      const perPlayerAmount = amountInCents / 100 / players.length;
 
-        const { result } =
-          await paymentService.client.paymentsApi.createPayment(paymentRequest);
-        paymentResult = result.payment;
-      } else if (paymentService.type === 'clover') {
+      if (amountInCents === 0) {
+        paymentResult = compPaymentResult();
+      } else {
         const paymentData = {
           sourceId: sourceId || token,
           amount: amountInCents,
           email: email,
+          customerId: parent.squareCustomerId,
           referenceId: `parent:${parent._id}`,
           note: `Tryout payment for ${players.length} player(s)`,
         };
@@ -885,11 +908,7 @@ router.post(
         paymentResult = await paymentService.processPayment(paymentData);
       }
 
-      if (
-        !paymentResult ||
-        (paymentResult.status !== 'COMPLETED' &&
-          paymentResult.status !== 'PAID')
-      ) {
+      if (!paymentResult || !isSuccessfulPaymentStatus(paymentResult.status)) {
         throw new Error(`Payment failed with status: ${paymentResult?.status}`);
       }
 
@@ -904,7 +923,7 @@ router.post(
         cardBrand: cardDetails.card_brand || '',
         cardExpMonth: cardDetails.exp_month,
         cardExpYear: cardDetails.exp_year,
-        amount: amount / 100,
+        amount: amountInCents / 100,
         currency: paymentService.settings?.currency || 'USD',
         status: 'completed',
         processedAt: new Date(),
@@ -914,14 +933,17 @@ router.post(
           season: p.season.trim(),
           year: p.year,
           tryoutId: p.tryoutId.trim(),
+          amount: netItemAmount(pricing, 'playerId', p.playerId),
         })),
         paymentType: 'tryout',
+        ...toPaymentDiscountFields(pricing),
       };
 
       const payment = new Payment(
         createPaymentData(paymentService, paymentResult, basePaymentData),
       );
       await payment.save({ session });
+      await postPaymentCharge(payment, { session });
 
       // Update all players and their seasons
       const updatedPlayers = [];
@@ -957,7 +979,7 @@ router.post(
             paymentStatus: 'paid',
             paymentComplete: true,
             paymentId: paymentResult.id,
-            amountPaid: perPlayerAmount,
+            amountPaid: netItemAmount(pricing, 'playerId', playerData.playerId),
             cardLast4: cardDetails.last_4 || '',
             cardBrand: cardDetails.card_brand || '',
             paymentDate: new Date(),
@@ -973,7 +995,7 @@ router.post(
             paymentStatus: 'paid',
             paymentComplete: true,
             paymentId: paymentResult.id,
-            amountPaid: perPlayerAmount,
+            amountPaid: netItemAmount(pricing, 'playerId', playerData.playerId),
             cardLast4: cardDetails.last_4 || '',
             cardBrand: cardDetails.card_brand || '',
             paymentDate: new Date(),
@@ -1004,7 +1026,11 @@ router.post(
               paymentStatus: 'paid',
               paymentComplete: true,
               paymentId: paymentResult.id,
-              amountPaid: perPlayerAmount,
+              amountPaid: netItemAmount(
+                pricing,
+                'playerId',
+                playerData.playerId,
+              ),
               cardLast4: cardDetails.last_4 || '',
               cardBrand: cardDetails.card_brand || '',
               paymentDate: new Date(),
@@ -1049,7 +1075,7 @@ router.post(
                   <h3 style="margin-top: 0; color: rgba(0, 0, 0, .7);">Payment Details</h3>
                   <p style="margin: 8px 0;"><strong>Number of Players:</strong> ${players.length}</p>
                   <p style="margin: 8px 0;"><strong>Fee per Player:</strong> $${perPlayerAmount}</p>
-                  <p style="margin: 8px 0;"><strong>Total Amount Paid:</strong> $${amount / 100}</p>
+                  <p style="margin: 8px 0;"><strong>Total Amount Paid:</strong> $${amountInCents / 100}</p>
                   <p style="margin: 8px 0;"><strong>Season:</strong> ${players[0]?.season || 'Partizan Team'} ${players[0]?.year || new Date().getFullYear()}</p>
                   <p style="margin: 8px 0;"><strong>Players Registered:</strong></p>
                   <ul style="margin: 8px 0;">
@@ -1099,6 +1125,9 @@ router.post(
           })),
         })),
         status: 'processed',
+        amountPaid: amountInCents / 100,
+        subtotal: pricing.subtotalCents / 100,
+        discounts: toPaymentDiscountFields(pricing).discounts,
         receiptUrl: paymentResult.receiptUrl || paymentResult.receipt_url,
       });
     } catch (error) {
@@ -1119,7 +1148,7 @@ router.post(
 // TRAINING PAYMENT ENDPOINT - UPDATED
 router.post(
   '/training',
-  authenticate,
+  authenticateIdempotent,
   [
     // Payment token validation
     body('token')
@@ -1189,8 +1218,8 @@ router.post(
     // Payment system validation
     body('paymentSystem')
       .optional()
-      .isIn(['square', 'clover'])
-      .withMessage('Payment system must be square or clover'),
+      .isIn(['square', 'clover', 'fake'])
+      .withMessage('Payment system must be square, clover or fake'),
   ],
   async (req, res) => {
     console.log('🔍 DEBUG Training payment request received:', {
@@ -1242,11 +1271,9 @@ router.post(
       players,
       cardDetails = {}, // Default to empty object
       paymentSystem,
+      promoCode,
     } = req.body;
 
-    // Calculate per player amount
-    const perPlayerAmount = amount / 100 / players.length;
-
     const session = await mongoose.startSession();
     session.startTransaction();
 
@@ -1266,60 +1293,47 @@ router.post(
         throw new Error('Parent not found');
       }
 
+      // Apply discounts (siblings, early bird, promo codes, comps)
+      const pricing = await priceCheckout(
+        'training',
+        amount,
+        players.map((p) => ({ itemType: 'player', playerId: p.playerId })),
+        {
+          parent,
+          season: players[0].season.trim(),
+          year: players[0].year,
+          tryoutId: players[0].tryoutId?.trim() || 'training',
+          promoCode,
+        },
+      );
+      await redeemDiscounts(pricing, { session });
+
       // Process payment
       let paymentResult;
-      const amountInCents = parseInt(amount);
-
-      if (paymentService.type === 'square') {
-        // Create a shorter reference ID for Square only (max 40 chars)
-        const shortRefId =
-          `tr:${parent._id.toString().slice(-12)}:${Date.now().toString().slice(-8)}`.slice(
-            0,
-            40,
-          );
+      const amountInCents = pricing.totalCents;
 
-        const paymentRequest = {
-          sourceId: sourceId || token,
-          amountMoney: {
-            amount: amountInCents,
-            currency: paymentService.settings?.currency || 'USD',
-          },
-          idempotencyKey: crypto.randomUUID(),
-          locationId: paymentService.config.locationId,
-          customerId: parent.squareCustomerId,
-          referenceId: shortRefId,
-          note: `Training payment for ${players.length} player(s)`,
-          buyerEmailAddress: email,
-          autocomplete: true,
-        };
-
-        console.log('Square payment request:', {
-          locationId: paymentService.config.locationId,
-          amount: amountInCents,
-          referenceId: shortRefId,
-        });
-
-        const { result } =
-          await paymentService.client.paymentsApi.createPayment(paymentRequest);
-        paymentResult = result.payment;
-      } else if (paymentService.type === 'clover') {
+      if (amountInCents === 0) {
+        paymentResult = compPaymentResult();
+      } else {
         const paymentData = {
           sourceId: sourceId || token,
           amount: amountInCents,
           email: email,
-          referenceId: `training:${parent._id}:${Date.now()}`,
+          customerId: parent.squareCustomerId,
+          // Square takes references of at most 40 characters
+          referenceId:
+            paymentService.type === 'square'
+              ? `tr:${parent._id.toString().slice(-12)}:${Date.now().toString().slice(-8)}`
+              : `training:${parent._id}:${Date.now()}`,
           note: `Training payment for ${players.length} player(s)`,
         };
 
-        console.log('Clover payment request:', paymentData);
+        console.log('Payment request:', paymentData);
+
         paymentResult = await paymentService.processPayment(paymentData);
       }
 
-      if (
-        !paymentResult ||
-        (paymentResult.status !== 'COMPLETED' &&
-          paymentResult.status !== 'PAID')
-      ) {
+      if (!paymentResult || !isSuccessfulPaymentStatus(paymentResult.status)) {
         console.error('Payment failed:', paymentResult);
         throw new Error(`Payment failed with status: ${paymentResult?.status}`);
       }
@@ -1340,7 +1354,7 @@ router.post(
         cardBrand: cardDetails?.card_brand || '',
         cardExpMonth: cardDetails?.exp_month || 0,
         cardExpYear: cardDetails?.exp_year || 0,
-        amount: amount / 100,
+        amount: amountInCents / 100,
         currency: paymentService.settings?.currency || 'USD',
         status: 'completed',
         processedAt: new Date(),
@@ -1350,14 +1364,17 @@ router.post(
           season: p.season.trim(),
           year: p.year,
           tryoutId: p.tryoutId?.trim() || 'training',
+          amount: netItemAmount(pricing, 'playerId', p.playerId),
         })),
         paymentType: 'training',
+        ...toPaymentDiscountFields(pricing),
       };
 
       const payment = new Payment(
         createPaymentData(paymentService, paymentResult, basePaymentData),
       );
       await payment.save({ session });
+      await postPaymentCharge(payment, { session });
 
       // Update all players and their seasons for training
       const updatedPlayers = [];
@@ -1397,7 +1414,7 @@ router.post(
             paymentStatus: 'paid',
             paymentComplete: true,
             paymentId: paymentResult.id,
-            amountPaid: perPlayerAmount,
+            amountPaid: netItemAmount(pricing, 'playerId', playerData.playerId),
             cardLast4: cardDetails?.last_4 || '',
             cardBrand: cardDetails?.card_brand || '',
             paymentDate: new Date(),
@@ -1414,7 +1431,7 @@ router.post(
             paymentStatus: 'paid',
             paymentComplete: true,
             paymentId: paymentResult.id,
-            amountPaid: perPlayerAmount,
+            amountPaid: netItemAmount(pricing, 'playerId', playerData.playerId),
             cardLast4: cardDetails?.last_4 || '',
             cardBrand: cardDetails?.card_brand || '',
             paymentDate: new Date(),
@@ -1445,7 +1462,11 @@ router.post(
               paymentStatus: 'paid',
               paymentComplete: true,
               paymentId: paymentResult.id,
-              amountPaid: perPlayerAmount,
+              amountPaid: netItemAmount(
+                pricing,
+                'playerId',
+                playerData.playerId,
+              ),
               cardLast4: cardDetails?.last_4 || '',
               cardBrand: cardDetails?.card_brand || '',
               paymentDate: new Date(),
@@ -1491,7 +1512,7 @@ router.post(
                   <p style="margin: 8px 0;"><strong>Training Program:</strong> ${players[0]?.season || 'Basketball Training'}</p>
                   <p style="margin: 8px 0;"><strong>Year:</strong> ${players[0]?.year || new Date().getFullYear()}</p>
                   <p style="margin: 8px 0;"><strong>Number of Players:</strong> ${players.length}</p>
-                  <p style="margin: 8px 0;"><strong>Total Amount Paid:</strong> $${amount / 100}</p>
+                  <p style="margin: 8px 0;"><strong>Total Amount Paid:</strong> $${amountInCents / 100}</p>
                   <p style="margin: 8px 0;"><strong>Payment ID:</strong> ${paymentResult.id}</p>
                   <p style="margin: 8px 0;"><strong>Players Registered:</strong></p>
                   <ul style="margin: 8px 0;">
@@ -1543,6 +1564,9 @@ router.post(
           ),
         })),
         status: 'processed',
+        amountPaid: amountInCents / 100,
+        subtotal: pricing.subtotalCents / 100,
+        discounts: toPaymentDiscountFields(pricing).discounts,
         receiptUrl: paymentResult.receiptUrl || paymentResult.receipt_url,
         message: 'Training payment processed successfully',
       });
@@ -1563,7 +1587,7 @@ router.post(
 );
 
 // PROCESS PAYMENTS FOR LOGGED-IN USERS - UPDATED
-router.post('/process', authenticate, async (req, res) => {
+router.post('/process', authenticateIdempotent, async (req, res) => {
   console.log('=== PAYMENT PROCESS REQUEST RECEIVED ===');
 
   const session = await mongoose.startSession();
@@ -1578,6 +1602,7 @@ router.post('/process', authenticate, async (req, res) => {
       players,
       cardDetails,
       paymentSystem, // Optional: specify payment system
+      promoCode,
     } = req.body;
 
     const parentId = req.user.id;
@@ -1636,38 +1661,33 @@ router.post('/process', authenticate, async (req, res) => {
     const customerField = `${paymentService.type}CustomerId`;
     customerId = parent[customerField];
 
+    // Apply discounts (siblings, early bird, promo codes, comps)
+    const pricing = await priceCheckout(
+      'general',
+      amount,
+      players.map((p) => ({ itemType: 'player', playerId: p.playerId })),
+      {
+        parent,
+        season: players[0].season,
+        year: players[0].year,
+        tryoutId: players[0].tryoutId,
+        promoCode,
+      },
+    );
+    await redeemDiscounts(pricing, { session });
+
     // Process payment
     let paymentResult;
-    const amountInCents = parseInt(amount);
-    const perPlayerAmount = amount / 100 / players.length;
-
-    if (paymentService.type === 'square') {
-      const paymentRequest = {
-        sourceId: sourceId || token,
-        amountMoney: {
-          amount: amountInCents,
-          currency: paymentService.settings?.currency || 'USD',
-        },
-        idempotencyKey: crypto.randomUUID(),
-        locationId: paymentService.config.locationId,
-        referenceId: `parent:${parent._id}`,
-        note: `Payment for ${players.length} player(s)`,
-        buyerEmailAddress,
-        autocomplete: true,
-      };
+    const amountInCents = pricing.totalCents;
 
-      if (customerId) {
-        paymentRequest.customerId = customerId;
-      }
-
-      const { result } =
-        await paymentService.client.paymentsApi.createPayment(paymentRequest);
-      paymentResult = result.payment;
-    } else if (paymentService.type === 'clover') {
+    if (amountInCents === 0) {
+      paymentResult = compPaymentResult();
+    } else {
       const paymentData = {
         sourceId: sourceId || token,
         amount: amountInCents,
         email: buyerEmailAddress,
+        customerId,
         referenceId: `parent:${parent._id}`,
         note: `Payment for ${players.length} player(s)`,
       };
@@ -1675,10 +1695,7 @@ router.post('/process', authenticate, async (req, res) => {
       paymentResult = await paymentService.processPayment(paymentData);
     }
 
-    if (
-      !paymentResult ||
-      (paymentResult.status !== 'COMPLETED' && paymentResult.status !== 'PAID')
-    ) {
+    if (!paymentResult || !isSuccessfulPaymentStatus(paymentResult.status)) {
       throw new Error(`Payment failed with status: ${paymentResult?.status}`);
     }
 
@@ -1712,7 +1729,7 @@ router.post('/process', authenticate, async (req, res) => {
         paymentStatus: 'paid',
         paymentComplete: true,
         paymentId: paymentResult.id,
-        amountPaid: perPlayerAmount,
+        amountPaid: netItemAmount(pricing, 'playerId', playerData.playerId),
         cardLast4: cardDetails?.last_4 || 'N/A',
         cardBrand: cardDetails?.card_brand || 'N/A',
         paymentDate: new Date(),
@@ -1747,7 +1764,7 @@ router.post('/process', authenticate, async (req, res) => {
             paymentStatus: 'paid',
             paymentComplete: true,
             paymentId: paymentResult.id,
-            amountPaid: perPlayerAmount,
+            amountPaid: netItemAmount(pricing, 'playerId', playerData.playerId),
             cardLast4: cardDetails?.last_4 || 'N/A',
             cardBrand: cardDetails?.card_brand || 'N/A',
             paymentDate: new Date(),
@@ -1767,18 +1784,27 @@ router.post('/process', authenticate, async (req, res) => {
       buyerEmail: buyerEmailAddress,
       cardLastFour: cardDetails?.last_4 || 'N/A',
       cardBrand: cardDetails?.card_brand || 'N/A',
-      amount: amount / 100,
+      amount: amountInCents / 100,
       currency: paymentService.settings?.currency || 'USD',
       status: 'completed',
       processedAt: new Date(),
       receiptUrl: paymentResult.receiptUrl || paymentResult.receipt_url,
+      players: players.map((p) => ({
+        playerId: p.playerId,
+        season: p.season,
+        year: p.year,
+        tryoutId: p.tryoutId,
+        amount: netItemAmount(pricing, 'playerId', p.playerId),
+      })),
       paymentType: 'general',
+      ...toPaymentDiscountFields(pricing),
     };
 
     const payment = new Payment(
       createPaymentData(paymentService, paymentResult, basePaymentData),
     );
     await payment.save({ session });
+    await postPaymentCharge(payment, { session });
 
     // Send confirmation email
     try {
@@ -1799,7 +1825,7 @@ router.post('/process', authenticate, async (req, res) => {
               <div style="background: #f8f9fa; padding: 15px; border-radius: 5px; margin: 15px 0; border-left: 4px solid #594230;">
                 <h3 style="margin-top: 0; color: rgba(0, 0, 0, .7);">Payment Details</h3>
                 <p style="margin: 8px 0;"><strong>Number of Players:</strong> ${players.length}</p>
-                <p style="margin: 8px 0;"><strong>Total Amount Paid:</strong> $${amount / 100}</p>
+                <p style="margin: 8px 0;"><strong>Total Amount Paid:</strong> $${amountInCents / 100}</p>
                 <p style="margin: 8px 0;"><strong>Payment ID:</strong> ${paymentResult.id}</p>
                 <p style="margin: 8px 0;"><strong>Players Registered:</strong></p>
                 <ul style="margin: 8px 0;">
@@ -1824,6 +1850,9 @@ router.post('/process', authenticate, async (req, res) => {
       externalPaymentId: paymentResult.id,
       paymentSystem: paymentService.type,
       players: updatedPlayers,
+      amountPaid: amountInCents / 100,
+      subtotal: pricing.subtotalCents / 100,
+      discounts: toPaymentDiscountFields(pricing).discounts,
       receiptUrl: paymentResult.receiptUrl || paymentResult.receipt_url,
       message: 'Payment processed successfully',
     });
@@ -2027,125 +2056,15 @@ router.post('/square/webhook', express.json(), async (req, res) => {
   }
 });
 
-router.post('/clover/process', authenticate, async (req, res) => {
-  console.log('=== CLOVER PAYMENT PROCESS REQUEST ===');
-
-  const session = await mongoose.startSession();
-  session.startTransaction();
-
-  try {
-    const {
-      token,
-      sourceId,
-      amount,
-      email: buyerEmailAddress,
-      players,
-      cardDetails,
-      registrationType,
-      teamIds,
-      tournament,
-      year,
-      tournamentId,
-    } = req.body;
-
-    const parentId = req.user.id;
-
-    console.log('Processing Clover payment:', {
-      parentId,
-      registrationType,
-      amount,
-      email: buyerEmailAddress,
-      playerCount: players?.length || 0,
-      teamCount: teamIds?.length || 0,
-    });
-
-    // Validate required fields
-    if (!token && !sourceId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Payment token is required',
-      });
-    }
-
-    if (!amount || amount <= 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Valid payment amount is required',
-      });
-    }
-
-    // Get Clover payment service
-    const paymentService = await getPaymentService('clover');
-    console.log('Using Clover payment service');
-
-    // Validate configuration
-    validateConfigForPayment(paymentService.configuration, registrationType);
-
-    // Get parent
-    const parent = await Parent.findById(parentId).session(session);
-    if (!parent) {
-      return res.status(404).json({
-        success: false,
-        error: 'Parent not found',
-      });
-    }
-
-    // Process Clover payment
-    const amountInCents = parseInt(amount);
-    const paymentData = {
-      sourceId: sourceId || token,
-      amount: amountInCents,
-      email: buyerEmailAddress,
-      referenceId: `parent:${parent._id}`,
-      note: `${registrationType} payment`,
-    };
-
-    const paymentResult = await paymentService.processPayment(paymentData);
-
-    if (
-      paymentResult.status !== 'PAID' &&
-      paymentResult.status !== 'AUTHORIZED'
-    ) {
-      throw new Error(
-        `Clover payment failed with status: ${paymentResult.status}`,
-      );
-    }
-
-    console.log('✅ Clover payment completed:', {
-      paymentId: paymentResult.id,
-      status: paymentResult.status,
-    });
-
-    // Handle different registration types
-    let responseData = { success: true };
-
-    if (registrationType === 'tryout') {
-      // Handle tryout registration
-      // ... (copy tryout logic from existing endpoint)
-    } else if (registrationType === 'training') {
-      // Handle training registration
-      // ... (copy training logic from existing endpoint)
-    } else if (registrationType === 'tournament') {
-      // Handle tournament registration
-      // ... (copy tournament logic from existing endpoint)
-    } else {
-      // Handle general payment
-      // ... (copy general payment logic)
-    }
-
-    await session.commitTransaction();
-    res.json(responseData);
-  } catch (error) {
-    await session.abortTransaction();
-    console.error('Clover payment error:', error);
-    res.status(400).json({
-      success: false,
-      error: 'Clover payment processing failed',
-      message: error.message,
-    });
-  } finally {
-    session.endSession();
-  }
+// Clover checkouts go through the registration endpoints above, which use
+// whichever processor is active. This endpoint charged the card without
+// recording the registration, so it is no longer served.
+router.post('/clover/process', authenticate, (req, res) => {
+  res.status(410).json({
+    success: false,
+    error:
+      'This endpoint has been retired. Use /api/payments/process, /tournament-team, /tournament-teams, /tryout or /training instead.',
+  });
 });
 
 // Get Clover receipt details for internal receipt page
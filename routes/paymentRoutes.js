@@ -19,6 +19,7 @@ const {
 } = require('../services/syncRefunds');
 const { sendEmail } = require('../utils/email');
 const PaymentServiceFactory = require('../services/payment-service-factory');
+const { postPaymentRefund } = require('../services/ledger');
 
 // ============================================
 // HELPER
@@ -342,6 +343,10 @@ router.post('/refund', authenticate, isAdmin, async (req, res) => {
     });
 
     await paymentRecord.save();
+    await postPaymentRefund(
+      paymentRecord,
+      paymentRecord.refunds[paymentRecord.refunds.length - 1],
+    );
 
     console.log('✅ Refund processed successfully:', {
       adminId: req.user._id || req.user.id,
@@ -1,9 +1,15 @@
 // routes/publicTournamentRoutes.js
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Tournament = require('../models/Tournament');
 const Match = require('../models/Match');
 const Team = require('../models/Team');
+const Standing = require('../models/Standing');
+const PlayerStatLine = require('../models/PlayerStatLine');
+const { rankStandings } = require('../services/tournament-standings');
+const { buildBoxScore } = require('../services/live-scoring');
+const { streamTournament } = require('../services/tournament-events');
 
 // Public tournament listing
 router.get('/tournaments/public', async (req, res) => {
@@ -190,22 +196,51 @@ router.get('/tournaments/:id/standings/public', async (req, res) => {
       });
     }
 
-    // Get all matches for this tournament
-    const matches = await Match.find({
+    // Get all matches for this tournament (walkovers only count as
+    // forfeits for the tiebreakers)
+    const finishedMatches = await Match.find({
       tournament: req.params.id,
-      status: 'completed',
+      status: { $in: ['completed', 'walkover'] },
     })
       .populate('team1', 'name')
       .populate('team2', 'name')
       .lean();
 
+    // With groups, the tables only cover group matches
+    const hasGroups = tournament.groups?.length > 0;
+    const tableMatches = finishedMatches.filter(
+      (match) => !hasGroups || match.group
+    );
+    const matches = tableMatches.filter(
+      (match) => match.status === 'completed'
+    );
+
+    // Director decisions and drawn lots for the coin-flip tiebreaker
+    const storedStandings = await Standing.find({ tournament: req.params.id })
+      .select('team tiebreakOrder coinFlip')
+      .lean();
+    const storedByTeam = new Map(
+      storedStandings.map((s) => [s.team.toString(), s])
+    );
+
+    const groupOf = new Map();
+    (tournament.groups || []).forEach((group) => {
+      group.teams.forEach((teamId) =>
+        groupOf.set(teamId.toString(), group.name)
+      );
+    });
+
     // Calculate standings
     const standingsMap = new Map();
 
     // Initialize all teams
     tournament.registeredTeams.forEach((team) => {
+      const stored = storedByTeam.get(team._id.toString());
       standingsMap.set(team._id.toString(), {
         team,
+        group: groupOf.get(team._id.toString()) || null,
+        tiebreakOrder: stored?.tiebreakOrder,
+        coinFlip: stored?.coinFlip,
         matchesPlayed: 0,
         wins: 0,
         losses: 0,
@@ -264,19 +299,36 @@ router.get('/tournaments/:id/standings/public', async (req, res) => {
       }
     });
 
-    // Convert to array and sort
-    const standings = Array.from(standingsMap.values())
-      .sort((a, b) => {
-        if (b.points !== a.points) return b.points - a.points;
-        if (b.goalDifference !== a.goalDifference)
-          return b.goalDifference - a.goalDifference;
-        if (b.goalsFor !== a.goalsFor) return b.goalsFor - a.goalsFor;
-        return a.team.name.localeCompare(b.team.name);
-      })
-      .map((stats, index) => ({
-        ...stats,
-        position: index + 1,
-      }));
+    // Rank each table with the tournament's tiebreakers; decidedBy tells
+    // whether points or which tiebreaker settled each position
+    const tables = new Map();
+    Array.from(standingsMap.values())
+      .sort((a, b) => a.team.name.localeCompare(b.team.name))
+      .forEach((stats) => {
+        if (!tables.has(stats.group)) tables.set(stats.group, []);
+        tables.get(stats.group).push(stats);
+      });
+
+    const standings = [...tables.keys()]
+      .sort((a, b) => String(a).localeCompare(String(b)))
+      .flatMap((group) =>
+        rankStandings(
+          tables.get(group).map((stats) => ({
+            ...stats,
+            pointsFor: stats.goalsFor,
+            pointsAgainst: stats.goalsAgainst,
+          })),
+          tableMatches,
+          tournament.settings
+        ).map(({ standing, decidedBy }, index) => {
+          const { pointsFor, pointsAgainst, ...stats } = standing;
+          return {
+            ...stats,
+            position: index + 1,
+            decidedBy,
+          };
+        })
+      );
 
     res.json({
       success: true,
@@ -302,7 +354,8 @@ router.get('/matches/live', async (req, res) => {
     const liveMatches = await Match.find({
       status: 'in-progress',
     })
-      .populate('tournament', 'name')
+      .select('-liveScoring.audit')
+      .populate('tournament', 'name settings')
       .populate('team1', 'name')
       .populate('team2', 'name')
       .sort({ scheduledTime: 1 })
@@ -311,11 +364,22 @@ router.get('/matches/live', async (req, res) => {
 
     res.json({
       success: true,
-      matches: liveMatches.map((match) => ({
-        ...match,
-        tournamentName: match.tournament?.name,
-        isLive: true,
-      })),
+      matches: liveMatches.map(({ liveScoring, ...match }) => {
+        const boxScore = buildBoxScore(
+          { liveScoring },
+          match.tournament?.settings
+        );
+        return {
+          ...match,
+          tournament: match.tournament && {
+            _id: match.tournament._id,
+            name: match.tournament.name,
+          },
+          tournamentName: match.tournament?.name,
+          currentPeriod: boxScore.currentPeriodLabel,
+          isLive: true,
+        };
+      }),
     });
   } catch (error) {
     console.error('Error fetching live matches:', error);
@@ -326,6 +390,130 @@ router.get('/matches/live', async (req, res) => {
   }
 });
 
+// Live updates for a tournament as server-sent events: score, match-status,
+// bracket and schedule. Browsers reconnect on their own and send the
+// Last-Event-ID header to pick up what they missed (?lastEventId= works
+// too); a `reset` event means too much was missed and the page should
+// reload its data.
+router.get('/tournaments/:id/stream', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tournament ID',
+      });
+    }
+
+    const tournament = await Tournament.exists({
+      _id: req.params.id,
+      isActive: true,
+    });
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found',
+      });
+    }
+
+    streamTournament(req, res, req.params.id);
+  } catch (error) {
+    console.error('Error opening tournament stream:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open tournament stream',
+    });
+  }
+});
+
+// Running box score of a match: score by period, team fouls and timeouts,
+// and the plays entered so far (latest first)
+router.get('/matches/:id/boxscore', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid match ID',
+      });
+    }
+
+    const match = await Match.findById(req.params.id)
+      .select('-liveScoring.audit')
+      .populate('tournament', 'name settings')
+      .populate('team1', 'name grade')
+      .populate('team2', 'name grade')
+      .lean();
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'Match not found',
+      });
+    }
+
+    const settings = match.tournament?.settings || {};
+    const statLines = await PlayerStatLine.find({ match: match._id })
+      .select(
+        'team playerName jerseyNumber didNotPlay points rebounds assists steals fouls threePointersMade'
+      )
+      .sort({ points: -1, playerName: 1 })
+      .lean();
+    const playerStats = (team) =>
+      team
+        ? statLines.filter((line) => String(line.team) === String(team._id))
+        : [];
+    const plays = (match.liveScoring?.events || [])
+      .filter((event) => !event.voided)
+      .map((event) => ({
+        _id: event._id,
+        type: event.type,
+        team: event.team,
+        period: event.period,
+        points: event.points,
+        playerNumber: event.playerNumber,
+        playerName: event.playerName,
+        note: event.note,
+        recordedAt: event.recordedAt,
+      }))
+      .reverse();
+
+    res.json({
+      success: true,
+      match: {
+        _id: match._id,
+        tournament: match.tournament && {
+          _id: match.tournament._id,
+          name: match.tournament.name,
+        },
+        round: match.round,
+        matchNumber: match.matchNumber,
+        group: match.group,
+        status: match.status,
+        isLive: match.status === 'in-progress',
+        scheduledTime: match.scheduledTime,
+        venue: match.venue,
+        court: match.court,
+        team1: match.team1,
+        team2: match.team2,
+        team1Score: match.team1Score,
+        team2Score: match.team2Score,
+        winner: match.winner,
+      },
+      boxScore: buildBoxScore(match, settings),
+      playerStats: {
+        team1: playerStats(match.team1),
+        team2: playerStats(match.team2),
+      },
+      plays,
+      updatedAt: match.updatedAt,
+    });
+  } catch (error) {
+    console.error('Error fetching box score:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch box score',
+    });
+  }
+});
+
 router.get('/tournaments/:id/matches', async (req, res) => {
   try {
     const matches = await Match.find({
@@ -0,0 +1,241 @@
+// routes/reconciliationRoutes.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const ReconciliationDiscrepancy = require('../models/ReconciliationDiscrepancy');
+const { authenticate, isAdmin } = require('../utils/auth');
+const {
+  runProviderReconciliation,
+} = require('../services/provider-reconciliation');
+
+function paginate(query) {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 50, 1), 500);
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+// List reconciliation runs
+router.get('/reports', authenticate, isAdmin, async (req, res) => {
+  try {
+    const { paymentSystem, status } = req.query;
+    const { page, limit, skip } = paginate(req.query);
+
+    const query = {};
+    if (paymentSystem) query.paymentSystem = paymentSystem;
+    if (status) query.status = status;
+
+    const [reports, total] = await Promise.all([
+      ReconciliationReport.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      ReconciliationReport.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      reports,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    console.error('Error fetching reconciliation reports:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch reconciliation reports',
+    });
+  }
+});
+
+// A single run with the discrepancies it found
+router.get('/reports/:id', authenticate, isAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid report ID' });
+    }
+
+    const report = await ReconciliationReport.findById(req.params.id).lean();
+    if (!report) {
+      return res
+        .status(404)
+        .json({ success: false, error: 'Report not found' });
+    }
+
+    const discrepancies = await ReconciliationDiscrepancy.find({
+      lastReportId: report._id,
+    })
+      .sort({ type: 1, createdAt: 1 })
+      .lean();
+
+    res.json({ success: true, report, discrepancies });
+  } catch (error) {
+    console.error('Error fetching reconciliation report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch reconciliation report',
+    });
+  }
+});
+
+// Run a reconciliation now
+router.post(
+  '/run',
+  authenticate,
+  isAdmin,
+  [
+    body('paymentSystem')
+      .optional()
+      .isIn(['square', 'clover', 'stripe', 'paypal', 'fake'])
+      .withMessage('Invalid payment system'),
+    body('startDate').optional().isISO8601(),
+    body('endDate').optional().isISO8601(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    try {
+      const { paymentSystem, startDate, endDate } = req.body;
+
+      if (startDate && endDate && new Date(startDate) > new Date(endDate)) {
+        return res.status(400).json({
+          success: false,
+          error: 'startDate must be before endDate',
+        });
+      }
+
+      const reports = await runProviderReconciliation({
+        paymentSystem,
+        startDate,
+        endDate,
+        trigger: 'manual',
+        triggeredBy: req.user._id,
+      });
+
+      res.json({ success: true, reports });
+    } catch (error) {
+      console.error('Error running reconciliation:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to run reconciliation',
+        details: error.message,
+      });
+    }
+  },
+);
+
+// List discrepancies (open ones by default)
+router.get('/discrepancies', authenticate, isAdmin, async (req, res) => {
+  try {
+    const { status = 'open', type, paymentSystem } = req.query;
+    const { page, limit, skip } = paginate(req.query);
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (type) query.type = type;
+    if (paymentSystem) query.paymentSystem = paymentSystem;
+
+    const [discrepancies, total] = await Promise.all([
+      ReconciliationDiscrepancy.find(query)
+        .sort({ lastSeenAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('paymentId', 'paymentId amount status buyerEmail')
+        .populate('ticketPurchaseId', 'paymentId amount status customerEmail')
+        .populate('resolvedBy', 'fullName email')
+        .lean(),
+      ReconciliationDiscrepancy.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      discrepancies,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    console.error('Error fetching reconciliation discrepancies:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch discrepancies',
+    });
+  }
+});
+
+// Resolve (or ignore) a discrepancy
+router.patch(
+  '/discrepancies/:id',
+  authenticate,
+  isAdmin,
+  [
+    body('status')
+      .isIn(['open', 'resolved', 'ignored'])
+      .withMessage('Status must be open, resolved or ignored'),
+    body('note').optional().isString().trim(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res
+          .status(400)
+          .json({ success: false, error: 'Invalid discrepancy ID' });
+      }
+
+      const discrepancy = await ReconciliationDiscrepancy.findById(
+        req.params.id,
+      );
+      if (!discrepancy) {
+        return res
+          .status(404)
+          .json({ success: false, error: 'Discrepancy not found' });
+      }
+
+      const { status, note } = req.body;
+      discrepancy.status = status;
+      if (note !== undefined) discrepancy.resolutionNote = note;
+
+      if (status === 'open') {
+        discrepancy.resolvedBy = undefined;
+        discrepancy.resolvedAt = undefined;
+      } else {
+        discrepancy.resolvedBy = req.user._id;
+        discrepancy.resolvedAt = new Date();
+      }
+
+      await discrepancy.save();
+
+      console.log(
+        `📝 Reconciliation discrepancy ${discrepancy._id} ${status}`,
+        {
+          by: req.user.email,
+        },
+      );
+
+      res.json({ success: true, discrepancy });
+    } catch (error) {
+      console.error('Error updating reconciliation discrepancy:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update discrepancy',
+      });
+    }
+  },
+);
+
+module.exports = router;
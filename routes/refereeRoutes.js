@@ -0,0 +1,430 @@
+// routes/refereeRoutes.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const Referee = require('../models/Referee');
+const Parent = require('../models/Parent');
+const Match = require('../models/Match');
+const Tournament = require('../models/Tournament');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const {
+  SLOTS,
+  autoAssignReferees,
+  buildPayReport,
+} = require('../services/referee-assignment');
+const {
+  sendRefereeAssignmentEmail,
+  sendRefereePayReportEmail,
+} = require('../utils/email');
+
+// Fields an admin may set on a roster entry
+const EDITABLE_FIELDS = [
+  'certificationLevel',
+  'certificationExpires',
+  'payRate',
+  'assistantPayRate',
+  'maxGamesPerDay',
+  'availability',
+  'unavailable',
+  'conflictTeams',
+  'notes',
+  'isActive',
+];
+
+const ROLE_LABELS = {
+  referee: 'Referee',
+  assistantReferee1: 'Assistant',
+  assistantReferee2: 'Assistant',
+};
+
+function sendValidationErrors(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, errors: errors.array() });
+  return true;
+}
+
+function pickEditable(source) {
+  return EDITABLE_FIELDS.reduce((fields, key) => {
+    if (source[key] !== undefined) fields[key] = source[key];
+    return fields;
+  }, {});
+}
+
+const refereeValidators = [
+  body('certificationLevel').optional().isIn(Referee.CERTIFICATION_LEVELS),
+  body('certificationExpires').optional({ nullable: true }).isISO8601(),
+  body('payRate').optional().isFloat({ min: 0 }),
+  body('assistantPayRate').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('maxGamesPerDay').optional().isInt({ min: 1 }),
+  body('availability').optional().isArray(),
+  body('availability.*.start').isISO8601(),
+  body('availability.*.end').isISO8601(),
+  body('unavailable').optional().isArray(),
+  body('unavailable.*.start').isISO8601(),
+  body('unavailable.*.end').isISO8601(),
+  body('conflictTeams').optional().isArray(),
+  body('conflictTeams.*').isMongoId(),
+];
+
+const reportFilters = [
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('tournament').optional().isMongoId(),
+];
+
+// Roster
+router.get('/', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true';
+    }
+    if (req.query.certificationLevel) {
+      filter.certificationLevel = req.query.certificationLevel;
+    }
+
+    const referees = await Referee.find(filter)
+      .populate('parent', 'fullName email phone')
+      .populate('conflictTeams', 'name grade')
+      .sort({ createdAt: 1 });
+
+    res.json({ success: true, referees });
+  } catch (error) {
+    console.error('Error fetching referees:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch referees' });
+  }
+});
+
+// The signed-in official's games, upcoming unless ?all=true
+router.get('/me/assignments', requireAuth, async (req, res) => {
+  try {
+    const filter = {
+      $or: SLOTS.map((slot) => ({ [slot]: req.user._id })),
+    };
+    if (req.query.all !== 'true') {
+      filter.scheduledTime = { $gte: new Date() };
+      filter.status = { $in: ['scheduled', 'in-progress'] };
+    }
+
+    const matches = await Match.find(filter)
+      .populate('tournament', 'name')
+      .populate('team1 team2', 'name')
+      .sort({ scheduledTime: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      assignments: matches.map((match) => ({
+        ...match,
+        role: ROLE_LABELS[
+          SLOTS.find((slot) => String(match[slot]) === String(req.user._id))
+        ],
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching referee assignments:', error);
+    res
+      .status(500)
+      .json({ success: false, error: 'Failed to fetch assignments' });
+  }
+});
+
+// Assign officials to a tournament's scheduled matches (admin). Pass date to
+// do one day, dryRun to preview, reassign to replace existing assignments
+// and notify to email each official their games.
+router.post(
+  '/auto-assign',
+  requireAuth,
+  requireAdmin,
+  [
+    body('tournamentId').isMongoId(),
+    body('date').optional().isISO8601(),
+    body('dryRun').optional().isBoolean(),
+    body('reassign').optional().isBoolean(),
+    body('notify').optional().isBoolean(),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const { tournamentId, date, dryRun, reassign, notify } = req.body;
+
+      const tournament = await Tournament.findById(tournamentId);
+      if (!tournament) {
+        return res
+          .status(404)
+          .json({ success: false, error: 'Tournament not found' });
+      }
+
+      const { matches, assignments, unfilled } = await autoAssignReferees(
+        tournament,
+        { date, dryRun: !!dryRun, reassign: !!reassign },
+      );
+
+      const describe = (match) => ({
+        _id: match._id,
+        scheduledTime: match.scheduledTime,
+        court: match.court,
+        venue: match.venue,
+        teams: `${match.team1?.name || 'TBD'} vs ${match.team2?.name || 'TBD'}`,
+      });
+
+      let notified = 0;
+      if (notify && !dryRun) {
+        const byOfficial = new Map();
+        for (const { match, slot, referee } of assignments) {
+          const key = String(referee.parent._id);
+          if (!byOfficial.has(key)) {
+            byOfficial.set(key, { parent: referee.parent, games: [] });
+          }
+          byOfficial
+            .get(key)
+            .games.push({ ...describe(match), role: ROLE_LABELS[slot] });
+        }
+
+        for (const { parent, games } of byOfficial.values()) {
+          try {
+            await sendRefereeAssignmentEmail(parent, tournament, games);
+            notified++;
+          } catch (emailError) {
+            console.error(
+              `Failed to email assignments to ${parent.email}:`,
+              emailError.message,
+            );
+          }
+        }
+      }
+
+      console.log(
+        `🦓 ${dryRun ? 'Previewed' : 'Made'} ${assignments.length} referee assignment(s) for ${tournament.name}, ${unfilled.length} open`,
+      );
+
+      res.json({
+        success: true,
+        dryRun: !!dryRun,
+        matchesConsidered: matches.length,
+        assignments: assignments.map(({ match, slot, referee }) => ({
+          match: describe(match),
+          slot,
+          referee: {
+            _id: referee._id,
+            parent: referee.parent._id,
+            name: referee.parent.fullName,
+            certificationLevel: referee.certificationLevel,
+          },
+        })),
+        unfilled: unfilled.map(({ match, slot, reasons }) => ({
+          match: describe(match),
+          slot,
+          reasons,
+        })),
+        ...(notify && !dryRun && { notified }),
+      });
+    } catch (error) {
+      console.error('Error auto-assigning referees:', error);
+      res
+        .status(500)
+        .json({ success: false, error: 'Failed to assign referees' });
+    }
+  },
+);
+
+// Games worked and pay owed per official (admin)
+router.get(
+  '/pay-report',
+  requireAuth,
+  requireAdmin,
+  reportFilters,
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const { from, to, tournament } = req.query;
+      const report = await buildPayReport({ from, to, tournament });
+
+      res.json({
+        success: true,
+        filters: { from, to, tournament },
+        totalPay: report.reduce((sum, row) => sum + row.totalPay, 0),
+        referees: report,
+      });
+    } catch (error) {
+      console.error('Error building referee pay report:', error);
+      res
+        .status(500)
+        .json({ success: false, error: 'Failed to build pay report' });
+    }
+  },
+);
+
+// Email each official (or the ones in refereeIds) their pay report (admin)
+router.post(
+  '/pay-report/email',
+  requireAuth,
+  requireAdmin,
+  [
+    body('from').optional().isISO8601(),
+    body('to').optional().isISO8601(),
+    body('tournament').optional().isMongoId(),
+    body('refereeIds').optional().isArray(),
+    body('refereeIds.*').isMongoId(),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const { from, to, tournament, refereeIds } = req.body;
+      let report = await buildPayReport({ from, to, tournament });
+      if (refereeIds?.length) {
+        report = report.filter((row) =>
+          refereeIds.includes(String(row.referee._id)),
+        );
+      }
+
+      const sent = [];
+      const failed = [];
+      for (const row of report) {
+        try {
+          await sendRefereePayReportEmail(row, { from, to });
+          sent.push(row.referee.email);
+        } catch (emailError) {
+          console.error(
+            `Failed to email pay report to ${row.referee.email}:`,
+            emailError.message,
+          );
+          failed.push(row.referee.email);
+        }
+      }
+
+      res.json({ success: true, sent, failed });
+    } catch (error) {
+      console.error('Error emailing referee pay reports:', error);
+      res
+        .status(500)
+        .json({ success: false, error: 'Failed to email pay reports' });
+    }
+  },
+);
+
+// Add a parent to the roster (admin)
+router.post(
+  '/',
+  requireAuth,
+  requireAdmin,
+  [body('parent').isMongoId(), ...refereeValidators],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const parent = await Parent.findById(req.body.parent).select(
+        'fullName email',
+      );
+      if (!parent) {
+        return res
+          .status(404)
+          .json({ success: false, error: 'Parent not found' });
+      }
+      if (await Referee.exists({ parent: parent._id })) {
+        return res.status(409).json({
+          success: false,
+          error: `${parent.fullName} is already on the referee roster`,
+        });
+      }
+
+      const referee = await Referee.create({
+        ...pickEditable(req.body),
+        parent: parent._id,
+      });
+
+      console.log(`🦓 Referee added: ${parent.fullName}`);
+      res.status(201).json({ success: true, referee });
+    } catch (error) {
+      console.error('Error creating referee:', error);
+      res
+        .status(error.name === 'ValidationError' ? 400 : 500)
+        .json({ success: false, error: error.message });
+    }
+  },
+);
+
+// Update a roster entry (admin)
+router.put(
+  '/:id',
+  requireAuth,
+  requireAdmin,
+  refereeValidators,
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res
+          .status(400)
+          .json({ success: false, error: 'Invalid referee ID' });
+      }
+
+      const referee = await Referee.findById(req.params.id);
+      if (!referee) {
+        return res
+          .status(404)
+          .json({ success: false, error: 'Referee not found' });
+      }
+
+      referee.set(pickEditable(req.body));
+      await referee.save();
+
+      res.json({ success: true, referee });
+    } catch (error) {
+      console.error('Error updating referee:', error);
+      res
+        .status(error.name === 'ValidationError' ? 400 : 500)
+        .json({ success: false, error: error.message });
+    }
+  },
+);
+
+// Take an official off the roster (admin). The entry is kept for the pay
+// report; they are no longer auto-assigned.
+router.delete('/:id', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid referee ID' });
+    }
+
+    const referee = await Referee.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true },
+    );
+    if (!referee) {
+      return res
+        .status(404)
+        .json({ success: false, error: 'Referee not found' });
+    }
+
+    const upcoming = await Match.countDocuments({
+      $or: SLOTS.map((slot) => ({ [slot]: referee.parent })),
+      status: 'scheduled',
+      scheduledTime: { $gte: new Date() },
+    });
+
+    res.json({
+      success: true,
+      referee,
+      ...(upcoming && {
+        warning: `Still assigned to ${upcoming} upcoming match(es)`,
+      }),
+    });
+  } catch (error) {
+    console.error('Error deactivating referee:', error);
+    res
+      .status(500)
+      .json({ success: false, error: 'Failed to deactivate referee' });
+  }
+});
+
+module.exports = router;
@@ -4,27 +4,65 @@ const { authenticate } = require('../utils/auth');
 const Payment = require('../models/Payment');
 const { sendEmail } = require('../utils/email');
 const router = express.Router();
-const { Client, Environment } = require('square');
-const crypto = require('crypto');
-
-// Create Square client for refund routes
-const squareClient = new Client({
-  accessToken: process.env.SQUARE_ACCESS_TOKEN,
-  environment:
-    process.env.NODE_ENV === 'production'
-      ? Environment.Production
-      : Environment.Sandbox,
-});
+const { processRefund } = require('../services/payment-wrapper');
+const {
+  getPaymentLineItems,
+  resolveRefundAllocations,
+} = require('../services/refund-allocations');
+
+// GET /api/refunds/payments/:paymentId/items - line items a refund can be
+// allocated to, with what is left on each
+router.get('/payments/:paymentId/items', authenticate, async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.paymentId);
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found',
+      });
+    }
+
+    if (
+      req.user.role !== 'admin' &&
+      String(payment.parentId) !== String(req.user._id)
+    ) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized',
+      });
+    }
 
-const { refundsApi } = squareClient;
+    const items = await getPaymentLineItems(payment);
+
+    res.json({
+      success: true,
+      paymentId: payment._id,
+      amount: payment.amount,
+      refundedAmount: payment.refundedAmount || 0,
+      items,
+    });
+  } catch (error) {
+    console.error('❌ Error fetching refundable items:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch refundable items',
+    });
+  }
+});
 
 // POST /api/refunds/request
 router.post('/request', authenticate, async (req, res) => {
   try {
-    const { paymentId, reason, amount, notes } = req.body;
+    const { paymentId, reason, notes, allocations } = req.body;
+    let { amount } = req.body;
     const requestedBy = req.user.id;
 
-    console.log('📋 Creating refund request:', { paymentId, amount, reason });
+    console.log('📋 Creating refund request:', {
+      paymentId,
+      amount,
+      reason,
+      allocations: allocations?.length || 0,
+    });
 
     // Find the payment
     const payment = await Payment.findById(paymentId);
@@ -35,9 +73,44 @@ router.post('/request', authenticate, async (req, res) => {
       });
     }
 
-    // Validate refund amount
-    const maxRefundable = payment.amount - (payment.totalRefunded || 0);
-    if (amount > maxRefundable) {
+    // Resolve line-item allocations (players, teams, tickets)
+    let resolvedAllocations = [];
+    if (Array.isArray(allocations) && allocations.length > 0) {
+      try {
+        const resolved = await resolveRefundAllocations(payment, allocations);
+        resolvedAllocations = resolved.allocations;
+        if (amount === undefined || amount === null) {
+          amount = resolved.total;
+        } else if (Math.abs(amount - resolved.total) > 0.005) {
+          return res.status(400).json({
+            success: false,
+            error: `Refund amount $${Number(amount).toFixed(2)} does not match the allocated total $${resolved.total.toFixed(2)}`,
+          });
+        }
+      } catch (allocationError) {
+        if (allocationError.code !== 'INVALID_ALLOCATION')
+          throw allocationError;
+        return res.status(400).json({
+          success: false,
+          error: allocationError.message,
+        });
+      }
+    }
+
+    if (!amount || amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid refund amount is required',
+      });
+    }
+
+    // Validate refund amount, counting requests still waiting for review
+    const pendingRequested = (payment.refunds || [])
+      .filter((refund) => refund.status === 'pending')
+      .reduce((sum, refund) => sum + (refund.amount || 0), 0);
+    const maxRefundable =
+      payment.amount - (payment.refundedAmount || 0) - pendingRequested;
+    if (amount > maxRefundable + 0.005) {
       return res.status(400).json({
         success: false,
         error: `Refund amount exceeds available balance. Maximum refundable: $${maxRefundable.toFixed(2)}`,
@@ -52,6 +125,7 @@ router.post('/request', authenticate, async (req, res) => {
       requestedBy,
       requestedAt: new Date(),
       notes,
+      allocations: resolvedAllocations,
     };
 
     // Initialize refunds array if needed
@@ -61,8 +135,8 @@ router.post('/request', authenticate, async (req, res) => {
 
     payment.refunds.push(refundRequest);
     payment.refundStatus =
-      (payment.totalRefunded || 0) + amount >= payment.amount
-        ? 'requested'
+      (payment.refundedAmount || 0) + amount >= payment.amount
+        ? 'processing'
         : 'partial';
 
     await payment.save();
@@ -175,125 +249,66 @@ router.post('/process', authenticate, async (req, res) => {
     }
 
     if (action === 'approve') {
-      // Check for Square payment ID
-      if (!payment.paymentId) {
-        console.error('❌ Missing Square payment ID');
-        return res.status(400).json({
-          success: false,
-          error: 'Payment missing Square payment ID',
-        });
-      }
-
-      // Check Square access token
-      if (!process.env.SQUARE_ACCESS_TOKEN) {
-        console.error('❌ SQUARE_ACCESS_TOKEN not configured');
-        return res.status(500).json({
-          success: false,
-          error: 'Payment system configuration error',
-        });
-      }
-
-      console.log('💰 Processing Square refund for:', {
-        squarePaymentId: payment.paymentId,
+      // Admin may adjust the allocation at approval time
+      const allocations =
+        Array.isArray(req.body.allocations) && req.body.allocations.length > 0
+          ? req.body.allocations
+          : refund.allocations?.map((allocation) => allocation.toObject());
+
+      console.log('💰 Processing refund through payment provider:', {
+        paymentSystem: payment.paymentSystem,
+        externalPaymentId: payment.paymentId,
         amount: refund.amount,
-        reason: refund.reason,
+        allocations: allocations?.length || 0,
       });
 
       try {
-        // Process refund with Square
-        const refundResponse = await refundsApi.refundPayment({
-          paymentId: payment.paymentId,
-          idempotencyKey: `refund_${Date.now()}_${crypto.randomBytes(8).toString('hex')}`,
-          amountMoney: {
-            amount: Math.round(refund.amount * 100), // Convert to cents
-            currency: 'USD',
+        const result = await processRefund(
+          payment._id,
+          allocations?.length ? null : refund.amount,
+          {
+            reason: refund.reason || adminNotes || 'Customer request',
+            refundRequestId: refund._id,
+            allocations,
+            refundedBy: processedBy,
+            notes: adminNotes || 'Approved via admin panel',
+            source: 'admin_dashboard',
           },
-          reason: refund.reason || adminNotes || 'Customer request',
-        });
-
-        // Validate Square response
-        if (
-          !refundResponse ||
-          !refundResponse.result ||
-          !refundResponse.result.refund
-        ) {
-          console.error('❌ Invalid Square response:', refundResponse);
-          throw new Error('Invalid response from Square API');
-        }
+        );
 
-        const squareRefund = refundResponse.result.refund;
-
-        console.log('✅ Square refund created:', {
-          id: squareRefund.id,
-          status: squareRefund.status,
-          amount: squareRefund.amountMoney?.amount,
-        });
-
-        // Update refund record
-        refund.status = 'completed';
-        refund.squareRefundId = squareRefund.id;
-        refund.processedAt = new Date();
-        refund.refundedBy = processedBy;
-        refund.notes = adminNotes || 'Approved via admin panel';
-
-        // Update payment totals
-        payment.totalRefunded = (payment.totalRefunded || 0) + refund.amount;
-        payment.refundStatus =
-          payment.totalRefunded >= payment.amount ? 'full' : 'partial';
-
-        await payment.save();
-
-        // Send confirmation email
-        try {
-          await sendRefundConfirmation(payment, refund);
-          console.log('✅ Refund confirmation email sent');
-        } catch (emailError) {
-          console.warn('⚠️ Email sending failed:', emailError.message);
-        }
+        console.log('✅ Refund processed:', result.refund);
 
         return res.json({
           success: true,
           message: 'Refund approved and processed successfully',
           refund: {
             _id: refund._id,
-            amount: refund.amount,
-            status: refund.status,
-            squareRefundId: refund.squareRefundId,
-            processedAt: refund.processedAt,
+            amount: result.refund.amount,
+            status: result.refund.status,
+            externalRefundId: result.refund.id,
+            processedAt: new Date(),
+            allocations: result.refund.allocations,
           },
         });
-      } catch (squareError) {
-        console.error('❌ Square API error:', {
-          message: squareError.message,
-          code: squareError.errors?.[0]?.code,
-          detail: squareError.errors?.[0]?.detail,
-        });
+      } catch (refundError) {
+        console.error('❌ Refund provider error:', refundError.message);
+
+        if (refundError.code === 'INVALID_ALLOCATION') {
+          return res.status(400).json({
+            success: false,
+            error: refundError.message,
+          });
+        }
 
         // Mark refund as failed
         refund.status = 'failed';
-        refund.notes = `Square error: ${squareError.errors?.[0]?.detail || squareError.message}`;
+        refund.notes = `Refund error: ${refundError.message}`;
         refund.processedAt = new Date();
         await payment.save();
 
-        let errorMessage = 'Failed to process refund with Square';
-
-        if (squareError.errors && squareError.errors.length > 0) {
-          const squareErr = squareError.errors[0];
-          if (squareErr.code === 'UNAUTHORIZED') {
-            errorMessage =
-              'Square API authentication failed. Please check your access token.';
-          } else if (squareErr.code === 'PAYMENT_NOT_FOUND') {
-            errorMessage = 'Payment not found in Square system.';
-          } else if (squareErr.code === 'REFUND_ALREADY_COMPLETED') {
-            errorMessage = 'This payment has already been refunded.';
-          } else if (squareErr.detail) {
-            errorMessage = squareErr.detail;
-          }
-        }
-
         return res.status(400).json({
           success: false,
-          error: errorMessage,
+          error: refundError.message || 'Failed to process refund',
         });
       }
     } else if (action === 'reject') {
@@ -455,28 +470,7 @@ router.get('/pending', authenticate, async (req, res) => {
   }
 });
 
-router.use('/process', authenticate, (req, res, next) => {
-  // Only admins can process refunds
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({
-      success: false,
-      error: 'Unauthorized - Admin access required',
-    });
-  }
-
-  // Check Square configuration
-  if (!process.env.SQUARE_ACCESS_TOKEN) {
-    console.error('❌ SQUARE_ACCESS_TOKEN not configured');
-    return res.status(500).json({
-      success: false,
-      error: 'Payment system configuration error',
-    });
-  }
-
-  next();
-});
-
-// Email notification functions (keep these the same)
+// Email notification functions
 async function sendRefundNotification(payment, refundRequest, user) {
   const adminEmail = process.env.ADMIN_EMAIL || 'admin@partizanhoops.com';
 
@@ -510,35 +504,4 @@ async function sendRefundNotification(payment, refundRequest, user) {
   });
 }
 
-async function sendRefundConfirmation(payment, refund) {
-  const Parent = require('../models/Parent');
-  const parent = await Parent.findById(payment.parentId);
-
-  if (!parent || !parent.email) return;
-
-  await sendEmail({
-    to: parent.email,
-    subject: 'Refund Processed - Partizan Basketball',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto;">
-        <h2 style="color: #059669;">✅ Refund Processed</h2>
-        
-        <div style="background: #f0fdf4; padding: 15px; border-radius: 5px; border-left: 4px solid #059669;">
-          <h3>Refund Confirmation</h3>
-          <p><strong>Refund Amount:</strong> $${refund.amount}</p>
-          <p><strong>Original Payment:</strong> $${payment.amount} on ${new Date(payment.createdAt).toLocaleDateString()}</p>
-          <p><strong>Processed Date:</strong> ${new Date(refund.processedAt).toLocaleDateString()}</p>
-          <p><strong>Notes:</strong> ${refund.notes || 'Refund processed successfully'}</p>
-        </div>
-        
-        <p>The refund should appear on your original payment method within 5-10 business days.</p>
-        
-        <div style="margin-top: 20px; padding: 15px; background: #f8f9fa; border-radius: 5px;">
-          <p>If you have any questions, please contact us at partizanhoops@proton.me</p>
-        </div>
-      </div>
-    `,
-  });
-}
-
 module.exports = router;
@@ -0,0 +1,121 @@
+// routes/statsRoutes.js
+const express = require('express');
+const router = express.Router();
+const { param, query, validationResult } = require('express-validator');
+const Player = require('../models/Player');
+const Tournament = require('../models/Tournament');
+const { requireAuth } = require('../middleware/auth');
+const {
+  STAT_FIELDS,
+  leaderboard,
+  careerStats,
+} = require('../services/player-stats');
+
+function sendValidationErrors(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, errors: errors.array() });
+  return true;
+}
+
+// Stat leaders of a tournament (?tournament=) or a season (?year=), one
+// board per stat
+router.get(
+  '/leaders',
+  [
+    query('tournament').optional().isMongoId(),
+    query('year').optional().isInt({ min: 2020, max: 2100 }),
+    query('stats')
+      .optional()
+      .custom((value) =>
+        String(value)
+          .split(',')
+          .every((stat) => STAT_FIELDS.includes(stat)),
+      )
+      .withMessage(`Stats must be among ${STAT_FIELDS.join(', ')}`),
+    query('mode').optional().isIn(['average', 'total']),
+    query('minGames').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const { tournament, year, mode, minGames, limit } = req.query;
+      if (!tournament && !year) {
+        return res.status(400).json({
+          success: false,
+          error: 'Pass a tournament or a year',
+        });
+      }
+
+      const stats = req.query.stats
+        ? String(req.query.stats).split(',')
+        : STAT_FIELDS;
+
+      const boards = {};
+      for (const stat of stats) {
+        boards[stat] = await leaderboard({
+          stat,
+          tournament,
+          year,
+          mode,
+          minGames,
+          limit,
+        });
+      }
+
+      res.json({
+        success: true,
+        scope: tournament
+          ? {
+              tournament: await Tournament.findById(tournament)
+                .select('name year')
+                .lean(),
+            }
+          : { year: Number(year) },
+        mode: mode || 'average',
+        leaders: boards,
+      });
+    } catch (error) {
+      console.error('Error fetching stat leaders:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch stat leaders',
+      });
+    }
+  },
+);
+
+// Career page of one of our players
+router.get(
+  '/players/:playerId',
+  requireAuth,
+  [param('playerId').isMongoId()],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const player = await Player.findById(req.params.playerId)
+        .select('fullName grade schoolName avatar gender')
+        .lean();
+      if (!player) {
+        return res
+          .status(404)
+          .json({ success: false, error: 'Player not found' });
+      }
+
+      const stats = await careerStats(player._id);
+
+      res.json({ success: true, player, ...stats });
+    } catch (error) {
+      console.error('Error fetching player stats:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch player stats',
+      });
+    }
+  },
+);
+
+module.exports = router;
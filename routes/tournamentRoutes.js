@@ -12,7 +12,11 @@ const Match = require('../models/Match');
 const tournamentController = require('../controllers/tournamentController');
 
 // Import middleware
-const { requireAuth, requireAdmin } = require('../middleware/auth');
+const {
+  requireAuth,
+  requireAdmin,
+  requireCoach,
+} = require('../middleware/auth');
 
 // Import utility functions
 const tournamentUtils = require('../utils/tournamentUtils');
@@ -37,8 +41,35 @@ const validateTournament = [
       'double-elimination',
       'round-robin',
       'group-stage',
+      'groups-knockout',
     ])
     .withMessage('Valid format is required'),
+  body('settings.advancePerGroup')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Teams advancing per group must be at least 1'),
+  body('settings.tiebreakers')
+    .optional()
+    .isArray()
+    .withMessage('Tiebreakers must be an array'),
+  body('settings.tiebreakers.*')
+    .isIn([
+      'head-to-head',
+      'point-differential',
+      'points-for',
+      'points-allowed',
+      'fewest-forfeits',
+      'coin-flip',
+    ])
+    .withMessage('Invalid tiebreaker'),
+  body('settings.checkIn.whenMissing')
+    .optional()
+    .isIn(['ignore', 'refuse', 'forfeit'])
+    .withMessage('Check-in policy must be ignore, refuse or forfeit'),
+  body('settings.checkIn.rosterLockAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Roster lock must be a valid date'),
   body('maxTeams')
     .optional()
     .isInt({ min: 2 })
@@ -413,12 +444,82 @@ router.post(
         'double-elimination',
         'round-robin',
         'group-stage',
+        'groups-knockout',
       ])
       .withMessage('Invalid tournament format'),
+    body('seeding')
+      .optional()
+      .isIn(['registration', 'manual', 'standings', 'group-ranks', 'random'])
+      .withMessage('Invalid seeding strategy'),
+    body('seeds').optional().isArray().withMessage('Seeds must be an array'),
+    body('seeds.*.team').optional().isMongoId().withMessage('Invalid team ID'),
+    body('seeds.*.seed')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Seeds must be positive integers'),
+    body('sourceTournamentId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid source tournament ID'),
+    body(['consolationBracket', 'thirdPlaceGame', 'placementGames'])
+      .optional()
+      .isBoolean()
+      .withMessage('Placement options must be true or false'),
+    body('minGamesPerTeam')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Minimum games must be a positive integer'),
   ],
   tournamentController.generateBrackets
 );
 
+// Knockout stage of a groups-knockout tournament (normally created when the
+// last group match finishes)
+router.post(
+  '/:tournamentId/knockout',
+  requireAuth,
+  requireAdmin,
+  [param('tournamentId').isMongoId().withMessage('Invalid tournament ID')],
+  tournamentController.generateKnockout
+);
+
+// Manual seed numbers for registered teams
+router.put(
+  '/:tournamentId/seeds',
+  requireAuth,
+  requireAdmin,
+  [
+    param('tournamentId').isMongoId().withMessage('Invalid tournament ID'),
+    body('seeds').isArray().withMessage('Seeds must be an array'),
+    body('seeds.*.team').isMongoId().withMessage('Invalid team ID'),
+    body('seeds.*.seed')
+      .isInt({ min: 1 })
+      .withMessage('Seeds must be positive integers'),
+    body('seedingStrategy')
+      .optional()
+      .isIn(['registration', 'manual', 'standings', 'group-ranks', 'random'])
+      .withMessage('Invalid seeding strategy'),
+  ],
+  tournamentController.updateSeeds
+);
+
+// Venues (gyms) the tournament is played at, in scheduling order
+router.put(
+  '/:tournamentId/venues',
+  requireAuth,
+  requireAdmin,
+  [
+    param('tournamentId').isMongoId().withMessage('Invalid tournament ID'),
+    body('venues').isArray().withMessage('Venues must be an array'),
+    body('venues.*').isMongoId().withMessage('Invalid venue ID'),
+    body('travelBufferMinutes')
+      .optional()
+      .isInt({ min: 0, max: 600 })
+      .withMessage('Travel buffer must be between 0 and 600 minutes'),
+  ],
+  tournamentController.setTournamentVenues
+);
+
 router.post(
   '/:tournamentId/generate-schedule',
   requireAuth,
@@ -488,6 +589,300 @@ router.put(
   tournamentController.updateMatch
 );
 
+// Live scoring. Admins and the match's scorekeeper can keep score.
+router.put(
+  '/match/:matchId/scorekeeper',
+  requireAuth,
+  requireAdmin,
+  [
+    param('matchId').isMongoId().withMessage('Invalid match ID'),
+    body('scorekeeperId')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('Invalid scorekeeper ID'),
+  ],
+  tournamentController.assignScorekeeper
+);
+
+router.get(
+  '/match/:matchId/live',
+  requireAuth,
+  [param('matchId').isMongoId().withMessage('Invalid match ID')],
+  tournamentController.getLiveScore
+);
+
+router.post(
+  '/match/:matchId/live/start',
+  requireAuth,
+  [param('matchId').isMongoId().withMessage('Invalid match ID')],
+  tournamentController.startLiveMatch
+);
+
+router.post(
+  '/match/:matchId/live/events',
+  requireAuth,
+  [
+    param('matchId').isMongoId().withMessage('Invalid match ID'),
+    body('type')
+      .isIn(['score', 'foul', 'timeout'])
+      .withMessage('Type must be score, foul or timeout'),
+    body('team')
+      .isIn(['team1', 'team2'])
+      .withMessage('Team must be team1 or team2'),
+    body('points')
+      .if(body('type').equals('score'))
+      .isInt({ min: 1 })
+      .toInt()
+      .withMessage('Points must be a positive integer'),
+    body('period')
+      .optional()
+      .isInt({ min: 1 })
+      .toInt()
+      .withMessage('Period must be a positive integer'),
+    body('playerNumber').optional().isString(),
+    body('playerName').optional().isString(),
+  ],
+  tournamentController.recordScoringEvent
+);
+
+router.patch(
+  '/match/:matchId/live/events/:eventId',
+  requireAuth,
+  [
+    param('matchId').isMongoId().withMessage('Invalid match ID'),
+    param('eventId').isMongoId().withMessage('Invalid entry ID'),
+    body('reason')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('A reason for the correction is required'),
+    body('team')
+      .optional()
+      .isIn(['team1', 'team2'])
+      .withMessage('Team must be team1 or team2'),
+    body('points')
+      .optional()
+      .isInt({ min: 1 })
+      .toInt()
+      .withMessage('Points must be a positive integer'),
+    body('period')
+      .optional()
+      .isInt({ min: 1 })
+      .toInt()
+      .withMessage('Period must be a positive integer'),
+    body('playerNumber').optional().isString(),
+    body('playerName').optional().isString(),
+  ],
+  tournamentController.correctScoringEvent
+);
+
+router.delete(
+  '/match/:matchId/live/events/:eventId',
+  requireAuth,
+  [
+    param('matchId').isMongoId().withMessage('Invalid match ID'),
+    param('eventId').isMongoId().withMessage('Invalid entry ID'),
+    body('reason')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('A reason for voiding the entry is required'),
+  ],
+  tournamentController.voidScoringEvent
+);
+
+router.post(
+  '/match/:matchId/live/period',
+  requireAuth,
+  [param('matchId').isMongoId().withMessage('Invalid match ID')],
+  tournamentController.advanceLivePeriod
+);
+
+router.post(
+  '/match/:matchId/live/finalize',
+  requireAuth,
+  [param('matchId').isMongoId().withMessage('Invalid match ID')],
+  tournamentController.finalizeLiveMatch
+);
+
+// Player stat lines
+router.get(
+  '/match/:matchId/stats',
+  requireAuth,
+  [param('matchId').isMongoId().withMessage('Invalid match ID')],
+  tournamentController.getMatchStats
+);
+
+router.put(
+  '/match/:matchId/stats',
+  requireAuth,
+  [
+    param('matchId').isMongoId().withMessage('Invalid match ID'),
+    body('side')
+      .isIn(['team1', 'team2'])
+      .withMessage('Side must be team1 or team2'),
+    body('lines').isArray().withMessage('Lines must be an array'),
+    body('lines.*.player')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('Invalid player ID'),
+    body('lines.*.playerName').optional().isString().trim(),
+    body('lines.*.jerseyNumber').optional().isString().trim(),
+    body('lines.*.didNotPlay').optional().isBoolean(),
+    body([
+      'lines.*.points',
+      'lines.*.rebounds',
+      'lines.*.assists',
+      'lines.*.steals',
+      'lines.*.fouls',
+      'lines.*.threePointersMade',
+    ])
+      .optional()
+      .isInt({ min: 0 })
+      .toInt()
+      .withMessage('Stats must be whole numbers of 0 or more'),
+  ],
+  tournamentController.saveMatchStats
+);
+
+// Forfeits and protests (services/match-disputes.js)
+router.post(
+  '/match/:matchId/forfeit',
+  requireAuth,
+  requireAdmin,
+  [
+    param('matchId').isMongoId().withMessage('Invalid match ID'),
+    body('teamId').isMongoId().withMessage('Invalid team ID'),
+    body('reason').optional().isString().trim(),
+  ],
+  tournamentController.forfeitMatch
+);
+
+router.post(
+  '/match/:matchId/protests',
+  requireAuth,
+  requireCoach,
+  [
+    param('matchId').isMongoId().withMessage('Invalid match ID'),
+    body('teamId').optional().isMongoId().withMessage('Invalid team ID'),
+    body('reason')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Reason is required'),
+  ],
+  tournamentController.fileProtest
+);
+
+router.delete(
+  '/match/:matchId/protests/:protestId',
+  requireAuth,
+  requireCoach,
+  [
+    param('matchId').isMongoId().withMessage('Invalid match ID'),
+    param('protestId').isMongoId().withMessage('Invalid protest ID'),
+  ],
+  tournamentController.withdrawProtest
+);
+
+router.put(
+  '/match/:matchId/protests/:protestId',
+  requireAuth,
+  requireAdmin,
+  [
+    param('matchId').isMongoId().withMessage('Invalid match ID'),
+    param('protestId').isMongoId().withMessage('Invalid protest ID'),
+    body('status')
+      .isIn(['upheld', 'denied'])
+      .withMessage('Status must be upheld or denied'),
+    body('outcome')
+      .optional()
+      .isIn(['replay', 'overturn', 'score'])
+      .withMessage('Outcome must be replay, overturn or score'),
+    body(['team1Score', 'team2Score'])
+      .optional()
+      .isInt({ min: 0 })
+      .toInt()
+      .withMessage('Scores must be whole numbers of 0 or more'),
+    body('note').optional().isString().trim(),
+  ],
+  tournamentController.decideProtest
+);
+
+router.get(
+  '/match/:matchId/history',
+  requireAuth,
+  [param('matchId').isMongoId().withMessage('Invalid match ID')],
+  tournamentController.getMatchHistory
+);
+
+// Team check-in and rosters
+const validateCheckInTeam = [
+  param('tournamentId').isMongoId().withMessage('Invalid tournament ID'),
+  param('teamId').isMongoId().withMessage('Invalid team ID'),
+];
+
+const validateRoster = [
+  body('players.*.player').isMongoId().withMessage('Invalid player ID'),
+  body('players.*.jerseyNumber')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 3 })
+    .withMessage('Jersey number is up to 3 characters'),
+];
+
+router.get(
+  '/:tournamentId/check-in',
+  requireAuth,
+  requireCoach,
+  [param('tournamentId').isMongoId().withMessage('Invalid tournament ID')],
+  tournamentController.getCheckIns
+);
+
+router.get(
+  '/:tournamentId/check-in/:teamId/players',
+  requireAuth,
+  requireCoach,
+  validateCheckInTeam,
+  tournamentController.getRosterPool
+);
+
+router.put(
+  '/:tournamentId/check-in/:teamId/roster',
+  requireAuth,
+  requireCoach,
+  [
+    ...validateCheckInTeam,
+    body('players').isArray({ min: 1 }).withMessage('Players are required'),
+    ...validateRoster,
+  ],
+  tournamentController.updateRoster
+);
+
+router.post(
+  '/:tournamentId/check-in/:teamId',
+  requireAuth,
+  requireCoach,
+  [
+    ...validateCheckInTeam,
+    body('players')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('Players must be a non-empty array'),
+    ...validateRoster,
+  ],
+  tournamentController.checkInTeam
+);
+
+router.delete(
+  '/:tournamentId/check-in/:teamId',
+  requireAuth,
+  requireAdmin,
+  validateCheckInTeam,
+  tournamentController.undoCheckIn
+);
+
 // Update match team assignment (for drag-drop)
 router.patch(
   '/match/:matchId/teams',
@@ -655,6 +1050,22 @@ router.get(
   tournamentController.getStandings
 );
 
+// Director's order for teams tied after every other tiebreaker
+router.put(
+  '/:tournamentId/standings/tiebreak',
+  requireAuth,
+  requireAdmin,
+  [
+    param('tournamentId').isMongoId().withMessage('Invalid tournament ID'),
+    body('group').isString().notEmpty().withMessage('Group is required'),
+    body('teamIds')
+      .isArray({ min: 2 })
+      .withMessage('At least two team IDs are required'),
+    body('teamIds.*').isMongoId().withMessage('Invalid team ID'),
+  ],
+  tournamentController.setTiebreakOrder
+);
+
 router.get(
   '/:tournamentId/schedule',
   requireAuth,
@@ -685,7 +1096,9 @@ router.post(
     body('endTime')
       .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
       .withMessage('Valid end time is required'),
-    body('courts').isArray().withMessage('Courts must be an array'),
+    body('courts').optional().isArray().withMessage('Courts must be an array'),
+    body('venues').optional().isArray().withMessage('Venues must be an array'),
+    body('venues.*').isMongoId().withMessage('Invalid venue ID'),
     body('matchDuration')
       .optional()
       .isInt({ min: 10, max: 120 })
@@ -694,6 +1107,38 @@ router.post(
       .optional()
       .isInt({ min: 0, max: 60 })
       .withMessage('Break duration must be between 0 and 60 minutes'),
+    body('minRestMinutes')
+      .optional()
+      .isInt({ min: 0, max: 600 })
+      .withMessage('Minimum rest must be between 0 and 600 minutes'),
+    body('travelBufferMinutes')
+      .optional()
+      .isInt({ min: 0, max: 600 })
+      .withMessage('Travel buffer must be between 0 and 600 minutes'),
+    body('gradeTimeRules')
+      .optional()
+      .isArray()
+      .withMessage('Grade time rules must be an array'),
+    body('gradeTimeRules.*.notBefore')
+      .optional()
+      .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
+      .withMessage('Valid time is required'),
+    body('gradeTimeRules.*.notAfter')
+      .optional()
+      .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
+      .withMessage('Valid time is required'),
+    body('blackouts')
+      .optional()
+      .isArray()
+      .withMessage('Blackouts must be an array'),
+    body('blackouts.*.start')
+      .isISO8601()
+      .withMessage('Valid blackout start is required'),
+    body('blackouts.*.end')
+      .isISO8601()
+      .withMessage('Valid blackout end is required'),
+    body('blackouts.*.venues.*').isMongoId().withMessage('Invalid venue ID'),
+    body('dryRun').optional().isBoolean(),
   ],
   tournamentController.generateTournamentSchedule
 );
@@ -721,6 +1166,36 @@ router.get(
   tournamentController.getScheduleForDate
 );
 
+// Exports: printable bracket, schedule spreadsheet and team calendars
+router.get(
+  '/:tournamentId/export/bracket.pdf',
+  requireAuth,
+  [param('tournamentId').isMongoId().withMessage('Invalid tournament ID')],
+  tournamentController.exportBracketPdf
+);
+
+router.get(
+  '/:tournamentId/export/schedule.csv',
+  requireAuth,
+  [
+    param('tournamentId').isMongoId().withMessage('Invalid tournament ID'),
+    query('date').optional().isISO8601().withMessage('Valid date is required'),
+    query('court').optional().isString().trim(),
+  ],
+  tournamentController.exportScheduleCsv
+);
+
+// No auth: calendar apps subscribe to the URL and cannot send a token, and
+// the schedule is already public on the tournament page
+router.get(
+  '/:tournamentId/teams/:teamId/calendar.ics',
+  [
+    param('tournamentId').isMongoId().withMessage('Invalid tournament ID'),
+    param('teamId').isMongoId().withMessage('Invalid team ID'),
+  ],
+  tournamentController.exportTeamCalendar
+);
+
 router.get(
   '/:tournamentId/schedule/available-slots',
   requireAuth,
@@ -736,6 +1211,7 @@ router.get(
       .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
       .withMessage('Valid end time required'),
     query('court').optional().isString().withMessage('Court must be string'),
+    query('venue').optional().isMongoId().withMessage('Invalid venue ID'),
   ],
   tournamentController.getAvailableTimeSlots
 );
@@ -806,11 +1282,19 @@ router.post(
         'double-elimination',
         'round-robin',
         'group-stage',
+        'groups-knockout',
       ])
       .withMessage('Invalid tournament format'),
     body('seeding')
       .optional()
-      .isIn(['random', 'ranked', 'manual'])
+      .isIn([
+        'random',
+        'ranked',
+        'manual',
+        'registration',
+        'standings',
+        'group-ranks',
+      ])
       .withMessage('Invalid seeding type'),
   ],
   tournamentController.recreateBracket
@@ -0,0 +1,191 @@
+// routes/venueRoutes.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Venue = require('../models/Venue');
+const Tournament = require('../models/Tournament');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+
+const TIME_OF_DAY = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Fields an admin may set on a venue
+const EDITABLE_FIELDS = [
+  'name',
+  'address',
+  'courts',
+  'hours',
+  'blackouts',
+  'notes',
+  'isActive',
+];
+
+function sendValidationErrors(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, errors: errors.array() });
+  return true;
+}
+
+function pickEditable(source) {
+  return EDITABLE_FIELDS.reduce((fields, key) => {
+    if (source[key] !== undefined) fields[key] = source[key];
+    return fields;
+  }, {});
+}
+
+const venueValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().notEmpty(),
+    field('courts').isArray({ min: 1 }).withMessage('Add at least one court'),
+    body('courts.*.name').isString().trim().notEmpty(),
+    body('hours').optional().isArray(),
+    body('hours.*.dayOfWeek').isInt({ min: 0, max: 6 }),
+    body('hours.*.open').matches(TIME_OF_DAY),
+    body('hours.*.close').matches(TIME_OF_DAY),
+    body('blackouts').optional().isArray(),
+    body('blackouts.*.start').isISO8601(),
+    body('blackouts.*.end').isISO8601(),
+  ];
+};
+
+// List venues
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === 'true';
+    }
+
+    const venues = await Venue.find(query).sort({ name: 1 });
+
+    res.json({ success: true, venues });
+  } catch (error) {
+    console.error('Error fetching venues:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch venues' });
+  }
+});
+
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid venue ID' });
+    }
+
+    const venue = await Venue.findById(req.params.id);
+    if (!venue) {
+      return res.status(404).json({ success: false, error: 'Venue not found' });
+    }
+
+    res.json({ success: true, venue });
+  } catch (error) {
+    console.error('Error fetching venue:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch venue' });
+  }
+});
+
+// Create a venue (admin)
+router.post(
+  '/',
+  requireAuth,
+  requireAdmin,
+  venueValidators(false),
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const venue = await Venue.create({
+        ...pickEditable(req.body),
+        createdBy: req.user._id,
+      });
+
+      console.log(`🏟️ Venue created: ${venue.name}`);
+      res.status(201).json({ success: true, venue });
+    } catch (error) {
+      console.error('Error creating venue:', error);
+      res
+        .status(error.name === 'ValidationError' ? 400 : 500)
+        .json({ success: false, error: error.message });
+    }
+  },
+);
+
+// Update a venue (admin)
+router.put(
+  '/:id',
+  requireAuth,
+  requireAdmin,
+  venueValidators(true),
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res
+          .status(400)
+          .json({ success: false, error: 'Invalid venue ID' });
+      }
+
+      const venue = await Venue.findById(req.params.id);
+      if (!venue) {
+        return res
+          .status(404)
+          .json({ success: false, error: 'Venue not found' });
+      }
+
+      venue.set(pickEditable(req.body));
+      await venue.save();
+
+      res.json({ success: true, venue });
+    } catch (error) {
+      console.error('Error updating venue:', error);
+      res
+        .status(error.name === 'ValidationError' ? 400 : 500)
+        .json({ success: false, error: error.message });
+    }
+  },
+);
+
+// Deactivate a venue (admin). Venues are kept so scheduled matches still
+// resolve; an inactive venue is no longer offered to the scheduler.
+router.delete('/:id', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid venue ID' });
+    }
+
+    const venue = await Venue.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true },
+    );
+    if (!venue) {
+      return res.status(404).json({ success: false, error: 'Venue not found' });
+    }
+
+    const tournaments = await Tournament.countDocuments({
+      venues: venue._id,
+      status: { $in: ['draft', 'open', 'ongoing'] },
+    });
+
+    res.json({
+      success: true,
+      venue,
+      ...(tournaments && {
+        warning: `Venue is still assigned to ${tournaments} upcoming or ongoing tournament(s)`,
+      }),
+    });
+  } catch (error) {
+    console.error('Error deactivating venue:', error);
+    res
+      .status(500)
+      .json({ success: false, error: 'Failed to deactivate venue' });
+  }
+});
+
+module.exports = router;
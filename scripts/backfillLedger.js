@@ -0,0 +1,23 @@
+// scripts/backfillLedger.js
+const mongoose = require('mongoose');
+const { backfillLedger } = require('../services/ledger');
+require('dotenv').config();
+
+async function run() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const result = await backfillLedger();
+
+    console.log(
+      `Backfill complete. Checked ${result.checked} payments, posted ${result.charges} charges and ${result.refunds} refunds.`,
+    );
+    process.exit(0);
+  } catch (error) {
+    console.error('Backfill failed:', error);
+    process.exit(1);
+  }
+}
+
+run();
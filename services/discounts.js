@@ -0,0 +1,399 @@
+// services/discounts.js
+//
+// Checkout pricing: the fee a route would have charged is split into line
+// items (one per player, team or form purchase) and the active DiscountRules
+// for that program are applied to them. Stackable rules are applied in
+// priority order, each to what the previous ones left; a non-stackable rule
+// is only used on its own, when it saves more than the stackable ones
+// together. All amounts here are integer cents.
+const DiscountRule = require('../models/DiscountRule');
+const Payment = require('../models/Payment');
+const Player = require('../models/Player');
+const Tournament = require('../models/Tournament');
+const TournamentConfig = require('../models/TournamentConfig');
+const TryoutConfig = require('../models/TryoutConfig');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function discountError(message, code = 'INVALID_PROMO_CODE') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Registration deadline of the tournament or tryout being paid for, used by
+ * early-bird rules. Returns null when there is none.
+ */
+async function findRegistrationDeadline({
+  program,
+  tournament,
+  year,
+  tryoutId,
+  season,
+}) {
+  if (program === 'tournament' && tournament) {
+    const event =
+      (await Tournament.findOne({ name: tournament, year }).select(
+        'registrationDeadline',
+      )) ||
+      (await TournamentConfig.findOne({
+        tournamentName: tournament,
+        tournamentYear: year,
+      }).select('registrationDeadline'));
+    return event?.registrationDeadline || null;
+  }
+
+  if (program === 'tryout') {
+    const config = await TryoutConfig.findOne(
+      tryoutId
+        ? { $or: [{ eventId: tryoutId }, { tryoutName: tryoutId }] }
+        : { season, tryoutYear: year },
+    ).select('registrationDeadline');
+    return config?.registrationDeadline || null;
+  }
+
+  return null;
+}
+
+function matchesScope(rule, context) {
+  if (rule.season && rule.season !== context.season) return false;
+  if (rule.year && rule.year !== Number(context.year)) return false;
+  if (rule.tournament && rule.tournament !== context.tournament) return false;
+  if (rule.formId && String(rule.formId) !== String(context.formId)) {
+    return false;
+  }
+  return true;
+}
+
+function isStaff(rule, parent) {
+  if (!parent) return false;
+  if (
+    (rule.eligibleParentIds || []).some(
+      (id) => String(id) === String(parent._id),
+    )
+  ) {
+    return true;
+  }
+
+  const roles = rule.eligibleRoles?.length
+    ? rule.eligibleRoles
+    : ['coach', 'admin'];
+  return (
+    (roles.includes('coach') && (parent.isCoach || parent.role === 'coach')) ||
+    (roles.includes('admin') && parent.role === 'admin')
+  );
+}
+
+// Players of the family (outside this checkout) already paid for the season
+async function countRegisteredSiblings(context, playerIds) {
+  if (!context.parent || !context.season) return 0;
+  return Player.countDocuments({
+    parentId: context.parent._id,
+    _id: { $nin: playerIds },
+    seasons: {
+      $elemMatch: {
+        season: context.season,
+        ...(context.year && { year: Number(context.year) }),
+        paymentStatus: 'paid',
+      },
+    },
+  });
+}
+
+async function hasOtherProgram(context) {
+  if (!context.parent || !context.year) return false;
+  return !!(await Player.exists({
+    parentId: context.parent._id,
+    seasons: {
+      $elemMatch: {
+        year: Number(context.year),
+        paymentStatus: 'paid',
+        season: { $ne: context.season },
+      },
+    },
+  }));
+}
+
+/**
+ * Which item indexes a rule applies to, or an empty list when it does not
+ * apply to this checkout at all.
+ */
+async function eligibleItems(rule, items, context, cache) {
+  const all = items.map((_, i) => i);
+  const players = all.filter((i) => items[i].itemType === 'player');
+
+  switch (rule.type) {
+    case 'sibling': {
+      if (!players.length) return [];
+      if (cache.registeredSiblings === undefined) {
+        cache.registeredSiblings = await countRegisteredSiblings(
+          context,
+          players.map((i) => items[i].playerId),
+        );
+      }
+      // The most expensive player pays full price unless a sibling is
+      // already registered for the season
+      const byPrice = [...players].sort(
+        (a, b) => items[b].amountCents - items[a].amountCents,
+      );
+      return cache.registeredSiblings > 0 ? byPrice : byPrice.slice(1);
+    }
+
+    case 'multi_program':
+      if (!players.length) return [];
+      if (cache.otherProgram === undefined) {
+        cache.otherProgram = await hasOtherProgram(context);
+      }
+      return cache.otherProgram ? players : [];
+
+    case 'early_bird': {
+      if (cache.deadline === undefined) {
+        cache.deadline =
+          context.registrationDeadline ||
+          (await findRegistrationDeadline(context));
+      }
+      if (!cache.deadline) return [];
+      const cutoff =
+        new Date(cache.deadline).getTime() -
+        (rule.daysBeforeDeadline || 0) * DAY_MS;
+      return context.now.getTime() <= cutoff ? all : [];
+    }
+
+    case 'promo_code':
+      return context.promoCode && rule.code === context.promoCode ? all : [];
+
+    case 'staff_comp':
+      return isStaff(rule, context.parent) ? all : [];
+
+    default:
+      return [];
+  }
+}
+
+function applyRules(rules, items) {
+  const remaining = items.map((item) => item.amountCents);
+  const discounts = [];
+
+  for (const { rule, indexes } of rules) {
+    for (const i of indexes) {
+      const amountCents = Math.min(
+        remaining[i],
+        rule.valueType === 'percent'
+          ? Math.round((remaining[i] * rule.value) / 100)
+          : Math.round(rule.value * 100),
+      );
+      if (amountCents <= 0) continue;
+
+      remaining[i] -= amountCents;
+      discounts.push({
+        ruleId: rule._id,
+        name: rule.name,
+        type: rule.type,
+        code: rule.code,
+        amountCents,
+        itemIndex: i,
+        playerId: items[i].playerId,
+        teamId: items[i].teamId,
+      });
+    }
+  }
+
+  return {
+    discounts,
+    remaining,
+    discountCents: discounts.reduce((sum, d) => sum + d.amountCents, 0),
+  };
+}
+
+/**
+ * Price a checkout.
+ *
+ * @param {Object} context
+ * @param {String} context.program  tryout | training | tournament | general | form
+ * @param {Array<{itemType: String, playerId?: *, teamId?: *, amountCents: Number}>} context.items
+ * @param {Object} [context.parent]  Parent document of the buyer
+ * @param {String} [context.promoCode]
+ * @param {Date} [context.registrationDeadline]  Skip the deadline lookup
+ * @returns {Promise<{subtotalCents: Number, discountCents: Number,
+ *   totalCents: Number, items: Array, discounts: Array}>}
+ */
+async function evaluateDiscounts(context) {
+  const now = context.now || new Date();
+  const promoCode = context.promoCode
+    ? String(context.promoCode).trim().toUpperCase()
+    : null;
+  const ctx = { ...context, now, promoCode };
+  const items = context.items.map((item) => ({
+    ...item,
+    amountCents: Math.max(Math.round(item.amountCents), 0),
+  }));
+
+  const rules = (
+    await DiscountRule.find({
+      isActive: true,
+      $and: [
+        {
+          $or: [
+            { programs: { $size: 0 } },
+            { programs: { $exists: false } },
+            { programs: context.program },
+          ],
+        },
+        {
+          $or: [{ validFrom: null }, { validFrom: { $lte: now } }],
+        },
+        {
+          $or: [{ validUntil: null }, { validUntil: { $gte: now } }],
+        },
+      ],
+    }).sort({ priority: 1, createdAt: 1 })
+  ).filter((rule) => matchesScope(rule, ctx));
+
+  if (promoCode) {
+    const promo = rules.find(
+      (rule) => rule.type === 'promo_code' && rule.code === promoCode,
+    );
+    if (!promo) {
+      throw discountError(`Promo code ${promoCode} is not valid`);
+    }
+    if (promo.maxUses && promo.usesCount >= promo.maxUses) {
+      throw discountError(`Promo code ${promoCode} has reached its limit`);
+    }
+    if (promo.maxUsesPerParent && context.parent) {
+      const used = await Payment.countDocuments({
+        parentId: context.parent._id,
+        'discounts.ruleId': promo._id,
+        status: { $ne: 'failed' },
+      });
+      if (used >= promo.maxUsesPerParent) {
+        throw discountError(
+          `Promo code ${promoCode} has already been used on this account`,
+        );
+      }
+    }
+  }
+
+  const cache = {};
+  const applicable = [];
+  for (const rule of rules) {
+    const indexes = await eligibleItems(rule, items, ctx, cache);
+    if (indexes.length) applicable.push({ rule, indexes });
+  }
+
+  const options = [
+    applyRules(
+      applicable.filter(({ rule }) => rule.stackable),
+      items,
+    ),
+  ];
+  for (const entry of applicable.filter(({ rule }) => !rule.stackable)) {
+    options.push(applyRules([entry], items));
+  }
+  const best = options.reduce((a, b) =>
+    b.discountCents > a.discountCents ? b : a,
+  );
+
+  const subtotalCents = items.reduce((sum, item) => sum + item.amountCents, 0);
+
+  return {
+    subtotalCents,
+    discountCents: best.discountCents,
+    totalCents: subtotalCents - best.discountCents,
+    items: items.map((item, i) => ({
+      ...item,
+      discountCents: item.amountCents - best.remaining[i],
+      totalCents: best.remaining[i],
+    })),
+    discounts: best.discounts,
+  };
+}
+
+/**
+ * Count promo code uses for a priced checkout. Call inside the payment
+ * transaction so an aborted payment does not use up the code; throws
+ * DISCOUNT_UNAVAILABLE when the limit was reached in the meantime.
+ */
+async function redeemDiscounts(pricing, { session } = {}) {
+  const promoRuleIds = [
+    ...new Set(
+      pricing.discounts
+        .filter((d) => d.type === 'promo_code')
+        .map((d) => String(d.ruleId)),
+    ),
+  ];
+
+  for (const ruleId of promoRuleIds) {
+    const rule = await DiscountRule.findOneAndUpdate(
+      {
+        _id: ruleId,
+        $or: [
+          { maxUses: null },
+          { $expr: { $lt: ['$usesCount', '$maxUses'] } },
+        ],
+      },
+      { $inc: { usesCount: 1 } },
+      { new: true, session },
+    );
+    if (!rule) {
+      throw discountError(
+        'Promo code has reached its limit',
+        'DISCOUNT_UNAVAILABLE',
+      );
+    }
+  }
+}
+
+/**
+ * Give back the promo code uses taken by redeemDiscounts, for checkouts that
+ * are not wrapped in a transaction and whose charge failed.
+ */
+async function releaseDiscounts(pricing) {
+  const promoRuleIds = [
+    ...new Set(
+      pricing.discounts
+        .filter((d) => d.type === 'promo_code')
+        .map((d) => String(d.ruleId)),
+    ),
+  ];
+
+  await DiscountRule.updateMany(
+    { _id: { $in: promoRuleIds }, usesCount: { $gt: 0 } },
+    { $inc: { usesCount: -1 } },
+  );
+}
+
+// Payment fields (in dollars) for a priced checkout
+function toPaymentDiscountFields(pricing) {
+  return {
+    subtotal: pricing.subtotalCents / 100,
+    discountTotal: pricing.discountCents / 100,
+    discounts: pricing.discounts.map((d) => ({
+      ruleId: d.ruleId,
+      name: d.name,
+      type: d.type,
+      code: d.code,
+      amount: d.amountCents / 100,
+      playerId: d.playerId,
+      teamId: d.teamId,
+    })),
+  };
+}
+
+// Split a total in cents evenly over n items, leftover cents on the first
+function splitAmount(totalCents, count) {
+  const base = Math.floor(totalCents / count);
+  return Array.from(
+    { length: count },
+    (_, i) => base + (i === 0 ? totalCents - base * count : 0),
+  );
+}
+
+module.exports = {
+  evaluateDiscounts,
+  redeemDiscounts,
+  releaseDiscounts,
+  toPaymentDiscountFields,
+  findRegistrationDeadline,
+  splitAmount,
+};
@@ -0,0 +1,357 @@
+// services/fake-payment-provider.js
+//
+// Offline payment provider used for staging and automated tests. It is
+// selected like any other processor, by creating a PaymentConfiguration with
+// paymentSystem: 'fake', but only while ENABLE_FAKE_PAYMENTS=true is set
+// outside production; otherwise such a configuration is ignored. No network
+// calls are made; charges, refunds and saved cards live in an in-memory
+// store for the lifetime of the process.
+//
+// The card token decides the outcome, similar to Square sandbox nonces:
+//   fake-card-ok                  approved (any unknown token is approved too)
+//   fake-card-declined            CARD_DECLINED
+//   fake-card-insufficient-funds  INSUFFICIENT_FUNDS
+//   fake-card-cvv-failure         CVV_FAILURE
+//   fake-card-expired             CARD_EXPIRED
+//   fake-card-error               processor error (simulated outage)
+const crypto = require('crypto');
+
+const FAKE_TOKENS = {
+  OK: 'fake-card-ok',
+  DECLINED: 'fake-card-declined',
+  INSUFFICIENT_FUNDS: 'fake-card-insufficient-funds',
+  CVV_FAILURE: 'fake-card-cvv-failure',
+  EXPIRED: 'fake-card-expired',
+  PROCESSOR_ERROR: 'fake-card-error',
+};
+
+const DECLINE_CODES = {
+  [FAKE_TOKENS.DECLINED]: 'CARD_DECLINED',
+  [FAKE_TOKENS.INSUFFICIENT_FUNDS]: 'INSUFFICIENT_FUNDS',
+  [FAKE_TOKENS.CVV_FAILURE]: 'CVV_FAILURE',
+  [FAKE_TOKENS.EXPIRED]: 'CARD_EXPIRED',
+};
+
+const DEFAULT_WEBHOOK_SECRET = 'fake_webhook_secret';
+
+// Shared across service instances - the factory builds a new service per call
+const store = {
+  charges: new Map(),
+  refunds: new Map(),
+  customers: new Map(),
+};
+
+function generateId(prefix) {
+  return `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+function declineError(code) {
+  const error = new Error(`Payment declined: ${code}`);
+  error.code = code;
+  error.declined = true;
+  return error;
+}
+
+function outcomeForToken(token) {
+  if (token === FAKE_TOKENS.PROCESSOR_ERROR) {
+    const error = new Error('Fake processor unavailable');
+    error.code = 'PROCESSOR_ERROR';
+    throw error;
+  }
+  if (DECLINE_CODES[token]) {
+    throw declineError(DECLINE_CODES[token]);
+  }
+}
+
+function cardFromToken(token) {
+  const digits = String(token || '').replace(/\D/g, '');
+  return {
+    last4: digits.length >= 4 ? digits.slice(-4) : '4242',
+    brand: 'FAKE',
+    expMonth: 12,
+    expYear: new Date().getFullYear() + 3,
+  };
+}
+
+function isWithin(isoDate, beginTime, endTime) {
+  const time = new Date(isoDate).getTime();
+  return time >= beginTime.getTime() && time <= endTime.getTime();
+}
+
+function toChargeResult(charge) {
+  return {
+    id: charge.id,
+    status: charge.status,
+    amount: charge.amount,
+    currency: charge.currency,
+    orderId: charge.orderId,
+    receiptUrl: charge.receiptUrl,
+    cardDetails: charge.cardDetails,
+    refundedAmount: charge.refundedAmount,
+    createdAt: charge.createdAt,
+    updatedAt: charge.updatedAt,
+  };
+}
+
+function createCharge({
+  amount,
+  currency,
+  token,
+  card,
+  email,
+  note,
+  referenceId,
+  customerId,
+}) {
+  if (!amount || amount <= 0) {
+    throw new Error('Valid payment amount is required');
+  }
+
+  const id = generateId('fake_pay');
+  const now = new Date().toISOString();
+  const charge = {
+    id,
+    status: 'COMPLETED',
+    amount,
+    currency,
+    orderId: generateId('fake_order'),
+    receiptUrl: `https://fake-payments.local/receipt/${id}`,
+    cardDetails: card || cardFromToken(token),
+    email,
+    note,
+    referenceId,
+    customerId,
+    refundedAmount: 0,
+    refunds: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  store.charges.set(id, charge);
+  return toChargeResult(charge);
+}
+
+function createFakeProvider(config) {
+  const fakeConfig = config.fakeConfig || {};
+  const currency = config.settings?.currency || 'USD';
+
+  return {
+    type: 'fake',
+    config: fakeConfig,
+    settings: config.settings,
+    configuration: config,
+    configurationId: config._id,
+
+    async processPayment(paymentData) {
+      if (!paymentData.sourceId) {
+        throw new Error('Payment source ID (token) is required');
+      }
+
+      outcomeForToken(paymentData.sourceId);
+
+      const result = createCharge({
+        amount: paymentData.amount,
+        currency,
+        token: paymentData.sourceId,
+        email: paymentData.email,
+        note: paymentData.note,
+        referenceId: paymentData.referenceId,
+      });
+
+      console.log('🧪 Fake payment approved:', {
+        id: result.id,
+        amount: result.amount,
+      });
+
+      return result;
+    },
+
+    async refundPayment(paymentId, amountInCents, reason) {
+      const charge = store.charges.get(paymentId);
+      if (!charge) {
+        throw new Error(`Charge not found in fake provider: ${paymentId}`);
+      }
+      if (!amountInCents || amountInCents <= 0) {
+        throw new Error('Valid refund amount is required');
+      }
+
+      const remaining = charge.amount - charge.refundedAmount;
+      if (amountInCents > remaining) {
+        throw new Error(
+          `Refund exceeds remaining balance. Maximum: ${remaining} cents`,
+        );
+      }
+
+      const refund = {
+        id: generateId('fake_refund'),
+        status: 'COMPLETED',
+        amount: amountInCents,
+        paymentId,
+        reason,
+        createdAt: new Date().toISOString(),
+      };
+
+      charge.refundedAmount += amountInCents;
+      charge.refunds.push(refund.id);
+      charge.status =
+        charge.refundedAmount >= charge.amount ? 'REFUNDED' : 'COMPLETED';
+      charge.updatedAt = refund.createdAt;
+      store.refunds.set(refund.id, refund);
+
+      console.log('🧪 Fake refund processed:', {
+        id: refund.id,
+        paymentId,
+        amount: amountInCents,
+        remaining: charge.amount - charge.refundedAmount,
+      });
+
+      return { ...refund };
+    },
+
+    async getPaymentDetails(paymentId) {
+      const charge = store.charges.get(paymentId);
+      if (!charge) {
+        throw new Error(`Charge not found in fake provider: ${paymentId}`);
+      }
+      return {
+        ...toChargeResult(charge),
+        refunds: charge.refunds.map((id) => ({ ...store.refunds.get(id) })),
+      };
+    },
+
+    async saveCard({ sourceId, customerId, email, name }) {
+      if (!sourceId) {
+        throw new Error('Card token is required');
+      }
+
+      outcomeForToken(sourceId);
+
+      let customer = customerId && store.customers.get(customerId);
+      if (!customer) {
+        customer = {
+          id: customerId || generateId('fake_cust'),
+          email,
+          name,
+          cards: new Map(),
+        };
+        store.customers.set(customer.id, customer);
+      }
+
+      const card = {
+        id: generateId('fake_card'),
+        token: sourceId,
+        ...cardFromToken(sourceId),
+      };
+      customer.cards.set(card.id, card);
+
+      return {
+        customerId: customer.id,
+        cardId: card.id,
+        last4: card.last4,
+        brand: card.brand,
+        expMonth: card.expMonth,
+        expYear: card.expYear,
+      };
+    },
+
+    async chargeSavedCard({
+      customerId,
+      cardId,
+      amount,
+      email,
+      note,
+      referenceId,
+    }) {
+      const customer = store.customers.get(customerId);
+      const card = customer?.cards.get(cardId);
+      if (!card) {
+        throw new Error(`Saved card not found in fake provider: ${cardId}`);
+      }
+
+      // A card saved from a decline token keeps declining on every renewal
+      outcomeForToken(card.token);
+
+      return createCharge({
+        amount,
+        currency,
+        card: {
+          last4: card.last4,
+          brand: card.brand,
+          expMonth: card.expMonth,
+          expYear: card.expYear,
+        },
+        email: email || customer.email,
+        note,
+        referenceId,
+        customerId,
+      });
+    },
+
+    verifyWebhook(req) {
+      const signature = req.headers?.['x-fake-signature'];
+      if (!signature) return false;
+
+      const payload =
+        req.rawBody ||
+        (Buffer.isBuffer(req.body) ? req.body : JSON.stringify(req.body));
+
+      return (
+        signature === signWebhookPayload(payload, fakeConfig.webhookSecret)
+      );
+    },
+
+    async listPayments({ beginTime, endTime }) {
+      return [...store.charges.values()]
+        .filter((charge) => isWithin(charge.createdAt, beginTime, endTime))
+        .map((charge) => ({
+          id: charge.id,
+          // Refunded charges were still captured successfully
+          status: 'COMPLETED',
+          amount: charge.amount,
+          refundedAmount: charge.refundedAmount,
+          currency: charge.currency,
+          createdAt: new Date(charge.createdAt),
+        }));
+    },
+
+    async listRefunds({ beginTime, endTime }) {
+      return [...store.refunds.values()]
+        .filter((refund) => isWithin(refund.createdAt, beginTime, endTime))
+        .map((refund) => ({
+          id: refund.id,
+          paymentId: refund.paymentId,
+          status: refund.status,
+          amount: refund.amount,
+          createdAt: new Date(refund.createdAt),
+        }));
+    },
+  };
+}
+
+// Produce the x-fake-signature header value for a webhook body
+function signWebhookPayload(payload, secret = DEFAULT_WEBHOOK_SECRET) {
+  return crypto
+    .createHmac('sha256', secret || DEFAULT_WEBHOOK_SECRET)
+    .update(typeof payload === 'string' ? payload : Buffer.from(payload))
+    .digest('hex');
+}
+
+// Clear all simulated charges, refunds and customers (test teardown)
+function resetFakeProvider() {
+  store.charges.clear();
+  store.refunds.clear();
+  store.customers.clear();
+}
+
+// The fake provider has to be switched on, and never in production
+function isFakeProviderEnabled(env = process.env) {
+  return env.ENABLE_FAKE_PAYMENTS === 'true' && env.NODE_ENV !== 'production';
+}
+
+module.exports = {
+  FAKE_TOKENS,
+  isFakeProviderEnabled,
+  createFakeProvider,
+  signWebhookPayload,
+  resetFakeProvider,
+};
@@ -0,0 +1,322 @@
+// services/form-logic.js
+//
+// Conditional logic for form fields. A field's rules each have groups of
+// conditions on other fields' answers; the conditions in a group must all
+// hold (AND) or any one of them (OR), and the groups combine the same way.
+// When a rule holds, its action applies to the field it belongs to:
+//
+//   show        the field is only shown while one of its show rules holds
+//   hide        the field is hidden while the rule holds
+//   require     the field must be answered while the rule holds
+//   setValue    the field's answer becomes the rule's value
+//   skipToPage  leaving this field's step goes to the rule's page (1-based)
+//               instead of the next one; only forward, past the end finishes
+//   setPrice    a fixed-price payment field charges the rule's price
+//
+// The old single condition (dependsOn, condition, value, show) still works
+// and reads as one show or hide rule. The embed page applies the same rules
+// as people type; the server applies them again on submit, so hidden fields
+// keep no answer and do not block the form.
+
+const OPERATORS = [
+  'equals',
+  'notEquals',
+  'contains',
+  'notContains',
+  'greaterThan',
+  'lessThan',
+  'isEmpty',
+  'isNotEmpty',
+];
+const ACTIONS = [
+  'show',
+  'hide',
+  'require',
+  'setValue',
+  'skipToPage',
+  'setPrice',
+];
+
+function valueOf(field, values = {}) {
+  return values[field.id] ?? values[field.name];
+}
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  value === false ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * A field's rules, with the old single condition turned into a rule.
+ *
+ * @param {Object} field
+ * @returns {Array} [{ match, groups: [{ match, conditions }], action, ... }]
+ */
+function rulesOf(field) {
+  const logic = field.conditionalLogic;
+  if (!logic) return [];
+
+  const rules = [...(logic.rules || [])];
+  if (logic.dependsOn && logic.condition) {
+    rules.unshift({
+      match: 'all',
+      groups: [
+        {
+          match: 'all',
+          conditions: [
+            {
+              field: logic.dependsOn,
+              operator: logic.condition,
+              value: logic.value,
+            },
+          ],
+        },
+      ],
+      action: logic.show === false ? 'hide' : 'show',
+    });
+  }
+  return rules;
+}
+
+function conditionHolds(condition, values, fields) {
+  const source = fields.find(
+    (f) => f.id === condition.field || f.name === condition.field,
+  );
+  const current = source ? valueOf(source, values) : values[condition.field];
+  const expected = condition.value;
+  const list = Array.isArray(current) ? current.map(String) : null;
+
+  switch (condition.operator) {
+    case 'equals':
+      return list
+        ? list.includes(String(expected ?? ''))
+        : String(current ?? '') === String(expected ?? '');
+    case 'notEquals':
+      return list
+        ? !list.includes(String(expected ?? ''))
+        : String(current ?? '') !== String(expected ?? '');
+    case 'contains':
+      return list
+        ? list.includes(String(expected ?? ''))
+        : String(current ?? '').includes(String(expected ?? ''));
+    case 'notContains':
+      return list
+        ? !list.includes(String(expected ?? ''))
+        : !String(current ?? '').includes(String(expected ?? ''));
+    case 'greaterThan':
+      return parseFloat(current) > parseFloat(expected);
+    case 'lessThan':
+      return parseFloat(current) < parseFloat(expected);
+    case 'isEmpty':
+      return isEmpty(current);
+    case 'isNotEmpty':
+      return !isEmpty(current);
+    default:
+      return false;
+  }
+}
+
+// Whether all (or any) of a list holds
+const combine = (match, results) =>
+  match === 'any' ? results.some(Boolean) : results.every(Boolean);
+
+function ruleHolds(rule, values, fields) {
+  const groups = (rule.groups || []).filter(
+    (group) => group.conditions?.length,
+  );
+  // A rule without conditions always holds
+  if (!groups.length) return true;
+
+  return combine(
+    rule.match,
+    groups.map((group) =>
+      combine(
+        group.match,
+        group.conditions.map((condition) =>
+          conditionHolds(condition, values, fields),
+        ),
+      ),
+    ),
+  );
+}
+
+// The steps actually visited: each step goes on to the next one unless a
+// shown field in it has a skipToPage rule that holds
+function stepPath(steps, states, values, fields) {
+  const path = [];
+  let index = 0;
+  while (index < steps.length) {
+    path.push(index);
+    let next = index + 1;
+    for (const field of steps[index].fields) {
+      if (!states.get(field.id)?.visible) continue;
+      const jump = rulesOf(field).find(
+        (rule) =>
+          rule.action === 'skipToPage' &&
+          rule.page - 1 > index &&
+          ruleHolds(rule, values, fields),
+      );
+      if (jump) {
+        next = jump.page - 1;
+        break;
+      }
+    }
+    index = next;
+  }
+  return path;
+}
+
+// One pass over the rules with the answers as they stand
+function evaluatePass(fields, sent, current, steps) {
+  const states = new Map();
+  for (const field of fields) {
+    const held = rulesOf(field).map((rule) => ({
+      rule,
+      holds: ruleHolds(rule, current, fields),
+    }));
+    const having = (action) =>
+      held.filter(({ rule }) => rule.action === action);
+    const shows = having('show');
+
+    const visible =
+      (!shows.length || shows.some(({ holds }) => holds)) &&
+      !having('hide').some(({ holds }) => holds);
+    const setValue = having('setValue')
+      .filter(({ holds }) => holds)
+      .pop();
+    const setPrice = having('setPrice')
+      .filter(({ holds }) => holds)
+      .pop();
+
+    states.set(field.id, {
+      visible,
+      required:
+        visible &&
+        (!!field.required || having('require').some(({ holds }) => holds)),
+      value: setValue ? setValue.rule.value : undefined,
+      price:
+        field.type === 'payment' && setPrice
+          ? Number(setPrice.rule.price)
+          : undefined,
+    });
+  }
+
+  // Fields on steps that are skipped are not shown either
+  const path = steps ? stepPath(steps, states, current, fields) : null;
+  if (path) {
+    steps.forEach((step, index) => {
+      if (path.includes(index)) return;
+      step.fields.forEach((field) => {
+        Object.assign(states.get(field.id), {
+          visible: false,
+          required: false,
+        });
+      });
+    });
+  }
+
+  const values = { ...sent };
+  for (const field of fields) {
+    const state = states.get(field.id);
+    const keys = [...new Set([field.id, field.name || field.id])];
+    if (!state.visible) {
+      keys.forEach((key) => delete values[key]);
+    } else if (state.value !== undefined) {
+      keys.forEach((key) => {
+        values[key] = state.value;
+      });
+    }
+  }
+  return { values, fields: states, path };
+}
+
+/**
+ * Apply a form's rules to a set of answers. Rules are run again until the
+ * answers settle, since hiding or setting one field can change another.
+ *
+ * @param {Array} fields  The form's fields
+ * @param {Object} values  Answers keyed by field id and name
+ * @param {Object} [options]  { steps } from splitSteps, for multi-step forms
+ * @returns {{ values, fields, path }} values with hidden fields removed and
+ *   set values filled in; fields is a Map of field id to
+ *   { visible, required, value, price }; path is the steps visited
+ */
+function evaluateLogic(fields, values = {}, { steps } = {}) {
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  let result = evaluatePass(fields, values, values, steps);
+  for (let pass = 0; pass < fields.length; pass += 1) {
+    const next = evaluatePass(fields, values, result.values, steps);
+    const settled = same(next.values, result.values);
+    result = next;
+    if (settled) break;
+  }
+  return result;
+}
+
+/**
+ * Problems with the rules in a set of fields, for the form builder: rules
+ * reading fields that do not exist, or missing what their action needs.
+ *
+ * @param {Array} fields
+ * @returns {Array} messages; empty when the rules are sound
+ */
+function logicProblems(fields = []) {
+  const known = new Set(fields.flatMap((field) => [field.id, field.name]));
+  const problems = [];
+  for (const field of fields) {
+    const label = field.label || field.id;
+    for (const rule of rulesOf(field)) {
+      if (!ACTIONS.includes(rule.action)) {
+        problems.push(`${label}: unknown action "${rule.action}"`);
+      }
+      for (const group of rule.groups || []) {
+        for (const condition of group.conditions || []) {
+          if (!known.has(condition.field)) {
+            problems.push(
+              `${label}: a condition reads "${condition.field}", which is not on the form`,
+            );
+          } else if (
+            condition.field === field.id ||
+            condition.field === field.name
+          ) {
+            problems.push(`${label}: a rule cannot depend on its own field`);
+          }
+          if (!OPERATORS.includes(condition.operator)) {
+            problems.push(`${label}: unknown operator "${condition.operator}"`);
+          }
+        }
+      }
+      if (
+        rule.action === 'skipToPage' &&
+        !(Number.isInteger(Number(rule.page)) && rule.page >= 1)
+      ) {
+        problems.push(`${label}: skipping needs the page to go to`);
+      }
+      if (rule.action === 'setPrice') {
+        if (field.type !== 'payment') {
+          problems.push(`${label}: only payment fields can change price`);
+        } else if (!(Number(rule.price) >= 0) || rule.price === null) {
+          problems.push(`${label}: changing the price needs a price`);
+        }
+      }
+    }
+  }
+  return problems;
+}
+
+// The price a payment field charges once the rules are applied
+function priceOf(field, logic) {
+  return logic?.fields.get(field.id)?.price ?? field.paymentConfig?.amount ?? 0;
+}
+
+module.exports = {
+  OPERATORS,
+  ACTIONS,
+  rulesOf,
+  ruleHolds,
+  evaluateLogic,
+  logicProblems,
+  priceOf,
+};
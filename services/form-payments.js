@@ -1,6 +1,8 @@
 // services/form-payments.js
 const { Client, Environment } = require('square');
 const crypto = require('crypto');
+const { recordCharge } = require('../middleware/idempotency');
+const { isSuccessfulPaymentStatus } = require('./payment-provider-contract');
 const client = new Client({
   accessToken: process.env.SQUARE_ACCESS_TOKEN,
   environment:
@@ -32,6 +34,11 @@ async function processFormPayment(paymentToken, amount, currency, metadata) {
       },
     });
 
+    // The card is charged: a retry of this request must not charge it again
+    if (isSuccessfulPaymentStatus(result.payment?.status)) {
+      recordCharge(result.payment);
+    }
+
     return {
       success: true,
       payment: result.payment,
@@ -0,0 +1,428 @@
+// services/form-pricing.js
+//
+// What a form submission costs, worked out on the server from the answers.
+// The payment field gives the base price: a package times its quantity, or
+// the fixed amount (which a setPrice rule can change). Chosen options and
+// checked boxes add their price modifiers, the payment field's own
+// modifiers apply while they are active (a late fee after a date, say), and
+// calculated fields marked addToTotal add their result. Fields hidden by the
+// form's logic count for nothing. All amounts are in cents.
+const { evaluateForm } = require('./form-wizard');
+const { priceOf } = require('./form-logic');
+
+function pricingError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_FORM_PRICE';
+  return error;
+}
+
+const byOrder = (a, b) => (a.order ?? 0) - (b.order ?? 0);
+
+function isActive(modifier, now) {
+  if (modifier.activeFrom && now < new Date(modifier.activeFrom)) return false;
+  if (modifier.activeUntil && now >= new Date(modifier.activeUntil)) {
+    return false;
+  }
+  return true;
+}
+
+const isChecked = (value) =>
+  value === true || ['true', 'on', 'yes'].includes(String(value));
+
+// ============ FORMULAS ============
+//
+// Formulas are arithmetic over other answers: numbers, + - * / and
+// brackets, {field} for a field's answer by id or name, and the functions
+// min, max, round, floor, ceil and abs. A checkbox group counts its ticked
+// boxes, a single checkbox is 1 when ticked, and blank answers are 0.
+
+const FUNCTIONS = {
+  min: Math.min,
+  max: Math.max,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  abs: Math.abs,
+};
+
+function tokenize(formula) {
+  const tokens = [];
+  const pattern =
+    /\s*(?:(\d+(?:\.\d+)?|\.\d+)|\{([^{}]+)\}|([A-Za-z_]\w*)|([-+*/(),]))/y;
+  let at = 0;
+  const text = String(formula ?? '');
+  while (at < text.length) {
+    if (/^\s*$/.test(text.slice(at))) break;
+    pattern.lastIndex = at;
+    const match = pattern.exec(text);
+    if (!match) {
+      throw pricingError(
+        `Formula has an unexpected "${text.slice(at).trimStart()[0]}"`,
+      );
+    }
+    at = pattern.lastIndex;
+    if (match[1] !== undefined) tokens.push({ number: parseFloat(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ ref: match[2].trim() });
+    else if (match[3] !== undefined) tokens.push({ name: match[3] });
+    else tokens.push({ op: match[4] });
+  }
+  return tokens;
+}
+
+/**
+ * Parse a formula into a function of a lookup for field answers.
+ *
+ * @param {String} formula
+ * @returns {{ evaluate: Function, refs: Array }} evaluate(lookup) returns a
+ *   number; refs are the fields the formula reads
+ */
+function compileFormula(formula) {
+  const tokens = tokenize(formula);
+  const refs = [];
+  let i = 0;
+
+  const peek = () => tokens[i];
+  const take = (op) => {
+    if (peek()?.op !== op) {
+      throw pricingError(`Formula is missing "${op}"`);
+    }
+    i += 1;
+  };
+
+  // expression := term (('+' | '-') term)*
+  function expression() {
+    let node = term();
+    while (peek()?.op === '+' || peek()?.op === '-') {
+      const op = tokens[i++].op;
+      const left = node;
+      const right = term();
+      node = (lookup) =>
+        op === '+'
+          ? left(lookup) + right(lookup)
+          : left(lookup) - right(lookup);
+    }
+    return node;
+  }
+
+  // term := factor (('*' | '/') factor)*
+  function term() {
+    let node = factor();
+    while (peek()?.op === '*' || peek()?.op === '/') {
+      const op = tokens[i++].op;
+      const left = node;
+      const right = factor();
+      node = (lookup) => {
+        if (op === '*') return left(lookup) * right(lookup);
+        const divisor = right(lookup);
+        return divisor === 0 ? 0 : left(lookup) / divisor;
+      };
+    }
+    return node;
+  }
+
+  // factor := '-' factor | number | {field} | name '(' args ')' | '(' expression ')'
+  function factor() {
+    const token = tokens[i++];
+    if (!token) throw pricingError('Formula ends too soon');
+    if (token.op === '-') {
+      const inner = factor();
+      return (lookup) => -inner(lookup);
+    }
+    if (token.number !== undefined) return () => token.number;
+    if (token.ref !== undefined) {
+      refs.push(token.ref);
+      return (lookup) => lookup(token.ref);
+    }
+    if (token.name !== undefined) {
+      const fn = FUNCTIONS[token.name.toLowerCase()];
+      if (!fn) throw pricingError(`Formula has no function "${token.name}"`);
+      take('(');
+      const args = [expression()];
+      while (peek()?.op === ',') {
+        i += 1;
+        args.push(expression());
+      }
+      take(')');
+      return (lookup) => fn(...args.map((arg) => arg(lookup)));
+    }
+    if (token.op === '(') {
+      const inner = expression();
+      take(')');
+      return inner;
+    }
+    throw pricingError(`Formula has an unexpected "${token.op}"`);
+  }
+
+  const evaluate = expression();
+  if (i < tokens.length) {
+    throw pricingError('Formula has something left over at the end');
+  }
+  return { evaluate, refs };
+}
+
+function numberOf(value) {
+  if (Array.isArray(value)) return value.length;
+  if (isChecked(value)) return 1;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : 0;
+}
+
+/**
+ * The results of a form's calculated fields for a set of answers.
+ * Calculated fields can read each other; hidden ones come out as 0.
+ *
+ * @param {Array} fields
+ * @param {Object} values  keyed by field id or name
+ * @param {Object} [logic]  evaluateForm result, for which fields are shown
+ * @returns {Object} results keyed by field id
+ */
+function calculateFields(fields, values = {}, logic = null) {
+  const find = (ref) => fields.find((f) => f.id === ref || f.name === ref);
+  const results = {};
+  const working = new Set();
+
+  function resultOf(field) {
+    if (results[field.id] !== undefined) return results[field.id];
+    if (logic && !logic.fields.get(field.id)?.visible) return 0;
+    if (working.has(field.id)) {
+      throw pricingError(`${field.label} is calculated from itself`);
+    }
+    working.add(field.id);
+    const { evaluate } = compileFormula(field.calculation?.formula || '0');
+    const result = evaluate((ref) => {
+      const source = find(ref);
+      if (source?.type === 'calculated') return resultOf(source);
+      if (source && logic && !logic.fields.get(source.id)?.visible) return 0;
+      return numberOf(
+        source ? (values[source.id] ?? values[source.name]) : values[ref],
+      );
+    });
+    working.delete(field.id);
+    results[field.id] = Number.isFinite(result)
+      ? Math.round(result * 100) / 100
+      : 0;
+    return results[field.id];
+  }
+
+  fields
+    .filter((field) => field.type === 'calculated')
+    .forEach((field) => resultOf(field));
+  return results;
+}
+
+// Problems with calculated fields, for the form builder
+function formulaProblems(fields = []) {
+  const known = new Set(fields.flatMap((field) => [field.id, field.name]));
+  const problems = [];
+  for (const field of fields.filter((f) => f.type === 'calculated')) {
+    const label = field.label || field.id;
+    if (!field.calculation?.formula) {
+      problems.push(`${label}: a calculated field needs a formula`);
+      continue;
+    }
+    try {
+      compileFormula(field.calculation.formula).refs.forEach((ref) => {
+        if (!known.has(ref)) {
+          problems.push(
+            `${label}: the formula reads "${ref}", which is not on the form`,
+          );
+        }
+      });
+    } catch (error) {
+      problems.push(`${label}: ${error.message}`);
+    }
+  }
+  if (!problems.length) {
+    try {
+      calculateFields(fields);
+    } catch (error) {
+      problems.push(error.message);
+    }
+  }
+  return problems;
+}
+
+// ============ TOTALS ============
+
+/**
+ * The payment field's base price: the chosen package (or the default one)
+ * times the quantity, or the fixed amount.
+ *
+ * @param {Object} paymentField
+ * @param {Object} [options]  { packageName, quantity, logic }
+ * @returns {{ label, amountCents, packageName, quantity, unitCents }}
+ */
+function basePrice(paymentField, { packageName, quantity, logic } = {}) {
+  const packages = (paymentField.paymentConfig?.pricingPackages || []).filter(
+    (pkg) => pkg.isEnabled !== false,
+  );
+  if (!paymentField.paymentConfig?.pricingPackages?.length) {
+    const amount = priceOf(paymentField, logic) || 0;
+    return {
+      label: paymentField.label,
+      amountCents: amount,
+      quantity: 1,
+      unitCents: amount,
+    };
+  }
+
+  const chosen =
+    (packageName && packages.find((pkg) => pkg.name === packageName)) ||
+    (!packageName &&
+      (packages.find((pkg) => pkg.defaultSelected) || packages[0]));
+  if (!chosen) throw pricingError('Please select a valid pricing package');
+
+  const count = Math.max(1, parseInt(quantity, 10) || 1);
+  if (chosen.maxQuantity && count > chosen.maxQuantity) {
+    throw pricingError(
+      `Maximum quantity for ${chosen.name} is ${chosen.maxQuantity}`,
+    );
+  }
+  return {
+    label: count > 1 ? `${chosen.name} × ${count}` : chosen.name,
+    amountCents: chosen.price * count,
+    packageName: chosen.name,
+    quantity: count,
+    unitCents: chosen.price,
+  };
+}
+
+/**
+ * Price a set of answers.
+ *
+ * @param {Object} form
+ * @param {Object} values  keyed by field id or name
+ * @param {Object} [options]  { base, packageName, quantity, now } — base is
+ *   a { label, amountCents } line worked out by the caller; without it the
+ *   payment field's basePrice is used
+ * @returns {{ currency, lines, subtotalCents, calculated, base }} lines are
+ *   [{ label, fieldId, kind, amountCents }]
+ */
+function priceForm(form, values = {}, options = {}) {
+  const now = options.now || new Date();
+  const logic = evaluateForm(form, values);
+  const shown = (field) => logic.fields.get(field.id)?.visible;
+  const fields = [...form.fields].sort(byOrder);
+  const paymentField = fields.find((f) => f.type === 'payment');
+
+  const base =
+    options.base ||
+    (paymentField
+      ? basePrice(paymentField, {
+          packageName: options.packageName,
+          quantity: options.quantity,
+          logic,
+        })
+      : null);
+
+  const lines = [];
+  if (base?.amountCents) {
+    lines.push({
+      label: base.label,
+      fieldId: paymentField?.id,
+      kind: 'base',
+      amountCents: base.amountCents,
+    });
+  }
+
+  const calculated = calculateFields(fields, logic.values, logic);
+  for (const field of fields.filter(shown)) {
+    const value = logic.values[field.id] ?? logic.values[field.name];
+
+    if (['select', 'radio', 'checkbox'].includes(field.type)) {
+      const chosen = [].concat(value ?? []).map(String);
+      for (const option of field.options || []) {
+        const modifier = option.priceModifier;
+        if (!modifier?.amount || !chosen.includes(option.value)) continue;
+        if (!isActive(modifier, now)) continue;
+        lines.push({
+          label: modifier.label || `${field.label}: ${option.label}`,
+          fieldId: field.id,
+          kind: 'option',
+          amountCents: modifier.amount,
+        });
+      }
+    }
+
+    if (
+      field.type === 'checkbox' &&
+      !field.options?.length &&
+      field.priceModifier?.amount &&
+      isChecked(value) &&
+      isActive(field.priceModifier, now)
+    ) {
+      lines.push({
+        label: field.priceModifier.label || field.label,
+        fieldId: field.id,
+        kind: 'option',
+        amountCents: field.priceModifier.amount,
+      });
+    }
+
+    if (field.type === 'calculated' && field.calculation?.addToTotal) {
+      const amount = Math.round(calculated[field.id] || 0);
+      if (amount) {
+        lines.push({
+          label: field.label,
+          fieldId: field.id,
+          kind: 'formula',
+          amountCents: amount,
+        });
+      }
+    }
+  }
+
+  if (paymentField && shown(paymentField)) {
+    for (const modifier of paymentField.paymentConfig?.priceModifiers || []) {
+      if (!modifier.amount || !isActive(modifier, now)) continue;
+      lines.push({
+        label: modifier.label || 'Adjustment',
+        fieldId: paymentField.id,
+        kind: 'adjustment',
+        amountCents: modifier.amount,
+      });
+    }
+  }
+
+  const total = lines.reduce((sum, line) => sum + line.amountCents, 0);
+  return {
+    currency: paymentField?.paymentConfig?.currency || 'USD',
+    lines,
+    subtotalCents: Math.max(0, Math.round(total)),
+    calculated,
+    base,
+  };
+}
+
+// The breakdown as it is kept on a submission
+function pricingRecord(priced, discountCents = 0) {
+  return {
+    currency: priced.currency,
+    lines: priced.lines,
+    subtotalCents: priced.subtotalCents,
+    discountCents,
+    totalCents: Math.max(0, priced.subtotalCents - discountCents),
+    calculatedAt: new Date(),
+  };
+}
+
+// Whether the embed page should ask the server for a running total
+function hasDynamicPricing(form) {
+  return form.fields.some(
+    (field) =>
+      field.type === 'calculated' ||
+      field.priceModifier?.amount ||
+      field.options?.some((option) => option.priceModifier?.amount) ||
+      field.paymentConfig?.priceModifiers?.length,
+  );
+}
+
+module.exports = {
+  compileFormula,
+  calculateFields,
+  formulaProblems,
+  basePrice,
+  priceForm,
+  pricingRecord,
+  hasDynamicPricing,
+};
@@ -0,0 +1,403 @@
+// services/form-submissions.js
+//
+// Submission management for form admins: searching the answers, filtering
+// by date, payment and field values, and exporting to CSV or XLSX with one
+// column per field. A form's fields change between versions, so an export
+// has a column for every field any of the exported versions had, and each
+// submission fills in the columns of the version it was made on.
+const FormSubmission = require('../models/FormSubmission');
+const { fieldsByVersion, renderSubmission } = require('./form-versions');
+const XlsxWriter = require('../utils/xlsxWriter');
+
+// Field types that lay the form out and hold no answer
+const LAYOUT_TYPES = ['section', 'heading', 'divider'];
+
+// paid, unpaid and free are shorthands; the payment statuses themselves
+// (pending, completed, failed, refunded) work too. Every submission has a
+// payment status (it defaults to pending), but only ones that went through
+// a payment field have a gateway.
+const PAYMENT_FILTERS = {
+  paid: { 'payment.status': 'completed' },
+  unpaid: {
+    'payment.status': { $in: ['pending', 'failed'] },
+    'payment.gateway': { $exists: true },
+  },
+  free: { 'payment.gateway': { $exists: false } },
+};
+const PAYMENT_STATUSES = ['pending', 'completed', 'failed', 'refunded'];
+
+const BACKFILL_BATCH = 500;
+
+function filterError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_SUBMISSION_FILTER';
+  return error;
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const listOf = (value) =>
+  []
+    .concat(value ?? [])
+    .flatMap((item) => String(item).split(','))
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+function dateOf(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw filterError(`${name} is not a valid date`);
+  }
+  return date;
+}
+
+// One field filter: a plain value matches the answer (or one of a list of
+// answers) ignoring case; { contains, gte, lte } narrow it further
+function fieldCondition(value) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const condition = {};
+    if (value.contains !== undefined) {
+      condition.$regex = escapeRegex(String(value.contains));
+      condition.$options = 'i';
+    }
+    for (const bound of ['gte', 'lte']) {
+      if (value[bound] === undefined) continue;
+      const number = Number(value[bound]);
+      condition[`$${bound}`] = Number.isFinite(number)
+        ? number
+        : String(value[bound]);
+    }
+    if (!Object.keys(condition).length) {
+      throw filterError('Field filters take a value, contains, gte or lte');
+    }
+    return condition;
+  }
+
+  const text = String(value);
+  const alternatives = [new RegExp(`^${escapeRegex(text)}$`, 'i')];
+  const number = Number(text);
+  if (text.trim() !== '' && Number.isFinite(number)) alternatives.push(number);
+  if (['true', 'false'].includes(text.toLowerCase())) {
+    alternatives.push(text.toLowerCase() === 'true');
+  }
+  return { $in: alternatives };
+}
+
+/**
+ * The Mongo query for a form's submissions from the admin's filters.
+ * Drafts are never included.
+ *
+ * @param {Object} form  with _id and fields
+ * @param {Object} filters  { q, from, to, paymentStatus, status, tags,
+ *   fields } — tags is a list (or comma-separated) that must all be present;
+ *   fields maps a field id or name to a value or { contains, gte, lte }
+ * @returns {Object}
+ */
+function submissionQuery(form, filters = {}) {
+  const query = { formId: form._id, isDraft: { $ne: true } };
+  const and = [];
+
+  if (filters.from || filters.to) {
+    query.submittedAt = {};
+    if (filters.from) query.submittedAt.$gte = dateOf(filters.from, 'from');
+    if (filters.to) query.submittedAt.$lte = dateOf(filters.to, 'to');
+  }
+
+  if (filters.paymentStatus) {
+    const status = String(filters.paymentStatus);
+    if (PAYMENT_FILTERS[status]) {
+      and.push(PAYMENT_FILTERS[status]);
+    } else if (PAYMENT_STATUSES.includes(status)) {
+      and.push({
+        'payment.status': status,
+        'payment.gateway': { $exists: true },
+      });
+    } else {
+      throw filterError(`Unknown payment status "${status}"`);
+    }
+  }
+
+  if (filters.status) query.status = String(filters.status);
+
+  const tags = listOf(filters.tags);
+  if (tags.length) query.tags = { $all: tags };
+
+  const search = String(filters.q ?? '').trim();
+  if (search) {
+    query.searchText = {
+      $regex: escapeRegex(search.toLowerCase()),
+    };
+  }
+
+  const fieldFilters = filters.fields || {};
+  if (typeof fieldFilters !== 'object') {
+    throw filterError('Field filters must be given as fields[field]=value');
+  }
+  for (const [key, value] of Object.entries(fieldFilters)) {
+    const field = (form.fields || []).find(
+      (f) => f.id === key || f.name === key,
+    );
+    if (!field || LAYOUT_TYPES.includes(field.type)) {
+      throw filterError(`There is no field "${key}" to filter by`);
+    }
+    // Answers are kept under both the field id and name
+    const keys = [...new Set([field.id, field.name || field.id])];
+    const condition = fieldCondition(value);
+    and.push({ $or: keys.map((k) => ({ [`data.${k}`]: condition })) });
+  }
+
+  if (and.length) query.$and = and;
+  return query;
+}
+
+/**
+ * Give a form's submissions saved before searching existed their search
+ * text, so they turn up in searches too.
+ *
+ * @param {ObjectId} formId
+ * @returns {Promise<Number>} how many were updated
+ */
+async function backfillSearchText(formId) {
+  const cursor = FormSubmission.find({
+    formId,
+    searchText: { $exists: false },
+  })
+    .select('data userName userEmail')
+    .lean()
+    .cursor();
+
+  let updated = 0;
+  let batch = [];
+  const flush = async () => {
+    if (!batch.length) return;
+    await FormSubmission.bulkWrite(batch, { ordered: false });
+    updated += batch.length;
+    batch = [];
+  };
+  for await (const submission of cursor) {
+    batch.push({
+      updateOne: {
+        filter: { _id: submission._id },
+        update: {
+          $set: { searchText: FormSubmission.searchTextOf(submission) },
+        },
+      },
+    });
+    if (batch.length >= BACKFILL_BATCH) await flush();
+  }
+  await flush();
+  return updated;
+}
+
+// ============ EXPORTS ============
+
+const FIXED_COLUMNS = [
+  { key: 'id', label: 'Submission ID' },
+  { key: 'submittedAt', label: 'Submitted At' },
+  { key: 'formVersion', label: 'Form Version' },
+  { key: 'status', label: 'Status' },
+  { key: 'name', label: 'Name' },
+  { key: 'email', label: 'Email' },
+  { key: 'paymentStatus', label: 'Payment Status' },
+  { key: 'amount', label: 'Amount' },
+  { key: 'tags', label: 'Tags' },
+  { key: 'notes', label: 'Notes' },
+];
+
+/**
+ * One column per field across versions: the newest version's fields in its
+ * order, then fields only older versions had. A label that changed is taken
+ * from the newest version that has the field.
+ *
+ * @param {Map} fieldsMap  version → fields, from fieldsByVersion
+ * @returns {Array} [{ id, label, type }]
+ */
+function exportColumns(fieldsMap) {
+  const versions = [...fieldsMap.keys()].sort((a, b) => b - a);
+  const columns = new Map();
+  for (const version of versions) {
+    const fields = [...fieldsMap.get(version)].sort(
+      (a, b) => (a.order ?? 0) - (b.order ?? 0),
+    );
+    for (const field of fields) {
+      if (LAYOUT_TYPES.includes(field.type) || columns.has(field.id)) continue;
+      columns.set(field.id, {
+        id: field.id,
+        label: field.label || field.name || field.id,
+        type: field.type,
+      });
+    }
+  }
+
+  // Two fields with the same label would make columns nobody can tell apart
+  const seen = new Map();
+  return [...columns.values()].map((column) => {
+    const count = (seen.get(column.label) || 0) + 1;
+    seen.set(column.label, count);
+    return count > 1
+      ? { ...column, label: `${column.label} (${count})` }
+      : column;
+  });
+}
+
+function fixedValues(submission) {
+  const payment = submission.payment?.gateway ? submission.payment : null;
+  // The pricing record is in cents, the payment in dollars
+  const totalCents = submission.pricing?.totalCents;
+  const amount =
+    typeof totalCents === 'number' ? totalCents / 100 : payment?.amount;
+  return {
+    id: String(submission._id),
+    submittedAt: submission.submittedAt,
+    formVersion: submission.formVersion || 1,
+    status: submission.status,
+    name: submission.userName || '',
+    email: submission.userEmail || '',
+    paymentStatus: payment?.status || '',
+    amount: typeof amount === 'number' ? amount : '',
+    tags: (submission.tags || []).join(', '),
+    notes: (submission.notes || []).map((note) => note.text).join('\n'),
+  };
+}
+
+// A submission as one row of cells, in column order
+function exportRow(submission, fields, columns) {
+  const answers = new Map(
+    renderSubmission(submission, fields).map((answer) => [answer.id, answer]),
+  );
+  const fixed = fixedValues(submission);
+  return [
+    ...FIXED_COLUMNS.map((column) => fixed[column.key]),
+    ...columns.map((column) => {
+      const answer = answers.get(column.id);
+      if (!answer) return '';
+      if (answer.files?.length) {
+        return answer.files
+          .map((file) => file.path || file.fileName)
+          .join(', ');
+      }
+      if (column.type === 'number' || column.type === 'calculated') {
+        const number = Number(answer.value);
+        if (answer.value !== '' && Number.isFinite(number)) return number;
+      }
+      return answer.displayValue;
+    }),
+  ];
+}
+
+function csvCell(value) {
+  let text = value instanceof Date ? value.toISOString() : String(value ?? '');
+  // Answers come from the public, so nothing may start a spreadsheet formula
+  if (/^[=+\-@\t\r]/.test(text) && typeof value !== 'number') {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function writeOut(output, text) {
+  if (!output.write(text)) {
+    await new Promise((resolve) => output.once('drain', resolve));
+  }
+}
+
+/**
+ * Stream a form's submissions to a writable as CSV or XLSX, with no limit
+ * on the number of rows.
+ *
+ * @param {Object} form  with _id, name or title and fields
+ * @param {Object} query  from submissionQuery
+ * @param {Writable} output  the response
+ * @param {Object} [options]  { format: 'csv' | 'xlsx' }
+ * @returns {Promise<Number>} the number of submissions written
+ */
+async function streamSubmissionsExport(
+  form,
+  query,
+  output,
+  { format = 'csv' } = {},
+) {
+  const versions = await FormSubmission.distinct('formVersion', query);
+  const { fields } = await fieldsByVersion(
+    form,
+    versions.length ? versions : [form.version || 1],
+  );
+  const columns = exportColumns(fields);
+  const header = [
+    ...FIXED_COLUMNS.map((column) => column.label),
+    ...columns.map((column) => column.label),
+  ];
+
+  const xlsx =
+    format === 'xlsx'
+      ? new XlsxWriter(output, { sheetName: form.title || form.name })
+      : null;
+  if (xlsx) {
+    await xlsx.addRow(header, { bold: true });
+  } else {
+    // The byte order mark makes Excel read the file as UTF-8
+    await writeOut(output, `\ufeff${header.map(csvCell).join(',')}\r\n`);
+  }
+
+  const cursor = FormSubmission.find(query)
+    .sort({ submittedAt: -1 })
+    .lean()
+    .cursor();
+  let count = 0;
+  for await (const submission of cursor) {
+    const row = exportRow(
+      submission,
+      fields.get(submission.formVersion || 1) || form.fields || [],
+      columns,
+    );
+    if (xlsx) await xlsx.addRow(row);
+    else await writeOut(output, `${row.map(csvCell).join(',')}\r\n`);
+    count += 1;
+  }
+
+  if (xlsx) await xlsx.end();
+  return count;
+}
+
+// ============ TAGS AND NOTES ============
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+// Tags as given, trimmed, without repeats (ignoring case)
+function cleanTags(tags) {
+  const seen = new Set();
+  const cleaned = [];
+  for (const tag of listOf(tags)) {
+    if (tag.length > MAX_TAG_LENGTH) {
+      throw filterError(`Tags can be at most ${MAX_TAG_LENGTH} characters`);
+    }
+    if (seen.has(tag.toLowerCase())) continue;
+    seen.add(tag.toLowerCase());
+    cleaned.push(tag);
+  }
+  if (cleaned.length > MAX_TAGS) {
+    throw filterError(`A submission can have at most ${MAX_TAGS} tags`);
+  }
+  return cleaned;
+}
+
+// Every tag used on a form's submissions, with how often
+async function tagCounts(formId) {
+  const counts = await FormSubmission.aggregate([
+    { $match: { formId, isDraft: { $ne: true } } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+  ]);
+  return counts.map(({ _id, count }) => ({ tag: _id, count }));
+}
+
+module.exports = {
+  submissionQuery,
+  backfillSearchText,
+  exportColumns,
+  exportRow,
+  streamSubmissionsExport,
+  cleanTags,
+  tagCounts,
+};
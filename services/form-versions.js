@@ -0,0 +1,260 @@
+// services/form-versions.js
+//
+// Published snapshots of forms. Every publish stores what the form looked
+// like under its version number, so a submission (which records
+// formVersion) can always be shown against the fields it was filled in
+// with, even after the form has been edited. Versions can be compared and
+// a form can be rolled back to an older one.
+const FormVersion = require('../models/FormVersion');
+
+// The parts of a form a snapshot keeps
+const SNAPSHOT_FIELDS = [
+  'title',
+  'description',
+  'fields',
+  'settings',
+  'isTournamentForm',
+  'tournamentSettings',
+];
+
+// Field types that lay the form out and hold no answer
+const LAYOUT_TYPES = ['section', 'heading', 'divider'];
+
+function versionError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_FORM_VERSION';
+  return error;
+}
+
+// Plain copy without Mongo ids, which change on every save and say nothing
+// about the form, and with keys in order so equal forms compare equal
+function stripIds(value) {
+  if (Array.isArray(value)) return value.map(stripIds);
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(
+      Object.keys(value)
+        .filter((key) => key !== '_id')
+        .sort()
+        .map((key) => [key, stripIds(value[key])]),
+    );
+  }
+  return value;
+}
+
+function snapshotOf(form) {
+  const source = form.toObject ? form.toObject({ virtuals: false }) : form;
+  return JSON.parse(
+    JSON.stringify(
+      stripIds(
+        SNAPSHOT_FIELDS.reduce((snapshot, key) => {
+          if (source[key] !== undefined) snapshot[key] = source[key];
+          return snapshot;
+        }, {}),
+      ),
+    ),
+  );
+}
+
+/**
+ * Store the form's current version as published, unless that version was
+ * already stored.
+ *
+ * @param {Object} form  Form document
+ * @param {Object} [options]  { user, note, rolledBackFrom }
+ * @returns {Promise<Object>} the FormVersion
+ */
+async function publishSnapshot(form, { user, note, rolledBackFrom } = {}) {
+  const version = form.version || 1;
+  const existing = await FormVersion.findOne({ form: form._id, version });
+  if (existing) return existing;
+
+  try {
+    return await FormVersion.create({
+      form: form._id,
+      version,
+      snapshot: snapshotOf(form),
+      note,
+      rolledBackFrom,
+      publishedBy: user?._id,
+    });
+  } catch (error) {
+    // Two submissions racing to store the same version
+    if (error.code === 11000) {
+      return FormVersion.findOne({ form: form._id, version });
+    }
+    throw error;
+  }
+}
+
+// The fields each version was published with, by version number. Versions
+// without a snapshot (published before versions were kept) get the form's
+// current fields and are listed in `missing`.
+async function fieldsByVersion(form, versions) {
+  const wanted = [...new Set(versions.map((version) => version || 1))];
+  const stored = await FormVersion.find({
+    form: form._id,
+    version: { $in: wanted },
+  }).lean();
+
+  const fields = new Map(
+    stored.map((entry) => [entry.version, entry.snapshot.fields || []]),
+  );
+  const missing = wanted.filter((version) => !fields.has(version));
+  missing.forEach((version) => fields.set(version, form.fields || []));
+  return { fields, missing };
+}
+
+// ============ DIFFS ============
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Paths whose values differ between two plain objects
+function changedPaths(before = {}, after = {}, prefix = '') {
+  const keys = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  const changes = [];
+  for (const key of keys) {
+    const from = before?.[key];
+    const to = after?.[key];
+    if (same(from, to)) continue;
+    const path = prefix ? `${prefix}.${key}` : key;
+    const nested = (value) =>
+      value && typeof value === 'object' && !Array.isArray(value);
+    if (nested(from) && nested(to)) {
+      changes.push(...changedPaths(from, to, path));
+    } else {
+      changes.push({ path, from: from ?? null, to: to ?? null });
+    }
+  }
+  return changes;
+}
+
+/**
+ * What changed between two snapshots. Fields are matched by their id.
+ *
+ * @returns {{ fieldsAdded, fieldsRemoved, fieldsChanged, fieldsReordered,
+ *   changed }}
+ */
+function diffSnapshots(before, after) {
+  const fieldsBefore = before.fields || [];
+  const fieldsAfter = after.fields || [];
+  const beforeById = new Map(fieldsBefore.map((field) => [field.id, field]));
+  const afterById = new Map(fieldsAfter.map((field) => [field.id, field]));
+  const describe = ({ id, name, label, type }) => ({ id, name, label, type });
+
+  const fieldsChanged = fieldsAfter
+    .filter((field) => beforeById.has(field.id))
+    .map((field) => {
+      const { order: orderBefore, ...restBefore } = beforeById.get(field.id);
+      const { order: orderAfter, ...restAfter } = field;
+      return {
+        ...describe(field),
+        changes: changedPaths(restBefore, restAfter),
+      };
+    })
+    .filter((field) => field.changes.length);
+
+  const keptBefore = fieldsBefore
+    .filter((field) => afterById.has(field.id))
+    .map((field) => field.id);
+  const keptAfter = fieldsAfter
+    .filter((field) => beforeById.has(field.id))
+    .map((field) => field.id);
+
+  return {
+    fieldsAdded: fieldsAfter
+      .filter((field) => !beforeById.has(field.id))
+      .map(describe),
+    fieldsRemoved: fieldsBefore
+      .filter((field) => !afterById.has(field.id))
+      .map(describe),
+    fieldsChanged,
+    fieldsReordered: !same(keptBefore, keptAfter),
+    changed: changedPaths(
+      { ...before, fields: undefined },
+      { ...after, fields: undefined },
+    ),
+  };
+}
+
+/**
+ * Put an older version back as the form's working copy. The form gets a
+ * new version number; when it is published the rollback is published too.
+ *
+ * @param {Object} form  Form document (saved by the caller)
+ * @param {Number} version  The version to go back to
+ * @returns {Promise<Object>} the FormVersion rolled back to
+ */
+async function rollbackForm(form, version) {
+  const target = await FormVersion.findOne({ form: form._id, version }).lean();
+  if (!target) throw versionError(`Version ${version} was never published`);
+
+  for (const key of SNAPSHOT_FIELDS) {
+    form[key] = target.snapshot[key];
+  }
+  form.version = (form.version || 1) + 1;
+  return target;
+}
+
+// ============ SUBMISSIONS ============
+
+function displayValue(field, value) {
+  if (value === undefined || value === null || value === '') return '';
+  const labelOf = (item) =>
+    field.options?.find((option) => option.value === String(item))?.label ??
+    item;
+  if (Array.isArray(value)) return value.map(labelOf).join(', ');
+  if (['select', 'radio'].includes(field.type)) return labelOf(value);
+  if (field.type === 'checkbox' && !field.options?.length) {
+    return value === true || value === 'true' ? 'Yes' : 'No';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * A submission's answers laid out by the fields of the version it was
+ * submitted against.
+ *
+ * @param {Object} submission  with data (Map or object) and files
+ * @param {Array} fields  The version's fields
+ * @returns {Array} [{ id, name, label, type, value, displayValue, files? }]
+ */
+function renderSubmission(submission, fields) {
+  const data =
+    submission.data instanceof Map
+      ? Object.fromEntries(submission.data)
+      : submission.data || {};
+
+  return [...fields]
+    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+    .filter((field) => !LAYOUT_TYPES.includes(field.type))
+    .map((field) => {
+      const value = data[field.id] ?? data[field.name] ?? null;
+      const rendered = {
+        id: field.id,
+        name: field.name,
+        label: field.label,
+        type: field.type,
+        value,
+        displayValue: displayValue(field, value),
+      };
+      if (field.type === 'file') {
+        rendered.files = (submission.files || []).filter(
+          (file) => file.fieldId === field.id || file.fieldId === field.name,
+        );
+      }
+      return rendered;
+    });
+}
+
+module.exports = {
+  SNAPSHOT_FIELDS,
+  snapshotOf,
+  publishSnapshot,
+  fieldsByVersion,
+  diffSnapshots,
+  rollbackForm,
+  renderSubmission,
+};
@@ -0,0 +1,226 @@
+// services/form-wizard.js
+//
+// Multi-step forms. With settings.multiStep on, every `section` field
+// starts a new step; fields before the first section make up the opening
+// step. Each step is validated on its own before the next one opens, and a
+// half-finished form can be kept as a draft FormSubmission (status
+// 'pending', isDraft) that the person resumes from an emailed link.
+const crypto = require('crypto');
+const { evaluateLogic } = require('./form-logic');
+
+const DRAFT_DAYS = 30;
+const LAYOUT_TYPES = ['section', 'heading', 'divider'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Resume links go to whatever address is typed in, so anonymous senders are
+// limited per IP and per recipient over a rolling hour
+const DRAFT_EMAIL_WINDOW_MS = 60 * 60 * 1000;
+const DRAFT_EMAIL_LIMITS = { ip: 10, recipient: 3 };
+const draftEmailSends = new Map();
+
+const byOrder = (a, b) => (a.order ?? 0) - (b.order ?? 0);
+
+/**
+ * Split a form's fields into steps.
+ *
+ * @param {Array} fields
+ * @returns {Array} [{ title, description, fields }]
+ */
+function splitSteps(fields) {
+  const steps = [{ title: null, description: null, fields: [] }];
+  for (const field of [...fields].sort(byOrder)) {
+    if (field.type === 'section') {
+      steps.push({
+        title: field.label,
+        description: field.helpText || null,
+        fields: [field],
+      });
+    } else {
+      steps[steps.length - 1].fields.push(field);
+    }
+  }
+  // An empty opening step is left out when the form starts with a section
+  return steps.filter((step, i) => i > 0 || step.fields.length);
+}
+
+// The answer to a field from values keyed by field id or name
+function valueOf(field, values = {}) {
+  return values[field.id] ?? values[field.name];
+}
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * The form's conditional logic applied to a set of answers. On multi-step
+ * forms, fields on steps that are skipped count as hidden.
+ *
+ * @param {Object} form  with fields and settings
+ * @param {Object} values  keyed by field id or name
+ * @returns {{ values, fields, path }} see evaluateLogic
+ */
+function evaluateForm(form, values) {
+  const steps = form.settings?.multiStep ? splitSteps(form.fields) : [];
+  return evaluateLogic(form.fields, values, {
+    steps: steps.length > 1 ? steps : null,
+  });
+}
+
+// The first problem with one answer, or null
+function validateField(field, value, required = field.required) {
+  if (LAYOUT_TYPES.includes(field.type) || field.type === 'payment') {
+    return null;
+  }
+  if (isEmpty(value)) {
+    return required ? `${field.label} is required` : null;
+  }
+
+  const rules = field.validation || {};
+  const text = String(value);
+  if (field.type === 'email' && !EMAIL_PATTERN.test(text.trim())) {
+    return `${field.label} must be a valid email address`;
+  }
+  if (field.type === 'number') {
+    const number = parseFloat(text);
+    if (Number.isNaN(number)) return `${field.label} must be a number`;
+    if (rules.min !== undefined && rules.min !== null && number < rules.min) {
+      return `${field.label} must be at least ${rules.min}`;
+    }
+    if (rules.max !== undefined && rules.max !== null && number > rules.max) {
+      return `${field.label} must be at most ${rules.max}`;
+    }
+  }
+  if (rules.minLength && text.length < rules.minLength) {
+    return `${field.label} must be at least ${rules.minLength} characters`;
+  }
+  if (rules.maxLength && text.length > rules.maxLength) {
+    return `${field.label} must be at most ${rules.maxLength} characters`;
+  }
+  if (rules.pattern) {
+    let pattern;
+    try {
+      pattern = new RegExp(`^(?:${rules.pattern})$`);
+    } catch (error) {
+      pattern = null; // A bad pattern in the builder does not block people
+    }
+    if (pattern && !pattern.test(text)) {
+      return rules.customMessage || `${field.label} is not in the right format`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check the answers to one step. Fields hidden by conditional logic are
+ * skipped, and rules can make a field required or skip ahead.
+ *
+ * @param {Array} fields  All of the form's fields (for conditional logic)
+ * @param {Number} stepIndex
+ * @param {Object} values  keyed by field id or name
+ * @returns {{ step, errors, nextStep }} errors keyed by field id, empty
+ *   when valid; nextStep is null after the last step
+ */
+function validateStep(fields, stepIndex, values) {
+  const steps = splitSteps(fields);
+  const step = steps[stepIndex];
+  if (!step) return { step: null, errors: {}, nextStep: null };
+
+  const logic = evaluateLogic(fields, values, { steps });
+  const errors = {};
+  for (const field of step.fields) {
+    const state = logic.fields.get(field.id);
+    if (!state.visible) continue;
+    const message = validateField(
+      field,
+      valueOf(field, logic.values),
+      state.required,
+    );
+    if (message) errors[field.id] = message;
+  }
+
+  const at = logic.path.indexOf(stepIndex);
+  const nextStep = at === -1 ? stepIndex + 1 : logic.path[at + 1];
+  return {
+    step,
+    errors,
+    nextStep: nextStep < steps.length ? nextStep : null,
+  };
+}
+
+// The answers worth keeping in a draft, under both id and name like a
+// submission
+function draftData(fields, values = {}) {
+  const data = {};
+  for (const field of fields) {
+    if (LAYOUT_TYPES.includes(field.type) || field.type === 'payment') {
+      continue;
+    }
+    const value = valueOf(field, values);
+    if (value === undefined) continue;
+    data[field.id] = value;
+    data[field.name || field.id] = value;
+  }
+  return data;
+}
+
+// ============ RESUME LINKS ============
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// A new resume token; only its hash is stored
+function createResumeToken() {
+  const token = crypto.randomBytes(32).toString('hex');
+  return {
+    token,
+    hash: hashToken(token),
+    expiresAt: new Date(Date.now() + DRAFT_DAYS * 24 * 60 * 60 * 1000),
+  };
+}
+
+/**
+ * Use up one resume-link email for a sender IP and recipient, unless either
+ * has reached its limit for the hour.
+ *
+ * @returns {Boolean} false when the link must not be sent
+ */
+function takeDraftEmailSlot(ip, email, now = Date.now()) {
+  for (const [key, sentAt] of draftEmailSends) {
+    const recent = sentAt.filter((at) => now - at < DRAFT_EMAIL_WINDOW_MS);
+    if (recent.length) draftEmailSends.set(key, recent);
+    else draftEmailSends.delete(key);
+  }
+
+  const limits = [
+    [`ip:${ip}`, DRAFT_EMAIL_LIMITS.ip],
+    [`to:${String(email).trim().toLowerCase()}`, DRAFT_EMAIL_LIMITS.recipient],
+  ];
+  if (
+    limits.some(
+      ([key, limit]) => (draftEmailSends.get(key) || []).length >= limit,
+    )
+  ) {
+    return false;
+  }
+  for (const [key] of limits) {
+    draftEmailSends.set(key, [...(draftEmailSends.get(key) || []), now]);
+  }
+  return true;
+}
+
+module.exports = {
+  DRAFT_DAYS,
+  splitSteps,
+  valueOf,
+  evaluateForm,
+  validateField,
+  validateStep,
+  draftData,
+  hashToken,
+  createResumeToken,
+  takeDraftEmailSlot,
+};
@@ -0,0 +1,569 @@
+// services/installment-plans.js
+//
+// Installment plans split a season fee into scheduled charges against a card
+// saved with the plan's processor. A charge that fails marks the installment
+// "late" and is retried every retryIntervalDays until the grace period after
+// its due date runs out; the installment is then "failed" and the plan
+// "defaulted" so nothing else is charged until an admin re-schedules it.
+const mongoose = require('mongoose');
+const InstallmentPlan = require('../models/InstallmentPlan');
+const Parent = require('../models/Parent');
+const Payment = require('../models/Payment');
+const PaymentServiceFactory = require('./payment-service-factory');
+const { isSuccessfulPaymentStatus } = require('./payment-provider-contract');
+const { postPaymentCharge, toCents, fromCents } = require('./ledger');
+const {
+  sendInstallmentReminderEmail,
+  sendInstallmentReceiptEmail,
+  sendInstallmentLateEmail,
+  sendInstallmentPlanDefaultedEmail,
+} = require('../utils/email');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Send the upcoming-charge reminder this many days before a due date
+const REMINDER_DAYS_BEFORE = 3;
+
+const OPEN_STATUSES = ['scheduled', 'late', 'failed'];
+
+function scheduleError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_SCHEDULE';
+  return error;
+}
+
+function addInterval(date, frequency, steps) {
+  const next = new Date(date);
+  switch (frequency) {
+    case 'weekly':
+      next.setDate(next.getDate() + 7 * steps);
+      break;
+    case 'biweekly':
+      next.setDate(next.getDate() + 14 * steps);
+      break;
+    case 'monthly': {
+      // Jan 31 + 1 month is Feb 28/29, not Mar 3
+      const day = next.getDate();
+      next.setDate(1);
+      next.setMonth(next.getMonth() + steps);
+      const lastDay = new Date(
+        next.getFullYear(),
+        next.getMonth() + 1,
+        0,
+      ).getDate();
+      next.setDate(Math.min(day, lastDay));
+      break;
+    }
+    default:
+      throw scheduleError(`Unknown installment frequency: ${frequency}`);
+  }
+  return next;
+}
+
+/**
+ * Split an amount (dollars) into `count` installments starting at
+ * firstDueDate. Any leftover cent goes on the first installment so the
+ * installments always add up to the exact amount.
+ */
+function buildInstallmentSchedule({
+  amount,
+  count,
+  firstDueDate,
+  frequency = 'monthly',
+  startSequence = 1,
+}) {
+  const totalCents = toCents(amount);
+  count = parseInt(count);
+
+  if (!(count >= 1)) {
+    throw scheduleError('A plan needs at least one installment');
+  }
+  if (!(totalCents > 0)) {
+    throw scheduleError('Installment amount must be positive');
+  }
+  if (!firstDueDate || isNaN(new Date(firstDueDate))) {
+    throw scheduleError('A valid first due date is required');
+  }
+
+  const baseCents = Math.floor(totalCents / count);
+  const remainder = totalCents - baseCents * count;
+
+  return Array.from({ length: count }, (_, i) => ({
+    sequence: startSequence + i,
+    dueDate: addInterval(firstDueDate, frequency, i),
+    amount: fromCents(baseCents + (i === 0 ? remainder : 0)),
+    status: 'scheduled',
+  }));
+}
+
+/**
+ * Recompute amountPaid and balance from the installments and complete the
+ * plan once nothing is left to collect.
+ */
+function refreshPlanTotals(plan) {
+  let paidCents = 0;
+  let openCents = 0;
+
+  for (const installment of plan.installments) {
+    if (installment.status === 'paid') paidCents += toCents(installment.amount);
+    if (OPEN_STATUSES.includes(installment.status)) {
+      openCents += toCents(installment.amount);
+    }
+  }
+
+  plan.amountPaid = fromCents(paidCents);
+  plan.balance = fromCents(openCents);
+
+  if (openCents === 0 && ['active', 'paused'].includes(plan.status)) {
+    plan.status = 'completed';
+    plan.completedAt = new Date();
+  }
+
+  return plan;
+}
+
+function getGraceEndsAt(plan, installment) {
+  return new Date(
+    new Date(installment.dueDate).getTime() + plan.gracePeriodDays * DAY_MS,
+  );
+}
+
+function isInstallmentDue(installment, now) {
+  if (installment.status === 'scheduled') {
+    return new Date(installment.dueDate) <= now;
+  }
+  if (installment.status === 'late') {
+    return !installment.nextAttemptAt || installment.nextAttemptAt <= now;
+  }
+  return false;
+}
+
+/**
+ * Replace the open installments of a plan. Either pass `installments`
+ * (`[{ _id, dueDate?, amount? }]`) to move or resize individual ones, or
+ * `count` + `firstDueDate` (+ `frequency`) to re-split the remaining balance.
+ * Open installments must still add up to the balance. Late and failed
+ * installments that are re-scheduled start over with no attempts, and a
+ * defaulted plan becomes active again.
+ */
+function reschedulePlan(plan, changes) {
+  const open = plan.installments.filter((i) =>
+    OPEN_STATUSES.includes(i.status),
+  );
+  const balanceCents = open.reduce((sum, i) => sum + toCents(i.amount), 0);
+
+  if (open.length === 0) {
+    throw scheduleError('This plan has no open installments to re-schedule');
+  }
+
+  if (changes.count) {
+    const lastClosed = plan.installments
+      .filter((i) => !OPEN_STATUSES.includes(i.status))
+      .reduce((max, i) => Math.max(max, i.sequence), 0);
+
+    const replacement = buildInstallmentSchedule({
+      amount: fromCents(balanceCents),
+      count: changes.count,
+      firstDueDate: changes.firstDueDate,
+      frequency: changes.frequency,
+      startSequence: lastClosed + 1,
+    });
+
+    plan.installments = [
+      ...plan.installments.filter((i) => !OPEN_STATUSES.includes(i.status)),
+      ...replacement,
+    ];
+  } else if (Array.isArray(changes.installments)) {
+    for (const change of changes.installments) {
+      const installment = plan.installments.id(change._id);
+      if (!installment) {
+        throw scheduleError(`Installment not found: ${change._id}`);
+      }
+      if (!OPEN_STATUSES.includes(installment.status)) {
+        throw scheduleError(
+          `Installment ${installment.sequence} is already ${installment.status}`,
+        );
+      }
+
+      if (change.dueDate !== undefined) {
+        if (isNaN(new Date(change.dueDate))) {
+          throw scheduleError(
+            `Invalid due date for installment ${installment.sequence}`,
+          );
+        }
+        installment.dueDate = new Date(change.dueDate);
+        installment.reminderSentAt = undefined;
+      }
+      if (change.amount !== undefined) {
+        if (!(Number(change.amount) >= 0)) {
+          throw scheduleError(
+            `Invalid amount for installment ${installment.sequence}`,
+          );
+        }
+        installment.amount = fromCents(toCents(change.amount));
+      }
+
+      installment.status = 'scheduled';
+      installment.attempts = 0;
+      installment.nextAttemptAt = undefined;
+      installment.failureReason = undefined;
+    }
+
+    const newCents = plan.installments
+      .filter((i) => OPEN_STATUSES.includes(i.status))
+      .reduce((sum, i) => sum + toCents(i.amount), 0);
+    if (newCents !== balanceCents) {
+      throw scheduleError(
+        `Open installments must add up to the remaining balance of $${fromCents(balanceCents).toFixed(2)}`,
+      );
+    }
+  } else {
+    throw scheduleError(
+      'Provide either installments or count and firstDueDate',
+    );
+  }
+
+  plan.installments.sort((a, b) => a.sequence - b.sequence);
+
+  if (plan.status === 'defaulted') {
+    plan.status = 'active';
+    plan.defaultedAt = undefined;
+  }
+
+  // Nothing stays failed on a re-scheduled plan
+  for (const installment of plan.installments) {
+    if (installment.status === 'failed') {
+      installment.status = 'scheduled';
+      installment.attempts = 0;
+    }
+  }
+
+  return refreshPlanTotals(plan);
+}
+
+/**
+ * Save a card with the plan's processor. `sourceId` is the single-use card
+ * token from the frontend payment form.
+ */
+async function saveCardForPlan(plan, { sourceId, email, name }) {
+  const paymentService = await PaymentServiceFactory.getService(
+    plan.paymentSystem,
+  );
+
+  const savedCard = await paymentService.saveCard({
+    sourceId,
+    customerId: plan.customerId || undefined,
+    email,
+    name,
+  });
+
+  plan.customerId = savedCard.customerId;
+  plan.cardId = savedCard.cardId;
+  plan.cardLast4 = savedCard.last4;
+  plan.cardBrand = savedCard.brand;
+
+  return savedCard;
+}
+
+async function recordPayment(
+  plan,
+  installment,
+  charge,
+  paymentService,
+  parent,
+) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const [payment] = await Payment.create(
+      [
+        {
+          parentId: plan.parentId,
+          playerIds: plan.playerIds || [],
+          paymentId: charge.id,
+          orderId: charge.orderId,
+          paymentSystem: paymentService.type,
+          configurationId: paymentService.configurationId,
+          ...(paymentService.type === 'square' && {
+            locationId: paymentService.config.locationId,
+          }),
+          ...(paymentService.type === 'clover' && {
+            merchantId: paymentService.config.merchantId,
+          }),
+          amount: installment.amount,
+          currency: plan.currency,
+          status: 'completed',
+          buyerEmail: parent.email,
+          cardLastFour: charge.cardDetails?.last4 || plan.cardLast4 || '0000',
+          cardBrand: charge.cardDetails?.brand || plan.cardBrand || 'UNKNOWN',
+          cardExpMonth: String(charge.cardDetails?.expMonth || '00'),
+          cardExpYear: String(charge.cardDetails?.expYear || '00'),
+          paymentType: plan.paymentType,
+          note: `Installment ${installment.sequence} of ${plan.installments.length}: ${plan.description}`,
+          processedAt: new Date(),
+          receiptUrl: charge.receiptUrl,
+          players: (plan.playerIds || []).map((playerId) => ({
+            playerId,
+            season: plan.season,
+            year: plan.year,
+            tryoutId: plan.tryoutId,
+          })),
+          metadata: {
+            installmentPlanId: plan._id,
+            installmentId: installment._id,
+            installmentSequence: installment.sequence,
+          },
+        },
+      ],
+      { session },
+    );
+
+    await postPaymentCharge(payment, { session });
+
+    installment.status = 'paid';
+    installment.paidAt = new Date();
+    installment.paymentId = payment._id;
+    installment.nextAttemptAt = undefined;
+    installment.failureReason = undefined;
+    refreshPlanTotals(plan);
+    await plan.save({ session });
+
+    await session.commitTransaction();
+    return payment;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+}
+
+/**
+ * Charge one installment against the plan's saved card. Failures are
+ * recorded on the installment (late, or failed once the grace period is
+ * over) and returned rather than thrown.
+ */
+async function chargeInstallment(plan, installment, { now = new Date() } = {}) {
+  const parent = await Parent.findById(plan.parentId).select('email fullName');
+
+  installment.attempts += 1;
+  installment.lastAttemptAt = now;
+
+  let charge;
+  let paymentService;
+  try {
+    if (!plan.cardId) {
+      throw new Error('No card on file for this plan');
+    }
+
+    paymentService = await PaymentServiceFactory.getService(plan.paymentSystem);
+    charge = await paymentService.chargeSavedCard({
+      customerId: plan.customerId,
+      cardId: plan.cardId,
+      amount: toCents(installment.amount),
+      email: parent?.email,
+      note: `${plan.description} — installment ${installment.sequence} of ${plan.installments.length}`,
+      referenceId: `installment:${plan._id}:${installment.sequence}`,
+    });
+
+    if (!isSuccessfulPaymentStatus(charge.status)) {
+      throw new Error(`Charge failed with status: ${charge.status}`);
+    }
+  } catch (error) {
+    return recordFailedAttempt(plan, installment, error, now);
+  }
+
+  console.log(
+    `✅ [Installments] Charged installment ${installment.sequence} of plan ${plan._id}:`,
+    charge.id,
+  );
+
+  let payment;
+  try {
+    payment = await recordPayment(
+      plan,
+      installment,
+      charge,
+      paymentService,
+      parent,
+    );
+  } catch (error) {
+    // The card is already charged - never retry it. Provider reconciliation
+    // reports the charge as missing_local so it can be recorded by hand.
+    installment.status = 'paid';
+    installment.paidAt = now;
+    installment.nextAttemptAt = undefined;
+    installment.failureReason = `Charged (${charge.id}) but the payment could not be recorded: ${error.message}`;
+    refreshPlanTotals(plan);
+    await plan.save();
+    throw error;
+  }
+
+  try {
+    await sendInstallmentReceiptEmail(plan, installment, payment);
+  } catch (emailError) {
+    console.error('Failed to send installment receipt email:', emailError);
+  }
+
+  return { success: true, payment };
+}
+
+async function recordFailedAttempt(plan, installment, error, now) {
+  const graceEndsAt = getGraceEndsAt(plan, installment);
+  const outOfRetries = installment.attempts >= plan.maxRetries;
+  const nextAttemptAt = new Date(
+    Math.min(
+      now.getTime() + plan.retryIntervalDays * DAY_MS,
+      graceEndsAt.getTime(),
+    ),
+  );
+
+  installment.failureReason = error.message;
+
+  console.error(
+    `❌ [Installments] Installment ${installment.sequence} of plan ${plan._id} failed (attempt ${installment.attempts}):`,
+    error.message,
+  );
+
+  if (outOfRetries || now >= graceEndsAt) {
+    installment.status = 'failed';
+    installment.nextAttemptAt = undefined;
+    plan.status = 'defaulted';
+    plan.defaultedAt = now;
+    refreshPlanTotals(plan);
+    await plan.save();
+
+    try {
+      await sendInstallmentPlanDefaultedEmail(plan, installment);
+    } catch (emailError) {
+      console.error('Failed to send installment default email:', emailError);
+    }
+
+    return { success: false, defaulted: true, error: error.message };
+  }
+
+  installment.status = 'late';
+  installment.nextAttemptAt = nextAttemptAt;
+  refreshPlanTotals(plan);
+  await plan.save();
+
+  try {
+    await sendInstallmentLateEmail(plan, installment, graceEndsAt);
+  } catch (emailError) {
+    console.error('Failed to send installment late email:', emailError);
+  }
+
+  return { success: false, defaulted: false, error: error.message };
+}
+
+async function sendDueReminders(now) {
+  const horizon = new Date(now.getTime() + REMINDER_DAYS_BEFORE * DAY_MS);
+  const plans = await InstallmentPlan.find({
+    status: 'active',
+    installments: {
+      $elemMatch: {
+        status: 'scheduled',
+        dueDate: { $gt: now, $lte: horizon },
+        reminderSentAt: null,
+      },
+    },
+  });
+
+  let sent = 0;
+  for (const plan of plans) {
+    const upcoming = plan.installments.filter(
+      (i) =>
+        i.status === 'scheduled' &&
+        !i.reminderSentAt &&
+        i.dueDate > now &&
+        i.dueDate <= horizon,
+    );
+
+    for (const installment of upcoming) {
+      try {
+        await sendInstallmentReminderEmail(plan, installment);
+        installment.reminderSentAt = now;
+        sent++;
+      } catch (emailError) {
+        console.error('Failed to send installment reminder:', emailError);
+      }
+    }
+
+    await plan.save();
+  }
+
+  return sent;
+}
+
+/**
+ * Daily run: remind families about upcoming installments, then charge
+ * everything that is due or waiting for a retry on active plans. Installments
+ * of a plan are charged in order and a plan stops at its first failure.
+ */
+async function processInstallmentPlans({ now = new Date() } = {}) {
+  console.log('🔄 [Installments] Running installment billing check...');
+
+  const summary = { reminders: 0, charged: 0, failed: 0, defaulted: 0 };
+
+  summary.reminders = await sendDueReminders(now);
+
+  const plans = await InstallmentPlan.find({
+    status: 'active',
+    $or: [
+      {
+        installments: {
+          $elemMatch: { status: 'scheduled', dueDate: { $lte: now } },
+        },
+      },
+      {
+        installments: {
+          $elemMatch: {
+            status: 'late',
+            $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: now } }],
+          },
+        },
+      },
+    ],
+  });
+
+  console.log(`[Installments] Found ${plans.length} plan(s) with charges due`);
+
+  for (const plan of plans) {
+    const due = plan.installments
+      .filter((i) => isInstallmentDue(i, now))
+      .sort((a, b) => a.sequence - b.sequence);
+
+    for (const installment of due) {
+      try {
+        const result = await chargeInstallment(plan, installment, { now });
+        if (result.success) {
+          summary.charged++;
+          continue;
+        }
+        summary.failed++;
+        if (result.defaulted) summary.defaulted++;
+      } catch (error) {
+        summary.failed++;
+        console.error(
+          `❌ [Installments] Could not record installment ${installment.sequence} of plan ${plan._id}:`,
+          error,
+        );
+      }
+      break;
+    }
+  }
+
+  console.log('[Installments] Billing check complete:', summary);
+  return summary;
+}
+
+module.exports = {
+  OPEN_STATUSES,
+  buildInstallmentSchedule,
+  refreshPlanTotals,
+  reschedulePlan,
+  saveCardForPlan,
+  chargeInstallment,
+  processInstallmentPlans,
+};
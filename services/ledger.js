@@ -0,0 +1,502 @@
+// services/ledger.js
+//
+// Double-entry ledger for money moving through the payment processors.
+// Every charge, refund, subscription renewal and manual adjustment is posted
+// as a balanced LedgerEntry. Accounts are plain strings:
+//
+//   processor:<paymentSystem>  money collected through a processor (asset)
+//   revenue:<paymentType>      income by payment type
+//   refunds:<paymentType>      refunds given back, by payment type
+//
+// A Payment's ledger balance is the net of its processor lines, i.e. what we
+// still hold for it. Form ticket purchases (TicketPurchase) are charged
+// through Square without a Payment and are posted against the purchase.
+// Amounts are stored as integer cents.
+const LedgerEntry = require('../models/LedgerEntry');
+const Payment = require('../models/Payment');
+const TicketPurchase = require('../models/TicketPurchase');
+
+const PROCESSOR_ACCOUNT_PREFIX = 'processor:';
+
+const accounts = {
+  processor: (paymentSystem) =>
+    `${PROCESSOR_ACCOUNT_PREFIX}${paymentSystem || 'unknown'}`,
+  revenue: (paymentType) => `revenue:${paymentType || 'general'}`,
+  refunds: (paymentType) => `refunds:${paymentType || 'general'}`,
+};
+
+// Refunds in these states never moved money, so they are not posted
+const UNPOSTED_REFUND_STATUSES = ['failed', 'rejected'];
+
+function toCents(amount) {
+  return Math.round(Number(amount || 0) * 100);
+}
+
+function fromCents(cents) {
+  return Math.round(cents) / 100;
+}
+
+/**
+ * Post a balanced entry. When `sourceKey` is given and an entry with that key
+ * already exists, the existing entry is returned instead of posting again.
+ */
+async function postEntry(entry, { session } = {}) {
+  if (entry.sourceKey) {
+    const existing = await LedgerEntry.findOne({
+      sourceKey: entry.sourceKey,
+    }).session(session || null);
+    if (existing) {
+      console.log(`⏩ Ledger entry ${entry.sourceKey} already posted`);
+      return existing;
+    }
+  }
+
+  try {
+    const [created] = await LedgerEntry.create([entry], { session });
+    console.log('📒 Ledger entry posted:', {
+      type: created.type,
+      sourceKey: created.sourceKey,
+      paymentId: created.paymentId,
+    });
+    return created;
+  } catch (error) {
+    // Lost a race with another poster for the same event
+    if (error.code === 11000 && entry.sourceKey) {
+      return LedgerEntry.findOne({ sourceKey: entry.sourceKey }).session(
+        session || null,
+      );
+    }
+    throw error;
+  }
+}
+
+// Charge (or subscription renewal): money in at the processor, revenue earned
+async function postPaymentCharge(payment, { session, type = 'charge' } = {}) {
+  const cents = toCents(payment.amount);
+  if (cents <= 0) return null;
+
+  return postEntry(
+    {
+      type,
+      description:
+        payment.note ||
+        `${payment.paymentType || 'general'} payment ${payment.paymentId}`,
+      paymentId: payment._id,
+      parentId: payment.parentId,
+      paymentSystem: payment.paymentSystem,
+      currency: payment.currency || 'USD',
+      sourceKey: `charge:${payment._id}`,
+      postedAt: payment.processedAt || payment.createdAt || new Date(),
+      lines: [
+        {
+          account: accounts.processor(payment.paymentSystem),
+          debitCents: cents,
+        },
+        {
+          account: accounts.revenue(payment.paymentType),
+          creditCents: cents,
+        },
+      ],
+      metadata: { externalPaymentId: payment.paymentId },
+    },
+    { session },
+  );
+}
+
+const refundKeyOf = (refund) =>
+  refund.externalRefundId || refund.refundId || String(refund._id);
+
+// Refund: revenue given back, money out at the processor
+async function postPaymentRefund(payment, refund, { session } = {}) {
+  if (!refund || UNPOSTED_REFUND_STATUSES.includes(refund.status)) return null;
+
+  const cents = toCents(refund.amount);
+  if (cents <= 0) return null;
+
+  const refundKey = refundKeyOf(refund);
+
+  return postEntry(
+    {
+      type: 'refund',
+      description: refund.reason || `Refund of payment ${payment.paymentId}`,
+      paymentId: payment._id,
+      parentId: payment.parentId,
+      paymentSystem: payment.paymentSystem,
+      currency: payment.currency || 'USD',
+      sourceKey: `refund:${payment._id}:${refundKey}`,
+      postedAt: refund.processedAt || new Date(),
+      lines: [
+        {
+          account: accounts.refunds(payment.paymentType),
+          debitCents: cents,
+        },
+        {
+          account: accounts.processor(payment.paymentSystem),
+          creditCents: cents,
+        },
+      ],
+      metadata: { externalPaymentId: payment.paymentId, refundId: refundKey },
+    },
+    { session },
+  );
+}
+
+// Ticket purchases are only taken through Square
+const TICKET_PAYMENT_SYSTEM = 'square';
+
+// Form ticket purchase: money in at Square, form revenue earned
+async function postTicketCharge(purchase, { session } = {}) {
+  const cents = toCents(purchase.amount);
+  if (cents <= 0) return null;
+
+  return postEntry(
+    {
+      type: 'charge',
+      description: `Form ticket purchase ${purchase.paymentId}`,
+      ticketPurchaseId: purchase._id,
+      paymentSystem: TICKET_PAYMENT_SYSTEM,
+      currency: purchase.currency || 'USD',
+      sourceKey: `charge:ticket:${purchase._id}`,
+      postedAt: purchase.processedAt || purchase.createdAt || new Date(),
+      lines: [
+        {
+          account: accounts.processor(TICKET_PAYMENT_SYSTEM),
+          debitCents: cents,
+        },
+        { account: accounts.revenue('form'), creditCents: cents },
+      ],
+      metadata: { externalPaymentId: purchase.paymentId },
+    },
+    { session },
+  );
+}
+
+// Refund of a form ticket purchase; `refund` is { id, amount (dollars),
+// status, reason, processedAt } as reported by Square
+async function postTicketRefund(purchase, refund, { session } = {}) {
+  if (!refund || UNPOSTED_REFUND_STATUSES.includes(refund.status)) return null;
+
+  const cents = toCents(refund.amount);
+  if (cents <= 0) return null;
+
+  return postEntry(
+    {
+      type: 'refund',
+      description:
+        refund.reason || `Refund of ticket purchase ${purchase.paymentId}`,
+      ticketPurchaseId: purchase._id,
+      paymentSystem: TICKET_PAYMENT_SYSTEM,
+      currency: purchase.currency || 'USD',
+      sourceKey: `refund:ticket:${purchase._id}:${refund.id}`,
+      postedAt: refund.processedAt || new Date(),
+      lines: [
+        { account: accounts.refunds('form'), debitCents: cents },
+        {
+          account: accounts.processor(TICKET_PAYMENT_SYSTEM),
+          creditCents: cents,
+        },
+      ],
+      metadata: { externalPaymentId: purchase.paymentId, refundId: refund.id },
+    },
+    { session },
+  );
+}
+
+/**
+ * Manual adjustment entered by an admin. Line amounts are in dollars
+ * (`{ account, debit, credit, memo }`) and must balance.
+ */
+async function postAdjustment(
+  { description, reason, lines, paymentId, postedBy },
+  { session } = {},
+) {
+  let payment = null;
+  if (paymentId) {
+    payment = await Payment.findById(paymentId).session(session || null);
+    if (!payment) {
+      throw new Error(`Payment record not found: ${paymentId}`);
+    }
+  }
+
+  return postEntry(
+    {
+      type: 'adjustment',
+      description,
+      reason,
+      paymentId: payment?._id,
+      parentId: payment?.parentId,
+      paymentSystem: payment?.paymentSystem,
+      currency: payment?.currency || 'USD',
+      postedBy,
+      lines: (lines || []).map((line) => ({
+        account: line.account,
+        debitCents: toCents(line.debit),
+        creditCents: toCents(line.credit),
+        memo: line.memo,
+      })),
+    },
+    { session },
+  );
+}
+
+// Net processor balance (in cents) per Payment _id
+async function getPaymentBalances(paymentIds) {
+  const balances = new Map();
+  if (!paymentIds.length) return balances;
+
+  const rows = await LedgerEntry.aggregate([
+    { $match: { paymentId: { $in: paymentIds } } },
+    { $unwind: '$lines' },
+    {
+      $match: {
+        'lines.account': { $regex: `^${PROCESSOR_ACCOUNT_PREFIX}` },
+      },
+    },
+    {
+      $group: {
+        _id: '$paymentId',
+        balanceCents: {
+          $sum: { $subtract: ['$lines.debitCents', '$lines.creditCents'] },
+        },
+        entries: { $addToSet: '$_id' },
+      },
+    },
+  ]);
+
+  for (const row of rows) {
+    balances.set(String(row._id), {
+      balanceCents: row.balanceCents,
+      entryCount: row.entries.length,
+    });
+  }
+  return balances;
+}
+
+// What the ledger should hold for a payment given its stored status
+function getExpectedBalanceCents(payment) {
+  if (payment.status !== 'completed') return 0;
+  return Math.max(
+    toCents(payment.amount) - toCents(payment.refundedAmount || 0),
+    0,
+  );
+}
+
+/**
+ * Compare every matching Payment against its ledger balance and return the
+ * ones that disagree with their stored status / refunded amount.
+ */
+async function reconcilePayments({
+  startDate,
+  endDate,
+  paymentSystem,
+  batchSize = 500,
+} = {}) {
+  const query = {};
+  if (paymentSystem) query.paymentSystem = paymentSystem;
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) query.createdAt.$lte = new Date(endDate);
+  }
+
+  const discrepancies = [];
+  let checked = 0;
+
+  const cursor = Payment.find(query)
+    .select(
+      'paymentId paymentSystem paymentType status refundStatus amount refundedAmount parentId buyerEmail createdAt',
+    )
+    .sort({ createdAt: 1 })
+    .lean()
+    .cursor();
+
+  const checkBatch = async (batch) => {
+    const balances = await getPaymentBalances(batch.map((p) => p._id));
+
+    for (const payment of batch) {
+      const ledger = balances.get(String(payment._id));
+      const ledgerBalanceCents = ledger?.balanceCents || 0;
+      const expectedBalanceCents = getExpectedBalanceCents(payment);
+
+      if (ledgerBalanceCents === expectedBalanceCents) continue;
+
+      discrepancies.push({
+        paymentId: payment._id,
+        externalPaymentId: payment.paymentId,
+        paymentSystem: payment.paymentSystem,
+        parentId: payment.parentId,
+        buyerEmail: payment.buyerEmail,
+        status: payment.status,
+        refundStatus: payment.refundStatus,
+        amount: payment.amount,
+        refundedAmount: payment.refundedAmount || 0,
+        expectedBalance: fromCents(expectedBalanceCents),
+        ledgerBalance: fromCents(ledgerBalanceCents),
+        difference: fromCents(ledgerBalanceCents - expectedBalanceCents),
+        reason: ledger ? 'balance_mismatch' : 'missing_ledger_entries',
+        createdAt: payment.createdAt,
+      });
+    }
+  };
+
+  let batch = [];
+  for await (const payment of cursor) {
+    batch.push(payment);
+    checked++;
+    if (batch.length >= batchSize) {
+      await checkBatch(batch);
+      batch = [];
+    }
+  }
+  if (batch.length) await checkBatch(batch);
+
+  console.log(
+    `📒 Ledger reconciliation: ${checked} payments checked, ${discrepancies.length} flagged`,
+  );
+
+  return {
+    checked,
+    flagged: discrepancies.length,
+    discrepancies,
+  };
+}
+
+/**
+ * Post the charges and refunds of payments, and the charges of ticket
+ * purchases, that were saved without ledger entries. Entries are keyed by their source, so running it again posts
+ * nothing twice. Refund requests still waiting for review (pending and never
+ * processed) are left alone.
+ *
+ * @returns {Promise<{ checked, charges, refunds }>} what was posted
+ */
+async function backfillLedger({ batchSize = 500 } = {}) {
+  const cursor = Payment.find({ status: { $in: ['completed', 'refunded'] } })
+    .sort({ createdAt: 1 })
+    .lean()
+    .cursor();
+
+  const result = { checked: 0, charges: 0, refunds: 0 };
+
+  const postBatch = async (batch) => {
+    const sourceKeys = batch.flatMap((payment) => [
+      `charge:${payment._id}`,
+      ...(payment.refunds || []).map(
+        (refund) => `refund:${payment._id}:${refundKeyOf(refund)}`,
+      ),
+    ]);
+    const posted = new Set(
+      await LedgerEntry.distinct('sourceKey', {
+        sourceKey: { $in: sourceKeys },
+      }),
+    );
+
+    for (const payment of batch) {
+      if (!posted.has(`charge:${payment._id}`)) {
+        if (await postPaymentCharge(payment)) result.charges++;
+      }
+      for (const refund of payment.refunds || []) {
+        if (posted.has(`refund:${payment._id}:${refundKeyOf(refund)}`)) {
+          continue;
+        }
+        if (refund.status === 'pending' && !refund.processedAt) continue;
+        if (await postPaymentRefund(payment, refund)) result.refunds++;
+      }
+    }
+  };
+
+  let batch = [];
+  for await (const payment of cursor) {
+    batch.push(payment);
+    result.checked++;
+    if (batch.length >= batchSize) {
+      await postBatch(batch);
+      batch = [];
+    }
+  }
+  if (batch.length) await postBatch(batch);
+
+  // Ticket purchases; their refunds are posted as the refund sync finds them
+  const tickets = TicketPurchase.find({
+    status: { $in: ['completed', 'partially_refunded', 'refunded'] },
+  })
+    .sort({ createdAt: 1 })
+    .lean()
+    .cursor();
+
+  const postTicketBatch = async (purchases) => {
+    const posted = new Set(
+      await LedgerEntry.distinct('sourceKey', {
+        sourceKey: {
+          $in: purchases.map((purchase) => `charge:ticket:${purchase._id}`),
+        },
+      }),
+    );
+    for (const purchase of purchases) {
+      if (posted.has(`charge:ticket:${purchase._id}`)) continue;
+      if (await postTicketCharge(purchase)) result.charges++;
+    }
+  };
+
+  batch = [];
+  for await (const purchase of tickets) {
+    batch.push(purchase);
+    result.checked++;
+    if (batch.length >= batchSize) {
+      await postTicketBatch(batch);
+      batch = [];
+    }
+  }
+  if (batch.length) await postTicketBatch(batch);
+
+  console.log(
+    `📒 Ledger backfill: ${result.checked} payments and ticket purchases checked, ${result.charges} charges and ${result.refunds} refunds posted`,
+  );
+  return result;
+}
+
+// Debit/credit totals and balance per account (trial balance)
+async function getAccountBalances({ startDate, endDate } = {}) {
+  const match = {};
+  if (startDate || endDate) {
+    match.postedAt = {};
+    if (startDate) match.postedAt.$gte = new Date(startDate);
+    if (endDate) match.postedAt.$lte = new Date(endDate);
+  }
+
+  const rows = await LedgerEntry.aggregate([
+    { $match: match },
+    { $unwind: '$lines' },
+    {
+      $group: {
+        _id: '$lines.account',
+        debitCents: { $sum: '$lines.debitCents' },
+        creditCents: { $sum: '$lines.creditCents' },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  return rows.map((row) => ({
+    account: row._id,
+    debit: fromCents(row.debitCents),
+    credit: fromCents(row.creditCents),
+    balance: fromCents(row.debitCents - row.creditCents),
+  }));
+}
+
+module.exports = {
+  accounts,
+  toCents,
+  fromCents,
+  postEntry,
+  postPaymentCharge,
+  postPaymentRefund,
+  postTicketCharge,
+  postTicketRefund,
+  postAdjustment,
+  getPaymentBalances,
+  getExpectedBalanceCents,
+  reconcilePayments,
+  backfillLedger,
+  getAccountBalances,
+};
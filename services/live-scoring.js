@@ -0,0 +1,384 @@
+// services/live-scoring.js
+//
+// Scorekeeping for a match in progress. Everything the scorekeeper enters
+// is kept as an event on match.liveScoring (a basket or a quarter total, a
+// foul, a timeout, the end of a period) and the box score is worked out
+// from the events, so a correction never loses what was entered before:
+// edited and voided events stay on the match and every change is written
+// to the audit trail with who made it and why.
+
+const EVENT_TYPES = ['score', 'foul', 'timeout', 'period'];
+const TEAMS = ['team1', 'team2'];
+
+function scoringError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_SCORING';
+  return error;
+}
+
+/**
+ * "Q1".."Q4" for quarters, "H1"/"H2" for halves, "OT1"... after regulation.
+ */
+function periodLabel(period, regulationPeriods = 4) {
+  if (period > regulationPeriods) return `OT${period - regulationPeriods}`;
+  if (regulationPeriods === 4) return `Q${period}`;
+  if (regulationPeriods === 2) return `H${period}`;
+  return `P${period}`;
+}
+
+/**
+ * Box score from the match's scoring events (voided ones are ignored).
+ *
+ * @param {Object} match  Match with liveScoring
+ * @param {Object} [settings]  Tournament settings (periods)
+ * @returns {{ currentPeriod, currentPeriodLabel, periods: Array, totals,
+ *   fouls, timeouts }}
+ */
+function buildBoxScore(match, settings = {}) {
+  const regulation = settings.periods || 4;
+  const live = match.liveScoring || {};
+  const events = (live.events || []).filter((e) => !e.voided);
+  const currentPeriod = live.currentPeriod || 0;
+
+  const lastPeriod = Math.max(
+    regulation,
+    currentPeriod,
+    ...events.map((e) => e.period || 0),
+  );
+  const periods = Array.from({ length: lastPeriod }, (_, i) => ({
+    period: i + 1,
+    label: periodLabel(i + 1, regulation),
+    team1: 0,
+    team2: 0,
+    team1Fouls: 0,
+    team2Fouls: 0,
+  }));
+
+  const totals = { team1: 0, team2: 0 };
+  const fouls = { team1: 0, team2: 0 };
+  const timeouts = { team1: 0, team2: 0 };
+
+  for (const event of events) {
+    const row = periods[event.period - 1];
+    if (event.type === 'score') {
+      row[event.team] += event.points;
+      totals[event.team] += event.points;
+    } else if (event.type === 'foul') {
+      row[`${event.team}Fouls`] += 1;
+      fouls[event.team] += 1;
+    } else if (event.type === 'timeout') {
+      timeouts[event.team] += 1;
+    }
+  }
+
+  return {
+    currentPeriod,
+    currentPeriodLabel: currentPeriod
+      ? periodLabel(currentPeriod, regulation)
+      : null,
+    periods,
+    totals,
+    fouls,
+    timeouts,
+  };
+}
+
+// Keep the match's final-score fields in step with the box score so lists
+// and tickers show the running score
+function syncScores(match, settings) {
+  const { totals } = buildBoxScore(match, settings);
+  match.team1Score = totals.team1;
+  match.team2Score = totals.team2;
+}
+
+function audit(match, entry, user) {
+  match.liveScoring.audit.push({
+    ...entry,
+    by: user?._id,
+    at: new Date(),
+  });
+}
+
+function assertLive(match) {
+  if (match.status !== 'in-progress' || !match.liveScoring?.startedAt) {
+    throw scoringError('Match is not in progress');
+  }
+}
+
+// Fields of an event that describe it, for the audit trail
+function snapshot(event) {
+  return {
+    type: event.type,
+    team: event.team,
+    period: event.period,
+    points: event.points,
+    playerNumber: event.playerNumber,
+    playerName: event.playerName,
+  };
+}
+
+function startMatch(match, user) {
+  if (match.status !== 'scheduled') {
+    throw scoringError(`Cannot start a match that is ${match.status}`);
+  }
+  if (!match.team1 || !match.team2) {
+    throw scoringError('Both teams must be assigned before the match starts');
+  }
+
+  match.status = 'in-progress';
+  match.actualStartTime = new Date();
+  match.team1Score = 0;
+  match.team2Score = 0;
+  match.liveScoring = {
+    currentPeriod: 1,
+    startedAt: new Date(),
+    events: [],
+    audit: [],
+  };
+  audit(match, { action: 'start' }, user);
+}
+
+function findEvent(match, eventId) {
+  const event = match.liveScoring.events.id(eventId);
+  if (!event) throw scoringError('Scoring entry not found');
+  if (event.voided) throw scoringError('Scoring entry was already voided');
+  return event;
+}
+
+function checkPeriod(match, period) {
+  if (!Number.isInteger(period) || period < 1) {
+    throw scoringError('Period must be a positive whole number');
+  }
+  if (period > match.liveScoring.currentPeriod) {
+    throw scoringError('Cannot record for a period that has not started');
+  }
+}
+
+function checkTimeouts(match, team, settings, excludeId) {
+  if (
+    settings.timeoutsPerGame === undefined ||
+    settings.timeoutsPerGame === null
+  ) {
+    return;
+  }
+  const used = match.liveScoring.events.filter(
+    (e) =>
+      !e.voided &&
+      e.type === 'timeout' &&
+      e.team === team &&
+      String(e._id) !== String(excludeId),
+  ).length;
+  if (used >= settings.timeoutsPerGame) {
+    throw scoringError(`No timeouts left for ${team}`);
+  }
+}
+
+/**
+ * Record a basket (or a period total), foul or timeout.
+ */
+function recordEvent(match, input, user, settings = {}) {
+  assertLive(match);
+
+  const { type, team } = input;
+  if (!['score', 'foul', 'timeout'].includes(type)) {
+    throw scoringError(`Unknown scoring entry type ${type}`);
+  }
+  if (!TEAMS.includes(team)) throw scoringError('Team must be team1 or team2');
+
+  const period = input.period ?? match.liveScoring.currentPeriod;
+  checkPeriod(match, period);
+
+  if (
+    type === 'score' &&
+    !(Number.isInteger(input.points) && input.points > 0)
+  ) {
+    throw scoringError('Points must be a positive whole number');
+  }
+  if (type === 'timeout') checkTimeouts(match, team, settings);
+
+  match.liveScoring.events.push({
+    type,
+    team,
+    period,
+    points: type === 'score' ? input.points : undefined,
+    playerNumber: input.playerNumber,
+    playerName: input.playerName,
+    note: input.note,
+    recordedBy: user?._id,
+    recordedAt: new Date(),
+  });
+  const event = match.liveScoring.events[match.liveScoring.events.length - 1];
+  audit(
+    match,
+    { action: 'record', event: event._id, after: snapshot(event) },
+    user,
+  );
+
+  syncScores(match, settings);
+  return event;
+}
+
+/**
+ * Change an entry (wrong team, wrong points, wrong period, wrong player).
+ * A reason is required and the previous values go to the audit trail.
+ */
+function correctEvent(match, eventId, changes, reason, user, settings = {}) {
+  assertLive(match);
+  if (!reason || !String(reason).trim()) {
+    throw scoringError('A reason is required to correct an entry');
+  }
+
+  const event = findEvent(match, eventId);
+  if (event.type === 'period') {
+    throw scoringError('Period changes cannot be corrected');
+  }
+  const before = snapshot(event);
+
+  if (changes.team !== undefined) {
+    if (!TEAMS.includes(changes.team)) {
+      throw scoringError('Team must be team1 or team2');
+    }
+    if (event.type === 'timeout' && changes.team !== event.team) {
+      checkTimeouts(match, changes.team, settings, event._id);
+    }
+    event.team = changes.team;
+  }
+  if (changes.period !== undefined) {
+    checkPeriod(match, changes.period);
+    event.period = changes.period;
+  }
+  if (changes.points !== undefined) {
+    if (event.type !== 'score') {
+      throw scoringError('Only scoring entries have points');
+    }
+    if (!(Number.isInteger(changes.points) && changes.points > 0)) {
+      throw scoringError('Points must be a positive whole number');
+    }
+    event.points = changes.points;
+  }
+  if (changes.playerNumber !== undefined) {
+    event.playerNumber = changes.playerNumber;
+  }
+  if (changes.playerName !== undefined) event.playerName = changes.playerName;
+
+  event.correctedAt = new Date();
+  audit(
+    match,
+    {
+      action: 'correct',
+      event: event._id,
+      before,
+      after: snapshot(event),
+      reason,
+    },
+    user,
+  );
+
+  syncScores(match, settings);
+  return event;
+}
+
+/**
+ * Take an entry out of the box score. It stays on the match, marked voided.
+ */
+function voidEvent(match, eventId, reason, user, settings = {}) {
+  assertLive(match);
+  if (!reason || !String(reason).trim()) {
+    throw scoringError('A reason is required to void an entry');
+  }
+
+  const event = findEvent(match, eventId);
+  if (event.type === 'period') {
+    throw scoringError('Period changes cannot be voided');
+  }
+
+  event.voided = true;
+  event.voidReason = reason;
+  audit(
+    match,
+    { action: 'void', event: event._id, before: snapshot(event), reason },
+    user,
+  );
+
+  syncScores(match, settings);
+  return event;
+}
+
+/**
+ * End the current period and start the next one (overtime after the last).
+ */
+function advancePeriod(match, user, settings = {}) {
+  assertLive(match);
+
+  const period = match.liveScoring.currentPeriod;
+  match.liveScoring.events.push({
+    type: 'period',
+    period,
+    note: `End of ${periodLabel(period, settings.periods || 4)}`,
+    recordedBy: user?._id,
+    recordedAt: new Date(),
+  });
+  match.liveScoring.currentPeriod = period + 1;
+  audit(
+    match,
+    {
+      action: 'period',
+      before: { period },
+      after: { period: period + 1 },
+    },
+    user,
+  );
+}
+
+/**
+ * Set the final score, winner and loser from the box score and return the
+ * totals. A draw is only allowed in group matches. Standings and
+ * advancement are up to the caller.
+ */
+function finalizeMatch(match, user, settings = {}) {
+  assertLive(match);
+
+  const { totals } = buildBoxScore(match, settings);
+  if (totals.team1 === totals.team2 && !match.group) {
+    throw scoringError(
+      'Score is tied; start an overtime period before finalizing',
+    );
+  }
+
+  match.team1Score = totals.team1;
+  match.team2Score = totals.team2;
+  match.status = 'completed';
+  match.actualEndTime = new Date();
+  match.liveScoring.finalizedAt = new Date();
+
+  if (totals.team1 === totals.team2) {
+    match.winner = undefined;
+    match.loser = undefined;
+  } else {
+    const team1Won = totals.team1 > totals.team2;
+    const team1 = match.team1._id || match.team1;
+    const team2 = match.team2._id || match.team2;
+    match.winner = team1Won ? team1 : team2;
+    match.loser = team1Won ? team2 : team1;
+  }
+
+  audit(
+    match,
+    { action: 'finalize', after: { team1: totals.team1, team2: totals.team2 } },
+    user,
+  );
+
+  return totals;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  periodLabel,
+  buildBoxScore,
+  startMatch,
+  recordEvent,
+  correctEvent,
+  voidEvent,
+  advancePeriod,
+  finalizeMatch,
+};
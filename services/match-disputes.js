@@ -0,0 +1,285 @@
+// services/match-disputes.js
+//
+// Forfeits and protests. A forfeit ends a match as a walkover with the
+// tournament's forfeit score; when neither team turns up it is a double
+// forfeit with no winner. A coach of either team can protest a
+// finished match within the tournament's protest window; the director
+// upholds it (replay the game, overturn the result or correct the score)
+// or denies it. Every change is logged in the match history with the
+// result before and after. These functions only change the match in
+// memory; the caller saves it and updates standings and the bracket.
+
+const RESULT_STATUSES = ['completed', 'walkover'];
+const OPEN_STATUSES = ['scheduled', 'in-progress'];
+const PROTEST_OUTCOMES = ['replay', 'overturn', 'score'];
+
+function disputeError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_DISPUTE';
+  return error;
+}
+
+const idOf = (value) => (value ? String(value._id || value) : null);
+
+function resultOf(match) {
+  return {
+    status: match.status,
+    team1Score: match.team1Score,
+    team2Score: match.team2Score,
+    winner: idOf(match.winner),
+    forfeitedBy: idOf(match.forfeitedBy),
+    doubleForfeit: !!match.doubleForfeit,
+  };
+}
+
+function logHistory(match, action, before, { user, note, protest } = {}) {
+  match.history.push({
+    action,
+    protest,
+    before,
+    after: resultOf(match),
+    note,
+    by: user?._id,
+    at: new Date(),
+  });
+}
+
+// 'team1' or 'team2' for a team id, or null when it is not in the match
+function sideOf(match, team) {
+  if (idOf(match.team1) === idOf(team)) return 'team1';
+  if (idOf(match.team2) === idOf(team)) return 'team2';
+  return null;
+}
+
+function setForfeit(match, side, forfeitSettings = {}) {
+  const other = side === 'team1' ? 'team2' : 'team1';
+  match.status = 'walkover';
+  match.doubleForfeit = undefined;
+  match.forfeitedBy = match[side]._id || match[side];
+  match.winner = match[other]._id || match[other];
+  match.loser = match.forfeitedBy;
+  match[`${other}Score`] = forfeitSettings.winnerScore ?? 20;
+  match[`${side}Score`] = forfeitSettings.loserScore ?? 0;
+  match.actualEndTime = match.actualEndTime || new Date();
+}
+
+/**
+ * Record that a team forfeits a match that has not been played.
+ *
+ * @param {Object} match  Match document
+ * @param {*} team  The team that forfeits
+ * @param {Object} settings  Tournament settings (forfeit scoring)
+ * @param {Object} options  { reason, user }
+ */
+function assertForfeitable(match) {
+  if (!match.team1 || !match.team2) {
+    throw disputeError('Both teams must be assigned to record a forfeit');
+  }
+  if (!OPEN_STATUSES.includes(match.status)) {
+    throw disputeError(
+      `Cannot record a forfeit on a ${match.status} match; file a protest to change its result`,
+    );
+  }
+}
+
+function recordForfeit(match, team, settings, { reason, user } = {}) {
+  assertForfeitable(match);
+  const side = sideOf(match, team);
+  if (!side) throw disputeError('The forfeiting team is not in this match');
+
+  const before = resultOf(match);
+  setForfeit(match, side, settings?.forfeit);
+  match.walkoverReason = reason || 'Forfeit';
+  logHistory(match, 'forfeit', before, { user, note: reason });
+  return match;
+}
+
+/**
+ * Record that neither team turned up. The match ends as a walkover with no
+ * winner; both teams take the forfeit loss and the forfeit loser score.
+ */
+function recordDoubleForfeit(match, settings, { reason, user } = {}) {
+  assertForfeitable(match);
+
+  const before = resultOf(match);
+  match.status = 'walkover';
+  match.doubleForfeit = true;
+  match.forfeitedBy = undefined;
+  match.winner = null;
+  match.loser = null;
+  match.team1Score = settings?.forfeit?.loserScore ?? 0;
+  match.team2Score = settings?.forfeit?.loserScore ?? 0;
+  match.actualEndTime = match.actualEndTime || new Date();
+  match.walkoverReason = reason || 'Double forfeit';
+  logHistory(match, 'forfeit', before, { user, note: reason });
+  return match;
+}
+
+/**
+ * File a protest against the result of a finished match.
+ *
+ * @param {Object} options  { team, reason, user, windowHours }
+ * @returns {Object} the protest
+ */
+function fileProtest(match, { team, reason, user, windowHours }) {
+  if (!RESULT_STATUSES.includes(match.status)) {
+    throw disputeError('Only finished matches can be protested');
+  }
+  if (!sideOf(match, team)) {
+    throw disputeError('Only the teams in the match can protest it');
+  }
+  if (windowHours !== undefined && windowHours !== null) {
+    const endedAt = match.actualEndTime || match.updatedAt;
+    const closesAt = new Date(endedAt.getTime() + windowHours * 3600000);
+    if (new Date() > closesAt) {
+      throw disputeError(
+        `Protests for this match closed ${closesAt.toISOString()}`,
+      );
+    }
+  }
+  if (
+    match.protests.some(
+      (p) => p.status === 'pending' && idOf(p.team) === idOf(team),
+    )
+  ) {
+    throw disputeError('This team already has a protest pending');
+  }
+
+  match.protests.push({
+    team: team._id || team,
+    filedBy: user?._id,
+    reason,
+    status: 'pending',
+    filedAt: new Date(),
+  });
+  const protest = match.protests[match.protests.length - 1];
+  logHistory(match, 'protest-filed', resultOf(match), {
+    user,
+    note: reason,
+    protest: protest._id,
+  });
+  return protest;
+}
+
+function pendingProtest(match, protestId) {
+  const protest = match.protests.id(protestId);
+  if (!protest) throw disputeError('Protest not found');
+  if (protest.status !== 'pending') {
+    throw disputeError(`Protest was already ${protest.status}`);
+  }
+  return protest;
+}
+
+function withdrawProtest(match, protestId, { user } = {}) {
+  const protest = pendingProtest(match, protestId);
+  protest.status = 'withdrawn';
+  logHistory(match, 'protest-withdrawn', resultOf(match), {
+    user,
+    protest: protest._id,
+  });
+  return protest;
+}
+
+/**
+ * The director's decision on a protest.
+ *
+ * @param {Object} decision
+ * @param {String} decision.status  'upheld' or 'denied'
+ * @param {String} [decision.outcome]  For upheld protests: 'replay' (the
+ *   game is played again), 'overturn' (the other team forfeits) or 'score'
+ *   (team1Score and team2Score replace the result)
+ * @param {Object} settings  Tournament settings (forfeit scoring)
+ * @returns {{ protest, resultChanged }}
+ */
+function decideProtest(match, protestId, decision, settings, { user } = {}) {
+  const protest = pendingProtest(match, protestId);
+  const { status, outcome, note, team1Score, team2Score } = decision;
+  const before = resultOf(match);
+
+  if (status === 'upheld') {
+    if (!PROTEST_OUTCOMES.includes(outcome)) {
+      throw disputeError(
+        `An upheld protest needs an outcome: ${PROTEST_OUTCOMES.join(', ')}`,
+      );
+    }
+
+    if (outcome === 'replay') {
+      match.status = 'scheduled';
+      match.winner = null;
+      match.loser = null;
+      match.forfeitedBy = undefined;
+      match.doubleForfeit = undefined;
+      match.team1Score = 0;
+      match.team2Score = 0;
+      match.walkoverReason = undefined;
+      match.actualEndTime = undefined;
+    } else if (outcome === 'overturn') {
+      const protesting = sideOf(match, protest.team);
+      setForfeit(
+        match,
+        protesting === 'team1' ? 'team2' : 'team1',
+        settings?.forfeit,
+      );
+      match.walkoverReason = `Protest upheld${note ? `: ${note}` : ''}`;
+    } else {
+      if (!Number.isInteger(team1Score) || !Number.isInteger(team2Score)) {
+        throw disputeError('A corrected score needs team1Score and team2Score');
+      }
+      if (team1Score < 0 || team2Score < 0) {
+        throw disputeError('Scores cannot be negative');
+      }
+      if (team1Score === team2Score && !match.group) {
+        throw disputeError('A bracket match cannot end in a draw');
+      }
+      match.status = 'completed';
+      match.forfeitedBy = undefined;
+      match.doubleForfeit = undefined;
+      match.walkoverReason = undefined;
+      match.team1Score = team1Score;
+      match.team2Score = team2Score;
+      const team1Id = match.team1._id || match.team1;
+      const team2Id = match.team2._id || match.team2;
+      const [winner, loser] =
+        team1Score > team2Score
+          ? [team1Id, team2Id]
+          : team2Score > team1Score
+            ? [team2Id, team1Id]
+            : [null, null];
+      match.winner = winner;
+      match.loser = loser;
+    }
+    protest.outcome = outcome;
+  } else if (status !== 'denied') {
+    throw disputeError("A decision is 'upheld' or 'denied'");
+  }
+
+  protest.status = status;
+  protest.decisionNote = note;
+  protest.decidedBy = user?._id;
+  protest.decidedAt = new Date();
+  logHistory(match, 'protest-decided', before, {
+    user,
+    note: [status, outcome, note].filter(Boolean).join(': '),
+    protest: protest._id,
+  });
+
+  const after = resultOf(match);
+  return {
+    protest,
+    resultChanged: ['status', 'team1Score', 'team2Score', 'winner'].some(
+      (key) => before[key] !== after[key],
+    ),
+  };
+}
+
+module.exports = {
+  PROTEST_OUTCOMES,
+  resultOf,
+  logHistory,
+  sideOf,
+  recordForfeit,
+  recordDoubleForfeit,
+  fileProtest,
+  withdrawProtest,
+  decideProtest,
+};
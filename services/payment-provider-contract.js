@@ -0,0 +1,181 @@
+// services/payment-provider-contract.js
+//
+// Every service returned by PaymentServiceFactory.getService() implements the
+// same provider contract, regardless of which processor sits behind it.
+// Callers (payment-wrapper, paymentProcessRoutes, refund routes, schedulers)
+// should only rely on the methods and result fields documented here;
+// providers may attach extra, processor-specific fields to their results.
+//
+// Amounts passed INTO a provider are always integer cents.
+const { recordCharge } = require('../middleware/idempotency');
+
+/**
+ * @typedef {Object} ChargeRequest
+ * @property {string} sourceId      Single-use card token / nonce from the frontend
+ * @property {number} amount        Amount in cents
+ * @property {string} [email]       Buyer email for the processor receipt
+ * @property {string} [customerId]  Processor customer the charge belongs to
+ * @property {string} [referenceId] Our own reference (e.g. `parent:<id>`)
+ * @property {string} [note]        Description shown on the processor dashboard
+ * @property {Object} [metadata]
+ */
+
+/**
+ * @typedef {Object} ChargeResult
+ * @property {string} id            Processor payment/charge ID (stored as Payment.paymentId)
+ * @property {string} status        Processor status, see isSuccessfulPaymentStatus()
+ * @property {number} [amount]      Amount in cents
+ * @property {string} [currency]
+ * @property {string} [orderId]
+ * @property {string} [receiptUrl]
+ * @property {{last4: string, brand: string, expMonth: number, expYear: number}} [cardDetails]
+ */
+
+/**
+ * @typedef {Object} RefundResult
+ * @property {string} id            Processor refund ID
+ * @property {string} status        e.g. COMPLETED, PENDING
+ * @property {number} [amount]
+ */
+
+/**
+ * @typedef {Object} SavedCard
+ * @property {string} customerId    Processor customer ID
+ * @property {string} cardId        Permanent card-on-file ID
+ * @property {string} [last4]
+ * @property {string} [brand]
+ */
+
+/**
+ * Settled payment as reported by the processor, used for reconciliation
+ * @typedef {Object} ProviderPaymentRecord
+ * @property {string} id            Processor payment ID (matches Payment.paymentId)
+ * @property {string} status        Processor status, see isSuccessfulPaymentStatus()
+ * @property {number} amount        Captured amount in cents
+ * @property {number} [refundedAmount] Total refunded so far, in cents
+ * @property {string} [currency]
+ * @property {Date} createdAt
+ */
+
+/**
+ * @typedef {Object} ProviderRefundRecord
+ * @property {string} id            Processor refund ID
+ * @property {string} paymentId     Processor payment the refund belongs to
+ * @property {string} status        e.g. COMPLETED, PENDING, see normalizeRefundStatus()
+ * @property {number} amount        Amount in cents
+ * @property {Date} createdAt
+ */
+
+/**
+ * @typedef {Object} PaymentProvider
+ * @property {string} type
+ * @property {Object} settings
+ * @property {Object} configuration
+ * @property {*} configurationId
+ * @property {(data: ChargeRequest) => Promise<ChargeResult>} processPayment
+ * @property {(paymentId: string, amountInCents: number, reason?: string) => Promise<RefundResult>} refundPayment
+ * @property {(paymentId: string) => Promise<Object>} getPaymentDetails
+ * @property {(data: {sourceId: string, customerId?: string, email?: string, name?: string}) => Promise<SavedCard>} saveCard
+ * @property {(data: {customerId: string, cardId: string, amount: number, email?: string, note?: string, referenceId?: string}) => Promise<ChargeResult>} chargeSavedCard
+ * @property {(req: {headers: Object, body: *, rawBody?: (string|Buffer)}) => boolean} verifyWebhook
+ * @property {(range: {beginTime: Date, endTime: Date}) => Promise<ProviderPaymentRecord[]>} listPayments
+ * @property {(range: {beginTime: Date, endTime: Date}) => Promise<ProviderRefundRecord[]>} listRefunds
+ */
+
+const PROVIDER_METHODS = [
+  'processPayment',
+  'refundPayment',
+  'getPaymentDetails',
+  'saveCard',
+  'chargeSavedCard',
+  'verifyWebhook',
+  'listPayments',
+  'listRefunds',
+];
+
+// Statuses the different processors use for a captured, successful charge
+const SUCCESSFUL_PAYMENT_STATUSES = [
+  'COMPLETED', // Square, fake
+  'PAID', // Clover
+  'SUCCESS', // Clover platform API (payment.result)
+  'AUTHORIZED', // Clover (auth only)
+  'SUCCEEDED', // Stripe
+];
+
+function isSuccessfulPaymentStatus(status) {
+  if (!status) return false;
+  return SUCCESSFUL_PAYMENT_STATUSES.includes(String(status).toUpperCase());
+}
+
+// Map a processor refund status onto the Payment.refunds[].status enum
+function normalizeRefundStatus(status) {
+  switch (String(status || '').toUpperCase()) {
+    case 'COMPLETED':
+    case 'SUCCEEDED':
+    case 'PAID':
+      return 'completed';
+    case 'FAILED':
+      return 'failed';
+    case 'REJECTED':
+    case 'CANCELED':
+    case 'CANCELLED':
+      return 'rejected';
+    default:
+      return 'pending';
+  }
+}
+
+// Methods that take money; a successful one is reported to the idempotency
+// middleware so the request's key is never released for a second charge
+const CHARGE_METHODS = ['processPayment', 'chargeSavedCard'];
+
+/**
+ * Make sure a freshly created provider exposes the full contract. Methods a
+ * processor does not support are filled in with a stub that rejects with a
+ * clear error instead of failing later with "is not a function".
+ */
+function applyProviderContract(service) {
+  if (!service || !service.type) {
+    throw new Error('Payment provider must define a type');
+  }
+
+  for (const method of PROVIDER_METHODS) {
+    if (typeof service[method] === 'function') continue;
+
+    if (method === 'verifyWebhook') {
+      service[method] = function () {
+        console.warn(
+          `⚠️ ${service.type} does not support webhook verification`,
+        );
+        return false;
+      };
+    } else {
+      service[method] = async function () {
+        const error = new Error(
+          `${method} is not supported by the ${service.type} payment provider`,
+        );
+        error.code = 'NOT_SUPPORTED';
+        throw error;
+      };
+    }
+  }
+
+  for (const method of CHARGE_METHODS) {
+    const charge = service[method];
+    service[method] = async function (...args) {
+      const result = await charge.apply(this, args);
+      if (isSuccessfulPaymentStatus(result?.status)) recordCharge(result);
+      return result;
+    };
+  }
+
+  return service;
+}
+
+module.exports = {
+  PROVIDER_METHODS,
+  SUCCESSFUL_PAYMENT_STATUSES,
+  isSuccessfulPaymentStatus,
+  normalizeRefundStatus,
+  applyProviderContract,
+};
@@ -1,6 +1,20 @@
 // services/payment-service-factory.js
+const crypto = require('crypto');
 const PaymentConfiguration = require('../models/PaymentConfiguration');
 const cloverTokenManager = require('./cloverTokenManager');
+const { applyProviderContract } = require('./payment-provider-contract');
+const {
+  createFakeProvider,
+  isFakeProviderEnabled,
+} = require('./fake-payment-provider');
+
+// Compare webhook secrets in constant time so response timing does not leak
+// how much of a forged signature was right
+function secretsMatch(expected, received) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(received));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
 
 class PaymentServiceFactory {
   constructor() {
@@ -17,15 +31,24 @@ class PaymentServiceFactory {
       isActive: true,
     };
 
+    if (paymentSystem === 'fake' && !isFakeProviderEnabled()) {
+      throw new Error(
+        'The fake payment provider is off; set ENABLE_FAKE_PAYMENTS=true outside production to use it',
+      );
+    }
+
     if (paymentSystem) {
       query.paymentSystem = paymentSystem;
-    } else {
+    } else if (isFakeProviderEnabled()) {
       query.paymentSystem = { $exists: true };
+    } else {
+      // A fake configuration is never picked as the default by accident
+      query.paymentSystem = { $exists: true, $ne: 'fake' };
     }
 
     const config = await PaymentConfiguration.findOne(query)
       .select(
-        '+squareConfig.accessToken +squareConfig.webhookSignatureKey +cloverConfig.accessToken +stripeConfig.secretKey +stripeConfig.webhookSecret +paypalConfig.clientSecret',
+        '+squareConfig.accessToken +squareConfig.webhookSignatureKey +cloverConfig.accessToken +cloverConfig.webhookAuthCode +stripeConfig.secretKey +stripeConfig.webhookSecret +paypalConfig.clientSecret',
       )
       .sort({ isDefault: -1, updatedAt: -1 });
 
@@ -61,10 +84,14 @@ class PaymentServiceFactory {
       case 'paypal':
         service = this.createPaypalService(config);
         break;
+      case 'fake':
+        service = this.createFakeService(config);
+        break;
       default:
         throw new Error(`Unsupported payment system: ${config.paymentSystem}`);
     }
 
+    applyProviderContract(service);
     service.configurationId = config._id;
     service.configuration = config;
     this.services.set(cacheKey, service);
@@ -117,6 +144,7 @@ class PaymentServiceFactory {
           referenceId: paymentData.referenceId,
           note: paymentData.note || this.settings.defaultPaymentDescription,
           buyerEmailAddress: paymentData.email,
+          ...(paymentData.customerId && { customerId: paymentData.customerId }),
         };
 
         const { result } = await paymentsApi.createPayment(paymentRequest);
@@ -145,6 +173,141 @@ class PaymentServiceFactory {
         const { result } = await paymentsApi.getPayment(paymentId);
         return result.payment;
       },
+
+      async saveCard({ sourceId, customerId, email, name }) {
+        const { customersApi, cardsApi } = this.client;
+
+        if (!customerId) {
+          const { result } = await customersApi.createCustomer({
+            emailAddress: email,
+            givenName: name,
+          });
+          customerId = result.customer.id;
+        }
+
+        const { result } = await cardsApi.createCard({
+          idempotencyKey: crypto.randomUUID(),
+          sourceId,
+          card: { customerId },
+        });
+
+        return {
+          customerId,
+          cardId: result.card.id,
+          last4: result.card.last4,
+          brand: result.card.cardBrand,
+          expMonth: Number(result.card.expMonth),
+          expYear: Number(result.card.expYear),
+        };
+      },
+
+      async chargeSavedCard({
+        customerId,
+        cardId,
+        amount,
+        email,
+        note,
+        referenceId,
+      }) {
+        const { paymentsApi } = this.client;
+        const { result } = await paymentsApi.createPayment({
+          idempotencyKey: crypto.randomUUID(),
+          sourceId: cardId,
+          customerId,
+          amountMoney: {
+            amount,
+            currency: this.settings.currency || 'USD',
+          },
+          locationId: this.config.locationId,
+          autocomplete: true,
+          referenceId,
+          note: note || this.settings.defaultPaymentDescription,
+          buyerEmailAddress: email,
+        });
+        return result.payment;
+      },
+
+      // Square signs notificationUrl + raw body with the webhook signature key
+      verifyWebhook(req) {
+        const signatureKey = this.config.webhookSignatureKey;
+        const notificationUrl =
+          req.notificationUrl || process.env.SQUARE_WEBHOOK_URL;
+        const signature =
+          req.headers['x-square-hmacsha256-signature'] ||
+          req.headers['x-square-hmacsha256'];
+
+        if (!signatureKey || !notificationUrl || !signature) return false;
+
+        const body = Buffer.isBuffer(req.body)
+          ? req.body.toString('utf8')
+          : req.rawBody || JSON.stringify(req.body);
+
+        const hash = crypto
+          .createHmac('sha256', signatureKey)
+          .update(notificationUrl + body)
+          .digest('base64');
+
+        return secretsMatch(hash, signature);
+      },
+
+      async listPayments({ beginTime, endTime }) {
+        const { paymentsApi } = this.client;
+        const payments = [];
+        let cursor;
+
+        do {
+          const { result } = await paymentsApi.listPayments(
+            beginTime.toISOString(),
+            endTime.toISOString(),
+            'ASC',
+            cursor,
+            this.config.locationId,
+          );
+
+          for (const payment of result.payments || []) {
+            payments.push({
+              id: payment.id,
+              status: payment.status,
+              amount: Number(payment.amountMoney?.amount || 0),
+              refundedAmount: Number(payment.refundedMoney?.amount || 0),
+              currency: payment.amountMoney?.currency,
+              createdAt: new Date(payment.createdAt),
+            });
+          }
+          cursor = result.cursor;
+        } while (cursor);
+
+        return payments;
+      },
+
+      async listRefunds({ beginTime, endTime }) {
+        const { refundsApi } = this.client;
+        const refunds = [];
+        let cursor;
+
+        do {
+          const { result } = await refundsApi.listPaymentRefunds(
+            beginTime.toISOString(),
+            endTime.toISOString(),
+            'ASC',
+            cursor,
+            this.config.locationId,
+          );
+
+          for (const refund of result.refunds || []) {
+            refunds.push({
+              id: refund.id,
+              paymentId: refund.paymentId,
+              status: refund.status,
+              amount: Number(refund.amountMoney?.amount || 0),
+              createdAt: new Date(refund.createdAt),
+            });
+          }
+          cursor = result.cursor;
+        } while (cursor);
+
+        return refunds;
+      },
     };
   }
 
@@ -175,6 +338,193 @@ class PaymentServiceFactory {
 
     console.log('✅ Using Clover Ecommerce API at:', ecomBase);
 
+    // Card-on-file and webhook methods are the same for both auth flows below;
+    // each flow supplies its own getAuthToken().
+    const sharedMethods = {
+      async saveCard({ sourceId, customerId, email, name }) {
+        if (!sourceId) {
+          throw new Error('Card token is required');
+        }
+
+        const headers = {
+          Authorization: `Bearer ${await this.getAuthToken()}`,
+          'Content-Type': 'application/json',
+        };
+
+        try {
+          if (!customerId) {
+            const customerRes = await axios.post(
+              `${this.ecomBase}/v1/customers`,
+              { email, name },
+              { headers },
+            );
+            customerId = customerRes.data.id;
+            console.log('✅ Created Clover customer:', customerId);
+          }
+
+          const cardRes = await axios.post(
+            `${this.ecomBase}/v1/customers/${customerId}/cards`,
+            { token: sourceId },
+            { headers },
+          );
+
+          const card = cardRes.data;
+          return {
+            customerId,
+            cardId: card.id,
+            last4: card.last4,
+            brand: card.brand,
+            expMonth: card.exp_month,
+            expYear: card.exp_year,
+          };
+        } catch (axiosError) {
+          const cloverMessage =
+            axiosError.response?.data?.message ||
+            axiosError.response?.data?.error?.message ||
+            axiosError.message;
+          throw new Error(`Clover save card failed: ${cloverMessage}`);
+        }
+      },
+
+      async chargeSavedCard({ customerId, cardId, amount, email, note }) {
+        if (!customerId || !cardId) {
+          throw new Error('Clover customer ID and card ID are required');
+        }
+
+        let response;
+        try {
+          response = await axios.post(
+            `${this.ecomBase}/v1/charges`,
+            {
+              amount,
+              currency: (this.settings?.currency || 'USD').toLowerCase(),
+              customer: customerId,
+              source: cardId,
+              ...(email && { email }),
+              ...(note && { description: note }),
+            },
+            {
+              headers: {
+                Authorization: `Bearer ${await this.getAuthToken()}`,
+                'Content-Type': 'application/json',
+              },
+            },
+          );
+        } catch (axiosError) {
+          const cloverMessage =
+            axiosError.response?.data?.message ||
+            axiosError.response?.data?.error?.message ||
+            axiosError.message;
+          throw new Error(`Clover charge failed: ${cloverMessage}`);
+        }
+
+        const result = response.data || {};
+        const paymentId =
+          result.id || `clover_${Date.now()}_${cardId.slice(-8)}`;
+
+        return {
+          id: paymentId,
+          status: result.paid === false ? result.status || 'FAILED' : 'PAID',
+          amount: result.amount || amount,
+          currency: result.currency || 'usd',
+          receiptUrl:
+            result.receipt_url || `https://www.clover.com/receipt/${paymentId}`,
+        };
+      },
+
+      // Clover sends the auth code issued at webhook setup in X-Clover-Auth.
+      // Without one configured we can only check the merchant ID.
+      verifyWebhook(req) {
+        const authCode = this.config.webhookAuthCode;
+        if (authCode) {
+          return (
+            !!req.headers['x-clover-auth'] &&
+            secretsMatch(authCode, req.headers['x-clover-auth'])
+          );
+        }
+        const merchantId = req.body?.merchantId;
+        return !!merchantId && merchantId === this.config.merchantId;
+      },
+
+      // Settled payments/refunds come from the merchant REST API (v3), which
+      // pages with offset/limit and filters on createdTime in milliseconds
+      async listMerchantRecords(resource, { beginTime, endTime }, expand) {
+        const apiBase =
+          this.config.apiBaseUrl ||
+          (this.config.environment === 'production'
+            ? 'https://api.clover.com/v3'
+            : 'https://sandbox.dev.clover.com/v3');
+        const headers = {
+          Authorization: `Bearer ${await this.getAuthToken()}`,
+          'Content-Type': 'application/json',
+        };
+        const limit = 1000;
+        const records = [];
+
+        for (let offset = 0; ; offset += limit) {
+          const params = new URLSearchParams();
+          params.append('filter', `createdTime>=${beginTime.getTime()}`);
+          params.append('filter', `createdTime<=${endTime.getTime()}`);
+          params.append('limit', limit);
+          params.append('offset', offset);
+          if (expand) params.append('expand', expand);
+
+          let response;
+          try {
+            response = await axios.get(
+              `${apiBase}/merchants/${this.config.merchantId}/${resource}`,
+              { headers, params },
+            );
+          } catch (axiosError) {
+            const cloverMessage =
+              axiosError.response?.data?.message ||
+              axiosError.response?.data?.error?.message ||
+              axiosError.message;
+            throw new Error(`Clover list ${resource} failed: ${cloverMessage}`);
+          }
+
+          const elements = response.data?.elements || [];
+          records.push(...elements);
+          if (elements.length < limit) break;
+        }
+
+        return records;
+      },
+
+      async listPayments(range) {
+        const payments = await this.listMerchantRecords(
+          'payments',
+          range,
+          'refunds',
+        );
+
+        return payments.map((payment) => ({
+          id: payment.id,
+          status: payment.result,
+          amount: payment.amount || 0,
+          refundedAmount: (payment.refunds?.elements || []).reduce(
+            (sum, refund) => sum + (refund.amount || 0),
+            0,
+          ),
+          currency: payment.currency,
+          createdAt: new Date(payment.createdTime),
+        }));
+      },
+
+      async listRefunds(range) {
+        const refunds = await this.listMerchantRecords('refunds', range);
+
+        // Clover only records refunds that went through
+        return refunds.map((refund) => ({
+          id: refund.id,
+          paymentId: refund.payment?.id,
+          status: 'COMPLETED',
+          amount: refund.amount || 0,
+          createdAt: new Date(refund.createdTime),
+        }));
+      },
+    };
+
     // Ecommerce API key path (no refreshToken present)
     const accessToken = config.cloverConfig?.accessToken;
     const isEcommerceKey = accessToken && !config.cloverConfig?.refreshToken;
@@ -191,6 +541,11 @@ class PaymentServiceFactory {
         configuration: config,
         configurationId: config._id,
         ecomBase,
+        ...sharedMethods,
+
+        async getAuthToken() {
+          return this.config.accessToken;
+        },
 
         async processPayment(paymentData) {
           console.log('💰 Processing Clover charge with Ecommerce API key:', {
@@ -542,6 +897,19 @@ class PaymentServiceFactory {
       configuration: config,
       configurationId: config._id,
       ecomBase,
+      ...sharedMethods,
+
+      async getAuthToken() {
+        try {
+          return await cloverTokenManager.getValidAccessToken(
+            this.configurationId,
+          );
+        } catch (tokenError) {
+          throw new Error(
+            'Clover authentication failed. Please check configuration.',
+          );
+        }
+      },
 
       async processPayment(paymentData) {
         console.log('💰 Processing Clover charge (OAuth):', {
@@ -915,6 +1283,109 @@ class PaymentServiceFactory {
       async getPaymentDetails(paymentId) {
         return await stripe.paymentIntents.retrieve(paymentId);
       },
+
+      async saveCard({ sourceId, customerId, email, name }) {
+        if (!customerId) {
+          const customer = await stripe.customers.create({ email, name });
+          customerId = customer.id;
+        }
+
+        const paymentMethod = await stripe.paymentMethods.attach(sourceId, {
+          customer: customerId,
+        });
+
+        return {
+          customerId,
+          cardId: paymentMethod.id,
+          last4: paymentMethod.card?.last4,
+          brand: paymentMethod.card?.brand,
+          expMonth: paymentMethod.card?.exp_month,
+          expYear: paymentMethod.card?.exp_year,
+        };
+      },
+
+      async chargeSavedCard({
+        customerId,
+        cardId,
+        amount,
+        email,
+        note,
+        referenceId,
+      }) {
+        return await stripe.paymentIntents.create({
+          amount,
+          currency: this.settings.currency || 'USD',
+          customer: customerId,
+          payment_method: cardId,
+          off_session: true,
+          confirm: true,
+          description: note || this.settings.defaultPaymentDescription,
+          metadata: { referenceId },
+          receipt_email: email,
+        });
+      },
+
+      verifyWebhook(req) {
+        try {
+          stripe.webhooks.constructEvent(
+            req.rawBody || req.body,
+            req.headers['stripe-signature'],
+            this.config.webhookSecret,
+          );
+          return true;
+        } catch (error) {
+          console.warn('⚠️ Stripe webhook verification failed:', error.message);
+          return false;
+        }
+      },
+
+      async listPayments({ beginTime, endTime }) {
+        const payments = [];
+        const intents = stripe.paymentIntents.list({
+          created: {
+            gte: Math.floor(beginTime.getTime() / 1000),
+            lte: Math.floor(endTime.getTime() / 1000),
+          },
+          expand: ['data.latest_charge'],
+          limit: 100,
+        });
+
+        for await (const intent of intents) {
+          payments.push({
+            id: intent.id,
+            status: intent.status,
+            amount: intent.amount_received || intent.amount,
+            refundedAmount: intent.latest_charge?.amount_refunded || 0,
+            currency: intent.currency,
+            createdAt: new Date(intent.created * 1000),
+          });
+        }
+
+        return payments;
+      },
+
+      async listRefunds({ beginTime, endTime }) {
+        const refunds = [];
+        const list = stripe.refunds.list({
+          created: {
+            gte: Math.floor(beginTime.getTime() / 1000),
+            lte: Math.floor(endTime.getTime() / 1000),
+          },
+          limit: 100,
+        });
+
+        for await (const refund of list) {
+          refunds.push({
+            id: refund.id,
+            paymentId: refund.payment_intent,
+            status: refund.status,
+            amount: refund.amount,
+            createdAt: new Date(refund.created * 1000),
+          });
+        }
+
+        return refunds;
+      },
     };
   }
 
@@ -997,6 +1468,18 @@ class PaymentServiceFactory {
     };
   }
 
+  // ──────────────────────────────────────────────────────────────────────────
+  // FAKE (offline, for staging and tests)
+  // ──────────────────────────────────────────────────────────────────────────
+
+  createFakeService(config) {
+    if (!isFakeProviderEnabled()) {
+      throw new Error('The fake payment provider is not enabled');
+    }
+
+    return createFakeProvider(config);
+  }
+
   // ──────────────────────────────────────────────────────────────────────────
   // CACHE HELPERS
   // ──────────────────────────────────────────────────────────────────────────
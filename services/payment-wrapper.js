@@ -6,6 +6,15 @@ const Parent = require('../models/Parent');
 const Player = require('../models/Player');
 const Registration = require('../models/Registration');
 const { sendEmail } = require('../utils/email');
+const {
+  isSuccessfulPaymentStatus,
+  normalizeRefundStatus,
+} = require('./payment-provider-contract');
+const { postPaymentCharge, postPaymentRefund } = require('./ledger');
+const {
+  resolveRefundAllocations,
+  applyRefundAllocationStatuses,
+} = require('./refund-allocations');
 
 async function submitPayment(sourceId, amount, options = {}) {
   const session = await mongoose.startSession();
@@ -42,54 +51,8 @@ async function submitPayment(sourceId, amount, options = {}) {
       metadata: options.metadata || {},
     };
 
-    // Process payment
-    let processedPayment;
-
-    if (paymentService.type === 'clover') {
-      // Clover requires special handling (order creation)
-      const clover = require('clover-sdk');
-      const cloverClient = paymentService.client;
-      const ordersApi = new clover.OrdersApi(cloverClient);
-
-      // Create order first
-      const orderResponse = await ordersApi.createOrder(
-        paymentService.config.merchantId,
-        {
-          total: amountInCents,
-          currency: paymentService.settings?.currency || 'USD',
-          note: paymentData.note,
-          email: paymentData.email,
-          manualTransaction: false,
-        },
-      );
-
-      const cloverOrder = orderResponse.data;
-
-      // Process Clover payment
-      const paymentResponse =
-        await paymentService.client.PaymentsApi.createPayment(
-          paymentService.config.merchantId,
-          {
-            orderId: cloverOrder.id,
-            amount: amountInCents,
-            currency: paymentService.settings?.currency || 'USD',
-            source: sourceId,
-            offline: false,
-            tipAmount: 0,
-            taxAmount: 0,
-            externalPaymentId: paymentData.referenceId,
-            note: paymentData.note,
-          },
-        );
-
-      processedPayment = {
-        ...paymentResponse.data,
-        orderId: cloverOrder.id,
-      };
-    } else {
-      // Square, Stripe, PayPal - standard processing
-      processedPayment = await paymentService.processPayment(paymentData);
-    }
+    // Process payment - every provider implements the same contract
+    const processedPayment = await paymentService.processPayment(paymentData);
 
     console.log('✅ Payment processed:', {
       paymentSystem: paymentService.type,
@@ -98,21 +61,7 @@ async function submitPayment(sourceId, amount, options = {}) {
       orderId: processedPayment.orderId,
     });
 
-    // Check payment status
-    let paymentStatus;
-    if (paymentService.type === 'square') {
-      paymentStatus =
-        processedPayment.status === 'COMPLETED' ? 'paid' : 'failed';
-    } else if (paymentService.type === 'clover') {
-      paymentStatus = ['PAID', 'AUTHORIZED'].includes(processedPayment.status)
-        ? 'paid'
-        : 'failed';
-    } else {
-      paymentStatus =
-        processedPayment.status === 'succeeded' ? 'paid' : 'failed';
-    }
-
-    if (paymentStatus !== 'paid') {
+    if (!isSuccessfulPaymentStatus(processedPayment.status)) {
       throw new Error(`Payment failed with status: ${processedPayment.status}`);
     }
 
@@ -124,17 +73,23 @@ async function submitPayment(sourceId, amount, options = {}) {
       orderId: processedPayment.orderId,
       paymentSystem: paymentService.type,
       configurationId: paymentService.configurationId,
-      amount: amount / 100, // Convert cents to dollars
-      status: paymentStatus,
+      amount, // Dollars, as passed in; the card was charged amountInCents
+      status: 'completed',
       cardLastFour:
-        options.cardDetails?.last_4 || processedPayment.card?.last4 || '1111',
+        options.cardDetails?.last_4 ||
+        processedPayment.cardDetails?.last4 ||
+        processedPayment.card?.last4 ||
+        '1111',
       cardBrand:
         options.cardDetails?.card_brand ||
+        processedPayment.cardDetails?.brand ||
         processedPayment.card?.type ||
         'UNKNOWN',
       cardExpMonth: options.cardDetails?.exp_month || '00',
       cardExpYear: options.cardDetails?.exp_year || '00',
       buyerEmail: options.buyerEmailAddress,
+      // Discounts applied at checkout (services/discounts.js)
+      ...options.discountFields,
       players: (options.playerIds || []).map((id) => ({
         playerId: id,
         season: options.season,
@@ -154,6 +109,7 @@ async function submitPayment(sourceId, amount, options = {}) {
     });
 
     await paymentRecord.save({ session });
+    await postPaymentCharge(paymentRecord, { session });
 
     // Update parent
     await Parent.updateOne(
@@ -219,7 +175,7 @@ async function submitPayment(sourceId, amount, options = {}) {
         html: `
           <h2>Payment Successful</h2>
           <p>Payment System: ${paymentService.type}</p>
-          <p>Amount: $${(amount / 100).toFixed(2)}</p>
+          <p>Amount: $${Number(amount).toFixed(2)}</p>
           ${options.playerIds?.length > 0 ? `<p>Players: ${options.playerIds.length}</p>` : ''}
           <p>Payment ID: ${processedPayment.id}</p>
           ${processedPayment.orderId ? `<p>Order ID: ${processedPayment.orderId}</p>` : ''}
@@ -237,7 +193,7 @@ async function submitPayment(sourceId, amount, options = {}) {
       paymentId: paymentRecord._id,
       externalId: processedPayment.id,
       paymentSystem: paymentService.type,
-      amount: amount / 100,
+      amount,
     });
 
     return {
@@ -246,7 +202,7 @@ async function submitPayment(sourceId, amount, options = {}) {
         id: paymentRecord._id,
         externalId: processedPayment.id,
         orderId: processedPayment.orderId,
-        amount: amount / 100,
+        amount,
         status: processedPayment.status,
         paymentSystem: paymentService.type,
         playersUpdated: options.playerIds?.length || 0,
@@ -263,6 +219,15 @@ async function submitPayment(sourceId, amount, options = {}) {
   }
 }
 
+/**
+ * Refund (part of) a payment through the processor it was made with.
+ *
+ * options.allocations: [{ playerId | teamId | ticketPurchaseId, amount?,
+ *   quantity? }] - which line items the money comes from. When given,
+ *   `amount` may be omitted and defaults to the allocation total.
+ * options.refundRequestId: approve this pending Payment.refunds[] request
+ *   instead of recording a new refund.
+ */
 async function processRefund(paymentId, amount, options = {}) {
   const session = await mongoose.startSession();
   session.startTransaction();
@@ -275,7 +240,8 @@ async function processRefund(paymentId, amount, options = {}) {
     });
 
     if (!paymentId) throw new Error('Payment ID is required');
-    if (!amount || amount <= 0)
+    const hasAllocations = options.allocations?.length > 0;
+    if (!hasAllocations && (!amount || amount <= 0))
       throw new Error('Valid refund amount is required');
 
     // Find payment record
@@ -301,6 +267,34 @@ async function processRefund(paymentId, amount, options = {}) {
       },
     );
 
+    let refundRequest = null;
+    if (options.refundRequestId) {
+      refundRequest = paymentRecord.refunds.id(options.refundRequestId);
+      if (!refundRequest || refundRequest.status !== 'pending') {
+        throw new Error(
+          `Pending refund request not found: ${options.refundRequestId}`,
+        );
+      }
+    }
+
+    let allocations = [];
+    if (hasAllocations) {
+      const resolved = await resolveRefundAllocations(
+        paymentRecord,
+        options.allocations,
+        { session, excludeRefundId: options.refundRequestId },
+      );
+      allocations = resolved.allocations;
+
+      if (!amount) {
+        amount = resolved.total;
+      } else if (Math.abs(amount - resolved.total) > 0.005) {
+        throw new Error(
+          `Refund amount $${Number(amount).toFixed(2)} does not match the allocated total $${resolved.total.toFixed(2)}`,
+        );
+      }
+    }
+
     // Calculate refund amount in cents
     const amountInCents = Math.round(amount * 100);
     const previouslyRefunded = paymentRecord.refundedAmount || 0;
@@ -313,27 +307,11 @@ async function processRefund(paymentId, amount, options = {}) {
     }
 
     // Process refund
-    let refundResult;
-    if (paymentService.type === 'clover') {
-      const refundsApi = new (require('clover-sdk').RefundsApi)(
-        paymentService.client,
-      );
-      const refundResponse = await refundsApi.createRefund(
-        paymentService.config.merchantId,
-        {
-          paymentId: paymentRecord.paymentId,
-          amount: amountInCents,
-          reason: options.reason || 'Customer request',
-        },
-      );
-      refundResult = refundResponse.data;
-    } else {
-      refundResult = await paymentService.refundPayment(
-        paymentRecord.paymentId,
-        amountInCents,
-        options.reason || 'Customer request',
-      );
-    }
+    const refundResult = await paymentService.refundPayment(
+      paymentRecord.paymentId,
+      amountInCents,
+      options.reason || 'Customer request',
+    );
 
     // Update payment record
     const newRefundedAmount = previouslyRefunded + amount;
@@ -343,21 +321,39 @@ async function processRefund(paymentId, amount, options = {}) {
 
     paymentRecord.refundedAmount = newRefundedAmount;
     paymentRecord.refundStatus = isFullRefund
-      ? 'refunded'
+      ? 'full'
       : isPartialRefund
-        ? 'partially_refunded'
+        ? 'partial'
         : paymentRecord.refundStatus;
-    paymentRecord.refunds = paymentRecord.refunds || [];
-    paymentRecord.refunds.push({
+    const refundFields = {
       refundId: refundResult.id,
       amount: amount,
-      reason: options.reason || 'Customer request',
-      status: refundResult.status,
+      reason: options.reason || refundRequest?.reason || 'Customer request',
+      status: normalizeRefundStatus(refundResult.status),
       processedAt: new Date(),
       externalRefundId: refundResult.id,
-    });
+      allocations,
+      ...(options.refundedBy && { refundedBy: options.refundedBy }),
+      ...(options.notes && { notes: options.notes }),
+      ...(options.source && { source: options.source }),
+    };
+
+    let refundEntry;
+    if (refundRequest) {
+      refundRequest.set(refundFields);
+      refundEntry = refundRequest;
+    } else {
+      paymentRecord.refunds = paymentRecord.refunds || [];
+      paymentRecord.refunds.push(refundFields);
+      refundEntry = paymentRecord.refunds[paymentRecord.refunds.length - 1];
+    }
 
     await paymentRecord.save({ session });
+    await postPaymentRefund(paymentRecord, refundEntry, { session });
+
+    if (allocations.length > 0) {
+      await applyRefundAllocationStatuses(paymentRecord, { session });
+    }
 
     // Update parent and players if full refund
     if (isFullRefund && paymentRecord.parentId) {
@@ -434,6 +430,7 @@ async function processRefund(paymentId, amount, options = {}) {
         paymentId: paymentRecord.paymentId,
         isFullRefund,
         isPartialRefund,
+        allocations,
       },
     };
   } catch (error) {
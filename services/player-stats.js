@@ -0,0 +1,318 @@
+// services/player-stats.js
+//
+// Player stat lines entered for matches, and what is built from them:
+// tournament and season leaderboards and a player's career numbers. Only
+// lines of finished matches count towards leaderboards and careers, and a
+// line marked didNotPlay is not a game played.
+const mongoose = require('mongoose');
+const PlayerStatLine = require('../models/PlayerStatLine');
+const Player = require('../models/Player');
+
+const STAT_FIELDS = [
+  'points',
+  'rebounds',
+  'assists',
+  'steals',
+  'fouls',
+  'threePointersMade',
+];
+
+const FINISHED_STATUSES = ['completed'];
+
+function statsError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_STATS';
+  return error;
+}
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const perGame = (totals, games) =>
+  STAT_FIELDS.reduce((avg, field) => {
+    avg[field] = games ? round1(totals[field] / games) : 0;
+    return avg;
+  }, {});
+
+const emptyTotals = () =>
+  STAT_FIELDS.reduce((totals, field) => ({ ...totals, [field]: 0 }), {});
+
+/**
+ * Replace one team's stat lines for a match.
+ *
+ * @param {Object} match  Match document with tournament populated (year)
+ * @param {String} side  'team1' or 'team2'
+ * @param {Array} lines  [{ player?, playerName?, jerseyNumber?, didNotPlay?,
+ *   points, rebounds, assists, steals, fouls, threePointersMade }]
+ * @param {Object} [user]  Who entered them
+ * @returns {Promise<{ lines, pointsTotal, teamScore, scoreMismatch }>}
+ */
+async function saveTeamStatLines(match, side, lines, user) {
+  const team = match[side]?._id || match[side];
+  if (!team) throw statsError(`No team assigned as ${side}`);
+
+  const playerIds = lines.filter((l) => l.player).map((l) => String(l.player));
+  if (new Set(playerIds).size !== playerIds.length) {
+    throw statsError('A player is listed more than once');
+  }
+  const jerseys = lines
+    .filter((l) => l.jerseyNumber)
+    .map((l) => String(l.jerseyNumber));
+  if (new Set(jerseys).size !== jerseys.length) {
+    throw statsError('A jersey number is listed more than once');
+  }
+
+  const players = await Player.find({ _id: { $in: playerIds } }).select(
+    'fullName',
+  );
+  const playerNames = new Map(players.map((p) => [String(p._id), p.fullName]));
+  const missing = playerIds.find((id) => !playerNames.has(id));
+  if (missing) throw statsError(`Player ${missing} not found`);
+
+  const tournament = match.tournament;
+  const year =
+    tournament.year ||
+    new Date(tournament.startDate || Date.now()).getFullYear();
+
+  const docs = lines.map((line, i) => {
+    const playerName =
+      line.playerName?.trim() ||
+      (line.player && playerNames.get(String(line.player)));
+    if (!playerName) {
+      throw statsError(`Line ${i + 1} needs a player or a player name`);
+    }
+
+    const stats = {};
+    for (const field of STAT_FIELDS) {
+      const value = line.didNotPlay ? 0 : Number(line[field] || 0);
+      if (!Number.isInteger(value) || value < 0) {
+        throw statsError(`${field} for ${playerName} must be a whole number`);
+      }
+      stats[field] = value;
+    }
+    if (stats.threePointersMade * 3 > stats.points) {
+      throw statsError(
+        `${playerName} has more threes than points allow (${stats.threePointersMade} threes, ${stats.points} points)`,
+      );
+    }
+
+    return {
+      match: match._id,
+      tournament: tournament._id || tournament,
+      team,
+      player: line.player || undefined,
+      playerName,
+      jerseyNumber: line.jerseyNumber,
+      year,
+      didNotPlay: !!line.didNotPlay,
+      enteredBy: user?._id,
+      ...stats,
+    };
+  });
+
+  await PlayerStatLine.deleteMany({ match: match._id, team });
+  const saved = docs.length ? await PlayerStatLine.insertMany(docs) : [];
+
+  const pointsTotal = docs.reduce((sum, d) => sum + d.points, 0);
+  const teamScore = match[`${side}Score`] || 0;
+
+  return {
+    lines: saved,
+    pointsTotal,
+    teamScore,
+    // Worth a look, but not an error: a line may simply be missing
+    scoreMismatch: docs.length > 0 && pointsTotal !== teamScore,
+  };
+}
+
+/**
+ * Stat leaders for a tournament or a season.
+ *
+ * @param {Object} options
+ * @param {String} options.stat  One of STAT_FIELDS
+ * @param {*} [options.tournament]
+ * @param {Number} [options.year]
+ * @param {String} [options.mode]  'average' (per game, default) or 'total'
+ * @param {Number} [options.minGames]  Games needed to qualify (default 1)
+ * @param {Number} [options.limit]  default 10
+ */
+async function leaderboard({
+  stat,
+  tournament,
+  year,
+  mode = 'average',
+  minGames = 1,
+  limit = 10,
+}) {
+  if (!STAT_FIELDS.includes(stat)) throw statsError(`Unknown stat ${stat}`);
+
+  const scope = { didNotPlay: false };
+  if (tournament) scope.tournament = new mongoose.Types.ObjectId(tournament);
+  if (year) scope.year = Number(year);
+
+  const totals = STAT_FIELDS.reduce(
+    (group, field) => ({ ...group, [field]: { $sum: `$${field}` } }),
+    {},
+  );
+
+  const rows = await PlayerStatLine.aggregate([
+    { $match: scope },
+    {
+      $lookup: {
+        from: 'matches',
+        localField: 'match',
+        foreignField: '_id',
+        pipeline: [{ $project: { status: 1 } }],
+        as: 'matchDoc',
+      },
+    },
+    { $match: { 'matchDoc.status': { $in: FINISHED_STATUSES } } },
+    {
+      // Players we know by id; visitors by team and name
+      $group: {
+        _id: {
+          $ifNull: ['$player', { team: '$team', name: '$playerName' }],
+        },
+        player: { $first: '$player' },
+        playerName: { $last: '$playerName' },
+        jerseyNumber: { $last: '$jerseyNumber' },
+        team: { $last: '$team' },
+        games: { $sum: 1 },
+        ...totals,
+      },
+    },
+    { $match: { games: { $gte: Number(minGames) || 1 } } },
+    {
+      $addFields: {
+        value:
+          mode === 'total'
+            ? `$${stat}`
+            : { $round: [{ $divide: [`$${stat}`, '$games'] }, 1] },
+      },
+    },
+    { $sort: { value: -1, games: 1, playerName: 1 } },
+    { $limit: Math.min(Number(limit) || 10, 100) },
+    {
+      $lookup: {
+        from: 'teams',
+        localField: 'team',
+        foreignField: '_id',
+        pipeline: [{ $project: { name: 1, grade: 1 } }],
+        as: 'teamDoc',
+      },
+    },
+  ]);
+
+  return rows.map((row, i) => ({
+    rank: i + 1,
+    player: row.player || null,
+    playerName: row.playerName,
+    jerseyNumber: row.jerseyNumber,
+    team: row.teamDoc[0] || { _id: row.team },
+    games: row.games,
+    value: row.value,
+    totals: STAT_FIELDS.reduce((t, f) => ({ ...t, [f]: row[f] }), {}),
+    averages: perGame(row, row.games),
+  }));
+}
+
+/**
+ * A player's career: totals and averages, per season and per tournament,
+ * career highs and the game log (latest first).
+ */
+async function careerStats(playerId) {
+  const lines = await PlayerStatLine.find({ player: playerId })
+    .populate({
+      path: 'match',
+      select: 'status scheduledTime actualEndTime round team1 team2',
+      populate: { path: 'team1 team2', select: 'name' },
+    })
+    .populate('tournament', 'name year')
+    .populate('team', 'name grade')
+    .lean();
+
+  const counted = lines.filter(
+    (line) =>
+      !line.didNotPlay && FINISHED_STATUSES.includes(line.match?.status),
+  );
+  const dateOf = (line) =>
+    new Date(
+      line.match.scheduledTime || line.match.actualEndTime || line.createdAt,
+    );
+  counted.sort((a, b) => dateOf(b) - dateOf(a));
+
+  const summarize = (group) => {
+    const totals = emptyTotals();
+    group.forEach((line) =>
+      STAT_FIELDS.forEach((field) => (totals[field] += line[field])),
+    );
+    return {
+      games: group.length,
+      totals,
+      averages: perGame(totals, group.length),
+    };
+  };
+
+  const groupBy = (keyOf, describe) => {
+    const groups = new Map();
+    counted.forEach((line) => {
+      const key = keyOf(line);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(line);
+    });
+    return [...groups.values()].map((group) => ({
+      ...describe(group[0]),
+      ...summarize(group),
+    }));
+  };
+
+  const careerHighs = STAT_FIELDS.reduce((highs, field) => {
+    const best = counted.reduce(
+      (top, line) => (!top || line[field] > top[field] ? line : top),
+      null,
+    );
+    highs[field] = best
+      ? {
+          value: best[field],
+          match: best.match._id,
+          tournament: best.tournament?.name,
+          date: dateOf(best),
+        }
+      : null;
+    return highs;
+  }, {});
+
+  return {
+    career: summarize(counted),
+    bySeason: groupBy(
+      (line) => line.year,
+      (line) => ({ year: line.year }),
+    ).sort((a, b) => b.year - a.year),
+    byTournament: groupBy(
+      (line) => String(line.tournament?._id),
+      (line) => ({
+        tournament: line.tournament,
+        team: line.team,
+        year: line.year,
+      }),
+    ),
+    careerHighs,
+    gameLog: counted.map((line) => ({
+      match: line.match._id,
+      date: dateOf(line),
+      tournament: line.tournament,
+      team: line.team,
+      opponent:
+        String(line.match.team1?._id) === String(line.team?._id)
+          ? line.match.team2
+          : line.match.team1,
+      ...STAT_FIELDS.reduce((s, f) => ({ ...s, [f]: line[f] }), {}),
+    })),
+  };
+}
+
+module.exports = {
+  STAT_FIELDS,
+  saveTeamStatLines,
+  leaderboard,
+  careerStats,
+};
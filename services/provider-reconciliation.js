@@ -0,0 +1,419 @@
+// services/provider-reconciliation.js
+//
+// Compares what the payment processors report as settled (payments and
+// refunds) with our Payment and TicketPurchase records and stores the
+// differences as a ReconciliationReport plus ReconciliationDiscrepancy items
+// for an admin to work through. Works with any provider implementing
+// listPayments()/listRefunds() from the provider contract.
+const PaymentServiceFactory = require('./payment-service-factory');
+const PaymentConfiguration = require('../models/PaymentConfiguration');
+const Payment = require('../models/Payment');
+const TicketPurchase = require('../models/TicketPurchase');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const ReconciliationDiscrepancy = require('../models/ReconciliationDiscrepancy');
+const {
+  isSuccessfulPaymentStatus,
+  normalizeRefundStatus,
+} = require('./payment-provider-contract');
+
+// Processor timestamps and our createdAt differ by a few seconds, so the
+// processor is asked for a slightly wider window than the local query
+const PROVIDER_WINDOW_PADDING_MS = 60 * 60 * 1000;
+
+function getLookbackDays() {
+  const days = parseInt(process.env.RECONCILIATION_LOOKBACK_DAYS);
+  return days > 0 ? days : 3;
+}
+
+function toCents(amount) {
+  return Math.round(Number(amount || 0) * 100);
+}
+
+function fromCents(cents) {
+  return Math.round(cents) / 100;
+}
+
+function localRefundIds(payment) {
+  const ids = new Set();
+  for (const refund of payment.refunds || []) {
+    for (const id of [refund.externalRefundId, refund.refundId]) {
+      if (!id) continue;
+      ids.add(id);
+      // syncRefunds stored Square refunds as `sq_<id>`
+      if (id.startsWith('sq_')) ids.add(id.slice(3));
+    }
+  }
+  return ids;
+}
+
+// Refunded amount (cents) according to our own record
+function localRefundedCents(record) {
+  if (record.kind === 'ticket') {
+    return record.doc.status === 'refunded' ? toCents(record.doc.amount) : 0;
+  }
+  return toCents(record.doc.refundedAmount || 0);
+}
+
+function describeRecord(record) {
+  return record.kind === 'ticket'
+    ? { ticketPurchaseId: record.doc._id }
+    : { paymentId: record.doc._id };
+}
+
+/**
+ * Diff one provider's settled payments and refunds against local records.
+ * Pure function - returns the discrepancy list and match count.
+ */
+function diffProviderRecords({
+  paymentSystem,
+  providerPayments,
+  providerRefunds,
+  localPayments,
+  localTickets,
+}) {
+  const discrepancies = [];
+  const localById = new Map();
+
+  for (const payment of localPayments) {
+    localById.set(payment.paymentId, { kind: 'payment', doc: payment });
+  }
+  for (const ticket of localTickets) {
+    for (const id of [ticket.paymentId, ticket.squarePaymentId]) {
+      if (id && !localById.has(id)) {
+        localById.set(id, { kind: 'ticket', doc: ticket });
+      }
+    }
+  }
+
+  const add = (type, fields) =>
+    discrepancies.push({
+      type,
+      paymentSystem,
+      key: [
+        type,
+        paymentSystem,
+        fields.externalPaymentId || '',
+        fields.externalRefundId || '',
+      ].join(':'),
+      ...fields,
+    });
+
+  const seenProviderIds = new Set();
+  let matched = 0;
+
+  for (const providerPayment of providerPayments) {
+    seenProviderIds.add(providerPayment.id);
+    const succeeded = isSuccessfulPaymentStatus(providerPayment.status);
+    const local = localById.get(providerPayment.id);
+
+    if (!local) {
+      if (succeeded) {
+        add('missing_local', {
+          externalPaymentId: providerPayment.id,
+          providerAmount: fromCents(providerPayment.amount),
+          providerStatus: providerPayment.status,
+          message: `Settled ${paymentSystem} payment has no local record`,
+        });
+      }
+      continue;
+    }
+
+    const localStatus = local.doc.status;
+    const base = {
+      externalPaymentId: providerPayment.id,
+      ...describeRecord(local),
+      providerAmount: fromCents(providerPayment.amount),
+      localAmount: local.doc.amount,
+      providerStatus: providerPayment.status,
+      localStatus,
+    };
+    let clean = true;
+
+    const localSucceeded = ['completed', 'refunded'].includes(localStatus);
+    if (succeeded !== localSucceeded) {
+      clean = false;
+      add('status_mismatch', {
+        ...base,
+        message: succeeded
+          ? `Processor settled the payment but it is ${localStatus} locally`
+          : `Payment is ${localStatus} locally but ${providerPayment.status} at the processor`,
+      });
+    }
+
+    if (succeeded && toCents(local.doc.amount) !== providerPayment.amount) {
+      clean = false;
+      add('amount_mismatch', {
+        ...base,
+        message: `Processor captured $${fromCents(providerPayment.amount).toFixed(2)}, local record says $${Number(local.doc.amount).toFixed(2)}`,
+      });
+    }
+
+    if (
+      typeof providerPayment.refundedAmount === 'number' &&
+      providerPayment.refundedAmount !== localRefundedCents(local)
+    ) {
+      clean = false;
+      add('refund_amount_mismatch', {
+        ...base,
+        providerAmount: fromCents(providerPayment.refundedAmount),
+        localAmount: fromCents(localRefundedCents(local)),
+        message: `Processor refunded $${fromCents(providerPayment.refundedAmount).toFixed(2)}, local record says $${fromCents(localRefundedCents(local)).toFixed(2)}`,
+      });
+    }
+
+    if (clean) matched++;
+  }
+
+  // Completed local payments in the period the processor never reported
+  for (const payment of localPayments) {
+    if (
+      payment.paymentSystem === paymentSystem &&
+      payment.status === 'completed' &&
+      !seenProviderIds.has(payment.paymentId) &&
+      payment.inPeriod
+    ) {
+      add('missing_at_provider', {
+        externalPaymentId: payment.paymentId,
+        paymentId: payment._id,
+        localAmount: payment.amount,
+        localStatus: payment.status,
+        message: `Completed payment was not found at ${paymentSystem}`,
+      });
+    }
+  }
+  for (const ticket of localTickets) {
+    if (
+      ticket.status === 'completed' &&
+      !seenProviderIds.has(ticket.paymentId) &&
+      ticket.inPeriod
+    ) {
+      add('missing_at_provider', {
+        externalPaymentId: ticket.paymentId,
+        ticketPurchaseId: ticket._id,
+        localAmount: ticket.amount,
+        localStatus: ticket.status,
+        message: `Completed ticket purchase was not found at ${paymentSystem}`,
+      });
+    }
+  }
+
+  for (const refund of providerRefunds) {
+    const refundStatus = normalizeRefundStatus(refund.status);
+    if (refundStatus === 'failed' || refundStatus === 'rejected') continue;
+
+    const local = localById.get(refund.paymentId);
+    const recorded =
+      local &&
+      (local.kind === 'ticket'
+        ? local.doc.status === 'refunded'
+        : localRefundIds(local.doc).has(refund.id));
+
+    if (!recorded) {
+      add('refund_missing_local', {
+        externalPaymentId: refund.paymentId,
+        externalRefundId: refund.id,
+        ...(local && describeRecord(local)),
+        providerAmount: fromCents(refund.amount),
+        providerStatus: refund.status,
+        localStatus: local?.doc.status,
+        message: local
+          ? `Processor refund of $${fromCents(refund.amount).toFixed(2)} is not recorded locally`
+          : `Processor refund of $${fromCents(refund.amount).toFixed(2)} belongs to a payment with no local record`,
+      });
+    }
+  }
+
+  return { discrepancies, matched };
+}
+
+// Store discrepancies, folding repeats into the item that is already open
+// (or ignored) for the same key. Returns how many were new.
+async function saveDiscrepancies(report, discrepancies) {
+  let created = 0;
+  const now = new Date();
+
+  for (const discrepancy of discrepancies) {
+    const existing = await ReconciliationDiscrepancy.findOne({
+      key: discrepancy.key,
+      status: { $in: ['open', 'ignored'] },
+    });
+
+    if (existing) {
+      Object.assign(existing, discrepancy, {
+        lastReportId: report._id,
+        lastSeenAt: now,
+      });
+      await existing.save();
+      continue;
+    }
+
+    await ReconciliationDiscrepancy.create({
+      ...discrepancy,
+      reportId: report._id,
+      lastReportId: report._id,
+      firstSeenAt: now,
+      lastSeenAt: now,
+    });
+    created++;
+  }
+
+  return created;
+}
+
+async function reconcileProvider(
+  paymentSystem,
+  { periodStart, periodEnd, trigger, triggeredBy },
+) {
+  const report = await ReconciliationReport.create({
+    paymentSystem,
+    periodStart,
+    periodEnd,
+    trigger,
+    triggeredBy,
+  });
+
+  try {
+    console.log(
+      `🔄 Reconciling ${paymentSystem} from ${periodStart.toISOString()} to ${periodEnd.toISOString()}`,
+    );
+
+    const paymentService =
+      await PaymentServiceFactory.getService(paymentSystem);
+    report.configurationId = paymentService.configurationId;
+
+    const providerRange = {
+      beginTime: new Date(periodStart.getTime() - PROVIDER_WINDOW_PADDING_MS),
+      endTime: new Date(periodEnd.getTime() + PROVIDER_WINDOW_PADDING_MS),
+    };
+    const [providerPayments, providerRefunds] = await Promise.all([
+      paymentService.listPayments(providerRange),
+      paymentService.listRefunds(providerRange),
+    ]);
+
+    const providerIds = [
+      ...new Set([
+        ...providerPayments.map((p) => p.id),
+        ...providerRefunds.map((r) => r.paymentId).filter(Boolean),
+      ]),
+    ];
+    const period = { $gte: periodStart, $lte: periodEnd };
+
+    const localPayments = await Payment.find({
+      $or: [
+        { paymentId: { $in: providerIds } },
+        { paymentSystem, createdAt: period },
+      ],
+    })
+      .select(
+        'paymentId paymentSystem status amount refundedAmount refunds createdAt',
+      )
+      .lean();
+
+    // Ticket purchases are only recorded for Square checkouts
+    const ticketQuery = [
+      { paymentId: { $in: providerIds } },
+      { squarePaymentId: { $in: providerIds } },
+    ];
+    if (paymentSystem === 'square') {
+      ticketQuery.push({ createdAt: period });
+    }
+    const localTickets = await TicketPurchase.find({ $or: ticketQuery })
+      .select('paymentId squarePaymentId status amount createdAt')
+      .lean();
+
+    const markPeriod = (doc) => {
+      doc.inPeriod = doc.createdAt >= periodStart && doc.createdAt <= periodEnd;
+      return doc;
+    };
+
+    const { discrepancies, matched } = diffProviderRecords({
+      paymentSystem,
+      providerPayments,
+      providerRefunds,
+      localPayments: localPayments.map(markPeriod),
+      localTickets:
+        paymentSystem === 'square'
+          ? localTickets.map(markPeriod)
+          : localTickets,
+    });
+
+    const newDiscrepancies = await saveDiscrepancies(report, discrepancies);
+
+    const byType = {};
+    for (const discrepancy of discrepancies) {
+      byType[discrepancy.type] = (byType[discrepancy.type] || 0) + 1;
+    }
+
+    report.summary = {
+      providerPayments: providerPayments.length,
+      providerRefunds: providerRefunds.length,
+      localPayments: localPayments.length,
+      localTicketPurchases: localTickets.length,
+      matched,
+      discrepancies: discrepancies.length,
+      newDiscrepancies,
+      byType,
+    };
+    report.status = 'completed';
+    report.completedAt = new Date();
+    await report.save();
+
+    console.log(`✅ ${paymentSystem} reconciliation completed:`, {
+      matched,
+      discrepancies: discrepancies.length,
+      newDiscrepancies,
+    });
+  } catch (error) {
+    console.error(`❌ ${paymentSystem} reconciliation failed:`, error);
+    report.status = 'failed';
+    report.error = error.message;
+    report.completedAt = new Date();
+    await report.save();
+  }
+
+  return report;
+}
+
+/**
+ * Reconcile one processor, or every processor with an active configuration
+ * when `paymentSystem` is omitted. Defaults to the last few days
+ * (RECONCILIATION_LOOKBACK_DAYS, 3 by default). Returns one report per
+ * processor; a processor that fails gets a `failed` report instead of
+ * stopping the others.
+ */
+async function runProviderReconciliation({
+  paymentSystem,
+  startDate,
+  endDate,
+  trigger = 'scheduled',
+  triggeredBy,
+} = {}) {
+  const periodEnd = endDate ? new Date(endDate) : new Date();
+  const periodStart = startDate
+    ? new Date(startDate)
+    : new Date(periodEnd.getTime() - getLookbackDays() * 24 * 60 * 60 * 1000);
+
+  const paymentSystems = paymentSystem
+    ? [paymentSystem]
+    : await PaymentConfiguration.distinct('paymentSystem', { isActive: true });
+
+  const reports = [];
+  for (const system of paymentSystems) {
+    reports.push(
+      await reconcileProvider(system, {
+        periodStart,
+        periodEnd,
+        trigger,
+        triggeredBy,
+      }),
+    );
+  }
+
+  return reports;
+}
+
+module.exports = {
+  runProviderReconciliation,
+  reconcileProvider,
+  diffProviderRecords,
+};
@@ -0,0 +1,473 @@
+// services/referee-assignment.js
+//
+// Puts referees from the roster on scheduled matches. Matches are filled in
+// time order; each open slot (referee, then the assistants the tournament
+// asks for) goes to the eligible official with the fewest games that day,
+// so the work is spread out. An official is eligible when they:
+//   - are available at that time (availability windows, unavailable dates)
+//   - are not on another game within the break before or after
+//   - are not at a game of their child's or coached team at that time
+//   - have not reached their maximum games for the day
+//   - have no child on either team and do not coach either team
+//   - hold the tournament's minimum certification (referee slot only)
+// Slots nobody can take are returned with the reasons the officials were
+// ruled out. Also builds the pay report from completed matches.
+const Match = require('../models/Match');
+const Referee = require('../models/Referee');
+const Player = require('../models/Player');
+const PlayerStatLine = require('../models/PlayerStatLine');
+const Registration = require('../models/Registration');
+const Team = require('../models/Team');
+const Tournament = require('../models/Tournament');
+
+const MINUTE_MS = 60 * 1000;
+const SLOTS = ['referee', 'assistantReferee1', 'assistantReferee2'];
+const LEVELS = Referee.CERTIFICATION_LEVELS;
+
+const REASONS = {
+  UNAVAILABLE: 'Not available at this time',
+  BUSY: 'Officiating another game',
+  FAMILY_GAME: "Their child's or coached team is playing at this time",
+  DAILY_LIMIT: 'Reached their games for the day',
+  FAMILY_CONFLICT: 'Child on or coaching one of the teams',
+  CERTIFICATION: 'Certification below the tournament minimum',
+  ON_MATCH: 'Already on this match',
+};
+
+const idOf = (value) => (value ? String(value._id || value) : null);
+const dayKey = (date) => new Date(date).toDateString();
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+function levelOf(referee, on) {
+  if (referee.certificationExpires && referee.certificationExpires < on) {
+    return 0;
+  }
+  return Math.max(LEVELS.indexOf(referee.certificationLevel), 0);
+}
+
+function isAvailable(referee, slot) {
+  if (
+    referee.availability?.length &&
+    !referee.availability.some(
+      (w) => new Date(w.start) <= slot.start && slot.end <= new Date(w.end),
+    )
+  ) {
+    return false;
+  }
+  return !(referee.unavailable || []).some((u) =>
+    overlaps({ start: new Date(u.start), end: new Date(u.end) }, slot),
+  );
+}
+
+/**
+ * Teams each official must not work: their children's teams (from team
+ * registrations, tournament check-in rosters and stat lines), the teams they
+ * coach and the ones listed on their roster entry.
+ *
+ * @returns {Promise<Map<String, Set<String>>>} parent id -> team ids
+ */
+async function findConflictTeams(referees) {
+  const parentIds = referees.map((r) => idOf(r.parent));
+  const conflicts = new Map(
+    referees.map((r) => [
+      idOf(r.parent),
+      new Set((r.conflictTeams || []).map(idOf)),
+    ]),
+  );
+
+  const [children, coached] = await Promise.all([
+    Player.find({ parentId: { $in: parentIds } })
+      .select('parentId')
+      .lean(),
+    Team.find({ coachIds: { $in: parentIds } })
+      .select('coachIds')
+      .lean(),
+  ]);
+
+  coached.forEach((team) =>
+    team.coachIds
+      .map(String)
+      .filter((id) => conflicts.has(id))
+      .forEach((id) => conflicts.get(id).add(String(team._id))),
+  );
+
+  const parentOfChild = new Map(
+    children.map((child) => [String(child._id), String(child.parentId)]),
+  );
+  const link = (player, team) => {
+    if (!team) return;
+    conflicts.get(parentOfChild.get(String(player)))?.add(idOf(team));
+  };
+
+  if (parentOfChild.size) {
+    const childIds = children.map((c) => c._id);
+    const [registrations, tournaments, statLines] = await Promise.all([
+      Registration.find({ player: { $in: childIds }, team: { $ne: null } })
+        .select('player team')
+        .lean(),
+      Tournament.find({ 'checkIns.roster.player': { $in: childIds } })
+        .select('checkIns.team checkIns.roster.player')
+        .lean(),
+      PlayerStatLine.aggregate([
+        { $match: { player: { $in: childIds } } },
+        { $group: { _id: { player: '$player', team: '$team' } } },
+      ]),
+    ]);
+
+    registrations.forEach((r) => link(r.player, r.team));
+    tournaments.forEach((t) =>
+      (t.checkIns || []).forEach((checkIn) =>
+        (checkIn.roster || []).forEach((entry) =>
+          link(entry.player, checkIn.team),
+        ),
+      ),
+    );
+    statLines.forEach(({ _id }) => link(_id.player, _id.team));
+  }
+
+  return conflicts;
+}
+
+/**
+ * Work out assignments. Pure: nothing is saved.
+ *
+ * @param {Array} matches  Scheduled matches (scheduledTime set), time order
+ * @param {Array} referees  Active Referee documents
+ * @param {Object} options
+ * @param {Number} options.refereesPerMatch  1 to 3
+ * @param {String} [options.minLevel]  Minimum certification for the referee
+ * @param {Number} options.matchDuration  minutes, when a match has none
+ * @param {Number} [options.bufferMinutes]  between two games of an official
+ * @param {Map} [options.busy]  parent id -> games already assigned
+ *   elsewhere, [{ start, end }]
+ * @param {Map} [options.familyGames]  parent id -> games their child's or
+ *   coached teams play, [{ start, end }]
+ * @param {Map} [options.conflicts]  parent id -> Set of team ids
+ * @param {Boolean} [options.reassign]  Replace existing assignments
+ * @returns {{ assignments: Array<{match, slot, referee}>,
+ *   unfilled: Array<{match, slot, reasons}> }}
+ */
+function assignReferees(matches, referees, options) {
+  const slots = SLOTS.slice(0, options.refereesPerMatch || 1);
+  const minLevel = Math.max(LEVELS.indexOf(options.minLevel), 0);
+  const bufferMs = (options.bufferMinutes || 0) * MINUTE_MS;
+  const conflicts = options.conflicts || new Map();
+  const familyGames = options.familyGames || new Map();
+  const byParent = new Map(referees.map((r) => [idOf(r.parent), r]));
+
+  const busy = new Map();
+  const book = (parentId, interval) => {
+    if (!busy.has(parentId)) busy.set(parentId, []);
+    busy.get(parentId).push(interval);
+  };
+  for (const [parentId, intervals] of options.busy || []) {
+    intervals.forEach((interval) => book(parentId, interval));
+  }
+
+  const intervalOf = (match) => {
+    const start = new Date(match.scheduledTime);
+    const minutes = match.duration || options.matchDuration;
+    return { start, end: new Date(start.getTime() + minutes * MINUTE_MS) };
+  };
+
+  // Existing assignments that are kept count as busy time
+  if (!options.reassign) {
+    for (const match of matches) {
+      slots.forEach((slot) => {
+        const parentId = idOf(match[slot]);
+        if (parentId) book(parentId, intervalOf(match));
+      });
+    }
+  }
+
+  const assignments = [];
+  const unfilled = [];
+
+  for (const match of matches) {
+    const slot = intervalOf(match);
+    const teams = [idOf(match.team1), idOf(match.team2)].filter(Boolean);
+    const onMatch = new Set(
+      options.reassign ? [] : slots.map((s) => idOf(match[s])).filter(Boolean),
+    );
+
+    for (const role of slots) {
+      if (!options.reassign && match[role]) continue;
+
+      const counts = new Map();
+      const reject = (code) => counts.set(code, (counts.get(code) || 0) + 1);
+
+      // Within the break before or after one of these games
+      const clashes = (games) =>
+        games.some((g) =>
+          overlaps(
+            {
+              start: new Date(g.start.getTime() - bufferMs),
+              end: new Date(g.end.getTime() + bufferMs),
+            },
+            slot,
+          ),
+        );
+
+      const candidates = referees.filter((referee) => {
+        const parentId = idOf(referee.parent);
+        const games = busy.get(parentId) || [];
+
+        if (onMatch.has(parentId)) return (reject('ON_MATCH'), false);
+        if (!isAvailable(referee, slot)) return (reject('UNAVAILABLE'), false);
+        if (clashes(games)) return (reject('BUSY'), false);
+        if (clashes(familyGames.get(parentId) || [])) {
+          return (reject('FAMILY_GAME'), false);
+        }
+        const sameDay = games.filter(
+          (g) => dayKey(g.start) === dayKey(slot.start),
+        ).length;
+        if (sameDay >= (referee.maxGamesPerDay || 4)) {
+          return (reject('DAILY_LIMIT'), false);
+        }
+        if (teams.some((team) => conflicts.get(parentId)?.has(team))) {
+          return (reject('FAMILY_CONFLICT'), false);
+        }
+        if (role === 'referee' && levelOf(referee, slot.start) < minLevel) {
+          return (reject('CERTIFICATION'), false);
+        }
+        return true;
+      });
+
+      if (!candidates.length) {
+        unfilled.push({
+          match,
+          slot: role,
+          reasons: [...counts.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .map(([code, count]) => ({ code, message: REASONS[code], count })),
+        });
+        continue;
+      }
+
+      // Fewest games that day first; the most experienced official leads
+      const gamesThatDay = (referee) =>
+        (busy.get(idOf(referee.parent)) || []).filter(
+          (g) => dayKey(g.start) === dayKey(slot.start),
+        ).length;
+      candidates.sort(
+        (a, b) =>
+          gamesThatDay(a) - gamesThatDay(b) ||
+          (role === 'referee'
+            ? levelOf(b, slot.start) - levelOf(a, slot.start)
+            : 0),
+      );
+
+      const chosen = candidates[0];
+      const parentId = idOf(chosen.parent);
+      book(parentId, slot);
+      onMatch.add(parentId);
+      assignments.push({ match, slot: role, referee: byParent.get(parentId) });
+    }
+  }
+
+  return { assignments, unfilled };
+}
+
+/**
+ * Assign officials to a tournament's scheduled matches (optionally one
+ * day) and save them unless dryRun.
+ */
+async function autoAssignReferees(
+  tournament,
+  { date, dryRun = false, reassign = false } = {},
+) {
+  const query = {
+    tournament: tournament._id,
+    status: 'scheduled',
+    scheduledTime: { $ne: null },
+  };
+  if (date) {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(start);
+    end.setDate(end.getDate() + 1);
+    query.scheduledTime = { $gte: start, $lt: end };
+  }
+
+  const [matches, referees] = await Promise.all([
+    Match.find(query)
+      .populate('team1 team2', 'name')
+      .sort({ scheduledTime: 1, court: 1 }),
+    Referee.find({ isActive: true }).populate('parent', 'fullName email'),
+  ]);
+  if (!matches.length) return { matches, assignments: [], unfilled: [] };
+
+  const matchDuration = tournament.settings?.matchDuration || 40;
+
+  // Games the officials already have on these days, in any tournament
+  const first = new Date(matches[0].scheduledTime);
+  first.setHours(0, 0, 0, 0);
+  const last = new Date(matches[matches.length - 1].scheduledTime);
+  last.setHours(23, 59, 59, 999);
+  const parentIds = referees.map((r) => r.parent._id);
+  const others = await Match.find({
+    _id: { $nin: matches.map((m) => m._id) },
+    scheduledTime: { $gte: first, $lte: last },
+    status: { $nin: ['cancelled'] },
+    $or: SLOTS.map((slot) => ({ [slot]: { $in: parentIds } })),
+  })
+    .select(`scheduledTime duration ${SLOTS.join(' ')}`)
+    .lean();
+
+  const busy = new Map();
+  for (const other of others) {
+    const start = new Date(other.scheduledTime);
+    const end = new Date(
+      start.getTime() + (other.duration || matchDuration) * MINUTE_MS,
+    );
+    SLOTS.forEach((slot) => {
+      const parentId = idOf(other[slot]);
+      if (!parentId) return;
+      if (!busy.has(parentId)) busy.set(parentId, []);
+      busy.get(parentId).push({ start, end });
+    });
+  }
+
+  // Games their children's and coached teams play on these days, in any
+  // tournament; the official is at those games
+  const conflicts = await findConflictTeams(referees);
+  const conflictTeams = [
+    ...new Set([...conflicts.values()].flatMap((teams) => [...teams])),
+  ];
+  const teamGames = conflictTeams.length
+    ? await Match.find({
+        scheduledTime: { $gte: first, $lte: last },
+        status: { $nin: ['cancelled'] },
+        $or: [
+          { team1: { $in: conflictTeams } },
+          { team2: { $in: conflictTeams } },
+        ],
+      })
+        .select('scheduledTime duration team1 team2')
+        .lean()
+    : [];
+
+  const familyGames = new Map();
+  for (const [parentId, teams] of conflicts) {
+    const games = teamGames
+      .filter(
+        (game) => teams.has(idOf(game.team1)) || teams.has(idOf(game.team2)),
+      )
+      .map((game) => {
+        const start = new Date(game.scheduledTime);
+        const minutes = game.duration || matchDuration;
+        return { start, end: new Date(start.getTime() + minutes * MINUTE_MS) };
+      });
+    if (games.length) familyGames.set(parentId, games);
+  }
+
+  const result = assignReferees(matches, referees, {
+    refereesPerMatch: tournament.settings?.refereesPerMatch || 1,
+    minLevel: tournament.settings?.minRefereeLevel,
+    matchDuration,
+    bufferMinutes: tournament.settings?.breakDuration ?? 10,
+    busy,
+    familyGames,
+    conflicts,
+    reassign,
+  });
+
+  if (!dryRun) {
+    if (reassign) {
+      const slots = SLOTS.slice(0, tournament.settings?.refereesPerMatch || 1);
+      matches.forEach((match) =>
+        slots.forEach((slot) => (match[slot] = undefined)),
+      );
+    }
+    for (const { match, slot, referee } of result.assignments) {
+      match[slot] = referee.parent._id;
+    }
+    for (const match of matches) {
+      if (match.isModified()) await match.save();
+    }
+  }
+
+  return { matches, ...result };
+}
+
+/**
+ * Games worked and pay owed per official, from completed matches.
+ *
+ * @param {Object} filters
+ * @param {Date} [filters.from]
+ * @param {Date} [filters.to]
+ * @param {*} [filters.tournament]
+ * @param {*} [filters.parent]  One official (parent id)
+ */
+async function buildPayReport({ from, to, tournament, parent } = {}) {
+  const refereeQuery = parent ? { parent } : {};
+  const referees = await Referee.find(refereeQuery).populate(
+    'parent',
+    'fullName email',
+  );
+  const parentIds = referees.map((r) => r.parent._id);
+
+  const query = {
+    status: 'completed',
+    $or: SLOTS.map((slot) => ({ [slot]: { $in: parentIds } })),
+  };
+  if (tournament) query.tournament = tournament;
+  if (from || to) {
+    query.scheduledTime = {
+      ...(from && { $gte: new Date(from) }),
+      ...(to && { $lte: new Date(to) }),
+    };
+  }
+
+  const matches = await Match.find(query)
+    .populate('tournament', 'name')
+    .populate('team1 team2', 'name')
+    .sort({ scheduledTime: 1 })
+    .lean();
+
+  return referees
+    .map((referee) => {
+      const parentId = idOf(referee.parent);
+      const games = [];
+      for (const match of matches) {
+        const role = SLOTS.find((slot) => idOf(match[slot]) === parentId);
+        if (!role) continue;
+        const rate =
+          role === 'referee'
+            ? referee.payRate
+            : (referee.assistantPayRate ?? referee.payRate);
+        games.push({
+          match: match._id,
+          date: match.scheduledTime,
+          tournament: match.tournament?.name,
+          teams: `${match.team1?.name || 'TBD'} vs ${match.team2?.name || 'TBD'}`,
+          court: match.court,
+          role: role === 'referee' ? 'referee' : 'assistant',
+          pay: rate || 0,
+        });
+      }
+
+      return {
+        referee: {
+          _id: referee._id,
+          parent: referee.parent._id,
+          name: referee.parent.fullName,
+          email: referee.parent.email,
+        },
+        games,
+        gamesAsReferee: games.filter((g) => g.role === 'referee').length,
+        gamesAsAssistant: games.filter((g) => g.role === 'assistant').length,
+        totalPay: games.reduce((sum, g) => sum + g.pay, 0),
+      };
+    })
+    .filter((row) => row.games.length || parent);
+}
+
+module.exports = {
+  SLOTS,
+  REASONS,
+  assignReferees,
+  autoAssignReferees,
+  findConflictTeams,
+  buildPayReport,
+};
@@ -0,0 +1,345 @@
+// services/refund-allocations.js
+//
+// A payment can cover several line items: siblings in Payment.players[],
+// teams in Payment.teams[] (Payment.teamIds on older payments), or ticket
+// packages bought with the same processor payment. Each line is worth the
+// net amount saved on it at checkout, after discounts. Refund allocations say which of those items a refund
+// is taken from, so each item's own payment status can follow the refund
+// ("partially_refunded" for one of three siblings, "refunded" once the whole
+// line is returned).
+const Player = require('../models/Player');
+const Registration = require('../models/Registration');
+const Team = require('../models/Team');
+const TicketPurchase = require('../models/TicketPurchase');
+const { postTicketRefund } = require('./ledger');
+
+// Amounts are dollars; differences below half a cent are rounding noise
+const EPSILON = 0.005;
+
+// Refunds in these states never returned money
+const VOID_REFUND_STATUSES = ['failed', 'rejected'];
+
+function roundMoney(amount) {
+  return Math.round(Number(amount || 0) * 100) / 100;
+}
+
+function allocationError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_ALLOCATION';
+  return error;
+}
+
+function lineKey(item) {
+  switch (item.itemType) {
+    case 'player':
+      return `player:${item.playerId}`;
+    case 'team':
+      return `team:${item.teamId}`;
+    case 'ticket':
+      return `ticket:${item.ticketPurchaseId}`;
+    default:
+      return null;
+  }
+}
+
+// Infer the item type from whichever ID the caller sent
+function requestedItemType(allocation) {
+  if (allocation.itemType) return allocation.itemType;
+  if (allocation.playerId) return 'player';
+  if (allocation.teamId) return 'team';
+  if (allocation.ticketPurchaseId) return 'ticket';
+  return null;
+}
+
+/**
+ * Line items a payment paid for, with how much of each has already been
+ * refunded (or is reserved by a pending refund request).
+ *
+ * @param {Object} payment  Payment document
+ * @param {Object} [options]
+ * @param {*} [options.excludeRefundId]  Ignore this refund when summing, e.g.
+ *   the pending request that is being approved
+ * @param {Boolean} [options.completedOnly]  Only count completed refunds
+ */
+async function getPaymentLineItems(payment, options = {}) {
+  const { session, excludeRefundId, completedOnly = false } = options;
+  const lines = [];
+
+  const players = payment.players?.length
+    ? payment.players
+    : (payment.playerIds || []).map((playerId) => ({ playerId }));
+  if (players.length) {
+    // Payments saved before per-line amounts were kept are split evenly
+    const perPlayer =
+      payment.metadata?.amountPerPlayer || payment.amount / players.length;
+    for (const player of players) {
+      lines.push({
+        itemType: 'player',
+        playerId: player.playerId,
+        season: player.season,
+        year: player.year,
+        tryoutId: player.tryoutId,
+        amount: roundMoney(player.amount ?? perPlayer),
+      });
+    }
+  }
+
+  const teams = payment.teams?.length
+    ? payment.teams
+    : (payment.teamIds || []).map((teamId) => ({ teamId }));
+  if (teams.length) {
+    const perTeam =
+      payment.metadata?.amountPerTeam || payment.amount / teams.length;
+    for (const team of teams) {
+      lines.push({
+        itemType: 'team',
+        teamId: team.teamId,
+        tournament: payment.tournamentName || payment.metadata?.tournament,
+        year: payment.year || payment.metadata?.year,
+        amount: roundMoney(team.amount ?? perTeam),
+      });
+    }
+  }
+
+  const tickets = await TicketPurchase.find({
+    $or: [
+      { paymentId: payment.paymentId },
+      { squarePaymentId: payment.paymentId },
+    ],
+  }).session(session || null);
+  for (const ticket of tickets) {
+    lines.push({
+      itemType: 'ticket',
+      ticketPurchaseId: ticket._id,
+      packageName: ticket.packageName,
+      quantity: ticket.quantity,
+      unitPrice: ticket.unitPrice,
+      amount: roundMoney(ticket.amount),
+    });
+  }
+
+  const refundedByLine = new Map();
+  for (const refund of payment.refunds || []) {
+    if (VOID_REFUND_STATUSES.includes(refund.status)) continue;
+    if (completedOnly && refund.status !== 'completed') continue;
+    if (excludeRefundId && String(refund._id) === String(excludeRefundId)) {
+      continue;
+    }
+    for (const allocation of refund.allocations || []) {
+      const key = lineKey(allocation);
+      refundedByLine.set(
+        key,
+        (refundedByLine.get(key) || 0) + (allocation.amount || 0),
+      );
+    }
+  }
+
+  return lines.map((line) => {
+    const refunded = roundMoney(refundedByLine.get(lineKey(line)) || 0);
+    return {
+      ...line,
+      refunded,
+      remaining: roundMoney(Math.max(line.amount - refunded, 0)),
+    };
+  });
+}
+
+/**
+ * Match requested allocations (`{ playerId | teamId | ticketPurchaseId,
+ * amount?, quantity? }`) against the payment's line items. An allocation
+ * without an amount refunds whatever is left on that line; a ticket
+ * allocation may give a quantity instead. Throws an INVALID_ALLOCATION error
+ * when an item is not part of the payment or would be over-refunded.
+ */
+async function resolveRefundAllocations(payment, requested, options = {}) {
+  if (!Array.isArray(requested) || requested.length === 0) {
+    throw allocationError('At least one refund allocation is required');
+  }
+
+  const lines = await getPaymentLineItems(payment, options);
+  const linesByKey = new Map(lines.map((line) => [lineKey(line), line]));
+  const seen = new Set();
+  const allocations = [];
+
+  for (const item of requested) {
+    const itemType = requestedItemType(item);
+    const key = lineKey({ ...item, itemType });
+    const line = key && linesByKey.get(key);
+
+    if (!line) {
+      throw allocationError(
+        `Refund allocation does not match an item on this payment: ${key || JSON.stringify(item)}`,
+      );
+    }
+    if (seen.has(key)) {
+      throw allocationError(`Item allocated more than once: ${key}`);
+    }
+    seen.add(key);
+
+    let amount;
+    if (item.amount !== undefined && item.amount !== null) {
+      amount = roundMoney(item.amount);
+    } else if (itemType === 'ticket' && item.quantity) {
+      amount = roundMoney(
+        (line.unitPrice || line.amount / (line.quantity || 1)) * item.quantity,
+      );
+    } else {
+      amount = line.remaining;
+    }
+
+    if (!(amount > 0)) {
+      throw allocationError(`Refund amount for ${key} must be positive`);
+    }
+    if (amount > line.remaining + EPSILON) {
+      throw allocationError(
+        `Refund for ${key} exceeds what is left on that item. Maximum: $${line.remaining.toFixed(2)}`,
+      );
+    }
+
+    allocations.push({
+      itemType,
+      playerId: line.playerId,
+      teamId: line.teamId,
+      ticketPurchaseId: line.ticketPurchaseId,
+      season: line.season,
+      year: line.year,
+      tryoutId: line.tryoutId,
+      tournament: line.tournament,
+      packageName: line.packageName,
+      quantity: itemType === 'ticket' ? item.quantity : undefined,
+      amount,
+    });
+  }
+
+  return {
+    allocations,
+    total: roundMoney(allocations.reduce((sum, a) => sum + a.amount, 0)),
+  };
+}
+
+function statusForLine(line) {
+  if (line.refunded <= 0) return null;
+  return line.refunded >= line.amount - EPSILON
+    ? 'refunded'
+    : 'partially_refunded';
+}
+
+/**
+ * Push completed refund allocations down to the items they came from:
+ * Player.seasons[] and Registration for players, Team.tournaments[] for
+ * teams and TicketPurchase for ticket packages.
+ */
+async function applyRefundAllocationStatuses(payment, { session } = {}) {
+  const lines = await getPaymentLineItems(payment, {
+    session,
+    completedOnly: true,
+  });
+  const updated = [];
+
+  for (const line of lines) {
+    const status = statusForLine(line);
+    if (!status) continue;
+
+    const stillPaid = status === 'partially_refunded';
+
+    if (line.itemType === 'player') {
+      // Older payments have no season on players[]; fall back to the season
+      // entry the payment was recorded against (no Registration to match)
+      const seasonFilter = line.season
+        ? {
+            's.season': line.season,
+            ...(line.year && { 's.year': line.year }),
+            ...(line.tryoutId && { 's.tryoutId': line.tryoutId }),
+          }
+        : { 's.paymentId': String(payment._id) };
+
+      await Promise.all([
+        Player.updateOne(
+          { _id: line.playerId },
+          {
+            $set: {
+              'seasons.$[s].paymentStatus': status,
+              'seasons.$[s].paymentComplete': stillPaid,
+            },
+          },
+          { arrayFilters: [seasonFilter], session },
+        ),
+        line.season &&
+          Registration.updateMany(
+            {
+              player: line.playerId,
+              season: line.season,
+              ...(line.year && { year: line.year }),
+              ...(line.tryoutId && { tryoutId: line.tryoutId }),
+            },
+            { $set: { paymentStatus: status, paymentComplete: stillPaid } },
+            { session },
+          ),
+      ]);
+    } else if (line.itemType === 'team') {
+      const tournamentFilter = line.tournament
+        ? { 't.tournament': line.tournament, 't.year': Number(line.year) }
+        : { 't.paymentId': payment.paymentId };
+
+      await Team.updateOne(
+        { _id: line.teamId },
+        {
+          $set: {
+            'tournaments.$[t].paymentStatus': status,
+            'tournaments.$[t].paymentComplete': stillPaid,
+          },
+        },
+        { arrayFilters: [tournamentFilter], session },
+      );
+    } else if (line.itemType === 'ticket') {
+      await TicketPurchase.updateOne(
+        { _id: line.ticketPurchaseId },
+        { $set: { status, refundedAmount: line.refunded } },
+        { session },
+      );
+    }
+
+    updated.push({ key: lineKey(line), status, refunded: line.refunded });
+  }
+
+  if (updated.length) {
+    console.log('🧾 Refund allocation statuses updated:', updated);
+  }
+
+  return updated;
+}
+
+/**
+ * Bring a form ticket purchase (charged without a Payment record) up to date
+ * with the processor's refunds of it: post them to the ledger and set the
+ * purchase's refunded amount and status.
+ *
+ * @param {Object} purchase  TicketPurchase document
+ * @param {Array} refunds  [{ id, amount (dollars), status, reason,
+ *   processedAt }] with status normalised like Payment.refunds[]
+ * @returns {Promise<{ refunded, status }>}
+ */
+async function applyTicketRefunds(purchase, refunds, { session } = {}) {
+  let refunded = 0;
+  for (const refund of refunds) {
+    if (VOID_REFUND_STATUSES.includes(refund.status)) continue;
+    refunded += refund.amount;
+    await postTicketRefund(purchase, refund, { session });
+  }
+
+  refunded = roundMoney(refunded);
+  const status =
+    statusForLine({ refunded, amount: purchase.amount }) || 'completed';
+  purchase.refundedAmount = refunded;
+  purchase.status = status;
+  await purchase.save({ session });
+
+  return { refunded, status };
+}
+
+module.exports = {
+  getPaymentLineItems,
+  resolveRefundAllocations,
+  applyRefundAllocationStatuses,
+  applyTicketRefunds,
+};
@@ -1,16 +1,56 @@
 // services/scheduledJobs.js
 const cron = require('node-cron');
 const { syncAllRefunds } = require('./syncRefunds');
+const { runProviderReconciliation } = require('./provider-reconciliation');
+const { processInstallmentPlans } = require('./installment-plans');
 
-// Sync refunds every day at 2 AM
-cron.schedule('0 2 * * *', async () => {
-  console.log('Running scheduled refund sync...');
-  try {
-    const result = await syncAllRefunds();
-    console.log('Scheduled refund sync completed:', result);
-  } catch (error) {
-    console.error('Scheduled refund sync failed:', error);
-  }
-});
+function startScheduledJobs() {
+  // Sync refunds every day at 2 AM
+  cron.schedule('0 2 * * *', async () => {
+    console.log('Running scheduled refund sync...');
+    try {
+      const result = await syncAllRefunds();
+      console.log('Scheduled refund sync completed:', result);
+    } catch (error) {
+      console.error('Scheduled refund sync failed:', error);
+    }
+  });
 
-module.exports = { cron };
+  console.log('✅ Refund sync scheduled (daily at 2 AM)');
+
+  // Reconcile payments and refunds with every active processor at 3 AM,
+  // once the refund sync has pulled in the night's refunds
+  cron.schedule('0 3 * * *', async () => {
+    console.log('Running scheduled provider reconciliation...');
+    try {
+      const reports = await runProviderReconciliation({
+        trigger: 'scheduled',
+      });
+      console.log(
+        'Scheduled provider reconciliation completed:',
+        reports.map((report) => ({
+          paymentSystem: report.paymentSystem,
+          status: report.status,
+          discrepancies: report.summary?.discrepancies,
+        })),
+      );
+    } catch (error) {
+      console.error('Scheduled provider reconciliation failed:', error);
+    }
+  });
+
+  console.log('✅ Provider reconciliation scheduled (daily at 3 AM)');
+
+  // Charge due and retried installments at 9 AM, after the 8 AM auto-pay run
+  cron.schedule('0 9 * * *', async () => {
+    try {
+      await processInstallmentPlans();
+    } catch (error) {
+      console.error('Scheduled installment billing failed:', error);
+    }
+  });
+
+  console.log('✅ Installment billing scheduled (daily at 9 AM)');
+}
+
+module.exports = { cron, startScheduledJobs };
@@ -5,6 +5,7 @@ const Parent = require('../models/Parent');
 const Payment = require('../models/Payment');
 const PaymentConfiguration = require('../models/PaymentConfiguration');
 const { sendEmail } = require('../utils/email');
+const { postPaymentCharge } = require('./ledger');
 
 const MAX_FAILED_ATTEMPTS = 3;
 
@@ -84,7 +85,7 @@ async function chargeSubscriptions() {
       });
 
       // Create Payment record for this auto-charge
-      await Payment.create({
+      const payment = await Payment.create({
         parentId: parent._id,
         playerIds: sub.playerIds || [],
         paymentId: charge.id || `autopay_${Date.now()}_${parent._id}`,
@@ -115,6 +116,17 @@ async function chargeSubscriptions() {
         })),
       });
 
+      // The card is already charged - a ledger failure must not count as a
+      // failed billing attempt; reconciliation will flag the missing entry
+      try {
+        await postPaymentCharge(payment, { type: 'subscription_renewal' });
+      } catch (ledgerError) {
+        console.error(
+          `[Scheduler] Ledger posting failed for payment ${payment._id}:`,
+          ledgerError.message,
+        );
+      }
+
       // Email receipt
       try {
         await sendEmail({
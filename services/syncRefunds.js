@@ -2,6 +2,12 @@
 const mongoose = require('mongoose');
 const { Client, Environment } = require('square');
 const Payment = require('../models/Payment');
+const TicketPurchase = require('../models/TicketPurchase');
+const { postPaymentRefund } = require('./ledger');
+const {
+  applyRefundAllocationStatuses,
+  applyTicketRefunds,
+} = require('./refund-allocations');
 require('dotenv').config();
 
 const client = new Client({
@@ -50,6 +56,24 @@ async function syncRefundsForPayment(squarePaymentId) {
     }).session(session);
 
     if (!paymentRecord) {
+      // Form ticket purchases are charged without a Payment record
+      const ticket = await TicketPurchase.findOne({
+        $or: [
+          { paymentId: squarePaymentId },
+          { squarePaymentId: squarePaymentId },
+        ],
+      }).session(session);
+
+      if (ticket) {
+        const result = await syncRefundsForTicket(
+          ticket,
+          squarePaymentId,
+          session
+        );
+        await session.commitTransaction();
+        return result;
+      }
+
       console.log(
         `❌ Payment record not found for Square payment ID: ${squarePaymentId}`
       );
@@ -70,16 +94,40 @@ async function syncRefundsForPayment(squarePaymentId) {
 
     let totalRefunded = paymentRecord.refundedAmount || 0;
     let newRefundsAdded = 0;
+    const updatedRefunds = [];
 
     // Process each refund from Square
     for (const squareRefund of squareRefunds) {
-      // Skip if refund already exists in our database
+      const status = mapSquareRefundStatus(squareRefund.status);
       const existingRefund = paymentRecord.refunds?.find(
-        (refund) => refund.squareRefundId === squareRefund.id
+        (refund) =>
+          refund.squareRefundId === squareRefund.id ||
+          refund.externalRefundId === squareRefund.id
       );
 
+      // Known refunds only need their status brought up to date, e.g. a
+      // refund first synced as PENDING that has since completed
       if (existingRefund) {
-        console.log(`⏩ Refund ${squareRefund.id} already exists in database`);
+        if (existingRefund.status === status) {
+          console.log(
+            `⏩ Refund ${squareRefund.id} already exists in database`
+          );
+          continue;
+        }
+
+        console.log(
+          `🔁 Refund ${squareRefund.id} changed from ${existingRefund.status} to ${status}`
+        );
+        if (status === 'failed') {
+          totalRefunded -= existingRefund.amount || 0;
+        }
+        existingRefund.status = status;
+        existingRefund.processedAt = new Date(
+          squareRefund.updatedAt ||
+            squareRefund.processedAt ||
+            squareRefund.createdAt
+        );
+        updatedRefunds.push(existingRefund);
         continue;
       }
 
@@ -90,9 +138,10 @@ async function syncRefundsForPayment(squarePaymentId) {
       const newRefund = {
         refundId: `sq_${squareRefund.id}`,
         squareRefundId: squareRefund.id,
+        externalRefundId: squareRefund.id,
         amount: refundAmount,
         reason: squareRefund.reason || 'Processed in Square Dashboard',
-        status: mapSquareRefundStatus(squareRefund.status),
+        status,
         processedAt: new Date(
           squareRefund.processedAt || squareRefund.createdAt
         ),
@@ -106,7 +155,7 @@ async function syncRefundsForPayment(squarePaymentId) {
       }
 
       paymentRecord.refunds.push(newRefund);
-      totalRefunded += refundAmount;
+      if (status !== 'failed') totalRefunded += refundAmount;
       newRefundsAdded++;
 
       console.log(
@@ -127,16 +176,31 @@ async function syncRefundsForPayment(squarePaymentId) {
     }
 
     await paymentRecord.save({ session });
+
+    // Post the newly synced refunds to the ledger in the same transaction
+    const syncedRefunds = newRefundsAdded
+      ? paymentRecord.refunds.slice(-newRefundsAdded)
+      : [];
+    for (const refund of [...syncedRefunds, ...updatedRefunds]) {
+      await postPaymentRefund(paymentRecord, refund, { session });
+    }
+
+    // Completed refunds move the refunded items' own payment statuses
+    if (syncedRefunds.length || updatedRefunds.length) {
+      await applyRefundAllocationStatuses(paymentRecord, { session });
+    }
+
     await session.commitTransaction();
 
     console.log(
-      `🎉 Successfully synced ${newRefundsAdded} new refunds for payment ${squarePaymentId}`
+      `🎉 Successfully synced ${newRefundsAdded} new refunds and ${updatedRefunds.length} status changes for payment ${squarePaymentId}`
     );
     console.log(`💰 Total refunded: $${totalRefunded}`);
 
     return {
       success: true,
       refundsProcessed: newRefundsAdded,
+      refundsUpdated: updatedRefunds.length,
       totalRefunded,
       paymentId: paymentRecord._id,
     };
@@ -152,6 +216,37 @@ async function syncRefundsForPayment(squarePaymentId) {
   }
 }
 
+async function syncRefundsForTicket(ticket, squarePaymentId, session) {
+  console.log(`✅ Found ticket purchase in MongoDB: ${ticket._id}`);
+
+  const allRefunds = await getAllSquareRefunds();
+  const refunds = allRefunds
+    .filter((refund) => refund.paymentId === squarePaymentId)
+    .map((refund) => ({
+      id: refund.id,
+      amount: Number(refund.amountMoney.amount) / 100,
+      status: mapSquareRefundStatus(refund.status),
+      reason: refund.reason || 'Processed in Square Dashboard',
+      processedAt: new Date(refund.processedAt || refund.createdAt),
+    }));
+
+  const { refunded, status } = await applyTicketRefunds(ticket, refunds, {
+    session,
+  });
+
+  console.log(
+    `🎟️ Ticket purchase ${ticket._id}: $${refunded} refunded (${status})`
+  );
+
+  return {
+    success: true,
+    refundsProcessed: refunds.length,
+    refundsUpdated: 0,
+    totalRefunded: refunded,
+    ticketPurchaseId: ticket._id,
+  };
+}
+
 function mapSquareRefundStatus(squareStatus) {
   const statusMap = {
     PENDING: 'pending',
@@ -169,30 +264,45 @@ async function syncAllRefunds() {
     // First, let's see what refunds actually exist in Square
     await getAllSquareRefunds();
 
+    // Payments with pending refunds are checked again even when the pending
+    // amount already counts them as fully refunded
     const payments = await Payment.find({
       status: 'completed',
       $or: [
         { refundStatus: { $in: ['none', 'partial'] } },
         { refundStatus: { $exists: false } },
+        { 'refunds.status': 'pending' },
       ],
     });
 
-    console.log(`📋 Found ${payments.length} payments to check for refunds`);
+    // Form ticket purchases that are not fully refunded yet (comps were
+    // never charged)
+    const tickets = await TicketPurchase.find({
+      status: { $in: ['completed', 'partially_refunded'] },
+      paymentId: { $not: /^comp_/ },
+    });
+
+    console.log(
+      `📋 Found ${payments.length} payments and ${tickets.length} ticket purchases to check for refunds`
+    );
 
     let totalSynced = 0;
     let totalRefunded = 0;
 
-    for (const payment of payments) {
-      const result = await syncRefundsForPayment(payment.paymentId);
+    const paymentIds = [
+      ...payments.map((payment) => payment.paymentId),
+      ...tickets.map((ticket) => ticket.squarePaymentId),
+    ];
+
+    for (const paymentId of paymentIds) {
+      const result = await syncRefundsForPayment(paymentId);
 
       if (result.success) {
         totalSynced += result.refundsProcessed;
         totalRefunded += result.totalRefunded;
-        console.log(
-          `✅ ${payment.paymentId}: ${result.refundsProcessed} refunds`
-        );
+        console.log(`✅ ${paymentId}: ${result.refundsProcessed} refunds`);
       } else {
-        console.log(`❌ ${payment.paymentId}: ${result.error}`);
+        console.log(`❌ ${paymentId}: ${result.error}`);
       }
 
       // Add delay to avoid rate limiting
@@ -285,7 +395,7 @@ async function syncRefundsByDateRange(startDate, endDate) {
           );
         } else {
           errors++;
-          console.log(`❌ ${payment.paymentId}: ${result.error}`);
+          console.log(`❌ ${paymentId}: ${result.error}`);
         }
 
         await new Promise((resolve) => setTimeout(resolve, 500));
@@ -0,0 +1,194 @@
+// services/team-check-in.js
+//
+// Game-day check-in. Each team checks in with a roster picked from the
+// players linked to its coaches (their own players, or players whose parent
+// is a coach), so only known players can be listed. Rosters lock at the
+// tournament's check-in cutoff; after that only an admin can change one.
+// A player on two rosters in the same division (grade, sex and level) is
+// flagged for the director, not refused. These functions change the
+// tournament in memory; the caller saves it.
+const Parent = require('../models/Parent');
+const Player = require('../models/Player');
+
+const STARTED_STATUSES = ['ongoing', 'completed'];
+
+function checkInError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_CHECK_IN';
+  return error;
+}
+
+const idOf = (value) => (value ? String(value._id || value) : null);
+
+const divisionOf = (team) =>
+  [team.grade, team.sex, team.levelOfCompetition].join(' ');
+
+// When rosters lock: the cutoff if one is set, otherwise the moment the
+// tournament starts
+function isRosterLocked(tournament, now = new Date()) {
+  const lockAt = tournament.settings?.checkIn?.rosterLockAt;
+  if (lockAt) return new Date(lockAt) <= now;
+  return STARTED_STATUSES.includes(tournament.status);
+}
+
+function checkInFor(tournament, team) {
+  return (tournament.checkIns || []).find(
+    (entry) => idOf(entry.team) === idOf(team),
+  );
+}
+
+/**
+ * The players a team can list: those linked to any of its coaches.
+ *
+ * @param {Object} team  Team with coachIds
+ * @returns {Promise<Array>} Players, by name
+ */
+async function rosterPool(team) {
+  const coaches = await Parent.find({ _id: { $in: team.coachIds } }).select(
+    'players',
+  );
+  const linked = coaches.flatMap((coach) => coach.players || []);
+
+  return Player.find({
+    $or: [{ _id: { $in: linked } }, { parentId: { $in: team.coachIds } }],
+  })
+    .select('fullName grade gender dob')
+    .sort({ fullName: 1 });
+}
+
+/**
+ * Replace a team's roster.
+ *
+ * @param {Object} tournament  Tournament document
+ * @param {Object} team  Team document (coachIds)
+ * @param {Array} players  [{ player, jerseyNumber? }]
+ * @param {Object} options  { user, isAdmin }
+ * @returns {Promise<Object>} the check-in entry
+ */
+async function setRoster(tournament, team, players, { user, isAdmin } = {}) {
+  if (isRosterLocked(tournament) && !isAdmin) {
+    throw checkInError('Rosters are locked; ask the tournament director');
+  }
+  if (!players?.length) {
+    throw checkInError('A roster needs at least one player');
+  }
+
+  const ids = players.map((entry) => idOf(entry.player));
+  if (new Set(ids).size !== ids.length) {
+    throw checkInError('A player is listed more than once');
+  }
+  const jerseys = players
+    .filter((entry) => entry.jerseyNumber)
+    .map((entry) => String(entry.jerseyNumber).trim());
+  if (new Set(jerseys).size !== jerseys.length) {
+    throw checkInError('A jersey number is listed more than once');
+  }
+
+  const pool = new Map(
+    (await rosterPool(team)).map((player) => [idOf(player), player]),
+  );
+  const unknown = ids.filter((id) => !pool.has(id));
+  if (unknown.length) {
+    throw checkInError(
+      `Not linked to a coach of ${team.name}: ${unknown.join(', ')}`,
+    );
+  }
+
+  let entry = checkInFor(tournament, team);
+  if (!entry) {
+    tournament.checkIns.push({ team: team._id });
+    entry = tournament.checkIns[tournament.checkIns.length - 1];
+  }
+  entry.roster = players.map(({ player, jerseyNumber }) => ({
+    player: pool.get(idOf(player))._id,
+    fullName: pool.get(idOf(player)).fullName,
+    jerseyNumber: jerseyNumber ? String(jerseyNumber).trim() : undefined,
+  }));
+  entry.rosterUpdatedAt = new Date();
+  entry.rosterUpdatedBy = user?._id;
+  return entry;
+}
+
+/**
+ * Check a team in, setting its roster first when players are given.
+ *
+ * @param {Object} options  { players?, user, isAdmin }
+ * @returns {Promise<Object>} the check-in entry
+ */
+async function checkInTeam(tournament, team, { players, user, isAdmin } = {}) {
+  if (
+    !(tournament.registeredTeams || []).some((id) => idOf(id) === idOf(team))
+  ) {
+    throw checkInError(`${team.name} is not registered for this tournament`);
+  }
+
+  const entry = players
+    ? await setRoster(tournament, team, players, { user, isAdmin })
+    : checkInFor(tournament, team);
+  if (!entry?.roster?.length) {
+    throw checkInError('Send the roster the team is checking in with');
+  }
+
+  entry.checkedInAt = new Date();
+  entry.checkedInBy = user?._id;
+  return entry;
+}
+
+function undoCheckIn(tournament, team) {
+  const entry = checkInFor(tournament, team);
+  if (!entry?.checkedInAt) {
+    throw checkInError('This team has not checked in');
+  }
+  entry.checkedInAt = undefined;
+  entry.checkedInBy = undefined;
+  return entry;
+}
+
+/**
+ * Players listed on more than one roster in the same division.
+ *
+ * @param {Object} tournament  with checkIns
+ * @param {Array} teams  registered teams (grade, sex, levelOfCompetition)
+ * @returns {Array} [{ division, player, fullName, teams: [teamId] }]
+ */
+function duplicatePlayers(tournament, teams) {
+  const teamsById = new Map(teams.map((team) => [idOf(team), team]));
+  const seen = new Map();
+
+  for (const entry of tournament.checkIns || []) {
+    const team = teamsById.get(idOf(entry.team));
+    if (!team) continue;
+    for (const { player, fullName } of entry.roster) {
+      const key = `${divisionOf(team)}|${idOf(player)}`;
+      if (!seen.has(key)) {
+        seen.set(key, {
+          division: divisionOf(team),
+          player,
+          fullName,
+          teams: [],
+        });
+      }
+      seen.get(key).teams.push(team._id);
+    }
+  }
+
+  return [...seen.values()].filter((flag) => flag.teams.length > 1);
+}
+
+// Registered teams that have not checked in
+function missingTeams(tournament) {
+  return (tournament.registeredTeams || []).filter(
+    (team) => !checkInFor(tournament, team)?.checkedInAt,
+  );
+}
+
+module.exports = {
+  isRosterLocked,
+  checkInFor,
+  rosterPool,
+  setRoster,
+  checkInTeam,
+  undoCheckIn,
+  duplicatePlayers,
+  missingTeams,
+};
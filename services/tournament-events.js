@@ -0,0 +1,152 @@
+// services/tournament-events.js
+//
+// In-process publish/subscribe for live tournament updates, streamed to
+// spectators as server-sent events (GET /api/tournaments/:id/stream).
+// Each tournament keeps its most recent events so a browser that lost its
+// connection can resume from the Last-Event-ID it saw. Event ids come from
+// one counter that starts at the boot time in milliseconds, so they keep
+// increasing across restarts; a client whose id is older than what is
+// still buffered is sent a `reset` event and should reload the page data.
+
+const BUFFER_SIZE = 500;
+const IDLE_TTL_MS = 6 * 60 * 60 * 1000;
+const HEARTBEAT_MS = 25 * 1000;
+
+const EVENT_TYPES = ['score', 'match-status', 'bracket', 'schedule', 'reset'];
+
+const channels = new Map();
+let lastId = Date.now();
+
+function channelFor(tournamentId) {
+  const key = String(tournamentId);
+  if (!channels.has(key)) {
+    channels.set(key, {
+      events: [],
+      // Anything up to this id can no longer be replayed
+      droppedThrough: lastId,
+      subscribers: new Set(),
+      lastActivity: Date.now(),
+    });
+  }
+  return channels.get(key);
+}
+
+/**
+ * Send an update to everyone following a tournament.
+ *
+ * @param {*} tournamentId
+ * @param {String} type  One of EVENT_TYPES
+ * @param {Object} data  Small payload; clients refetch details they need
+ * @returns {Object} the event `{ id, type, data, at }`
+ */
+function publish(tournamentId, type, data) {
+  const channel = channelFor(tournamentId);
+  const event = {
+    id: ++lastId,
+    type,
+    data: { tournamentId: String(tournamentId), ...data },
+    at: new Date().toISOString(),
+  };
+
+  channel.events.push(event);
+  if (channel.events.length > BUFFER_SIZE) {
+    channel.droppedThrough = channel.events.shift().id;
+  }
+  channel.lastActivity = Date.now();
+
+  for (const send of channel.subscribers) {
+    try {
+      send(event);
+    } catch (error) {
+      console.error('Error sending tournament event:', error);
+    }
+  }
+
+  return event;
+}
+
+/**
+ * Follow a tournament. Events after `lastEventId` that are still buffered
+ * are sent first; when some were already dropped a `reset` event is sent
+ * instead.
+ *
+ * @returns {Function} unsubscribe
+ */
+function subscribe(tournamentId, lastEventId, send) {
+  const channel = channelFor(tournamentId);
+  const since = Number(lastEventId);
+
+  if (lastEventId !== undefined && lastEventId !== null && lastEventId !== '') {
+    if (Number.isNaN(since) || since < channel.droppedThrough) {
+      send({
+        id: lastId,
+        type: 'reset',
+        data: { tournamentId: String(tournamentId) },
+        at: new Date().toISOString(),
+      });
+    } else {
+      channel.events.filter((e) => e.id > since).forEach(send);
+    }
+  }
+
+  channel.subscribers.add(send);
+  channel.lastActivity = Date.now();
+
+  return () => {
+    channel.subscribers.delete(send);
+    channel.lastActivity = Date.now();
+  };
+}
+
+// One event in the text/event-stream format
+function formatEvent(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({
+    ...event.data,
+    at: event.at,
+  })}\n\n`;
+}
+
+/**
+ * Express handler body for a stream: sets the headers, replays missed
+ * events, keeps the connection alive and cleans up when it closes.
+ */
+function streamTournament(req, res, tournamentId) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const lastEventId = req.get('Last-Event-ID') ?? req.query.lastEventId;
+  const unsubscribe = subscribe(tournamentId, lastEventId, (event) =>
+    res.write(formatEvent(event)),
+  );
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
+
+// Forget tournaments nobody follows or updates any more
+function sweepIdleChannels(now = Date.now()) {
+  for (const [key, channel] of channels) {
+    if (!channel.subscribers.size && now - channel.lastActivity > IDLE_TTL_MS) {
+      channels.delete(key);
+    }
+  }
+}
+
+setInterval(sweepIdleChannels, 60 * 60 * 1000).unref();
+
+module.exports = {
+  EVENT_TYPES,
+  publish,
+  subscribe,
+  formatEvent,
+  streamTournament,
+};
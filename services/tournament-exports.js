@@ -0,0 +1,564 @@
+// services/tournament-exports.js
+//
+// Printouts and feeds of a tournament, all built here without outside
+// services: the bracket as a PDF for the scorer's table, the schedule as
+// CSV (per day, venue and court) and an iCal feed of one team's games for
+// family calendars.
+const PdfDocument = require('../utils/pdfDocument');
+
+const MINUTE_MS = 60 * 1000;
+// Printed dates and times are the league's local time, whatever the
+// server's zone
+const TIME_ZONE = 'America/Los_Angeles';
+const FINISHED_STATUSES = ['completed', 'walkover'];
+
+const idOf = (value) => (value ? String(value._id || value) : null);
+const nameOf = (team) => team?.name || 'TBD';
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('en-US', {
+    timeZone: TIME_ZONE,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  });
+}
+
+function formatTime(date) {
+  return new Date(date).toLocaleTimeString('en-US', {
+    timeZone: TIME_ZONE,
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+function scoreOf(match) {
+  if (!FINISHED_STATUSES.includes(match.status)) return '';
+  return `${match.team1Score ?? 0}-${match.team2Score ?? 0}${
+    match.status === 'walkover' ? ' (forfeit)' : ''
+  }`;
+}
+
+function stageOf(match) {
+  if (match.placementLabel) return match.placementLabel;
+  if (match.group && match.stage !== 'knockout') return `Group ${match.group}`;
+  if (match.bracketType === 'final') return 'Final';
+  return `Round ${match.round}`;
+}
+
+// ============ CSV ============
+
+function csvCell(value) {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const SCHEDULE_HEADERS = [
+  'Date',
+  'Time',
+  'Venue',
+  'Court',
+  'Match',
+  'Stage',
+  'Team 1',
+  'Team 2',
+  'Status',
+  'Score',
+  'Referee',
+];
+
+/**
+ * The schedule as CSV, one row per match, in day, venue, court and time
+ * order.
+ *
+ * @param {Array} days  [{ date, scheduleByVenue }] where scheduleByVenue is
+ *   built like getScheduleForDate's: [{ name, courts: { court: [matches] } }]
+ */
+function scheduleCsv(days) {
+  const rows = [];
+  for (const { scheduleByVenue } of days) {
+    for (const venue of scheduleByVenue) {
+      const courts = Object.keys(venue.courts).sort((a, b) =>
+        a.localeCompare(b, undefined, { numeric: true }),
+      );
+      for (const court of courts) {
+        for (const match of venue.courts[court]) {
+          rows.push([
+            formatDate(match.scheduledTime),
+            formatTime(match.scheduledTime),
+            venue.name,
+            court,
+            match.matchNumber,
+            stageOf(match),
+            nameOf(match.team1),
+            nameOf(match.team2),
+            match.status,
+            scoreOf(match),
+            match.referee?.fullName || '',
+          ]);
+        }
+      }
+    }
+  }
+
+  return [SCHEDULE_HEADERS, ...rows]
+    .map((row) => row.map(csvCell).join(','))
+    .join('\r\n');
+}
+
+// ============ iCal ============
+
+function icsText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function icsDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+}
+
+// Lines longer than 75 bytes continue on the next line after a space
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function addressOf(venue) {
+  const address = venue?.address;
+  if (!address) return '';
+  return [address.street, address.city, [address.state, address.zip]]
+    .flat()
+    .filter(Boolean)
+    .join(', ');
+}
+
+/**
+ * iCal feed of one team's scheduled games in a tournament.
+ *
+ * @param {Object} options
+ * @param {Object} options.tournament  name, settings.matchDuration
+ * @param {Object} options.team  name
+ * @param {Array} options.matches  with team1, team2 and venueId populated
+ */
+function teamCalendar({ tournament, team, matches }) {
+  const now = icsDate(new Date());
+  const defaultMinutes = tournament.settings?.matchDuration || 40;
+
+  const events = matches
+    .filter((match) => match.scheduledTime)
+    .map((match) => {
+      const start = new Date(match.scheduledTime);
+      const end = new Date(
+        start.getTime() + (match.duration || defaultMinutes) * MINUTE_MS,
+      );
+      const opponent =
+        idOf(match.team1) === idOf(team) ? match.team2 : match.team1;
+      const venueName = match.venueId?.name || match.venue;
+      const location = [venueName, match.court, addressOf(match.venueId)]
+        .filter(Boolean)
+        .join(', ');
+      const description = [
+        tournament.name,
+        stageOf(match),
+        `Match ${match.matchNumber}`,
+        scoreOf(match) &&
+          `Final: ${nameOf(match.team1)} ${scoreOf(match)} ${nameOf(match.team2)}`,
+      ]
+        .filter(Boolean)
+        .join('\n');
+
+      return [
+        'BEGIN:VEVENT',
+        `UID:match-${idOf(match)}@partizanhoops.com`,
+        `DTSTAMP:${now}`,
+        `DTSTART:${icsDate(start)}`,
+        `DTEND:${icsDate(end)}`,
+        `SEQUENCE:${match.sequence || 0}`,
+        `SUMMARY:${icsText(`${nameOf(team)} vs ${nameOf(opponent)}`)}`,
+        location && `LOCATION:${icsText(location)}`,
+        `DESCRIPTION:${icsText(description)}`,
+        `STATUS:${match.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+        'END:VEVENT',
+      ].filter(Boolean);
+    });
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Partizan Basketball//Tournament Schedule//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText(`${nameOf(team)} - ${tournament.name}`)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...events.flat(),
+    'END:VCALENDAR',
+  ]
+    .map(foldLine)
+    .join('\r\n')
+    .concat('\r\n');
+}
+
+// ============ PDF bracket ============
+
+const roundTitle = (roundMatches, isLast) => {
+  if (isLast && roundMatches.length === 1) return 'Final';
+  if (roundMatches.length === 2) return 'Semi-finals';
+  if (roundMatches.length === 4) return 'Quarter-finals';
+  return `Round ${roundMatches[0].round}`;
+};
+
+const byRound = (matches) => {
+  const rounds = new Map();
+  [...matches]
+    .sort((a, b) => a.round - b.round || a.matchNumber - b.matchNumber)
+    .forEach((match) => {
+      if (!rounds.has(match.round)) rounds.set(match.round, []);
+      rounds.get(match.round).push(match);
+    });
+  return [...rounds.values()];
+};
+
+/**
+ * What goes in the bracket printout. Named brackets in
+ * Tournament.brackets are printed as they are; otherwise the matches are
+ * split into group tables, the bracket (or knockout stage), a losers
+ * bracket and the consolation and placement games.
+ */
+function bracketSections(tournament, matches, standings = []) {
+  const named = tournament.brackets ? [...tournament.brackets.entries()] : [];
+  if (named.length) {
+    const byId = new Map(matches.map((m) => [idOf(m), m]));
+    return named
+      .map(([name, ids]) => ({
+        kind: 'bracket',
+        title: name,
+        rounds: byRound(ids.map((id) => byId.get(idOf(id))).filter(Boolean)),
+      }))
+      .filter((section) => section.rounds.length);
+  }
+
+  const groupMatches = matches.filter((m) => m.group && m.stage !== 'knockout');
+  const placement = matches.filter((m) => m.bracketLocation === 'consolation');
+  const lower = matches.filter((m) => m.bracketLocation === 'lower');
+  const bracket = matches.filter(
+    (m) =>
+      !groupMatches.includes(m) && !placement.includes(m) && !lower.includes(m),
+  );
+
+  const sections = [];
+  if (groupMatches.length) {
+    const names = [...new Set(groupMatches.map((m) => m.group))].sort();
+    sections.push({
+      kind: 'groups',
+      title: 'Groups',
+      groups: names.map((name) => ({
+        name,
+        standings: standings
+          .filter((s) => s.group === name)
+          .sort((a, b) => (a.rank || 99) - (b.rank || 99)),
+        matches: groupMatches.filter((m) => m.group === name),
+      })),
+    });
+  }
+  if (bracket.length) {
+    sections.push({
+      kind: 'bracket',
+      title: bracket.some((m) => m.stage === 'knockout')
+        ? 'Knockout Stage'
+        : 'Bracket',
+      rounds: byRound(bracket),
+    });
+  }
+  if (lower.length) {
+    sections.push({
+      kind: 'bracket',
+      title: 'Losers Bracket',
+      rounds: byRound(lower),
+    });
+  }
+  if (placement.length) {
+    sections.push({
+      kind: 'list',
+      title: 'Consolation and Placement Games',
+      matches: [...placement].sort(
+        (a, b) =>
+          a.round - b.round ||
+          (a.placementRange?.from || 0) - (b.placementRange?.from || 0),
+      ),
+    });
+  }
+  return sections;
+}
+
+const MARGIN = 36;
+const TOP = 78;
+
+function drawHeader(doc, tournament, title) {
+  doc.addPage();
+  doc.text(MARGIN, MARGIN - 6, tournament.name, { size: 16, bold: true });
+  doc.text(MARGIN, MARGIN + 16, title, { size: 12 });
+  doc.text(
+    doc.width - MARGIN - 200,
+    MARGIN - 4,
+    `Printed ${formatDate(new Date())} ${formatTime(new Date())}`,
+    { size: 8, align: 'right', width: 200 },
+  );
+  doc.line(MARGIN, TOP - 10, doc.width - MARGIN, TOP - 10, { gray: 0.6 });
+}
+
+function matchCaption(match) {
+  return [
+    `#${match.matchNumber}`,
+    match.scheduledTime &&
+      `${formatDate(match.scheduledTime)} ${formatTime(match.scheduledTime)}`,
+    match.court,
+  ]
+    .filter(Boolean)
+    .join('  ');
+}
+
+function drawBracket(doc, tournament, section) {
+  drawHeader(doc, tournament, section.title);
+
+  const { rounds } = section;
+  const bottom = doc.height - MARGIN;
+  const top = TOP + 16;
+  const colWidth = (doc.width - 2 * MARGIN) / rounds.length;
+  const boxWidth = Math.min(colWidth - 16, 190);
+  const firstCount = Math.max(rounds[0].length, 1);
+  const slot = (bottom - top) / firstCount;
+  const boxHeight = Math.min(32, slot - 10);
+  const size = Math.max(5, Math.min(9, boxHeight / 2 - 3));
+  const centers = new Map();
+
+  rounds.forEach((roundMatches, r) => {
+    const x = MARGIN + r * colWidth;
+    doc.text(x, TOP, roundTitle(roundMatches, r === rounds.length - 1), {
+      size: 9,
+      bold: true,
+      width: boxWidth,
+      align: 'center',
+    });
+
+    roundMatches.forEach((match, i) => {
+      const feeders = (rounds[r - 1] || []).filter(
+        (m) => idOf(m.nextMatch) === idOf(match) && centers.has(idOf(m)),
+      );
+      const y = feeders.length
+        ? feeders.reduce((sum, m) => sum + centers.get(idOf(m)), 0) /
+          feeders.length
+        : top + ((bottom - top) / roundMatches.length) * (i + 0.5);
+      centers.set(idOf(match), y);
+
+      // Lines from the matches that feed this one
+      feeders.forEach((feeder) => {
+        const fromX = x - colWidth + boxWidth;
+        const midX = x - (colWidth - boxWidth) / 2;
+        const fromY = centers.get(idOf(feeder));
+        doc.line(fromX, fromY, midX, fromY, { gray: 0.4 });
+        doc.line(midX, fromY, midX, y, { gray: 0.4 });
+        doc.line(midX, y, x, y, { gray: 0.4 });
+      });
+
+      const boxTop = y - boxHeight / 2;
+      if (size >= 6) {
+        doc.text(x, boxTop - size, matchCaption(match), {
+          size: size - 2,
+          width: boxWidth,
+        });
+      }
+      doc.rect(x, boxTop, boxWidth, boxHeight, {
+        fill: match.status === 'bye' ? 0.93 : 1,
+      });
+      doc.line(x, y, x + boxWidth, y, { gray: 0.7, width: 0.5 });
+
+      const finished = FINISHED_STATUSES.includes(match.status);
+      [
+        [match.team1, match.team1Score],
+        [match.team2, match.team2Score],
+      ].forEach(([team, score], side) => {
+        const rowTop = boxTop + side * (boxHeight / 2);
+        const textTop = rowTop + (boxHeight / 2 - size) / 2;
+        const won = finished && team && idOf(match.winner) === idOf(team);
+        const label =
+          team?.name ||
+          (match.status === 'bye' ? 'BYE' : '') ||
+          match.positions?.[`team${side + 1}Label`] ||
+          '';
+        doc.text(x + 4, textTop, label, {
+          size,
+          bold: won,
+          width: boxWidth - 30,
+        });
+        if (finished) {
+          doc.text(x + boxWidth - 26, textTop, score ?? 0, {
+            size,
+            bold: won,
+            width: 22,
+            align: 'right',
+          });
+        }
+      });
+    });
+  });
+}
+
+function drawGroups(doc, tournament, section) {
+  drawHeader(doc, tournament, section.title);
+  const columns = [
+    ['#', 18],
+    ['Team', 190],
+    ['P', 28],
+    ['W', 28],
+    ['L', 28],
+    ['D', 28],
+    ['PF', 36],
+    ['PA', 36],
+    ['Pts', 32],
+  ];
+  const rowHeight = 14;
+  let y = TOP;
+
+  const ensure = (needed) => {
+    if (y + needed > doc.height - MARGIN) {
+      drawHeader(doc, tournament, `${section.title} (continued)`);
+      y = TOP;
+    }
+  };
+
+  for (const group of section.groups) {
+    ensure(rowHeight * (group.standings.length + 3));
+    doc.text(MARGIN, y, `Group ${group.name}`, { size: 11, bold: true });
+    y += rowHeight + 4;
+
+    let x = MARGIN;
+    columns.forEach(([label, width]) => {
+      doc.text(x, y, label, { size: 8, bold: true, width });
+      x += width;
+    });
+    y += rowHeight;
+    doc.line(MARGIN, y - 3, x, y - 3, { gray: 0.6 });
+
+    group.standings.forEach((standing, i) => {
+      const cells = [
+        standing.rank || i + 1,
+        nameOf(standing.team),
+        standing.played,
+        standing.wins,
+        standing.losses,
+        standing.draws,
+        standing.pointsFor,
+        standing.pointsAgainst,
+        standing.points,
+      ];
+      let cx = MARGIN;
+      cells.forEach((cell, c) => {
+        doc.text(cx, y, cell ?? 0, { size: 8, width: columns[c][1] - 4 });
+        cx += columns[c][1];
+      });
+      y += rowHeight;
+    });
+
+    y += 6;
+    for (const match of group.matches) {
+      ensure(rowHeight);
+      doc.text(
+        MARGIN + 18,
+        y,
+        `#${match.matchNumber}  ${nameOf(match.team1)} vs ${nameOf(
+          match.team2,
+        )}${scoreOf(match) ? `   ${scoreOf(match)}` : ''}${
+          match.scheduledTime
+            ? `   ${formatDate(match.scheduledTime)} ${formatTime(
+                match.scheduledTime,
+              )}`
+            : ''
+        }${match.court ? `   ${match.court}` : ''}`,
+        { size: 8, width: doc.width - 2 * MARGIN - 18 },
+      );
+      y += rowHeight - 2;
+    }
+    y += rowHeight;
+  }
+}
+
+function drawList(doc, tournament, section) {
+  drawHeader(doc, tournament, section.title);
+  const rowHeight = 18;
+  let y = TOP;
+
+  for (const match of section.matches) {
+    if (y + rowHeight > doc.height - MARGIN) {
+      drawHeader(doc, tournament, `${section.title} (continued)`);
+      y = TOP;
+    }
+    doc.text(MARGIN, y, stageOf(match), { size: 9, bold: true, width: 150 });
+    doc.text(
+      MARGIN + 150,
+      y,
+      `${nameOf(match.team1)} vs ${nameOf(match.team2)}`,
+      { size: 9, width: 300 },
+    );
+    doc.text(MARGIN + 455, y, scoreOf(match) || match.status, {
+      size: 9,
+      width: 90,
+    });
+    doc.text(MARGIN + 545, y, matchCaption(match), {
+      size: 8,
+      width: doc.width - 2 * MARGIN - 545,
+    });
+    y += rowHeight;
+  }
+}
+
+/**
+ * The bracket printout: one landscape page per bracket, group tables and
+ * placement games after it.
+ *
+ * @param {Object} tournament
+ * @param {Array} matches  with team1, team2 and winner populated
+ * @param {Array} [standings]  with team populated, for group tables
+ * @returns {Buffer}
+ */
+function bracketPdf(tournament, matches, standings) {
+  const doc = new PdfDocument({
+    size: 'letter-landscape',
+    title: `${tournament.name} bracket`,
+  });
+
+  const sections = bracketSections(tournament, matches, standings);
+  if (!sections.length) {
+    drawHeader(doc, tournament, 'Bracket');
+    doc.text(MARGIN, TOP, 'No matches have been generated yet.', {
+      size: 11,
+    });
+  }
+  for (const section of sections) {
+    if (section.kind === 'groups') drawGroups(doc, tournament, section);
+    else if (section.kind === 'list') drawList(doc, tournament, section);
+    else drawBracket(doc, tournament, section);
+  }
+
+  return doc.toBuffer();
+}
+
+module.exports = {
+  bracketSections,
+  bracketPdf,
+  scheduleCsv,
+  teamCalendar,
+};
@@ -0,0 +1,399 @@
+// services/tournament-scheduler.js
+//
+// Places tournament matches on courts and time slots. Matches are taken in
+// bracket order and each one goes into the earliest slot that satisfies
+// every constraint:
+//   - the court is open (availability windows) and not blacked out
+//   - both teams have had their minimum rest since their previous game
+//   - no coach of either team is on another court at the same time
+//   - grade time rules ("no 3rd grade games before 9:00")
+//   - a bracket match starts after the matches that feed it
+//   - a team or coach moving between venues gets the travel buffer
+// Matches that fit nowhere are returned with the reasons that ruled out the
+// candidate slots, most frequent first.
+
+const MINUTE_MS = 60 * 1000;
+
+const REASONS = {
+  COURT_CLOSED: 'Court not open at this time',
+  COURT_BLACKOUT: 'Court blacked out',
+  COURT_TAKEN: 'Court already in use',
+  TEAM_REST: 'Team would not get its minimum rest',
+  COACH_CONFLICT: 'A coach has another game at this time',
+  TRAVEL_TIME: 'Not enough time to travel from another venue',
+  GRADE_TIME: 'Outside the allowed game times for the grade',
+  FEEDER_MATCH: 'Must start after the games that decide its teams',
+  NO_SLOTS: 'No time slots in the scheduling window',
+};
+
+const idOf = (value) => String(value?._id || value);
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+// "09:30" -> minutes after midnight
+function parseTimeOfDay(value) {
+  const [hours, minutes] = String(value).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+}
+
+const minutesOfDay = (date) => date.getHours() * 60 + date.getMinutes();
+
+// "3", "3rd", "3rd Grade" -> "3"; anything else is compared as written
+function normalizeGrade(grade) {
+  const match = String(grade ?? '').match(/\d+/);
+  return match
+    ? match[0]
+    : String(grade ?? '')
+        .trim()
+        .toLowerCase();
+}
+
+function toInterval(entry) {
+  return { ...entry, start: new Date(entry.start), end: new Date(entry.end) };
+}
+
+// Courts of different venues may share a name
+const courtKey = (name, venue) => (venue ? `${idOf(venue)}:${name}` : name);
+
+/**
+ * Courts as `{ name, venue, venueName, windows, blackouts }`. Accepts plain
+ * names as well; tournament-wide blackouts apply to the venues and courts
+ * they list, or to all.
+ */
+function normalizeCourts(courts, blackouts = []) {
+  return courts.map((court) => {
+    const name = typeof court === 'string' ? court : court.name;
+    const own = typeof court === 'string' ? {} : court;
+    const venue = own.venue ? idOf(own.venue) : null;
+    const applies = (b) =>
+      (!b.courts || !b.courts.length || b.courts.includes(name)) &&
+      (!b.venues || !b.venues.length || b.venues.map(idOf).includes(venue));
+
+    return {
+      name,
+      key: courtKey(name, venue),
+      venue,
+      venueName: own.venueName,
+      windows: (own.windows || own.availability || []).map(toInterval),
+      blackouts: [...(own.blackouts || []), ...blackouts.filter(applies)].map(
+        toInterval,
+      ),
+    };
+  });
+}
+
+/**
+ * Courts of Venue documents for the days from startDate to endDate, with
+ * the venue's opening hours turned into availability windows.
+ */
+function courtsFromVenues(venues, { startDate, endDate }) {
+  return venues.flatMap((venue) => {
+    const windows = [];
+    if (venue.hours?.length) {
+      const day = new Date(startDate);
+      day.setHours(0, 0, 0, 0);
+      const lastDay = new Date(endDate);
+      while (day <= lastDay) {
+        for (const hours of venue.hours) {
+          if (hours.dayOfWeek !== day.getDay()) continue;
+          const start = new Date(day);
+          start.setHours(0, parseTimeOfDay(hours.open), 0, 0);
+          const end = new Date(day);
+          end.setHours(0, parseTimeOfDay(hours.close), 0, 0);
+          windows.push({ start, end });
+        }
+        day.setDate(day.getDate() + 1);
+      }
+      // Open every day of the window but with no hours that match: closed
+      if (!windows.length) windows.push({ start: day, end: day });
+    }
+
+    return (venue.courts || [])
+      .filter((court) => court.isActive !== false)
+      .map((court) => ({
+        name: court.name,
+        venue: venue._id,
+        venueName: venue.name,
+        windows,
+        blackouts: (venue.blackouts || []).filter(
+          (b) => !b.courts?.length || b.courts.includes(court.name),
+        ),
+      }));
+  });
+}
+
+// Slot start times for each day of the window
+function buildSlotTimes({
+  startDate,
+  endDate,
+  startTime,
+  endTime,
+  slotMinutes,
+  matchMinutes,
+}) {
+  const times = [];
+  const dayStart = parseTimeOfDay(startTime);
+  const dayEnd = parseTimeOfDay(endTime);
+  const day = new Date(startDate);
+  const lastDay = new Date(endDate);
+
+  while (day <= lastDay) {
+    for (
+      let minute = dayStart;
+      minute + matchMinutes <= dayEnd;
+      minute += slotMinutes
+    ) {
+      const start = new Date(day);
+      start.setHours(0, minute, 0, 0);
+      times.push(start);
+    }
+    day.setDate(day.getDate() + 1);
+  }
+
+  return times;
+}
+
+function gradeRulesFor(match, rules) {
+  const grades = [match.team1, match.team2]
+    .filter((team) => team && team.grade !== undefined)
+    .map((team) => normalizeGrade(team.grade));
+
+  return rules.filter((rule) =>
+    (rule.grades || []).some((g) => grades.includes(normalizeGrade(g))),
+  );
+}
+
+function fitsGradeRules(slot, rules) {
+  return rules.every((rule) => {
+    if (
+      rule.notBefore &&
+      minutesOfDay(slot.start) < parseTimeOfDay(rule.notBefore)
+    ) {
+      return false;
+    }
+    if (
+      rule.notAfter &&
+      minutesOfDay(slot.end) > parseTimeOfDay(rule.notAfter)
+    ) {
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Work out a schedule.
+ *
+ * @param {Array} matches  Matches to place, teams populated (grade, coachIds)
+ * @param {Object} options
+ * @param {Array} options.courts  Court names or { name, venue, venueName,
+ *   windows, blackouts } (see courtsFromVenues)
+ * @param {Date|String} options.startDate
+ * @param {Date|String} options.endDate
+ * @param {String} options.startTime  "HH:MM", first game of the day
+ * @param {String} options.endTime  "HH:MM", last game must end by then
+ * @param {Number} options.matchDuration  minutes
+ * @param {Number} options.breakDuration  minutes between games on a court
+ * @param {Number} [options.minRestMinutes]  between two games of a team
+ * @param {Array} [options.gradeTimeRules]  [{ grades, notBefore, notAfter }]
+ * @param {Array} [options.blackouts]  [{ start, end, venues, courts, reason }]
+ * @param {Number} [options.travelBufferMinutes]  between two games of a team
+ *   or coach at different venues
+ * @param {Array} [options.fixedMatches]  Matches that keep their time and
+ *   court (in progress or played), teams populated
+ * @param {Map} [options.feeders]  match id -> ids of the matches that feed it
+ * @returns {{ placements: Array<{match, court, venue, venueName, start, end}>,
+ *   unplaced: Array<{match, reasons: Array<{code, message, count}>}> }}
+ */
+function buildSchedule(matches, options) {
+  const matchMinutes = options.matchDuration;
+  const slotMinutes = options.matchDuration + options.breakDuration;
+  const restMs = (options.minRestMinutes ?? 60) * MINUTE_MS;
+  const breakMs = options.breakDuration * MINUTE_MS;
+  const travelMs = (options.travelBufferMinutes || 0) * MINUTE_MS;
+  const gradeTimeRules = options.gradeTimeRules || [];
+  const feeders = options.feeders || new Map();
+
+  const courts = normalizeCourts(options.courts, options.blackouts);
+  const slotTimes = buildSlotTimes({ ...options, slotMinutes, matchMinutes });
+
+  const courtBusy = new Map(courts.map((c) => [c.key, []]));
+  const teamBusy = new Map();
+  const coachBusy = new Map();
+  const matchEnds = new Map();
+
+  const push = (map, key, interval) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(interval);
+  };
+  const coachesOf = (match) =>
+    [match.team1, match.team2]
+      .filter(Boolean)
+      .flatMap((team) => (team.coachIds || []).map(idOf));
+  const teamsOf = (match) =>
+    [match.team1, match.team2].filter(Boolean).map(idOf);
+
+  const book = (match, key, interval) => {
+    if (courtBusy.has(key)) courtBusy.get(key).push(interval);
+    teamsOf(match).forEach((team) => push(teamBusy, team, interval));
+    [...new Set(coachesOf(match))].forEach((coach) =>
+      push(coachBusy, coach, interval),
+    );
+    matchEnds.set(idOf(match), interval.end);
+  };
+
+  for (const match of options.fixedMatches || []) {
+    if (!match.scheduledTime) continue;
+    const start = new Date(match.scheduledTime);
+    const end = new Date(
+      start.getTime() + (match.duration || matchMinutes) * MINUTE_MS,
+    );
+    const venue = match.venueId ? idOf(match.venueId) : null;
+    book(match, courtKey(match.court, venue), { start, end, venue });
+  }
+
+  const placements = [];
+  const unplaced = [];
+
+  for (const match of matches) {
+    const rules = gradeRulesFor(match, gradeTimeRules);
+    const teams = teamsOf(match);
+    const coaches = [...new Set(coachesOf(match))];
+    const reasonCounts = new Map();
+    const reject = (code) =>
+      reasonCounts.set(code, (reasonCounts.get(code) || 0) + 1);
+
+    // A bracket match waits for the matches that decide its teams
+    const feederIds = feeders.get(idOf(match)) || [];
+    const feederEnds = feederIds.map((id) => matchEnds.get(id));
+    const feedersPlaced = feederEnds.every(Boolean);
+    const notBefore = feedersPlaced
+      ? Math.max(0, ...feederEnds.map((end) => end.getTime() + restMs))
+      : Infinity;
+
+    let placement = null;
+
+    for (const start of slotTimes) {
+      const slot = {
+        start,
+        end: new Date(start.getTime() + matchMinutes * MINUTE_MS),
+      };
+
+      if (start.getTime() < notBefore) {
+        reject('FEEDER_MATCH');
+        continue;
+      }
+      if (!fitsGradeRules(slot, rules)) {
+        reject('GRADE_TIME');
+        continue;
+      }
+
+      // Rest counts from the end of a team's previous game to the start of
+      // the next, in both directions
+      const tooClose = teams.some((team) =>
+        (teamBusy.get(team) || []).some(
+          (busy) =>
+            slot.start.getTime() < busy.end.getTime() + restMs &&
+            busy.start.getTime() < slot.end.getTime() + restMs,
+        ),
+      );
+      if (tooClose) {
+        reject('TEAM_REST');
+        continue;
+      }
+
+      // Coaches need the break to get from one court to the other
+      const coachClash = coaches.some((coach) =>
+        (coachBusy.get(coach) || []).some(
+          (busy) =>
+            slot.start.getTime() < busy.end.getTime() + breakMs &&
+            busy.start.getTime() < slot.end.getTime() + breakMs,
+        ),
+      );
+      if (coachClash) {
+        reject('COACH_CONFLICT');
+        continue;
+      }
+
+      // Games at another venue need the travel buffer instead of the
+      // break (coaches) or the rest (teams) when that is longer
+      const travelClash = (court) =>
+        travelMs > 0 &&
+        [
+          ...teams.map((team) => teamBusy.get(team)),
+          ...coaches.map((coach) => coachBusy.get(coach)),
+        ].some((busy = []) =>
+          busy.some(
+            (other) =>
+              other.venue &&
+              court.venue &&
+              other.venue !== court.venue &&
+              slot.start.getTime() < other.end.getTime() + travelMs &&
+              other.start.getTime() < slot.end.getTime() + travelMs,
+          ),
+        );
+
+      for (const court of courts) {
+        if (
+          court.windows.length &&
+          !court.windows.some((w) => w.start <= slot.start && slot.end <= w.end)
+        ) {
+          reject('COURT_CLOSED');
+          continue;
+        }
+        if (court.blackouts.some((b) => overlaps(b, slot))) {
+          reject('COURT_BLACKOUT');
+          continue;
+        }
+        if (courtBusy.get(court.key).some((busy) => overlaps(busy, slot))) {
+          reject('COURT_TAKEN');
+          continue;
+        }
+        if (travelClash(court)) {
+          reject('TRAVEL_TIME');
+          continue;
+        }
+        placement = {
+          match,
+          court: court.name,
+          venue: court.venue,
+          venueName: court.venueName,
+          key: court.key,
+          ...slot,
+        };
+        break;
+      }
+
+      if (placement) break;
+    }
+
+    if (placement) {
+      const { key, ...placed } = placement;
+      book(match, key, {
+        start: placed.start,
+        end: placed.end,
+        venue: placed.venue,
+      });
+      placements.push(placed);
+      continue;
+    }
+
+    if (!slotTimes.length) reject('NO_SLOTS');
+    unplaced.push({
+      match,
+      reasons: [...reasonCounts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .map(([code, count]) => ({ code, message: REASONS[code], count })),
+    });
+  }
+
+  return { placements, unplaced };
+}
+
+module.exports = {
+  REASONS,
+  buildSchedule,
+  normalizeCourts,
+  courtsFromVenues,
+  normalizeGrade,
+};
@@ -0,0 +1,338 @@
+// services/tournament-seeding.js
+//
+// Orders a tournament's teams into seeds (1 = strongest) and places them in
+// a bracket so that seed 1 meets seed N in round one, the top two seeds can
+// only meet in the final and any byes go to the top seeds.
+const Standing = require('../models/Standing');
+
+const SEEDING_STRATEGIES = [
+  'registration',
+  'manual',
+  'standings',
+  'group-ranks',
+  'random',
+];
+
+function seedingError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_SEEDING';
+  return error;
+}
+
+const idOf = (team) => String(team?._id || team);
+
+/**
+ * A copy of `items` in random order (Fisher–Yates), every order equally
+ * likely.
+ */
+function shuffle(items, random = Math.random) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Seed number for every slot of a bracket of `size` (a power of two), in
+ * slot order: 8 -> [1, 8, 4, 5, 2, 7, 3, 6].
+ */
+function bracketSlotOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const total = order.length * 2 + 1;
+    order = order.flatMap((seed) => [seed, total - seed]);
+  }
+  return order;
+}
+
+/**
+ * Place teams already in seed order into bracket slots. Returns one entry
+ * per slot, `{ team, seed }`, or null where the slot is a bye.
+ */
+function placeSeeds(teams) {
+  const size = Math.pow(2, Math.ceil(Math.log2(Math.max(teams.length, 2))));
+  return bracketSlotOrder(size).map((seed) =>
+    seed <= teams.length ? { team: teams[seed - 1], seed } : null,
+  );
+}
+
+/**
+ * Split teams in seed order over `groupCount` groups in snake order
+ * (A B C C B A ...) so the top seeds land in different groups.
+ */
+function snakeGroups(teams, groupCount) {
+  const groups = Array.from({ length: groupCount }, () => []);
+  teams.forEach((team, i) => {
+    const pass = Math.floor(i / groupCount);
+    const index = i % groupCount;
+    groups[pass % 2 === 0 ? index : groupCount - 1 - index].push(team);
+  });
+  return groups;
+}
+
+// Best record first: win percentage, then point differential and points
+// scored per game
+function compareRecords(a, b) {
+  const pct = (s) => (s.played ? (s.wins + s.draws / 2) / s.played : 0);
+  const perGame = (value, s) => (s.played ? value / s.played : 0);
+
+  return (
+    pct(b) - pct(a) ||
+    perGame(b.pointsFor - b.pointsAgainst, b) -
+      perGame(a.pointsFor - a.pointsAgainst, a) ||
+    perGame(b.pointsFor, b) - perGame(a.pointsFor, a)
+  );
+}
+
+// Teams with a standing first (best first), the rest in registration order
+function orderByStandings(teams, standingsByTeam, compare) {
+  const ranked = teams
+    .filter((team) => standingsByTeam.has(idOf(team)))
+    .sort((a, b) =>
+      compare(standingsByTeam.get(idOf(a)), standingsByTeam.get(idOf(b))),
+    );
+  const unranked = teams.filter((team) => !standingsByTeam.has(idOf(team)));
+  return [...ranked, ...unranked];
+}
+
+/**
+ * Each team's standing in a previous tournament: the given one, or
+ * otherwise the most recent tournament the team has standings in.
+ */
+async function findPreviousStandings(tournament, teams, sourceTournamentId) {
+  const query = {
+    team: { $in: teams.map(idOf) },
+    tournament: sourceTournamentId || { $ne: tournament._id },
+  };
+  const standings = await Standing.find(query)
+    .populate('tournament', 'endDate')
+    .lean();
+
+  const byTeam = new Map();
+  for (const standing of standings) {
+    const key = idOf(standing.team);
+    const current = byTeam.get(key);
+    const endDate = new Date(standing.tournament?.endDate || 0);
+    if (!current || endDate > new Date(current.tournament?.endDate || 0)) {
+      byTeam.set(key, standing);
+    }
+  }
+  return byTeam;
+}
+
+// Group winners first, then runners-up and so on; equal ranks by record
+async function findGroupStandings(tournament, teams) {
+  const standings = await Standing.find({
+    tournament: tournament._id,
+    team: { $in: teams.map(idOf) },
+    group: { $exists: true, $ne: null },
+  }).lean();
+
+  return new Map(standings.map((s) => [idOf(s.team), s]));
+}
+
+function compareGroupRanks(a, b) {
+  const rank = (s) => (s.rank > 0 ? s.rank : Number.MAX_SAFE_INTEGER);
+  return rank(a) - rank(b) || compareRecords(a, b);
+}
+
+// Where two teams of the same group meet in the first round, swap the
+// lower one with a team of the same group rank from another match
+function avoidGroupRematches(slots) {
+  for (let i = 0; i < slots.length; i += 2) {
+    const [first, second] = [slots[i], slots[i + 1]];
+    if (!first || !second || first.group !== second.group) continue;
+
+    for (let j = 1; j < slots.length; j += 2) {
+      const other = slots[j];
+      const partner = slots[j - 1];
+      if (
+        j !== i + 1 &&
+        other &&
+        other.groupRank === second.groupRank &&
+        other.group !== first.group &&
+        partner?.group !== second.group
+      ) {
+        slots[i + 1] = other;
+        slots[j] = second;
+        break;
+      }
+    }
+  }
+  return slots;
+}
+
+/**
+ * First round slots for a knockout fed by group qualifiers. `groups` is
+ * `[{ name, standings }]` with each group's qualifying standings in rank
+ * order. With an even number of groups sending the same number of teams
+ * the draw is crossed (A1 v B2, B1 v A2, ...) and teams from the same
+ * group are kept in opposite halves. Otherwise the qualifiers are seeded by
+ * group rank and then record, like the group-ranks strategy.
+ *
+ * Returns slots like placeSeeds, with a `label` such as "A1" on each entry.
+ */
+function crossSeedGroups(groups) {
+  const perGroup = groups[0]?.standings.length || 0;
+  const total = groups.length * perGroup;
+  const entry = (group, rank) => ({
+    team: group.standings[rank - 1].team,
+    seed: rank,
+    label: `${group.name}${rank}`,
+    group: group.name,
+    groupRank: rank,
+  });
+
+  const regular =
+    groups.length % 2 === 0 &&
+    groups.every((g) => g.standings.length === perGroup) &&
+    (perGroup === 1 || perGroup % 2 === 0) &&
+    total >= 2 &&
+    Number.isInteger(Math.log2(total));
+
+  if (!regular) {
+    const qualifiers = groups
+      .flatMap((group) =>
+        group.standings.map((standing, i) => ({
+          standing,
+          entry: entry(group, i + 1),
+        })),
+      )
+      .sort(
+        (a, b) =>
+          a.entry.seed - b.entry.seed || compareRecords(a.standing, b.standing),
+      );
+    return avoidGroupRematches(
+      placeSeeds(qualifiers).map((slot) =>
+        slot ? { ...slot.team.entry, seed: slot.seed } : null,
+      ),
+    );
+  }
+
+  const top = [];
+  const bottom = [];
+  for (let p = 0; p < groups.length; p += 2) {
+    const x = groups[p];
+    const y = groups[p + 1];
+
+    if (perGroup === 1) {
+      top.push([entry(x, 1), entry(y, 1)]);
+      continue;
+    }
+
+    for (let rank = 1; rank <= perGroup / 2; rank++) {
+      const opponent = perGroup + 1 - rank;
+      const xMatch = [entry(x, rank), entry(y, opponent)];
+      const yMatch = [entry(y, rank), entry(x, opponent)];
+      if (rank % 2 === 1) {
+        top.push(xMatch);
+        bottom.push(yMatch);
+      } else {
+        top.push(yMatch);
+        bottom.push(xMatch);
+      }
+    }
+  }
+
+  return [...top, ...bottom].flat();
+}
+
+function orderByManualSeeds(teams, seeds) {
+  const registered = new Set(teams.map(idOf));
+  const seenTeams = new Set();
+  const seenSeeds = new Set();
+
+  for (const entry of seeds) {
+    const team = idOf(entry.team);
+    const seed = Number(entry.seed);
+    if (!registered.has(team)) {
+      throw seedingError(`Team ${team} is not registered for this tournament`);
+    }
+    if (!Number.isInteger(seed) || seed < 1) {
+      throw seedingError(`Invalid seed ${entry.seed} for team ${team}`);
+    }
+    if (seenTeams.has(team)) {
+      throw seedingError(`Team ${team} is seeded more than once`);
+    }
+    if (seenSeeds.has(seed)) {
+      throw seedingError(`Seed ${seed} is assigned to more than one team`);
+    }
+    seenTeams.add(team);
+    seenSeeds.add(seed);
+  }
+
+  const seedOf = new Map(seeds.map((e) => [idOf(e.team), Number(e.seed)]));
+  const seeded = teams
+    .filter((team) => seedOf.has(idOf(team)))
+    .sort((a, b) => seedOf.get(idOf(a)) - seedOf.get(idOf(b)));
+  const unseeded = teams.filter((team) => !seedOf.has(idOf(team)));
+  return [...seeded, ...unseeded];
+}
+
+/**
+ * Order teams by seed for a strategy.
+ *
+ * @param {Object} tournament
+ * @param {Array} teams  Registered teams (documents or ids), registration order
+ * @param {Object} [options]
+ * @param {String} [options.strategy]  One of SEEDING_STRATEGIES, defaults to
+ *   tournament.seedingStrategy
+ * @param {Array<{team, seed}>} [options.seeds]  Manual seeds, defaults to
+ *   tournament.seeds
+ * @param {*} [options.sourceTournamentId]  Tournament to seed from for the
+ *   standings strategy
+ * @returns {Promise<Array>} teams, seed 1 first
+ */
+async function seedTeams(tournament, teams, options = {}) {
+  const strategy =
+    options.strategy || tournament.seedingStrategy || 'registration';
+
+  switch (strategy) {
+    case 'registration':
+      return [...teams];
+
+    case 'random':
+      return shuffle(teams);
+
+    case 'manual': {
+      const seeds = options.seeds || tournament.seeds || [];
+      if (!seeds.length) {
+        throw seedingError('Manual seeding needs a seed for at least one team');
+      }
+      return orderByManualSeeds(teams, seeds);
+    }
+
+    case 'standings':
+      return orderByStandings(
+        teams,
+        await findPreviousStandings(
+          tournament,
+          teams,
+          options.sourceTournamentId,
+        ),
+        compareRecords,
+      );
+
+    case 'group-ranks':
+      return orderByStandings(
+        teams,
+        await findGroupStandings(tournament, teams),
+        compareGroupRanks,
+      );
+
+    default:
+      throw seedingError(`Unknown seeding strategy ${strategy}`);
+  }
+}
+
+module.exports = {
+  SEEDING_STRATEGIES,
+  shuffle,
+  bracketSlotOrder,
+  placeSeeds,
+  snakeGroups,
+  crossSeedGroups,
+  seedTeams,
+};
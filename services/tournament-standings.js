@@ -0,0 +1,328 @@
+// services/tournament-standings.js
+//
+// Ranks group tables. Teams are ordered by points; teams level on points
+// are separated by the tournament's tiebreakers, applied in the configured
+// order. As soon as a tiebreaker splits a tie, any teams still level are
+// ranked again from the first tiebreaker using only the games between them
+// (a mini-league), so three-way ties are resolved the same way as two-way
+// ones.
+const Match = require('../models/Match');
+const Standing = require('../models/Standing');
+
+const TIEBREAKERS = [
+  'head-to-head',
+  'point-differential',
+  'points-for',
+  'points-allowed',
+  'fewest-forfeits',
+  'coin-flip',
+];
+
+const DEFAULT_TIEBREAKERS = [
+  'head-to-head',
+  'point-differential',
+  'points-for',
+];
+
+const FINISHED_STATUSES = ['completed', 'walkover'];
+
+const idOf = (team) => String(team?._id || team);
+
+// Mini-league among the tied teams only: [points, point differential]
+function headToHead(cluster, matches, scoring) {
+  const ids = new Set(cluster.map((s) => idOf(s.team)));
+  const table = new Map(cluster.map((s) => [idOf(s.team), [0, 0]]));
+
+  const record = (team, points, diff) => {
+    const row = table.get(team);
+    row[0] += points;
+    row[1] += diff;
+  };
+
+  for (const match of matches) {
+    const team1 = idOf(match.team1);
+    const team2 = idOf(match.team2);
+    if (!ids.has(team1) || !ids.has(team2)) continue;
+
+    // A forfeit is decided by its winner; its score only counts when the
+    // tournament says so. In a double forfeit both sides lose.
+    const forfeited = match.status === 'walkover';
+    if (forfeited && match.doubleForfeit) {
+      record(team1, scoring.forfeitLoss, 0);
+      record(team2, scoring.forfeitLoss, 0);
+      continue;
+    }
+    if (forfeited && !match.winner) continue;
+    const diff =
+      forfeited && !scoring.forfeitsInTiebreakers
+        ? 0
+        : match.team1Score - match.team2Score;
+
+    if (!forfeited && diff === 0) {
+      record(team1, scoring.pointsPerDraw, 0);
+      record(team2, scoring.pointsPerDraw, 0);
+    } else {
+      // The side that forfeited gets the forfeit points, as in the table
+      const team1Won = forfeited ? idOf(match.winner) === team1 : diff > 0;
+      const loss = forfeited ? scoring.forfeitLoss : scoring.pointsPerLoss;
+      record(team1, team1Won ? scoring.pointsPerWin : loss, diff);
+      record(team2, team1Won ? loss : scoring.pointsPerWin, -diff);
+    }
+  }
+
+  return table;
+}
+
+// Walkovers a team lost, double forfeits included
+function countForfeits(standing, matches) {
+  const team = idOf(standing.team);
+  return matches.filter(
+    (m) =>
+      m.status === 'walkover' &&
+      (m.doubleForfeit
+        ? [idOf(m.team1), idOf(m.team2)].includes(team)
+        : m.loser && idOf(m.loser) === team),
+  ).length;
+}
+
+// Value of a tiebreaker for every team in a tied cluster, as an array
+// compared element by element; higher is better
+function tiebreakerValues(tiebreaker, cluster, matches, scoring) {
+  const each = (valueOf) =>
+    new Map(cluster.map((s) => [idOf(s.team), valueOf(s)]));
+
+  switch (tiebreaker) {
+    case 'head-to-head':
+      return headToHead(cluster, matches, scoring);
+    case 'point-differential':
+      return each((s) => [s.pointsFor - s.pointsAgainst]);
+    case 'points-for':
+      return each((s) => [s.pointsFor]);
+    case 'points-allowed':
+      return each((s) => [-s.pointsAgainst]);
+    case 'fewest-forfeits':
+      return each((s) => [-countForfeits(s, matches)]);
+    case 'coin-flip':
+      // An order set by the tournament director wins over the drawn lots
+      return each((s) => [
+        -(s.tiebreakOrder || Number.MAX_SAFE_INTEGER),
+        s.coinFlip || 0,
+      ]);
+    default:
+      return each(() => [0]);
+  }
+}
+
+function compareValues(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return b[i] - a[i];
+  }
+  return 0;
+}
+
+// Split standings sorted by `valueOf` (best first) into runs of equal value
+function splitTies(standings, valueOf) {
+  const sorted = [...standings].sort((a, b) =>
+    compareValues(valueOf(a), valueOf(b)),
+  );
+  const clusters = [];
+  for (const standing of sorted) {
+    const last = clusters[clusters.length - 1];
+    if (last && compareValues(valueOf(last[0]), valueOf(standing)) === 0) {
+      last.push(standing);
+    } else {
+      clusters.push([standing]);
+    }
+  }
+  return clusters;
+}
+
+function breakTies(cluster, context) {
+  const { tiebreakers, matches, scoring, decidedBy } = context;
+
+  for (const tiebreaker of tiebreakers) {
+    const values = tiebreakerValues(tiebreaker, cluster, matches, scoring);
+    const clusters = splitTies(cluster, (s) => values.get(idOf(s.team)));
+    if (clusters.length === 1) continue;
+
+    return clusters.flatMap((tied) => {
+      if (tied.length > 1) return breakTies(tied, context);
+      decidedBy.set(idOf(tied[0].team), tiebreaker);
+      return tied;
+    });
+  }
+
+  // Nothing separates them: they share the position
+  cluster.forEach((s) => decidedBy.set(idOf(s.team), null));
+  return cluster;
+}
+
+/**
+ * Order a group's standings.
+ *
+ * @param {Array} standings  Standing documents (or plain objects with team,
+ *   points, pointsFor and pointsAgainst) of one group
+ * @param {Array} matches  Finished matches of that group
+ * @param {Object} settings  Tournament settings (points per result and
+ *   tiebreakers)
+ * @returns {Array<{standing, decidedBy}>} first place first. decidedBy is
+ *   'points', the tiebreaker that settled the position, or null when the
+ *   team is still level with another one.
+ */
+function rankStandings(standings, matches, settings = {}) {
+  const pointsPerLoss = settings.pointsPerLoss ?? 0;
+  const context = {
+    scoring: {
+      pointsPerWin: settings.pointsPerWin ?? 3,
+      pointsPerDraw: settings.pointsPerDraw ?? 1,
+      pointsPerLoss,
+      forfeitLoss: settings.forfeit?.loserPoints ?? pointsPerLoss,
+      forfeitsInTiebreakers: settings.forfeit?.countInTiebreakers !== false,
+    },
+    tiebreakers: settings.tiebreakers?.length
+      ? settings.tiebreakers
+      : DEFAULT_TIEBREAKERS,
+    matches,
+    decidedBy: new Map(),
+  };
+
+  return splitTies(standings, (s) => [s.points])
+    .flatMap((cluster) => {
+      if (cluster.length > 1) return breakTies(cluster, context);
+      context.decidedBy.set(idOf(cluster[0].team), 'points');
+      return cluster;
+    })
+    .map((standing) => ({
+      standing,
+      decidedBy: context.decidedBy.get(idOf(standing.team)),
+    }));
+}
+
+/**
+ * Recompute the ranks of one group and save them on the Standing records.
+ */
+async function updateGroupRanks(tournament, group) {
+  const [standings, matches] = await Promise.all([
+    Standing.find({ tournament: tournament._id, group }),
+    Match.find({
+      tournament: tournament._id,
+      group,
+      status: { $in: FINISHED_STATUSES },
+    }).lean(),
+  ]);
+
+  // Lots are drawn once so a coin flip does not change on every update
+  if ((tournament.settings?.tiebreakers || []).includes('coin-flip')) {
+    for (const standing of standings) {
+      if (standing.coinFlip === undefined || standing.coinFlip === null) {
+        standing.coinFlip = Math.random();
+      }
+    }
+  }
+
+  const ranked = rankStandings(standings, matches, tournament.settings);
+  for (let i = 0; i < ranked.length; i++) {
+    const { standing, decidedBy } = ranked[i];
+    standing.rank = i + 1;
+    standing.decidedBy = decidedBy;
+    if (standing.isModified()) await standing.save();
+  }
+
+  return ranked.map((entry) => entry.standing);
+}
+
+/**
+ * Count a group's table again from its finished matches, then rank it.
+ * Forfeits are won by the team that did not forfeit, whatever the score;
+ * the team that forfeited gets settings.forfeit.loserPoints (or the points
+ * for a loss), as do both teams of a double forfeit, and the forfeit score
+ * only adds to points for and against when
+ * settings.forfeit.countInTiebreakers is not false.
+ */
+async function rebuildGroupStandings(tournament, group) {
+  const settings = tournament.settings || {};
+  const pointsPerWin = settings.pointsPerWin ?? 3;
+  const pointsPerDraw = settings.pointsPerDraw ?? 1;
+  const pointsPerLoss = settings.pointsPerLoss ?? 0;
+  const forfeitLoss = settings.forfeit?.loserPoints ?? pointsPerLoss;
+  const forfeitScores = settings.forfeit?.countInTiebreakers !== false;
+
+  const [standings, matches] = await Promise.all([
+    Standing.find({ tournament: tournament._id, group }),
+    Match.find({
+      tournament: tournament._id,
+      group,
+      status: { $in: FINISHED_STATUSES },
+    }).lean(),
+  ]);
+
+  const rows = new Map(standings.map((s) => [idOf(s.team), s]));
+  for (const standing of rows.values()) {
+    standing.set({
+      played: 0,
+      wins: 0,
+      losses: 0,
+      draws: 0,
+      pointsFor: 0,
+      pointsAgainst: 0,
+      pointsDifference: 0,
+      points: 0,
+    });
+  }
+  const rowOf = (team) => {
+    if (!rows.has(idOf(team))) {
+      rows.set(
+        idOf(team),
+        new Standing({ tournament: tournament._id, team, group }),
+      );
+    }
+    return rows.get(idOf(team));
+  };
+
+  for (const match of matches) {
+    if (!match.team1 || !match.team2) continue;
+    const forfeited = match.status === 'walkover';
+    if (forfeited && !match.winner && !match.doubleForfeit) continue;
+
+    const sides = [
+      [match.team1, match.team1Score || 0, match.team2Score || 0],
+      [match.team2, match.team2Score || 0, match.team1Score || 0],
+    ];
+    for (const [team, scored, allowed] of sides) {
+      const standing = rowOf(team);
+      standing.played += 1;
+
+      if (forfeited ? idOf(match.winner) === idOf(team) : scored > allowed) {
+        standing.wins += 1;
+        standing.points += pointsPerWin;
+      } else if (!forfeited && scored === allowed) {
+        standing.draws += 1;
+        standing.points += pointsPerDraw;
+      } else {
+        standing.losses += 1;
+        standing.points += forfeited ? forfeitLoss : pointsPerLoss;
+      }
+
+      if (!forfeited || forfeitScores) {
+        standing.pointsFor += scored;
+        standing.pointsAgainst += allowed;
+      }
+      standing.pointsDifference = standing.pointsFor - standing.pointsAgainst;
+    }
+  }
+
+  for (const standing of rows.values()) {
+    if (standing.isNew || standing.isModified()) await standing.save();
+  }
+
+  return updateGroupRanks(tournament, group);
+}
+
+module.exports = {
+  TIEBREAKERS,
+  DEFAULT_TIEBREAKERS,
+  FINISHED_STATUSES,
+  rankStandings,
+  updateGroupRanks,
+  rebuildGroupStandings,
+};
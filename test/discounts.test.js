@@ -0,0 +1,212 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const DiscountRule = require('../models/DiscountRule');
+const Payment = require('../models/Payment');
+const Player = require('../models/Player');
+const {
+  evaluateDiscounts,
+  redeemDiscounts,
+  toPaymentDiscountFields,
+  splitAmount,
+} = require('../services/discounts');
+
+// Active rules the lookup returns, already in priority order
+function stubRules(rules) {
+  mock.method(DiscountRule, 'find', () => ({ sort: async () => rules }));
+}
+
+const rule = (overrides) => ({
+  _id: `rule_${overrides.type}`,
+  name: overrides.type,
+  valueType: 'percent',
+  stackable: true,
+  ...overrides,
+});
+
+const players = (...amounts) =>
+  amounts.map((amountCents, i) => ({
+    itemType: 'player',
+    playerId: `p${i + 1}`,
+    amountCents,
+  }));
+
+describe('discounts', () => {
+  beforeEach(() => {
+    mock.method(Player, 'countDocuments', async () => 0);
+    mock.method(Player, 'exists', async () => null);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('gives the sibling discount to every player but the dearest', async () => {
+    stubRules([rule({ type: 'sibling', value: 10 })]);
+    const pricing = await evaluateDiscounts({
+      program: 'tryout',
+      items: players(10000, 12000, 8000),
+      parent: { _id: 'parent1' },
+      season: 'Spring',
+    });
+
+    assert.equal(pricing.subtotalCents, 30000);
+    assert.equal(pricing.discountCents, 1800);
+    assert.equal(pricing.totalCents, 28200);
+    assert.deepEqual(
+      pricing.items.map((item) => item.discountCents),
+      [1000, 0, 800],
+    );
+  });
+
+  it('stacks stackable rules on what the previous ones left', async () => {
+    stubRules([
+      rule({ type: 'sibling', value: 50 }),
+      rule({ type: 'early_bird', valueType: 'fixed', value: 10 }),
+    ]);
+    const pricing = await evaluateDiscounts({
+      program: 'tryout',
+      items: players(10000, 10000),
+      parent: { _id: 'parent1' },
+      season: 'Spring',
+      registrationDeadline: new Date(Date.now() + 86400000),
+    });
+
+    // Second player: 50% off $100, then $10 off each player
+    assert.equal(pricing.discountCents, 5000 + 1000 + 1000);
+  });
+
+  it('uses a non-stackable rule only when it saves more on its own', async () => {
+    stubRules([
+      rule({ type: 'sibling', value: 10 }),
+      rule({ type: 'staff_comp', value: 100, stackable: false }),
+    ]);
+    const coach = await evaluateDiscounts({
+      program: 'tryout',
+      items: players(10000, 10000),
+      parent: { _id: 'parent1', role: 'coach' },
+      season: 'Spring',
+    });
+    assert.equal(coach.totalCents, 0);
+    assert.deepEqual(
+      coach.discounts.map((d) => d.type),
+      ['staff_comp', 'staff_comp'],
+    );
+
+    const family = await evaluateDiscounts({
+      program: 'tryout',
+      items: players(10000, 10000),
+      parent: { _id: 'parent2' },
+      season: 'Spring',
+    });
+    assert.equal(family.discountCents, 1000);
+  });
+
+  it('rejects promo codes that are unknown or used up', async () => {
+    stubRules([
+      rule({ type: 'promo_code', code: 'SPRING', value: 20, maxUses: 5 }),
+    ]);
+    await assert.rejects(
+      evaluateDiscounts({
+        program: 'form',
+        items: [{ itemType: 'form', amountCents: 5000 }],
+        promoCode: 'nope',
+      }),
+      (error) => error.code === 'INVALID_PROMO_CODE',
+    );
+
+    stubRules([
+      rule({
+        type: 'promo_code',
+        code: 'SPRING',
+        value: 20,
+        maxUses: 5,
+        usesCount: 5,
+      }),
+    ]);
+    await assert.rejects(
+      evaluateDiscounts({
+        program: 'form',
+        items: [{ itemType: 'form', amountCents: 5000 }],
+        promoCode: 'spring',
+      }),
+      /reached its limit/,
+    );
+  });
+
+  it('limits promo codes per parent', async () => {
+    stubRules([
+      rule({
+        type: 'promo_code',
+        code: 'ONCE',
+        value: 20,
+        maxUsesPerParent: 1,
+      }),
+    ]);
+    mock.method(Payment, 'countDocuments', async () => 1);
+    await assert.rejects(
+      evaluateDiscounts({
+        program: 'general',
+        items: [{ itemType: 'general', amountCents: 5000 }],
+        parent: { _id: 'parent1' },
+        promoCode: 'ONCE',
+      }),
+      /already been used/,
+    );
+  });
+
+  it('counts a promo use only while the limit allows it', async () => {
+    const calls = [];
+    mock.method(DiscountRule, 'findOneAndUpdate', async (filter) => {
+      calls.push(filter._id);
+      return null;
+    });
+    await assert.rejects(
+      redeemDiscounts({
+        discounts: [
+          { type: 'promo_code', ruleId: 'r1' },
+          { type: 'promo_code', ruleId: 'r1' },
+          { type: 'sibling', ruleId: 'r2' },
+        ],
+      }),
+      (error) => error.code === 'DISCOUNT_UNAVAILABLE',
+    );
+    assert.deepEqual(calls, ['r1']);
+  });
+
+  it('converts a pricing to Payment fields in dollars', () => {
+    assert.deepEqual(
+      toPaymentDiscountFields({
+        subtotalCents: 12000,
+        discountCents: 2050,
+        discounts: [
+          {
+            ruleId: 'r1',
+            name: 'Spring promo',
+            type: 'promo_code',
+            code: 'SPRING',
+            amountCents: 2050,
+            itemIndex: 0,
+          },
+        ],
+      }),
+      {
+        subtotal: 120,
+        discountTotal: 20.5,
+        discounts: [
+          {
+            ruleId: 'r1',
+            name: 'Spring promo',
+            type: 'promo_code',
+            code: 'SPRING',
+            amount: 20.5,
+            playerId: undefined,
+            teamId: undefined,
+          },
+        ],
+      },
+    );
+  });
+
+  it('splits a total evenly with leftover cents on the first item', () => {
+    assert.deepEqual(splitAmount(10001, 3), [3335, 3333, 3333]);
+  });
+});
@@ -0,0 +1,182 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { evaluateLogic, logicProblems } = require('../services/form-logic');
+const { splitSteps } = require('../services/form-wizard');
+
+const when = (field, operator, value) => ({
+  match: 'all',
+  groups: [{ match: 'all', conditions: [{ field, operator, value }] }],
+});
+
+describe('form logic', () => {
+  it('hides fields whose show rules fail and drops their answers', () => {
+    const fields = [
+      { id: 'role', name: 'role', type: 'select' },
+      {
+        id: 'team',
+        name: 'team',
+        type: 'text',
+        required: true,
+        conditionalLogic: {
+          rules: [{ ...when('role', 'equals', 'coach'), action: 'show' }],
+        },
+      },
+    ];
+
+    const parent = evaluateLogic(fields, { role: 'parent', team: 'Hawks' });
+    assert.equal(parent.fields.get('team').visible, false);
+    assert.equal(parent.fields.get('team').required, false);
+    assert.equal(parent.values.team, undefined);
+
+    const coach = evaluateLogic(fields, { role: 'coach', team: 'Hawks' });
+    assert.equal(coach.fields.get('team').required, true);
+    assert.equal(coach.values.team, 'Hawks');
+  });
+
+  it('reads the old single condition as a rule', () => {
+    const fields = [
+      { id: 'age', type: 'number' },
+      {
+        id: 'waiver',
+        type: 'checkbox',
+        conditionalLogic: {
+          dependsOn: 'age',
+          condition: 'lessThan',
+          value: 18,
+        },
+      },
+    ];
+    assert.equal(
+      evaluateLogic(fields, { age: 12 }).fields.get('waiver').visible,
+      true,
+    );
+    assert.equal(
+      evaluateLogic(fields, { age: 30 }).fields.get('waiver').visible,
+      false,
+    );
+  });
+
+  it('settles chains where one hidden field hides another', () => {
+    const fields = [
+      { id: 'a', type: 'text' },
+      {
+        id: 'b',
+        type: 'text',
+        conditionalLogic: {
+          rules: [{ ...when('a', 'isNotEmpty'), action: 'show' }],
+        },
+      },
+      {
+        id: 'c',
+        type: 'text',
+        conditionalLogic: {
+          rules: [{ ...when('b', 'isNotEmpty'), action: 'show' }],
+        },
+      },
+    ];
+    const result = evaluateLogic(fields, { b: 'x', c: 'y' });
+    assert.deepEqual(result.values, {});
+    assert.equal(result.fields.get('c').visible, false);
+  });
+
+  it('sets values and prices, and requires fields, when rules hold', () => {
+    const fields = [
+      { id: 'member', type: 'radio' },
+      {
+        id: 'level',
+        type: 'text',
+        conditionalLogic: {
+          rules: [
+            {
+              ...when('member', 'equals', 'yes'),
+              action: 'setValue',
+              value: 'gold',
+            },
+            { ...when('member', 'equals', 'yes'), action: 'require' },
+          ],
+        },
+      },
+      {
+        id: 'fee',
+        type: 'payment',
+        paymentConfig: { amount: 50 },
+        conditionalLogic: {
+          rules: [
+            {
+              ...when('member', 'equals', 'yes'),
+              action: 'setPrice',
+              price: 30,
+            },
+          ],
+        },
+      },
+    ];
+    const result = evaluateLogic(fields, { member: 'yes' });
+    assert.equal(result.values.level, 'gold');
+    assert.equal(result.fields.get('level').required, true);
+    assert.equal(result.fields.get('fee').price, 30);
+    assert.equal(
+      evaluateLogic(fields, { member: 'no' }).fields.get('fee').price,
+      undefined,
+    );
+  });
+
+  it('skips steps and hides the fields on them', () => {
+    const fields = [
+      {
+        id: 'hasTeam',
+        type: 'radio',
+        order: 0,
+        conditionalLogic: {
+          rules: [
+            {
+              ...when('hasTeam', 'equals', 'no'),
+              action: 'skipToPage',
+              page: 3,
+            },
+          ],
+        },
+      },
+      { id: 's2', type: 'section', label: 'Team', order: 1 },
+      { id: 'teamName', type: 'text', required: true, order: 2 },
+      { id: 's3', type: 'section', label: 'Contact', order: 3 },
+      { id: 'phone', type: 'text', order: 4 },
+    ];
+    const steps = splitSteps(fields);
+
+    const skipped = evaluateLogic(
+      fields,
+      { hasTeam: 'no', teamName: 'Old' },
+      { steps },
+    );
+    assert.deepEqual(skipped.path, [0, 2]);
+    assert.equal(skipped.fields.get('teamName').required, false);
+    assert.equal(skipped.values.teamName, undefined);
+
+    const full = evaluateLogic(fields, { hasTeam: 'yes' }, { steps });
+    assert.deepEqual(full.path, [0, 1, 2]);
+  });
+
+  it('reports rules the builder should not save', () => {
+    const problems = logicProblems([
+      { id: 'a', label: 'A', type: 'text' },
+      {
+        id: 'b',
+        label: 'B',
+        type: 'text',
+        conditionalLogic: {
+          rules: [
+            { ...when('missing', 'equals', 1), action: 'show' },
+            { ...when('a', 'near', 1), action: 'setPrice', price: 5 },
+          ],
+        },
+      },
+    ]);
+    assert.deepEqual(problems, [
+      'B: a condition reads "missing", which is not on the form',
+      'B: unknown operator "near"',
+      'B: only payment fields can change price',
+    ]);
+  });
+});
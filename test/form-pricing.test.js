@@ -0,0 +1,217 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  compileFormula,
+  calculateFields,
+  formulaProblems,
+  priceForm,
+  pricingRecord,
+} = require('../services/form-pricing');
+
+const payment = (paymentConfig) => ({
+  id: 'pay',
+  name: 'pay',
+  label: 'Registration',
+  type: 'payment',
+  order: 99,
+  paymentConfig: { currency: 'USD', ...paymentConfig },
+});
+
+describe('form pricing', () => {
+  it('evaluates formulas with precedence, brackets and functions', () => {
+    const run = (formula, values = {}) =>
+      compileFormula(formula).evaluate((ref) => values[ref] ?? 0);
+    assert.equal(run('2 + 3 * 4'), 14);
+    assert.equal(run('(2 + 3) * 4'), 20);
+    assert.equal(run('-{a} + max(1, {b}, 3)', { a: 2, b: 7 }), 5);
+    assert.equal(run('round(10 / 4)'), 3);
+    assert.deepEqual(compileFormula('{a} * {b}').refs, ['a', 'b']);
+    assert.throws(() => compileFormula('2 +'), { code: 'INVALID_FORM_PRICE' });
+    assert.throws(() => compileFormula('2 $ 3'), /unexpected "\$"/);
+  });
+
+  it('calculates fields from answers and from each other', () => {
+    const fields = [
+      { id: 'kids', name: 'kids', type: 'number' },
+      { id: 'extras', name: 'extras', type: 'checkbox', options: [] },
+      {
+        id: 'each',
+        label: 'Each',
+        type: 'calculated',
+        calculation: { formula: '{kids} * 2500' },
+      },
+      {
+        id: 'all',
+        label: 'All',
+        type: 'calculated',
+        calculation: { formula: '{each} + {extras} * 100' },
+      },
+    ];
+    assert.deepEqual(
+      calculateFields(fields, { kids: '3', extras: ['a', 'b'] }),
+      { each: 7500, all: 7700 },
+    );
+  });
+
+  it('reports formulas the builder should not save', () => {
+    const problems = formulaProblems([
+      { id: 'a', label: 'A', type: 'calculated', calculation: {} },
+      {
+        id: 'b',
+        label: 'B',
+        type: 'calculated',
+        calculation: { formula: '{missing} + 1' },
+      },
+    ]);
+    assert.deepEqual(problems, [
+      'A: a calculated field needs a formula',
+      'B: the formula reads "missing", which is not on the form',
+    ]);
+    assert.match(
+      formulaProblems([
+        {
+          id: 'x',
+          label: 'X',
+          type: 'calculated',
+          calculation: { formula: '{y}' },
+        },
+        {
+          id: 'y',
+          label: 'Y',
+          type: 'calculated',
+          calculation: { formula: '{x}' },
+        },
+      ])[0],
+      /calculated from itself/,
+    );
+  });
+
+  it('adds option, checkbox, formula and dated modifiers to the package price', () => {
+    const now = new Date('2026-06-01T00:00:00Z');
+    const form = {
+      fields: [
+        {
+          id: 'size',
+          name: 'size',
+          label: 'Jersey',
+          type: 'select',
+          order: 1,
+          options: [
+            { value: 's', label: 'Small' },
+            { value: 'xl', label: 'XL', priceModifier: { amount: 500 } },
+          ],
+        },
+        {
+          id: 'photo',
+          name: 'photo',
+          label: 'Team photo',
+          type: 'checkbox',
+          order: 2,
+          priceModifier: { amount: 1500 },
+        },
+        {
+          id: 'games',
+          name: 'games',
+          type: 'number',
+          order: 3,
+        },
+        {
+          id: 'refs',
+          label: 'Referee fees',
+          type: 'calculated',
+          order: 4,
+          calculation: { formula: '{games} * 1000', addToTotal: true },
+        },
+        payment({
+          pricingPackages: [
+            { name: 'Single', price: 10000, isEnabled: true },
+            { name: 'Family', price: 18000, isEnabled: true, maxQuantity: 2 },
+          ],
+          priceModifiers: [
+            { label: 'Late fee', amount: 2500, activeFrom: '2026-05-01' },
+            { label: 'Early bird', amount: -1000, activeUntil: '2026-05-01' },
+          ],
+        }),
+      ],
+    };
+
+    const priced = priceForm(
+      form,
+      { size: 'xl', photo: 'on', games: 2 },
+      { packageName: 'Family', quantity: 2, now },
+    );
+    assert.deepEqual(
+      priced.lines.map(({ label, kind, amountCents }) => [
+        label,
+        kind,
+        amountCents,
+      ]),
+      [
+        ['Family × 2', 'base', 36000],
+        ['Jersey: XL', 'option', 500],
+        ['Team photo', 'option', 1500],
+        ['Referee fees', 'formula', 2000],
+        ['Late fee', 'adjustment', 2500],
+      ],
+    );
+    assert.equal(priced.subtotalCents, 42500);
+
+    assert.throws(
+      () => priceForm(form, {}, { packageName: 'Family', quantity: 3, now }),
+      /Maximum quantity for Family is 2/,
+    );
+    assert.throws(
+      () => priceForm(form, {}, { packageName: 'Gold', now }),
+      /valid pricing package/,
+    );
+  });
+
+  it('charges nothing for fields the logic hides and applies setPrice', () => {
+    const when = (value) => ({
+      match: 'all',
+      groups: [
+        {
+          match: 'all',
+          conditions: [{ field: 'member', operator: 'equals', value }],
+        },
+      ],
+    });
+    const form = {
+      fields: [
+        { id: 'member', name: 'member', type: 'radio', order: 0 },
+        {
+          id: 'photo',
+          name: 'photo',
+          label: 'Photo',
+          type: 'checkbox',
+          order: 1,
+          priceModifier: { amount: 1500 },
+          conditionalLogic: { rules: [{ ...when('no'), action: 'show' }] },
+        },
+        {
+          ...payment({ amount: 5000 }),
+          conditionalLogic: {
+            rules: [{ ...when('yes'), action: 'setPrice', price: 3000 }],
+          },
+        },
+      ],
+    };
+
+    const member = priceForm(form, { member: 'yes', photo: true });
+    assert.deepEqual(
+      member.lines.map((line) => line.amountCents),
+      [3000],
+    );
+    const guest = priceForm(form, { member: 'no', photo: true });
+    assert.equal(guest.subtotalCents, 6500);
+  });
+
+  it('keeps the breakdown with the discount taken off', () => {
+    const priced = priceForm({ fields: [payment({ amount: 4000 })] });
+    const record = pricingRecord(priced, 5000);
+    assert.equal(record.subtotalCents, 4000);
+    assert.equal(record.totalCents, 0);
+    assert.equal(record.lines[0].kind, 'base');
+  });
+});
@@ -0,0 +1,218 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('node:stream');
+
+const FormSubmission = require('../models/FormSubmission');
+const FormVersion = require('../models/FormVersion');
+const {
+  submissionQuery,
+  exportColumns,
+  exportRow,
+  streamSubmissionsExport,
+  cleanTags,
+} = require('../services/form-submissions');
+
+const form = {
+  _id: 'f1',
+  title: 'Camp',
+  version: 2,
+  fields: [
+    { id: 'f_name', name: 'player', label: 'Player', type: 'text', order: 1 },
+    { id: 'f_age', name: 'age', label: 'Age', type: 'number', order: 2 },
+    { id: 'f_intro', label: 'About you', type: 'heading', order: 0 },
+    {
+      id: 'f_size',
+      name: 'size',
+      label: 'Shirt',
+      type: 'select',
+      order: 3,
+      options: [{ value: 'm', label: 'Medium' }],
+    },
+  ],
+};
+
+describe('form submissions', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('builds the query from the filters and leaves drafts out', () => {
+    const query = submissionQuery(form, {
+      q: ' Smith (Jr) ',
+      from: '2026-01-01',
+      paymentStatus: 'unpaid',
+      tags: 'vip, late',
+      fields: { player: 'ann', age: { gte: '10' } },
+    });
+
+    assert.deepEqual(query.isDraft, { $ne: true });
+    assert.deepEqual(query.submittedAt, { $gte: new Date('2026-01-01') });
+    assert.deepEqual(query.tags, { $all: ['vip', 'late'] });
+    assert.deepEqual(query.searchText, { $regex: 'smith \\(jr\\)' });
+    assert.deepEqual(query.$and[0], {
+      'payment.status': { $in: ['pending', 'failed'] },
+      'payment.gateway': { $exists: true },
+    });
+    assert.deepEqual(query.$and[1], {
+      $or: [
+        { 'data.f_name': { $in: [/^ann$/i] } },
+        { 'data.player': { $in: [/^ann$/i] } },
+      ],
+    });
+    assert.deepEqual(query.$and[2].$or[1], { 'data.age': { $gte: 10 } });
+  });
+
+  it('matches numbers and booleans as well as text', () => {
+    const { $and } = submissionQuery(form, { fields: { f_age: '12' } });
+    assert.deepEqual($and[0].$or[0]['data.f_age'].$in.slice(1), [12]);
+  });
+
+  it('rejects filters it cannot run', () => {
+    const code = { code: 'INVALID_SUBMISSION_FILTER' };
+    assert.throws(() => submissionQuery(form, { from: 'soon' }), code);
+    assert.throws(() => submissionQuery(form, { paymentStatus: 'x' }), code);
+    assert.throws(
+      () => submissionQuery(form, { fields: { f_intro: 'x' } }),
+      /no field "f_intro"/,
+    );
+    assert.throws(
+      () => submissionQuery(form, { fields: { age: { near: 3 } } }),
+      code,
+    );
+  });
+
+  it('keeps a column for every field any version had', () => {
+    const columns = exportColumns(
+      new Map([
+        [
+          1,
+          [
+            { id: 'a', label: 'Name', type: 'text', order: 0 },
+            { id: 'old', label: 'Club', type: 'text', order: 1 },
+          ],
+        ],
+        [
+          2,
+          [
+            { id: 'b', label: 'Name', type: 'text', order: 0 },
+            { id: 'a', label: 'Full name', type: 'text', order: 1 },
+            { id: 'h', label: 'Intro', type: 'heading', order: 2 },
+          ],
+        ],
+      ]),
+    );
+    assert.deepEqual(
+      columns.map((column) => [column.id, column.label]),
+      [
+        ['b', 'Name'],
+        ['a', 'Full name'],
+        ['old', 'Club'],
+      ],
+    );
+
+    const duplicate = exportColumns(
+      new Map([
+        [
+          1,
+          [
+            { id: 'x', label: 'Phone', type: 'text' },
+            { id: 'y', label: 'Phone', type: 'text' },
+          ],
+        ],
+      ]),
+    );
+    assert.deepEqual(
+      duplicate.map((column) => column.label),
+      ['Phone', 'Phone (2)'],
+    );
+  });
+
+  it('fills a row from the fields of the submission version', () => {
+    const columns = exportColumns(new Map([[2, form.fields]]));
+    const row = exportRow(
+      {
+        _id: 's1',
+        formVersion: 2,
+        status: 'completed',
+        userName: 'Ann',
+        data: new Map([
+          ['player', 'Ann'],
+          ['age', '11'],
+          ['size', 'm'],
+        ]),
+        payment: { gateway: 'square', status: 'completed' },
+        pricing: { totalCents: 4550 },
+        tags: ['vip'],
+        notes: [{ text: 'Paid at the door' }],
+      },
+      form.fields,
+      columns,
+    );
+    assert.deepEqual(row.slice(2), [
+      2,
+      'completed',
+      'Ann',
+      '',
+      'completed',
+      45.5,
+      'vip',
+      'Paid at the door',
+      'Ann',
+      11,
+      'Medium',
+    ]);
+  });
+
+  it('takes the amount from the payment, in dollars, without a pricing record', () => {
+    const columns = exportColumns(new Map([[1, []]]));
+    const row = exportRow(
+      {
+        _id: 's2',
+        status: 'completed',
+        data: new Map(),
+        payment: { gateway: 'square', status: 'completed', amount: 45.5 },
+      },
+      [],
+      columns,
+    );
+    assert.equal(row[7], 45.5);
+  });
+
+  it('streams a CSV export that spreadsheets cannot run formulas from', async () => {
+    mock.method(FormSubmission, 'distinct', async () => [1]);
+    mock.method(FormVersion, 'find', () => ({ lean: async () => [] }));
+    mock.method(FormSubmission, 'find', () => ({
+      sort: () => ({
+        lean: () => ({
+          cursor: async function* () {
+            yield {
+              _id: 's1',
+              submittedAt: new Date('2026-03-01T10:00:00Z'),
+              status: 'completed',
+              userName: '=HYPERLINK("x")',
+              data: { player: 'Ann, "A"', age: -3 },
+            };
+          },
+        }),
+      }),
+    }));
+
+    const output = new PassThrough();
+    let text = '';
+    output.on('data', (chunk) => {
+      text += chunk;
+    });
+    const count = await streamSubmissionsExport(form, {}, output);
+
+    assert.equal(count, 1);
+    const [header, row] = text.replace(/^﻿/, '').split('\r\n');
+    assert.match(header, /^Submission ID,.*,Notes,Player,Age,Shirt$/);
+    assert.equal(
+      row,
+      's1,2026-03-01T10:00:00.000Z,1,completed,"\'=HYPERLINK(""x"")",,,,,,"Ann, ""A""",-3,',
+    );
+  });
+
+  it('cleans tags', () => {
+    assert.deepEqual(cleanTags(' vip,VIP, late '), ['vip', 'late']);
+    assert.throws(() => cleanTags('x'.repeat(41)), /at most 40/);
+  });
+});
@@ -0,0 +1,133 @@
+process.env.RESEND_API_KEY = process.env.RESEND_API_KEY || 're_test';
+
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+
+// Receipts are not sent from tests; the routes keep their own reference
+const email = require('../utils/email');
+email.sendEmail = async () => {};
+
+const Form = require('../models/Form');
+const FormSubmission = require('../models/FormSubmission');
+const FormVersion = require('../models/FormVersion');
+const DiscountRule = require('../models/DiscountRule');
+const LedgerEntry = require('../models/LedgerEntry');
+const Payment = require('../models/Payment');
+const Parent = require('../models/Parent');
+const factory = require('../services/payment-service-factory');
+const {
+  applyProviderContract,
+} = require('../services/payment-provider-contract');
+const { createFakeProvider } = require('../services/fake-payment-provider');
+const formPublicRoutes = require('../routes/formPublic');
+
+const form = new Form({
+  name: 'camp',
+  title: 'Summer camp',
+  status: 'published',
+  version: 1,
+  createdBy: new mongoose.Types.ObjectId(),
+  fields: [
+    { id: 'player', name: 'player', label: 'Player', type: 'text', order: 0 },
+    {
+      id: 'fee',
+      name: 'fee',
+      label: 'Camp fee',
+      type: 'payment',
+      order: 1,
+      paymentConfig: { amount: 5000, currency: 'USD' },
+    },
+  ],
+});
+
+describe('form submit with payment', () => {
+  let server;
+  let url;
+  let provider;
+  let saved;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/forms', formPublicRoutes);
+    server = app.listen(0);
+    url = `http://127.0.0.1:${server.address().port}/api/forms`;
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    mock.restoreAll();
+    mock.method(console, 'log', () => {});
+    saved = { payments: [], submissions: [], ledger: [] };
+
+    provider = applyProviderContract(
+      createFakeProvider({ _id: 'c1', settings: { currency: 'USD' } }),
+    );
+    mock.method(provider, 'processPayment');
+    mock.method(factory, 'getService', async () => provider);
+    mock.method(mongoose, 'startSession', async () => ({
+      startTransaction() {},
+      async commitTransaction() {},
+      async abortTransaction() {},
+      endSession() {},
+    }));
+
+    mock.method(Form, 'findById', async () => form);
+    mock.method(Form, 'findByIdAndUpdate', async () => form);
+    mock.method(FormVersion, 'findOne', async () => ({ version: 1 }));
+    mock.method(DiscountRule, 'find', () => ({ sort: async () => [] }));
+    mock.method(LedgerEntry, 'findOne', () => ({ session: async () => null }));
+    mock.method(LedgerEntry, 'create', async (docs) => {
+      saved.ledger.push(...docs);
+      return docs;
+    });
+    mock.method(Parent, 'updateOne', async () => ({}));
+    mock.method(Payment.prototype, 'save', async function () {
+      saved.payments.push(this);
+      return this;
+    });
+    mock.method(FormSubmission.prototype, 'save', async function () {
+      saved.submissions.push(this);
+      return this;
+    });
+  });
+
+  it('charges the form price in cents, once', async () => {
+    const response = await fetch(`${url}/${form._id}/submit`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ player: 'Ann', paymentToken: 'fake-card-ok' }),
+    });
+    const body = await response.json();
+    assert.equal(response.status, 200, JSON.stringify(body));
+
+    const calls = provider.processPayment.mock.calls;
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].arguments[0].amount, 5000);
+    assert.equal(saved.submissions[0].pricing.totalCents, 5000);
+  });
+
+  it('records and posts the payment in the amount charged', async () => {
+    await fetch(`${url}/${form._id}/submit`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ player: 'Ann', paymentToken: 'fake-card-ok' }),
+    });
+
+    assert.equal(saved.payments[0].amount, 50);
+    const { payment } = saved.submissions.at(-1);
+    assert.equal(payment.amount, 50);
+    assert.equal(payment.subtotal, 50);
+    assert.equal(payment.discountTotal, 0);
+    assert.equal(payment.metadata.unitPrice, 50);
+    const [charge] = saved.ledger;
+    assert.equal(charge.type, 'charge');
+    assert.deepEqual(
+      charge.lines.map((line) => line.debitCents || -line.creditCents),
+      [5000, -5000],
+    );
+  });
+});
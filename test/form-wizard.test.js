@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { takeDraftEmailSlot } = require('../services/form-wizard');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('form drafts', () => {
+  it('limits resume links per recipient', () => {
+    const now = Date.now();
+    for (let i = 0; i < 3; i++) {
+      assert.equal(
+        takeDraftEmailSlot(`10.0.0.${i}`, 'ann@example.com', now),
+        true,
+      );
+    }
+    assert.equal(
+      takeDraftEmailSlot('10.0.0.9', 'ANN@example.com ', now),
+      false,
+    );
+    assert.equal(takeDraftEmailSlot('10.0.0.9', 'bob@example.com', now), true);
+  });
+
+  it('limits resume links per sender IP', () => {
+    const now = Date.now();
+    for (let i = 0; i < 10; i++) {
+      assert.equal(
+        takeDraftEmailSlot('10.0.1.1', `kid${i}@example.com`, now),
+        true,
+      );
+    }
+    assert.equal(
+      takeDraftEmailSlot('10.0.1.1', 'other@example.com', now),
+      false,
+    );
+  });
+
+  it('sends again once the hour has passed', () => {
+    const now = Date.now();
+    for (let i = 0; i < 3; i++) {
+      takeDraftEmailSlot('10.0.2.1', 'cat@example.com', now);
+    }
+    assert.equal(takeDraftEmailSlot('10.0.2.1', 'cat@example.com', now), false);
+    assert.equal(
+      takeDraftEmailSlot('10.0.2.1', 'cat@example.com', now + HOUR),
+      true,
+    );
+  });
+});
@@ -0,0 +1,182 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { idempotency } = require('../middleware/idempotency');
+const {
+  applyProviderContract,
+} = require('../services/payment-provider-contract');
+const { createFakeProvider } = require('../services/fake-payment-provider');
+
+// In-memory stand-in for the IdempotencyKey collection
+const keys = new Map();
+const settled = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+function stubKeys() {
+  mock.method(
+    IdempotencyKey,
+    'findOne',
+    async ({ scope, key }) => keys.get(`${scope}|${key}`) || null,
+  );
+  mock.method(IdempotencyKey, 'create', async (doc) => {
+    const id = `${doc.scope}|${doc.key}`;
+    if (keys.has(id)) throw Object.assign(new Error('dup'), { code: 11000 });
+    const record = { _id: id, status: 'processing', ...doc };
+    keys.set(id, record);
+    return record;
+  });
+  mock.method(IdempotencyKey, 'updateOne', async ({ _id }, { $set }) => {
+    Object.assign(keys.get(_id), $set);
+  });
+  mock.method(IdempotencyKey, 'deleteOne', async ({ _id }) => {
+    keys.delete(_id);
+  });
+}
+
+// A card provider that counts its charges
+const provider = applyProviderContract({
+  type: 'fake',
+  charges: 0,
+  async processPayment() {
+    this.charges += 1;
+    return { id: `pay_${this.charges}`, status: 'COMPLETED' };
+  },
+});
+
+describe('idempotency middleware', () => {
+  let server;
+  let url;
+  let fakeCharges = 0;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.post('/json', idempotency(), (req, res) => {
+      res.status(201).json({ success: true, n: Math.random() });
+    });
+    app.post('/send', idempotency(), (req, res) => {
+      res.send('done');
+    });
+    app.post('/end', idempotency(), (req, res) => {
+      res.status(204).end();
+    });
+    app.post('/throws', idempotency(), async (req, res, next) => {
+      next(new Error('boom'));
+    });
+    app.post('/charge-then-fail', idempotency(), async (req, res) => {
+      await provider.processPayment({ amount: 100 });
+      res.status(500).json({ success: false, error: 'saving failed' });
+    });
+    // The card is charged through the provider, then saving the payment fails
+    const fake = applyProviderContract(createFakeProvider({ _id: 'c1' }));
+    app.post('/charge-then-throw', idempotency(), async (req, res, next) => {
+      try {
+        await fake.processPayment({ sourceId: 'fake-card-ok', amount: 5000 });
+        fakeCharges += 1;
+        throw new Error('Payment validation failed');
+      } catch (error) {
+        next(error);
+      }
+    });
+    app.post('/fail', idempotency(), (req, res) => {
+      res.status(402).json({ success: false });
+    });
+    app.use((error, req, res, next) => res.status(500).send('error'));
+
+    server = app.listen(0);
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    mock.restoreAll();
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    keys.clear();
+    stubKeys();
+  });
+
+  const post = (path, key, body = { email: 'a@b.co' }) =>
+    fetch(`${url}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(key && { 'Idempotency-Key': key }),
+      },
+      body: JSON.stringify(body),
+    });
+
+  it('replays a stored success', async () => {
+    const first = await (await post('/json', 'k1')).json();
+    await settled();
+    const again = await post('/json', 'k1');
+    assert.equal(again.status, 201);
+    assert.equal(again.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(await again.json(), first);
+  });
+
+  it('settles responses ended with send or end', async () => {
+    await post('/send', 'k2');
+    await post('/end', 'k3');
+    await settled();
+    assert.equal(keys.get('email:a@b.co|k2').status, 'completed');
+    assert.equal(keys.get('email:a@b.co|k3').status, 'completed');
+
+    const replay = await post('/send', 'k2');
+    assert.equal(await replay.text(), 'done');
+  });
+
+  it('releases the key when the handler throws', async () => {
+    const response = await post('/throws', 'k4');
+    assert.equal(response.status, 500);
+    await settled();
+    assert.equal(keys.has('email:a@b.co|k4'), false);
+  });
+
+  it('releases the key after a failure without a charge', async () => {
+    await post('/fail', 'k5');
+    await settled();
+    assert.equal(keys.has('email:a@b.co|k5'), false);
+  });
+
+  it('keeps the key when the card was charged before a failure', async () => {
+    const first = await post('/charge-then-fail', 'k6');
+    assert.equal(first.status, 500);
+    await settled();
+    const record = keys.get('email:a@b.co|k6');
+    assert.equal(record.status, 'completed');
+    assert.equal(record.providerPaymentId, 'pay_1');
+
+    const retry = await post('/charge-then-fail', 'k6');
+    assert.equal(retry.status, 500);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    assert.equal(provider.charges, 1);
+  });
+
+  it('refuses to charge again when a step after the charge throws', async () => {
+    const first = await post('/charge-then-throw', 'k8');
+    assert.equal(first.status, 500);
+    await settled();
+    assert.equal(keys.get('email:a@b.co|k8').status, 'completed');
+
+    const retry = await post('/charge-then-throw', 'k8');
+    assert.equal(retry.status, 500);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    assert.equal(fakeCharges, 1);
+  });
+
+  it('rejects a key reused for another request', async () => {
+    await post('/json', 'k7');
+    await settled();
+    const other = await post('/json', 'k7', { email: 'a@b.co', x: 1 });
+    assert.equal(other.status, 422);
+  });
+
+  it('leaves requests without a key alone', async () => {
+    const response = await post('/json');
+    assert.equal(response.status, 201);
+    assert.equal(keys.size, 0);
+  });
+});
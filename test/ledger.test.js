@@ -0,0 +1,266 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const LedgerEntry = require('../models/LedgerEntry');
+const Payment = require('../models/Payment');
+const TicketPurchase = require('../models/TicketPurchase');
+const {
+  postPaymentCharge,
+  postPaymentRefund,
+  postTicketCharge,
+  postTicketRefund,
+  reconcilePayments,
+  backfillLedger,
+} = require('../services/ledger');
+
+// In-memory stand-ins for the LedgerEntry, Payment and TicketPurchase
+// collections
+let entries = [];
+let payments = [];
+let tickets = [];
+let nextId = 0;
+
+const query = (result) => ({ session: async () => result });
+
+function stubModels() {
+  mock.method(LedgerEntry, 'findOne', ({ sourceKey }) =>
+    query(entries.find((entry) => entry.sourceKey === sourceKey) || null),
+  );
+  mock.method(LedgerEntry, 'create', async (docs) =>
+    docs.map((doc) => {
+      const created = { _id: `le_${entries.length + 1}`, ...doc };
+      entries.push(created);
+      return created;
+    }),
+  );
+  mock.method(LedgerEntry, 'distinct', async (field, { sourceKey }) =>
+    entries
+      .map((entry) => entry[field])
+      .filter((key) => sourceKey.$in.includes(key)),
+  );
+  // Processor balance per payment, as the aggregation computes it
+  mock.method(LedgerEntry, 'aggregate', async ([{ $match }]) => {
+    const ids = $match.paymentId.$in.map(String);
+    const rows = new Map();
+    for (const entry of entries) {
+      if (!ids.includes(String(entry.paymentId))) continue;
+      const row = rows.get(String(entry.paymentId)) || {
+        _id: entry.paymentId,
+        balanceCents: 0,
+        entries: [],
+      };
+      for (const line of entry.lines) {
+        if (!line.account.startsWith('processor:')) continue;
+        row.balanceCents += (line.debitCents || 0) - (line.creditCents || 0);
+      }
+      row.entries.push(entry._id);
+      rows.set(String(entry.paymentId), row);
+    }
+    return [...rows.values()];
+  });
+  mock.method(Payment, 'find', () => {
+    const chain = {
+      select: () => chain,
+      sort: () => chain,
+      lean: () => chain,
+      cursor: () => payments[Symbol.iterator](),
+    };
+    return chain;
+  });
+  mock.method(TicketPurchase, 'find', () => {
+    const chain = {
+      sort: () => chain,
+      lean: () => chain,
+      cursor: () => tickets[Symbol.iterator](),
+    };
+    return chain;
+  });
+}
+
+const payment = (overrides = {}) => ({
+  _id: `p${++nextId}`,
+  paymentId: `ext_${nextId}`,
+  paymentSystem: 'clover',
+  paymentType: 'tryout',
+  status: 'completed',
+  amount: 50,
+  refunds: [],
+  ...overrides,
+});
+
+const ticket = (overrides = {}) => ({
+  _id: `t${++nextId}`,
+  paymentId: `sq_${nextId}`,
+  status: 'completed',
+  amount: 40,
+  ...overrides,
+});
+
+const sumLines = (entry, side) =>
+  entry.lines.reduce((sum, line) => sum + (line[side] || 0), 0);
+
+describe('ledger', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    entries = [];
+    payments = [];
+    tickets = [];
+    nextId = 0;
+    stubModels();
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('posts a balanced charge in cents', async () => {
+    const entry = await postPaymentCharge(payment({ amount: 19.99 }));
+    assert.equal(entry.sourceKey, 'charge:p1');
+    assert.equal(sumLines(entry, 'debitCents'), 1999);
+    assert.equal(sumLines(entry, 'creditCents'), 1999);
+    assert.equal(entry.lines[0].account, 'processor:clover');
+    assert.equal(entry.lines[1].account, 'revenue:tryout');
+  });
+
+  it('posts each charge and refund once', async () => {
+    const paid = payment();
+    const refund = { externalRefundId: 'r1', amount: 20, status: 'completed' };
+    await postPaymentCharge(paid);
+    await postPaymentCharge(paid);
+    await postPaymentRefund(paid, refund);
+    await postPaymentRefund(paid, refund);
+
+    assert.deepEqual(
+      entries.map((entry) => entry.sourceKey),
+      ['charge:p1', 'refund:p1:r1'],
+    );
+    assert.equal(entries[1].lines[1].account, 'processor:clover');
+    assert.equal(entries[1].lines[1].creditCents, 2000);
+  });
+
+  it('skips refunds that never moved money', async () => {
+    const paid = payment();
+    assert.equal(
+      await postPaymentRefund(paid, { amount: 5, status: 'failed' }),
+      null,
+    );
+    assert.equal(
+      await postPaymentRefund(paid, { amount: 5, status: 'rejected' }),
+      null,
+    );
+    assert.equal(entries.length, 0);
+  });
+
+  it('flags payments with missing or mismatched entries', async () => {
+    const posted = payment();
+    payments.push(posted);
+    await postPaymentCharge(posted);
+
+    const unposted = payment();
+    payments.push(unposted);
+
+    const refunded = payment({ refundedAmount: 10 });
+    payments.push(refunded);
+    await postPaymentCharge(refunded);
+
+    const result = await reconcilePayments();
+    assert.equal(result.checked, 3);
+    assert.deepEqual(
+      result.discrepancies.map(({ paymentId, reason, difference }) => ({
+        paymentId,
+        reason,
+        difference,
+      })),
+      [
+        { paymentId: 'p2', reason: 'missing_ledger_entries', difference: -50 },
+        { paymentId: 'p3', reason: 'balance_mismatch', difference: 10 },
+      ],
+    );
+  });
+
+  it('backfills unposted payments until reconciliation is clean', async () => {
+    const posted = payment();
+    payments.push(posted);
+    await postPaymentCharge(posted);
+
+    payments.push(
+      payment({
+        status: 'refunded',
+        refundedAmount: 50,
+        refunds: [
+          {
+            refundId: 'r1',
+            amount: 50,
+            status: 'completed',
+            processedAt: new Date(),
+          },
+          { refundId: 'r2', amount: 50, status: 'failed' },
+        ],
+      }),
+      payment({
+        amount: 30,
+        refunds: [{ refundId: 'r3', amount: 30, status: 'pending' }],
+      }),
+    );
+
+    tickets.push(ticket());
+
+    const result = await backfillLedger({ batchSize: 2 });
+    assert.deepEqual(result, { checked: 4, charges: 3, refunds: 1 });
+    assert.deepEqual((await reconcilePayments()).discrepancies, []);
+    assert.ok(entries.some((entry) => entry.sourceKey === 'charge:ticket:t4'));
+
+    const again = await backfillLedger();
+    assert.deepEqual(again, { checked: 4, charges: 0, refunds: 0 });
+  });
+
+  it('posts form ticket purchases and their refunds against Square', async () => {
+    const purchase = ticket({ amount: 25.5 });
+    await postTicketCharge(purchase);
+    await postTicketCharge(purchase);
+    await postTicketRefund(purchase, {
+      id: 'sqr1',
+      amount: 10,
+      status: 'completed',
+    });
+    await postTicketRefund(purchase, {
+      id: 'sqr1',
+      amount: 10,
+      status: 'completed',
+    });
+    await postTicketRefund(purchase, {
+      id: 'sqr2',
+      amount: 5,
+      status: 'failed',
+    });
+
+    assert.deepEqual(
+      entries.map(({ sourceKey, ticketPurchaseId, lines }) => ({
+        sourceKey,
+        ticketPurchaseId,
+        lines,
+      })),
+      [
+        {
+          sourceKey: 'charge:ticket:t1',
+          ticketPurchaseId: 't1',
+          lines: [
+            { account: 'processor:square', debitCents: 2550 },
+            { account: 'revenue:form', creditCents: 2550 },
+          ],
+        },
+        {
+          sourceKey: 'refund:ticket:t1:sqr1',
+          ticketPurchaseId: 't1',
+          lines: [
+            { account: 'refunds:form', debitCents: 1000 },
+            { account: 'processor:square', creditCents: 1000 },
+          ],
+        },
+      ],
+    );
+  });
+
+  it('does not post comped ticket purchases', async () => {
+    assert.equal(await postTicketCharge(ticket({ amount: 0 })), null);
+    assert.equal(entries.length, 0);
+  });
+});
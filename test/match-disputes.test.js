@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  recordForfeit,
+  recordDoubleForfeit,
+  decideProtest,
+} = require('../services/match-disputes');
+
+const match = (overrides = {}) => ({
+  team1: 't1',
+  team2: 't2',
+  status: 'scheduled',
+  team1Score: 0,
+  team2Score: 0,
+  history: [],
+  protests: [],
+  ...overrides,
+});
+
+const settings = { forfeit: { winnerScore: 20, loserScore: 0 } };
+
+describe('match disputes', () => {
+  it('gives a forfeit to the other team', () => {
+    const m = recordForfeit(match(), 't2', settings, { reason: 'No show' });
+    assert.equal(m.status, 'walkover');
+    assert.equal(m.winner, 't1');
+    assert.equal(m.loser, 't2');
+    assert.equal(m.team1Score, 20);
+    assert.equal(m.history[0].action, 'forfeit');
+  });
+
+  it('records a double forfeit with no winner', () => {
+    const m = recordDoubleForfeit(match(), settings, {
+      reason: 'Did not check in',
+    });
+    assert.equal(m.status, 'walkover');
+    assert.equal(m.doubleForfeit, true);
+    assert.equal(m.winner, null);
+    assert.equal(m.loser, null);
+    assert.equal(m.forfeitedBy, undefined);
+    assert.deepEqual([m.team1Score, m.team2Score], [0, 0]);
+    assert.equal(m.history[0].after.doubleForfeit, true);
+  });
+
+  it('only forfeits open matches with both teams', () => {
+    assert.throws(
+      () => recordDoubleForfeit(match({ team2: null }), settings),
+      /Both teams/,
+    );
+    assert.throws(
+      () => recordDoubleForfeit(match({ status: 'completed' }), settings),
+      /file a protest/,
+    );
+  });
+
+  it('clears the double forfeit when a protest changes the result', () => {
+    const m = recordDoubleForfeit(match(), settings);
+    m.status = 'walkover';
+    m.protests = Object.assign([{ _id: 'p1', team: 't1', status: 'pending' }], {
+      id: (id) => m.protests.find((p) => p._id === id),
+    });
+    decideProtest(
+      m,
+      'p1',
+      { status: 'upheld', outcome: 'score', team1Score: 30, team2Score: 25 },
+      settings,
+    );
+    assert.equal(m.doubleForfeit, undefined);
+    assert.equal(m.winner, 't1');
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PaymentConfiguration = require('../models/PaymentConfiguration');
+const factory = require('../services/payment-service-factory');
+const { isFakeProviderEnabled } = require('../services/fake-payment-provider');
+
+// Stub the configuration lookup, keeping the query it was asked for
+function stubConfig(config) {
+  const calls = [];
+  mock.method(PaymentConfiguration, 'findOne', (query) => {
+    calls.push(query);
+    const chain = {
+      select: () => chain,
+      sort: async () => config,
+    };
+    return chain;
+  });
+  return calls;
+}
+
+describe('payment service factory', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    delete process.env.ENABLE_FAKE_PAYMENTS;
+    process.env.NODE_ENV = 'test';
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    process.env = { ...env };
+  });
+
+  it('leaves fake configurations out of the default lookup', async () => {
+    const calls = stubConfig({ _id: 'c1', paymentSystem: 'clover' });
+    await factory.getService().catch(() => {});
+    assert.deepEqual(calls[0].paymentSystem, { $exists: true, $ne: 'fake' });
+  });
+
+  it('refuses the fake provider unless it is switched on', async () => {
+    const calls = stubConfig({ _id: 'c1', paymentSystem: 'fake' });
+    await assert.rejects(factory.getService('fake'), /ENABLE_FAKE_PAYMENTS/);
+    assert.equal(calls.length, 0);
+  });
+
+  it('refuses a fake configuration that comes back from the lookup', async () => {
+    stubConfig({ _id: 'c1', paymentSystem: 'fake' });
+    await assert.rejects(factory.getService(), /not enabled/);
+  });
+
+  it('builds the fake provider when switched on outside production', async () => {
+    process.env.ENABLE_FAKE_PAYMENTS = 'true';
+    const calls = stubConfig({ _id: 'c1', paymentSystem: 'fake' });
+
+    const service = await factory.getService();
+    assert.equal(service.type, 'fake');
+    assert.equal(service.configurationId, 'c1');
+    assert.deepEqual(calls[0].paymentSystem, { $exists: true });
+  });
+
+  it('never allows the fake provider in production', async () => {
+    process.env.ENABLE_FAKE_PAYMENTS = 'true';
+    process.env.NODE_ENV = 'production';
+    assert.equal(isFakeProviderEnabled(), false);
+    stubConfig({ _id: 'c1', paymentSystem: 'fake' });
+    await assert.rejects(factory.getService('fake'));
+  });
+
+  it('asks for the named system', async () => {
+    const calls = stubConfig(null);
+    await assert.rejects(factory.getService('stripe'), /No active stripe/);
+    assert.equal(calls[0].paymentSystem, 'stripe');
+    assert.equal(calls[0].isActive, true);
+  });
+
+  it('rejects systems it does not know', async () => {
+    stubConfig({ _id: 'c1', paymentSystem: 'venmo' });
+    await assert.rejects(
+      factory.getService(),
+      /Unsupported payment system: venmo/,
+    );
+  });
+});
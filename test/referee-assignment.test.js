@@ -0,0 +1,137 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Player = require('../models/Player');
+const PlayerStatLine = require('../models/PlayerStatLine');
+const Registration = require('../models/Registration');
+const Team = require('../models/Team');
+const Tournament = require('../models/Tournament');
+const {
+  assignReferees,
+  findConflictTeams,
+} = require('../services/referee-assignment');
+
+const at = (time) => new Date(`2026-05-02T${time}:00Z`);
+
+const referee = (parent, overrides = {}) => ({
+  parent: { _id: parent },
+  certificationLevel: 'grassroots',
+  maxGamesPerDay: 4,
+  ...overrides,
+});
+
+const match = (id, time, team1 = 't1', team2 = 't2') => ({
+  _id: id,
+  scheduledTime: at(time),
+  team1,
+  team2,
+});
+
+const options = (overrides = {}) => ({
+  refereesPerMatch: 1,
+  matchDuration: 40,
+  bufferMinutes: 10,
+  ...overrides,
+});
+
+// A find() chain that resolves to the given documents
+const found = (docs) => {
+  const chain = { select: () => chain, lean: async () => docs };
+  return chain;
+};
+
+describe('referee assignment', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('spreads games over the officials and respects the break', () => {
+    const { assignments, unfilled } = assignReferees(
+      [match('m1', '09:00'), match('m2', '09:45'), match('m3', '11:00')],
+      [referee('a'), referee('b')],
+      options(),
+    );
+
+    assert.deepEqual(unfilled, []);
+    assert.deepEqual(
+      assignments.map((a) => [a.match._id, a.referee.parent._id]),
+      [
+        ['m1', 'a'],
+        ['m2', 'b'],
+        ['m3', 'a'],
+      ],
+    );
+  });
+
+  it("keeps officials off their child's team", () => {
+    const { assignments } = assignReferees(
+      [match('m1', '09:00', 't1', 't2')],
+      [referee('a'), referee('b')],
+      options({ conflicts: new Map([['a', new Set(['t2'])]]) }),
+    );
+    assert.equal(assignments[0].referee.parent._id, 'b');
+  });
+
+  it("blocks slots that overlap their child's games elsewhere", () => {
+    const { assignments, unfilled } = assignReferees(
+      [match('m1', '09:00'), match('m2', '11:00')],
+      [referee('a')],
+      options({
+        familyGames: new Map([
+          ['a', [{ start: at('09:20'), end: at('10:00') }]],
+        ]),
+      }),
+    );
+
+    assert.deepEqual(
+      assignments.map((a) => a.match._id),
+      ['m2'],
+    );
+    assert.equal(unfilled[0].match._id, 'm1');
+    assert.deepEqual(unfilled[0].reasons, [
+      {
+        code: 'FAMILY_GAME',
+        message: "Their child's or coached team is playing at this time",
+        count: 1,
+      },
+    ]);
+  });
+
+  it('links children to teams through registrations and check-in rosters', async () => {
+    mock.method(Player, 'find', () =>
+      found([
+        { _id: 'kid1', parentId: 'a' },
+        { _id: 'kid2', parentId: 'b' },
+      ]),
+    );
+    mock.method(Team, 'find', () =>
+      found([{ _id: 'coached', coachIds: ['b'] }]),
+    );
+    mock.method(Registration, 'find', () =>
+      found([{ player: 'kid1', team: 'registered' }]),
+    );
+    mock.method(Tournament, 'find', () =>
+      found([
+        {
+          checkIns: [
+            { team: 'rostered', roster: [{ player: 'kid2' }] },
+            { team: 'other', roster: [{ player: 'stranger' }] },
+          ],
+        },
+      ]),
+    );
+    mock.method(PlayerStatLine, 'aggregate', async () => [
+      { _id: { player: 'kid1', team: 'played' } },
+    ]);
+
+    const conflicts = await findConflictTeams([
+      referee('a', { conflictTeams: ['listed'] }),
+      referee('b'),
+    ]);
+
+    assert.deepEqual([...conflicts.get('a')].sort(), [
+      'listed',
+      'played',
+      'registered',
+    ]);
+    assert.deepEqual([...conflicts.get('b')].sort(), ['coached', 'rostered']);
+  });
+});
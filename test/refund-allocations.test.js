@@ -0,0 +1,200 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const LedgerEntry = require('../models/LedgerEntry');
+const Player = require('../models/Player');
+const Registration = require('../models/Registration');
+const TicketPurchase = require('../models/TicketPurchase');
+const {
+  getPaymentLineItems,
+  resolveRefundAllocations,
+  applyRefundAllocationStatuses,
+  applyTicketRefunds,
+} = require('../services/refund-allocations');
+
+// Two siblings paid together, $100 each
+const payment = (refunds = []) => ({
+  _id: 'pay1',
+  paymentId: 'ext1',
+  amount: 200,
+  players: [
+    { playerId: 'a', season: 'Spring', year: 2026 },
+    { playerId: 'b', season: 'Spring', year: 2026 },
+  ],
+  refunds,
+});
+
+const refund = (status, allocations) => ({
+  _id: `r_${status}`,
+  status,
+  allocations,
+});
+
+describe('refund allocations', () => {
+  let playerUpdates;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(TicketPurchase, 'find', () => ({ session: async () => [] }));
+    playerUpdates = [];
+    mock.method(Player, 'updateOne', async (filter, update) => {
+      playerUpdates.push({ playerId: filter._id, ...update.$set });
+    });
+    mock.method(Registration, 'updateMany', async () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('splits the payment into one line per player', async () => {
+    const lines = await getPaymentLineItems(payment());
+    assert.deepEqual(
+      lines.map(({ playerId, amount, remaining }) => ({
+        playerId,
+        amount,
+        remaining,
+      })),
+      [
+        { playerId: 'a', amount: 100, remaining: 100 },
+        { playerId: 'b', amount: 100, remaining: 100 },
+      ],
+    );
+  });
+
+  it('uses the net amount charged for each line', async () => {
+    // The second sibling got 10% off
+    const discounted = {
+      ...payment(),
+      amount: 190,
+      players: [
+        { playerId: 'a', season: 'Spring', year: 2026, amount: 100 },
+        { playerId: 'b', season: 'Spring', year: 2026, amount: 90 },
+      ],
+    };
+    const lines = await getPaymentLineItems(discounted);
+    assert.deepEqual(
+      lines.map(({ playerId, amount }) => ({ playerId, amount })),
+      [
+        { playerId: 'a', amount: 100 },
+        { playerId: 'b', amount: 90 },
+      ],
+    );
+
+    await assert.rejects(
+      resolveRefundAllocations(discounted, [{ playerId: 'b', amount: 95 }]),
+      (error) => error.code === 'INVALID_ALLOCATION',
+    );
+  });
+
+  it('splits team payments by the amount charged for each team', async () => {
+    const lines = await getPaymentLineItems({
+      _id: 'pay2',
+      paymentId: 'ext2',
+      amount: 700,
+      tournamentName: 'Summer Classic',
+      teams: [
+        { teamId: 'x', amount: 400 },
+        { teamId: 'y', amount: 300 },
+      ],
+    });
+    assert.deepEqual(
+      lines.map(({ teamId, amount }) => ({ teamId, amount })),
+      [
+        { teamId: 'x', amount: 400 },
+        { teamId: 'y', amount: 300 },
+      ],
+    );
+  });
+
+  it('reserves pending refunds when resolving a new allocation', async () => {
+    const paid = payment([
+      refund('pending', [{ itemType: 'player', playerId: 'a', amount: 60 }]),
+    ]);
+
+    const { allocations, total } = await resolveRefundAllocations(paid, [
+      { playerId: 'a' },
+    ]);
+    assert.equal(total, 40);
+    assert.equal(allocations[0].itemType, 'player');
+
+    await assert.rejects(
+      resolveRefundAllocations(paid, [{ playerId: 'a', amount: 50 }]),
+      (error) => error.code === 'INVALID_ALLOCATION',
+    );
+    await assert.rejects(
+      resolveRefundAllocations(paid, [{ playerId: 'c', amount: 5 }]),
+      /does not match an item/,
+    );
+  });
+
+  it('ignores failed refunds', async () => {
+    const paid = payment([
+      refund('failed', [{ itemType: 'player', playerId: 'a', amount: 100 }]),
+    ]);
+    const { total } = await resolveRefundAllocations(paid, [{ playerId: 'a' }]);
+    assert.equal(total, 100);
+  });
+
+  it('applies item statuses only once a refund has completed', async () => {
+    const allocations = [
+      { itemType: 'player', playerId: 'a', amount: 100 },
+      { itemType: 'player', playerId: 'b', amount: 25 },
+    ];
+    const paid = payment([refund('pending', allocations)]);
+
+    assert.deepEqual(await applyRefundAllocationStatuses(paid), []);
+    assert.equal(playerUpdates.length, 0);
+
+    paid.refunds[0].status = 'completed';
+    await applyRefundAllocationStatuses(paid);
+    assert.deepEqual(playerUpdates, [
+      {
+        playerId: 'a',
+        'seasons.$[s].paymentStatus': 'refunded',
+        'seasons.$[s].paymentComplete': false,
+      },
+      {
+        playerId: 'b',
+        'seasons.$[s].paymentStatus': 'partially_refunded',
+        'seasons.$[s].paymentComplete': true,
+      },
+    ]);
+  });
+
+  it('posts ticket purchase refunds and marks the purchase', async () => {
+    const posted = [];
+    mock.method(LedgerEntry, 'findOne', () => ({ session: async () => null }));
+    mock.method(LedgerEntry, 'create', async (docs) => {
+      posted.push(...docs);
+      return docs;
+    });
+
+    const purchase = {
+      _id: 't1',
+      paymentId: 'sq1',
+      amount: 60,
+      status: 'completed',
+      save: mock.fn(async () => {}),
+    };
+    const refunds = [
+      { id: 'sqr1', amount: 20, status: 'completed' },
+      { id: 'sqr2', amount: 15.5, status: 'pending' },
+      { id: 'sqr3', amount: 60, status: 'failed' },
+    ];
+
+    const result = await applyTicketRefunds(purchase, refunds);
+    assert.deepEqual(result, { refunded: 35.5, status: 'partially_refunded' });
+    assert.equal(purchase.refundedAmount, 35.5);
+    assert.equal(purchase.status, 'partially_refunded');
+    assert.equal(purchase.save.mock.callCount(), 1);
+    assert.deepEqual(
+      posted.map((entry) => entry.sourceKey),
+      ['refund:ticket:t1:sqr1', 'refund:ticket:t1:sqr2'],
+    );
+
+    await applyTicketRefunds(purchase, [
+      { id: 'sqr1', amount: 20, status: 'completed' },
+      { id: 'sqr2', amount: 40, status: 'completed' },
+    ]);
+    assert.equal(purchase.status, 'refunded');
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PdfDocument = require('../utils/pdfDocument');
+const { scheduleCsv } = require('../services/tournament-exports');
+
+// The text of the first Tj operator, as bytes
+function shownBytes(doc) {
+  const pdf = doc.toBuffer().toString('latin1');
+  return Buffer.from(pdf.match(/\((.*)\) Tj/)[1], 'latin1');
+}
+
+describe('tournament exports', () => {
+  it('prints schedule times in Pacific time', () => {
+    const csv = scheduleCsv([
+      {
+        scheduleByVenue: [
+          {
+            name: 'Main Gym',
+            courts: {
+              1: [
+                {
+                  // 7:30 PM on Friday in Los Angeles
+                  scheduledTime: new Date('2026-05-02T02:30:00Z'),
+                  matchNumber: 4,
+                  group: 'A',
+                  round: 1,
+                  team1: { name: 'Hawks' },
+                  team2: { name: 'Owls, Jr' },
+                  status: 'completed',
+                  team1Score: 40,
+                  team2Score: 38,
+                },
+              ],
+            },
+          },
+        ],
+      },
+    ]);
+
+    const [, row] = csv.split('\r\n');
+    assert.equal(
+      row,
+      '"Fri, May 1, 2026",7:30 PM,Main Gym,1,4,Group A,Hawks,"Owls, Jr",completed,40-38,',
+    );
+  });
+
+  it('writes names outside Latin-1 without their accents', () => {
+    const doc = new PdfDocument();
+    doc.text(0, 0, 'Đorđe Ćosić, Łukasz Żurek');
+    assert.equal(
+      shownBytes(doc).toString('latin1'),
+      'Dorde Cosic, Lukasz Zurek',
+    );
+  });
+
+  it('maps WinAnsi characters to their own codes', () => {
+    const doc = new PdfDocument();
+    doc.text(0, 0, 'Šime – €5 “Öz” (1)');
+    assert.deepEqual(
+      [...shownBytes(doc)],
+      [
+        0x8a, 0x69, 0x6d, 0x65, 0x20, 0x96, 0x20, 0x80, 0x35, 0x20, 0x93, 0xd6,
+        0x7a, 0x94, 0x20, 0x5c, 0x28, 0x31, 0x5c, 0x29,
+      ],
+    );
+  });
+
+  it('prints characters the fonts cannot show as question marks', () => {
+    const doc = new PdfDocument();
+    doc.text(0, 0, '漢\u0085');
+    assert.equal(shownBytes(doc).toString('latin1'), '??');
+  });
+});
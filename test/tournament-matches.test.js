@@ -0,0 +1,366 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const { Match, Standing, Tournament } = require('../models');
+const {
+  generateBrackets,
+  generateKnockout,
+  updateMatch,
+  quickDeclareWinner,
+} = require('../controllers/tournamentController');
+
+const oid = () => new mongoose.Types.ObjectId();
+
+// In-memory stand-in for the Match collection; findById works both awaited
+// directly and through .populate()
+let matches;
+
+const found = (doc) => {
+  const result = Promise.resolve(doc);
+  result.populate = async () => doc;
+  return result;
+};
+
+const team = (name) => ({ _id: oid(), name });
+
+const match = (overrides = {}) => {
+  const doc = {
+    _id: oid(),
+    tournament: { _id: oid() },
+    status: 'scheduled',
+    team1Score: 0,
+    team2Score: 0,
+    save: mock.fn(async () => doc),
+    ...overrides,
+  };
+  matches.set(String(doc._id), doc);
+  return doc;
+};
+
+// Two semi-finals feeding a final and a third place game
+const semiFinals = () => {
+  const final = match();
+  const thirdPlace = match();
+  const semi = (team1, team2) =>
+    match({
+      team1,
+      team2,
+      nextMatch: final._id,
+      loserNextMatch: thirdPlace._id,
+    });
+  const teams = ['A', 'B', 'C', 'D'].map(team);
+  return {
+    teams,
+    final,
+    thirdPlace,
+    semis: [semi(teams[0], teams[1]), semi(teams[2], teams[3])],
+  };
+};
+
+// Generate a single-elimination bracket for `count` teams; the matches
+// it creates are saved into `matches`
+const generateBracket = async (count, settings) => {
+  const teams = Array.from({ length: count }, (_, i) => team(`Team ${i + 1}`));
+  const tournament = {
+    _id: oid(),
+    format: 'single-elimination',
+    minTeams: 2,
+    seedingStrategy: 'registration',
+    registeredTeams: teams,
+    settings: {},
+    save: async () => {},
+  };
+  mock.method(Tournament, 'findById', () => ({
+    populate: async () => tournament,
+  }));
+  mock.method(Match, 'find', async () => []);
+
+  const res = response();
+  await generateBrackets(
+    {
+      params: { tournamentId: String(tournament._id) },
+      body: settings,
+      user: { id: 'admin' },
+    },
+    res,
+  );
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+  return teams;
+};
+
+const inRound = (round) =>
+  [...matches.values()].filter(
+    (m) => m.round === round && m.bracketType === 'winners',
+  );
+
+const byLabel = (label) =>
+  [...matches.values()].filter((m) => m.placementLabel === label);
+
+// Team 1 of a match wins it
+const playAll = async (games) => {
+  for (const game of games) {
+    await updateMatch(
+      {
+        params: { matchId: String(game._id) },
+        body: { team1Score: 2, team2Score: 1 },
+      },
+      response(),
+    );
+  }
+};
+
+const teamsOf = (game) => [String(game.team1), String(game.team2)];
+
+// A groups-knockout tournament whose two groups of three have finished
+// with the given `pending` group matches still open; ranks follow points
+const finishedGroups = (pending = 0) => {
+  const tournament = {
+    _id: oid(),
+    format: 'groups-knockout',
+    groups: [{ name: 'A' }, { name: 'B' }],
+    settings: { advancePerGroup: 2 },
+  };
+  const standings = ['A', 'B'].map((group) =>
+    [9, 6, 3].map(
+      (points) =>
+        new Standing({
+          tournament: tournament._id,
+          team: oid(),
+          group,
+          points,
+        }),
+    ),
+  );
+  const groupMatches = Array.from({ length: 6 }, (_, i) => ({
+    round: Math.floor(i / 2) + 1,
+    matchNumber: i + 1,
+    status: i < pending ? 'scheduled' : 'completed',
+  }));
+
+  mock.method(Tournament, 'findById', async () => tournament);
+  mock.method(Tournament, 'findOneAndUpdate', async () => tournament);
+  mock.method(Tournament, 'updateOne', async () => ({}));
+  mock.method(Standing, 'find', async ({ group }) =>
+    group === 'A' ? standings[0] : standings[1],
+  );
+  mock.method(Standing.prototype, 'save', async function () {
+    return this;
+  });
+  mock.method(Match, 'find', () => ({
+    select: async () => groupMatches,
+    lean: async () => [],
+  }));
+
+  const teamOf = (label) =>
+    String(standings[label[0] === 'A' ? 0 : 1][label[1] - 1].team);
+  return { tournament, teamOf };
+};
+
+const response = () => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+  };
+  return res;
+};
+
+describe('tournament matches', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    matches = new Map();
+    mock.method(Match.prototype, 'save', async function () {
+      matches.set(String(this._id), this);
+      return this;
+    });
+    mock.method(Match, 'findById', (id) =>
+      found(matches.get(String(id)) || null),
+    );
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('takes the loser from the other side when the winner id is a string', async () => {
+    const home = team('Home');
+    const away = team('Away');
+    const game = match({ team1: home, team2: away });
+
+    const res = response();
+    await updateMatch(
+      {
+        params: { matchId: String(game._id) },
+        body: { team1Score: 50, team2Score: 40, winner: String(home._id) },
+      },
+      res,
+    );
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(String(game.winner), String(home._id));
+    assert.equal(String(game.loser), String(away._id));
+  });
+
+  it('moves the winner and loser on from a reported score', async () => {
+    const { teams, final, thirdPlace, semis } = semiFinals();
+
+    const res = response();
+    await updateMatch(
+      {
+        params: { matchId: String(semis[0]._id) },
+        body: { team1Score: 41, team2Score: 52 },
+      },
+      res,
+    );
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(String(final.team1), String(teams[1]._id));
+    assert.equal(String(thirdPlace.team1), String(teams[0]._id));
+    assert.equal(final.save.mock.callCount(), 1);
+    assert.equal(thirdPlace.save.mock.callCount(), 1);
+  });
+
+  it('moves the winner and loser on from a declared winner', async () => {
+    const { teams, final, thirdPlace, semis } = semiFinals();
+    final.team1 = teams[1]._id;
+    thirdPlace.team1 = teams[0]._id;
+
+    const res = response();
+    await quickDeclareWinner(
+      {
+        params: { matchId: String(semis[1]._id) },
+        body: {
+          winnerId: String(teams[2]._id),
+          team1Score: 30,
+          team2Score: 28,
+        },
+      },
+      res,
+    );
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(String(semis[1].winner), String(teams[2]._id));
+    assert.equal(String(semis[1].loser), String(teams[3]._id));
+    assert.equal(String(final.team2), String(teams[2]._id));
+    assert.equal(final.status, 'scheduled');
+    assert.equal(String(thirdPlace.team2), String(teams[3]._id));
+  });
+
+  it('does not put a team into the next match twice', async () => {
+    const { teams, final, semis } = semiFinals();
+    final.team1 = teams[0]._id;
+
+    await updateMatch(
+      {
+        params: { matchId: String(semis[0]._id) },
+        body: { winner: String(teams[0]._id) },
+      },
+      response(),
+    );
+
+    assert.equal(String(final.team1), String(teams[0]._id));
+    assert.equal(final.team2, undefined);
+    assert.equal(final.save.mock.callCount(), 0);
+  });
+
+  it('places the losers of each round in their placement games', async () => {
+    await generateBracket(8, { thirdPlaceGame: true, placementGames: true });
+    const quarterFinals = inRound(1);
+    assert.equal(quarterFinals.length, 4);
+
+    await playAll(quarterFinals);
+    const losers = quarterFinals.map((m) => String(m.loser));
+    const winners = quarterFinals.map((m) => String(m.winner));
+
+    // Quarter-final losers play for 5th to 8th, in bracket order
+    const placement = byLabel('Placement 5th-8th');
+    assert.equal(placement.length, 2);
+    assert.deepEqual(placement.map(teamsOf), [
+      losers.slice(0, 2),
+      losers.slice(2),
+    ]);
+
+    await playAll(placement);
+    const [fifth] = byLabel('5th place game');
+    const [seventh] = byLabel('7th place game');
+    assert.deepEqual(
+      teamsOf(fifth),
+      placement.map((m) => String(m.winner)),
+    );
+    assert.deepEqual(
+      teamsOf(seventh),
+      placement.map((m) => String(m.loser)),
+    );
+
+    // Semi-final losers play for 3rd
+    const semiFinals = inRound(2);
+    assert.equal(semiFinals.length, 2);
+    assert.deepEqual(semiFinals.flatMap(teamsOf).sort(), [...winners].sort());
+    await playAll(semiFinals);
+    const [third] = byLabel('3rd place game');
+    assert.deepEqual(
+      teamsOf(third),
+      semiFinals.map((m) => String(m.loser)),
+    );
+  });
+
+  it('crosses the group winners and runners-up into the knockout', async () => {
+    const { tournament, teamOf } = finishedGroups();
+
+    const res = response();
+    await generateKnockout(
+      { params: { tournamentId: String(tournament._id) } },
+      res,
+    );
+
+    assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+    assert.equal(res.body.matches, 3);
+
+    const semiFinals = inRound(4);
+    assert.deepEqual(
+      semiFinals.map((m) => [m.matchNumber, m.stage, ...teamsOf(m)]),
+      [
+        [7, 'knockout', teamOf('A1'), teamOf('B2')],
+        [8, 'knockout', teamOf('B1'), teamOf('A2')],
+      ],
+    );
+    assert.deepEqual(
+      semiFinals.map((m) => [m.positions.team1Label, m.positions.team2Label]),
+      [
+        ['A1', 'B2'],
+        ['B1', 'A2'],
+      ],
+    );
+
+    const [final] = [...matches.values()].filter((m) => m.round === 5);
+    assert.equal(final.bracketType, 'final');
+    assert.equal(final.matchNumber, 9);
+    for (const semi of semiFinals) {
+      assert.equal(String(semi.nextMatch), String(final._id));
+    }
+  });
+
+  it('waits for the last group match before the knockout', async () => {
+    mock.method(console, 'error', () => {});
+    const { tournament } = finishedGroups(1);
+
+    const res = response();
+    await generateKnockout(
+      { params: { tournamentId: String(tournament._id) } },
+      res,
+    );
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, '1 group matches still pending');
+    assert.equal(matches.size, 0);
+    // The claim is given back so the knockout can be generated later
+    assert.deepEqual(Tournament.updateOne.mock.calls[0].arguments[1], {
+      $unset: { knockoutGeneratedAt: 1 },
+    });
+  });
+});
@@ -0,0 +1,38 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { shuffle } = require('../services/tournament-seeding');
+
+describe('tournament seeding', () => {
+  it('shuffles into a new array with every team kept', () => {
+    const teams = ['a', 'b', 'c', 'd', 'e'];
+    const shuffled = shuffle(teams);
+    assert.deepEqual(teams, ['a', 'b', 'c', 'd', 'e']);
+    assert.deepEqual([...shuffled].sort(), teams);
+  });
+
+  it('swaps each position with one at or before it', () => {
+    // Always picking the first position rotates the list by one
+    assert.deepEqual(
+      shuffle(['a', 'b', 'c', 'd'], () => 0),
+      ['b', 'c', 'd', 'a'],
+    );
+    // Always picking the position itself leaves the order alone
+    assert.deepEqual(
+      shuffle(['a', 'b', 'c', 'd'], () => 0.999),
+      ['a', 'b', 'c', 'd'],
+    );
+  });
+
+  it('draws every order about equally often', () => {
+    const counts = new Map();
+    for (let i = 0; i < 6000; i++) {
+      const key = shuffle(['a', 'b', 'c']).join('');
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    assert.equal(counts.size, 6);
+    for (const count of counts.values()) {
+      assert.ok(count > 800 && count < 1200, `${count} of 6000`);
+    }
+  });
+});
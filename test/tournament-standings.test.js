@@ -0,0 +1,153 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { rankStandings } = require('../services/tournament-standings');
+
+const standing = (team, points, pointsFor = 0, pointsAgainst = 0) => ({
+  team,
+  points,
+  pointsFor,
+  pointsAgainst,
+});
+
+const game = (team1, team2, team1Score, team2Score) => ({
+  team1,
+  team2,
+  team1Score,
+  team2Score,
+  status: 'completed',
+});
+
+const walkover = (winner, loser) => ({
+  team1: winner,
+  team2: loser,
+  team1Score: 20,
+  team2Score: 0,
+  status: 'walkover',
+  winner,
+  loser,
+});
+
+const order = (ranked) =>
+  ranked.map(({ standing: s, decidedBy }) => [s.team, decidedBy]);
+
+describe('rankStandings', () => {
+  it('orders by points first', () => {
+    const ranked = rankStandings(
+      [standing('a', 3), standing('b', 6), standing('c', 0)],
+      [],
+    );
+    assert.deepEqual(order(ranked), [
+      ['b', 'points'],
+      ['a', 'points'],
+      ['c', 'points'],
+    ]);
+  });
+
+  it('separates two teams on their game against each other', () => {
+    const ranked = rankStandings(
+      [standing('a', 3, 40, 50), standing('b', 3, 50, 40)],
+      [game('a', 'b', 30, 28)],
+    );
+    assert.deepEqual(order(ranked), [
+      ['a', 'head-to-head'],
+      ['b', 'head-to-head'],
+    ]);
+  });
+
+  it('falls through to the next tiebreaker and restarts for the rest', () => {
+    // a, b and c each won once against the others by the same margin
+    const ranked = rankStandings(
+      [
+        standing('a', 3, 60, 50),
+        standing('b', 3, 70, 60),
+        standing('c', 3, 55, 50),
+      ],
+      [game('a', 'b', 20, 15), game('b', 'c', 20, 15), game('c', 'a', 20, 15)],
+      { tiebreakers: ['head-to-head', 'points-for'] },
+    );
+    assert.deepEqual(order(ranked), [
+      ['b', 'points-for'],
+      ['a', 'points-for'],
+      ['c', 'points-for'],
+    ]);
+  });
+
+  it('gives the forfeiting side the forfeit points in the mini-league', () => {
+    const standings = [standing('a', 3), standing('b', 3), standing('c', 3)];
+    const matches = [
+      game('a', 'b', 10, 5),
+      game('b', 'c', 10, 8),
+      walkover('c', 'a'),
+    ];
+    const forfeit = { loserPoints: -1, countInTiebreakers: false };
+
+    assert.deepEqual(
+      order(rankStandings(standings, matches, { forfeit })).map(([t]) => t),
+      ['c', 'b', 'a'],
+    );
+    // Counted as an ordinary loss, a's better margin would have put it first
+    assert.deepEqual(
+      order(
+        rankStandings(standings, matches, {
+          forfeit: { countInTiebreakers: false },
+        }),
+      ).map(([t]) => t),
+      ['a', 'c', 'b'],
+    );
+  });
+
+  it('counts a double forfeit as a forfeit loss for both teams', () => {
+    const standings = [standing('a', 0), standing('b', 0)];
+    const doubleForfeit = {
+      ...game('a', 'b', 0, 0),
+      status: 'walkover',
+      doubleForfeit: true,
+    };
+    const forfeit = { loserPoints: -1 };
+
+    assert.deepEqual(
+      rankStandings(standings, [doubleForfeit], { forfeit }).map(
+        (r) => r.decidedBy,
+      ),
+      [null, null],
+    );
+
+    // Fewest forfeits separates a from c, who forfeited only once
+    const ranked = rankStandings(
+      [standing('a', 0), standing('c', 0)],
+      [doubleForfeit, walkover('d', 'c'), walkover('d', 'a')],
+      { forfeit, tiebreakers: ['fewest-forfeits'] },
+    );
+    assert.deepEqual(order(ranked), [
+      ['c', 'fewest-forfeits'],
+      ['a', 'fewest-forfeits'],
+    ]);
+  });
+
+  it('leaves teams nothing separates level', () => {
+    const ranked = rankStandings(
+      [standing('a', 1, 10, 10), standing('b', 1, 10, 10)],
+      [game('a', 'b', 10, 10)],
+    );
+    assert.deepEqual(
+      ranked.map((r) => r.decidedBy),
+      [null, null],
+    );
+  });
+
+  it('uses the director order before drawn lots on a coin flip', () => {
+    const ranked = rankStandings(
+      [
+        { ...standing('a', 0), coinFlip: 0.9 },
+        { ...standing('b', 0), coinFlip: 0.1, tiebreakOrder: 1 },
+      ],
+      [],
+      { tiebreakers: ['coin-flip'] },
+    );
+    assert.deepEqual(order(ranked), [
+      ['b', 'coin-flip'],
+      ['a', 'coin-flip'],
+    ]);
+  });
+});
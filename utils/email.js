@@ -1340,6 +1340,7 @@ async function sendFormPaymentReceiptEmail(formData, submissionData) {
       receiptUrl,
       selectedPackage,
       quantity = 1,
+      pricing,
       tournamentInfo,
       venues,
       formData: formDataFull,
@@ -1355,6 +1356,29 @@ async function sendFormPaymentReceiptEmail(formData, submissionData) {
       minimumFractionDigits: 2,
     }).format(amount);
 
+    // What made up the price, when the server worked it out line by line
+    const formatCents = (cents) =>
+      new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: pricing?.currency || currency || 'USD',
+      }).format(cents / 100);
+    const priceLinesHtml = (pricing?.lines || [])
+      .map(
+        (line) => `
+                  <tr>
+                    <td>${line.label}</td>
+                    <td>${formatCents(line.amountCents)}</td>
+                  </tr>`,
+      )
+      .join('');
+    const discountHtml = pricing?.discountCents
+      ? `
+                  <tr>
+                    <td>Discounts</td>
+                    <td>-${formatCents(pricing.discountCents)}</td>
+                  </tr>`
+      : '';
+
     // Format date
     const formatDate = (date) => {
       return new Date(date).toLocaleDateString('en-US', {
@@ -1537,10 +1561,14 @@ async function sendFormPaymentReceiptEmail(formData, submissionData) {
           <div class="section">
                 <h3 style="margin-top: 0;">Payment Details</h3>
                 <table>
-                  <tr>
+                  ${
+                    selectedPackage
+                      ? `<tr>
                     <td><strong>Package Name:</strong></td>
                     <td>${selectedPackage.name}</td>
-                  </tr>
+                  </tr>`
+                      : ''
+                  }
                   <tr>
                     <td><strong>Date:</strong></td>
                     <td>${formatDate(submittedAt)}</td>
@@ -1549,6 +1577,8 @@ async function sendFormPaymentReceiptEmail(formData, submissionData) {
                     <td><strong>Quantity:</strong></td>
                     <td>${quantity}</td>
                   </tr>
+                  ${priceLinesHtml}
+                  ${discountHtml}
                   <tr>
                     <td><strong>Total:</strong></td>
                     <td><strong style="color: rgba(0, 0, 0, .7);">${formattedAmount}</strong></td>
@@ -2149,6 +2179,357 @@ async function sendAcceptanceEmail({
   }
 }
 
+// ============ INSTALLMENT PLAN EMAILS ============
+function formatInstallmentDate(date) {
+  return new Date(date).toLocaleDateString('en-US', {
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric',
+  });
+}
+
+function buildInstallmentEmailHtml({
+  parent,
+  heading,
+  intro,
+  rows,
+  notice,
+  details = '',
+  button = { label: 'View Your Payment Plan', path: '/dashboard' },
+}) {
+  const rowHtml = rows
+    .filter(Boolean)
+    .map(
+      ([label, value]) =>
+        `<p style="margin: 8px 0;"><strong>${label}:</strong> ${value}</p>`,
+    )
+    .join('');
+
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto; background: #f9fafb; padding: 20px;">
+      <div style="text-align: center; margin-bottom: 20px;">
+        <img src="${R2_LOGO_URL}" alt="Partizan Basketball" style="max-width: 200px; height: auto;" />
+      </div>
+
+      <div style="background: #594230; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0;">
+        <h1 style="margin: 0;">${heading}</h1>
+      </div>
+
+      <div style="background: white; padding: 20px; border-radius: 0 0 5px 5px;">
+        <p style="font-size: 16px;">Hi ${parent.fullName || 'there'},</p>
+        <p style="font-size: 16px;">${intro}</p>
+
+        <div style="background: #f8f9fa; padding: 15px; border-radius: 5px; margin: 15px 0; border-left: 4px solid #594230;">
+          ${rowHtml}
+        </div>
+
+        ${
+          notice
+            ? `<div style="background: #fff3cd; padding: 15px; border-radius: 5px; margin: 15px 0; border-left: 4px solid #ffc107;">
+                <p style="margin: 0; color: #856404;">${notice}</p>
+              </div>`
+            : ''
+        }
+
+        ${details}
+
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${process.env.FRONTEND_URL || 'https://partizanhoops.com'}${button.path}"
+              style="background: #594230; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; font-weight: bold;">
+            ${button.label}
+          </a>
+        </div>
+
+        <p style="font-size: 14px; color: #555;">If you have any questions, please contact us at partizanhoops@proton.me</p>
+      </div>
+    </div>
+  `;
+}
+
+async function sendInstallmentEmail(plan, { subject, ...content }) {
+  const parent = await Parent.findById(plan.parentId);
+  if (!parent) {
+    throw new Error(`Parent not found with ID: ${plan.parentId}`);
+  }
+
+  const result = await sendEmail({
+    to: parent.email,
+    subject,
+    html: buildInstallmentEmailHtml({ parent, ...content }),
+    parentId: parent._id,
+  });
+
+  console.log('Installment plan email sent:', {
+    planId: plan._id,
+    subject,
+    email: parent.email,
+  });
+
+  return result;
+}
+
+function installmentLabel(plan, installment) {
+  return `${installment.sequence} of ${plan.installments.length}`;
+}
+
+function cardLabel(plan) {
+  return plan.cardLast4
+    ? `${plan.cardBrand || 'Card'} ending in ${plan.cardLast4}`
+    : 'No card on file';
+}
+
+async function sendInstallmentReminderEmail(plan, installment) {
+  return sendInstallmentEmail(plan, {
+    subject: `Upcoming Payment Reminder — ${plan.description}`,
+    heading: 'Upcoming Installment',
+    intro: `Your next installment for ${plan.description} will be charged automatically on ${formatInstallmentDate(installment.dueDate)}.`,
+    rows: [
+      ['Installment', installmentLabel(plan, installment)],
+      ['Amount', `$${installment.amount.toFixed(2)}`],
+      ['Card', cardLabel(plan)],
+      ['Remaining balance', `$${plan.balance.toFixed(2)}`],
+    ],
+    notice: plan.cardId
+      ? null
+      : 'There is no card on file for this plan. Please add one before the due date.',
+  });
+}
+
+async function sendInstallmentReceiptEmail(plan, installment, payment) {
+  const next = plan.installments.find((i) =>
+    ['scheduled', 'late'].includes(i.status),
+  );
+
+  return sendInstallmentEmail(plan, {
+    subject: `Payment Received — ${plan.description}`,
+    heading: '🏀 Installment Paid',
+    intro: `Thank you! We received your installment for ${plan.description}.`,
+    rows: [
+      ['Installment', installmentLabel(plan, installment)],
+      ['Amount', `$${installment.amount.toFixed(2)}`],
+      ['Card', cardLabel(plan)],
+      ['Payment ID', payment.paymentId],
+      ['Remaining balance', `$${plan.balance.toFixed(2)}`],
+      next && [
+        'Next payment',
+        `$${next.amount.toFixed(2)} on ${formatInstallmentDate(next.dueDate)}`,
+      ],
+    ],
+    notice: null,
+  });
+}
+
+async function sendInstallmentLateEmail(plan, installment, graceEndsAt) {
+  return sendInstallmentEmail(plan, {
+    subject: `Payment Failed — ${plan.description}`,
+    heading: 'Installment Payment Failed',
+    intro: `We were unable to charge your installment for ${plan.description}.`,
+    rows: [
+      ['Installment', installmentLabel(plan, installment)],
+      ['Amount', `$${installment.amount.toFixed(2)}`],
+      ['Card', cardLabel(plan)],
+      ['Reason', installment.failureReason || 'Card was declined'],
+      installment.nextAttemptAt && [
+        'Next attempt',
+        formatInstallmentDate(installment.nextAttemptAt),
+      ],
+    ],
+    notice: `We will retry the charge automatically. Please update your card before ${formatInstallmentDate(graceEndsAt)} to keep your plan in good standing.`,
+  });
+}
+
+async function sendInstallmentPlanDefaultedEmail(plan, installment) {
+  return sendInstallmentEmail(plan, {
+    subject: `Action Required — ${plan.description}`,
+    heading: 'Payment Plan Past Due',
+    intro: `We could not collect installment ${installmentLabel(plan, installment)} for ${plan.description} and the grace period has ended.`,
+    rows: [
+      ['Amount due', `$${installment.amount.toFixed(2)}`],
+      ['Remaining balance', `$${plan.balance.toFixed(2)}`],
+      ['Reason', installment.failureReason || 'Card was declined'],
+    ],
+    notice:
+      'Automatic charges for this plan have stopped. Please contact us to bring your plan up to date.',
+  });
+}
+
+// ============ REFEREE EMAILS ============
+// Same layout as the installment emails, pointing at the referee's
+// assignments instead of the payment plan
+const REFEREE_BUTTON = {
+  label: 'View Your Assignments',
+  path: '/dashboard',
+};
+
+// Game times are shown in the league's local time, whatever the server's zone
+function formatGameTime(date) {
+  return new Date(date).toLocaleString('en-US', {
+    timeZone: 'America/Los_Angeles',
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+function refereeGamesTable(headers, games) {
+  const cell = 'padding: 6px 8px; border-bottom: 1px solid #e5e7eb;';
+  return `
+    <table style="width: 100%; border-collapse: collapse; font-size: 14px; margin: 15px 0;">
+      <tr>${headers.map((h) => `<th style="${cell} text-align: left;">${h}</th>`).join('')}</tr>
+      ${games
+        .map(
+          (row) =>
+            `<tr>${row.map((value) => `<td style="${cell}">${value ?? ''}</td>`).join('')}</tr>`,
+        )
+        .join('')}
+    </table>
+  `;
+}
+
+/**
+ * Tell an official which games they were put on.
+ *
+ * @param {Object} parent  The official (fullName, email)
+ * @param {Object} tournament
+ * @param {Array} games  [{ scheduledTime, court, venue, teams, role }]
+ */
+async function sendRefereeAssignmentEmail(parent, tournament, games) {
+  const sorted = [...games].sort(
+    (a, b) => new Date(a.scheduledTime) - new Date(b.scheduledTime),
+  );
+
+  const result = await sendEmail({
+    to: parent.email,
+    subject: `Referee Assignments — ${tournament.name}`,
+    html: buildInstallmentEmailHtml({
+      parent,
+      heading: '🏀 Your Referee Assignments',
+      intro: `You have been assigned ${games.length} game${games.length === 1 ? '' : 's'} at ${tournament.name}.`,
+      rows: [
+        ['Tournament', tournament.name],
+        ['First game', formatGameTime(sorted[0].scheduledTime)],
+        ['Games', games.length],
+      ],
+      notice:
+        'If you can no longer make one of these games, please let us know as soon as possible so we can find a replacement.',
+      details: refereeGamesTable(
+        ['Time', 'Court', 'Game', 'Role'],
+        sorted.map((game) => [
+          formatGameTime(game.scheduledTime),
+          [game.venue, game.court].filter(Boolean).join(' — '),
+          game.teams,
+          game.role,
+        ]),
+      ),
+      button: REFEREE_BUTTON,
+    }),
+    parentId: parent._id,
+  });
+
+  console.log('Referee assignment email sent:', {
+    tournament: tournament.name,
+    email: parent.email,
+    games: games.length,
+  });
+
+  return result;
+}
+
+/**
+ * Send an official their pay report (one row of
+ * services/referee-assignment buildPayReport).
+ */
+async function sendRefereePayReportEmail(report, { from, to } = {}) {
+  const period =
+    from || to
+      ? `${from ? formatInstallmentDate(from) : 'the start'} to ${to ? formatInstallmentDate(to) : 'today'}`
+      : 'all completed games';
+
+  const result = await sendEmail({
+    to: report.referee.email,
+    subject: 'Your Referee Pay Report',
+    html: buildInstallmentEmailHtml({
+      parent: { fullName: report.referee.name },
+      heading: 'Referee Pay Report',
+      intro: `Here are the games you officiated for ${period}.`,
+      rows: [
+        ['Games as referee', report.gamesAsReferee],
+        ['Games as assistant', report.gamesAsAssistant],
+        ['Total', `$${report.totalPay.toFixed(2)}`],
+      ],
+      notice: null,
+      details: refereeGamesTable(
+        ['Date', 'Tournament', 'Game', 'Role', 'Pay'],
+        report.games.map((game) => [
+          formatInstallmentDate(game.date),
+          game.tournament,
+          game.teams,
+          game.role,
+          `$${game.pay.toFixed(2)}`,
+        ]),
+      ),
+      button: REFEREE_BUTTON,
+    }),
+    parentId: report.referee.parent,
+  });
+
+  console.log('Referee pay report email sent:', {
+    email: report.referee.email,
+    totalPay: report.totalPay,
+  });
+
+  return result;
+}
+
+// ============ FORM DRAFT EMAILS ============
+
+/**
+ * Email the link that reopens a saved form draft where it was left.
+ *
+ * @param {Object} form  title
+ * @param {Object} submission  The draft (userName, draft.step, draft.expiresAt)
+ * @param {Object} options  { email, token, totalSteps }
+ */
+async function sendFormResumeEmail(
+  form,
+  submission,
+  { email, token, totalSteps },
+) {
+  const result = await sendEmail({
+    to: email,
+    subject: `Finish your form — ${form.title}`,
+    html: buildInstallmentEmailHtml({
+      parent: { fullName: submission.userName },
+      heading: 'Pick Up Where You Left Off',
+      intro: `Your answers to ${form.title} are saved. Use the button below to finish the form on any device.`,
+      rows: [
+        ['Form', form.title],
+        totalSteps > 1 && [
+          'Saved at',
+          `Step ${(submission.draft?.step || 0) + 1} of ${totalSteps}`,
+        ],
+        ['Link expires', formatInstallmentDate(submission.draft.expiresAt)],
+      ],
+      notice:
+        'Anyone with this link can see and change your answers, so please do not forward this email.',
+      button: {
+        label: 'Continue Form',
+        path: `/forms/embed/${form._id}?resume=${token}`,
+      },
+    }),
+  });
+
+  console.log('Form resume email sent:', {
+    formId: form._id,
+    submissionId: submission._id,
+    email,
+  });
+
+  return result;
+}
+
 // ============ EXPORTS ============
 module.exports = {
   sendEmail,
@@ -2168,4 +2549,11 @@ module.exports = {
   uploadAttachmentToR2,
   getR2AttachmentUrl,
   sendAcceptanceEmail,
+  sendInstallmentReminderEmail,
+  sendInstallmentReceiptEmail,
+  sendInstallmentLateEmail,
+  sendInstallmentPlanDefaultedEmail,
+  sendRefereeAssignmentEmail,
+  sendRefereePayReportEmail,
+  sendFormResumeEmail,
 };
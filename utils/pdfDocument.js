@@ -0,0 +1,210 @@
+// utils/pdfDocument.js
+//
+// A small PDF writer for printouts made on the server: pages with text,
+// lines and boxes in the standard Helvetica fonts, which every PDF reader
+// has, so nothing is embedded. Text is written in their WinAnsi encoding;
+// letters it lacks are printed without their accents. Coordinates are in
+// points from the top left corner of the page (PDF itself counts from the
+// bottom).
+
+// Characters outside Latin-1 that the standard fonts have (WinAnsi). WinAnsi
+// puts them at 0x80-0x9F, where Latin-1 has control characters.
+const WIN_ANSI = {
+  '€': 0x80,
+  '‚': 0x82,
+  ƒ: 0x83,
+  '„': 0x84,
+  '…': 0x85,
+  '†': 0x86,
+  '‡': 0x87,
+  ˆ: 0x88,
+  '‰': 0x89,
+  Š: 0x8a,
+  '‹': 0x8b,
+  Œ: 0x8c,
+  Ž: 0x8e,
+  '‘': 0x91,
+  '’': 0x92,
+  '“': 0x93,
+  '”': 0x94,
+  '•': 0x95,
+  '–': 0x96,
+  '—': 0x97,
+  '˜': 0x98,
+  '™': 0x99,
+  š: 0x9a,
+  '›': 0x9b,
+  œ: 0x9c,
+  ž: 0x9e,
+  Ÿ: 0x9f,
+};
+
+// Letters that do not break down into a base letter and an accent
+const TRANSLITERATIONS = {
+  Đ: 'D',
+  đ: 'd',
+  Ħ: 'H',
+  ħ: 'h',
+  ı: 'i',
+  Ł: 'L',
+  ł: 'l',
+  Ŧ: 'T',
+  ŧ: 't',
+};
+
+const PAGE_SIZES = {
+  letter: [612, 792],
+  'letter-landscape': [792, 612],
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// WinAnsi byte of a character, or null when the fonts do not have it
+function winAnsiByte(char) {
+  if (WIN_ANSI[char]) return WIN_ANSI[char];
+  const code = char.codePointAt(0);
+  return code < 0x80 || (code >= 0xa0 && code < 0x100) ? code : null;
+}
+
+// Names such as "Ćosić" keep their letters without the accents the fonts
+// lack ("Cosic"); anything else prints as "?"
+function transliterate(char) {
+  if (TRANSLITERATIONS[char]) return TRANSLITERATIONS[char];
+  const base = char
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .normalize('NFC');
+  return base && [...base].every((c) => winAnsiByte(c) !== null) ? base : '?';
+}
+
+function encodeText(text) {
+  const bytes = [];
+  for (const char of String(text ?? '')) {
+    const chars = winAnsiByte(char) === null ? transliterate(char) : char;
+    for (const c of chars) {
+      const byte = winAnsiByte(c);
+      // Escape the string delimiters
+      if (byte === 0x28 || byte === 0x29 || byte === 0x5c) bytes.push(0x5c);
+      bytes.push(byte);
+    }
+  }
+  return Buffer.from(bytes).toString('latin1');
+}
+
+class PdfDocument {
+  constructor({ size = 'letter', title } = {}) {
+    [this.width, this.height] = PAGE_SIZES[size] || PAGE_SIZES.letter;
+    this.title = title;
+    this.pages = [];
+  }
+
+  addPage() {
+    this.current = [];
+    this.pages.push(this.current);
+    return this;
+  }
+
+  draw(operation) {
+    if (!this.current) this.addPage();
+    this.current.push(operation);
+  }
+
+  // Rough width of a string in Helvetica, enough to fit text in a box
+  textWidth(text, size = 10) {
+    return String(text ?? '').length * size * 0.52;
+  }
+
+  // Cut text down to a width, ending with an ellipsis
+  fit(text, maxWidth, size = 10) {
+    const value = String(text ?? '');
+    if (this.textWidth(value, size) <= maxWidth) return value;
+    const chars = Math.max(0, Math.floor(maxWidth / (size * 0.52)) - 1);
+    return `${value.slice(0, chars)}…`;
+  }
+
+  text(x, y, value, { size = 10, bold = false, align = 'left', width } = {}) {
+    let left = x;
+    const content = width ? this.fit(value, width, size) : String(value ?? '');
+    if (align !== 'left' && width) {
+      const gap = width - this.textWidth(content, size);
+      left += align === 'center' ? gap / 2 : gap;
+    }
+    this.draw(
+      `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${round2(left)} ${round2(
+        this.height - y - size,
+      )} Td (${encodeText(content)}) Tj ET`,
+    );
+    return this;
+  }
+
+  line(x1, y1, x2, y2, { width = 0.75, gray = 0 } = {}) {
+    this.draw(
+      `${gray} G ${width} w ${round2(x1)} ${round2(this.height - y1)} m ${round2(
+        x2,
+      )} ${round2(this.height - y2)} l S`,
+    );
+    return this;
+  }
+
+  rect(x, y, w, h, { width = 0.75, gray = 0, fill } = {}) {
+    const box = `${round2(x)} ${round2(this.height - y - h)} ${round2(w)} ${round2(h)} re`;
+    if (fill !== undefined) this.draw(`${fill} g ${box} f 0 g`);
+    this.draw(`${gray} G ${width} w ${box} S`);
+    return this;
+  }
+
+  toBuffer() {
+    if (!this.pages.length) this.addPage();
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalog = add(null);
+    const pagesRef = add(null);
+    const regular = add(
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    );
+    const bold = add(
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    );
+
+    const pageRefs = this.pages.map((operations) => {
+      const stream = operations.join('\n');
+      const content = add(
+        `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`,
+      );
+      return add(
+        `<< /Type /Page /Parent ${pagesRef} 0 R /MediaBox [0 0 ${this.width} ${this.height}] ` +
+          `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${content} 0 R >>`,
+      );
+    });
+
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesRef} 0 R >>`;
+    objects[pagesRef - 1] =
+      `<< /Type /Pages /Kids [${pageRefs.map((ref) => `${ref} 0 R`).join(' ')}] /Count ${pageRefs.length} >>`;
+    const info = add(
+      `<< /Producer (Partizan Basketball)${
+        this.title ? ` /Title (${encodeText(this.title)})` : ''
+      } >>`,
+    );
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((body, i) => {
+      const offset = Buffer.byteLength(pdf, 'latin1');
+      pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+    const xref = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets
+      .map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`)
+      .join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+  }
+}
+
+module.exports = PdfDocument;
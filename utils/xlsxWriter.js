@@ -0,0 +1,304 @@
+// utils/xlsxWriter.js
+//
+// A small XLSX writer that streams one worksheet row by row, so large
+// exports never sit in memory. An .xlsx file is a zip of XML parts; the
+// fixed parts are written first and the sheet is deflated as rows arrive,
+// with its sizes in a data descriptor after it. Strings are written inline
+// (no shared string table). Files must stay under 4 GB (no zip64).
+const zlib = require('zlib');
+const { once } = require('events');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer, crc = 0) {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < buffer.length; i += 1) {
+    c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// Zip times are in the old DOS format
+function dosDateTime(date) {
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date:
+      ((date.getFullYear() - 1980) << 9) |
+      ((date.getMonth() + 1) << 5) |
+      date.getDate(),
+  };
+}
+
+// Characters XML 1.0 does not allow at all, even escaped
+const INVALID_XML = /[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g;
+const MAX_CELL_LENGTH = 32767;
+
+function xmlText(value) {
+  return String(value)
+    .replace(INVALID_XML, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// A, B, … Z, AA, AB, …
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+// Style ids in styles.xml
+const STYLE_BOLD = 1;
+const STYLE_DATE = 2;
+
+const XML_HEAD = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const SHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS =
+  'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_REL_NS =
+  'http://schemas.openxmlformats.org/package/2006/relationships';
+
+function fixedParts(sheetName) {
+  return [
+    [
+      '[Content_Types].xml',
+      `${XML_HEAD}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        '</Types>',
+    ],
+    [
+      '_rels/.rels',
+      `${XML_HEAD}<Relationships xmlns="${PACKAGE_REL_NS}">` +
+        `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+        '</Relationships>',
+    ],
+    [
+      'xl/workbook.xml',
+      `${XML_HEAD}<workbook xmlns="${SHEET_NS}" xmlns:r="${REL_NS}">` +
+        `<sheets><sheet name="${xmlText(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+        '</workbook>',
+    ],
+    [
+      'xl/_rels/workbook.xml.rels',
+      `${XML_HEAD}<Relationships xmlns="${PACKAGE_REL_NS}">` +
+        `<Relationship Id="rId1" Type="${REL_NS}/worksheet" Target="worksheets/sheet1.xml"/>` +
+        `<Relationship Id="rId2" Type="${REL_NS}/styles" Target="styles.xml"/>` +
+        '</Relationships>',
+    ],
+    [
+      'xl/styles.xml',
+      `${XML_HEAD}<styleSheet xmlns="${SHEET_NS}">` +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+        '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill>' +
+        '<fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+        '<xf numFmtId="22" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>' +
+        '</styleSheet>',
+    ],
+  ];
+}
+
+class XlsxWriter {
+  /**
+   * @param {Writable} output  Where the file goes (an HTTP response, say)
+   * @param {Object} [options]  { sheetName, freezeHeader } — freezeHeader
+   *   keeps the first row in view while scrolling
+   */
+  constructor(output, { sheetName = 'Sheet1', freezeHeader = true } = {}) {
+    this.output = output;
+    this.sheetName =
+      String(sheetName)
+        .replace(/[[\]:*?/\\]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .slice(0, 31)
+        .trim() || 'Sheet1';
+    this.freezeHeader = freezeHeader;
+    this.offset = 0;
+    this.entries = [];
+    this.rowCount = 0;
+    this.modified = dosDateTime(new Date());
+  }
+
+  async write(buffer) {
+    this.offset += buffer.length;
+    if (!this.output.write(buffer)) await once(this.output, 'drain');
+  }
+
+  localHeader(name, { flags, crc = 0, size = 0, compressedSize = 0 }) {
+    const fileName = Buffer.from(name);
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(flags, 6);
+    header.writeUInt16LE(8, 8); // deflate
+    header.writeUInt16LE(this.modified.time, 10);
+    header.writeUInt16LE(this.modified.date, 12);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(compressedSize, 18);
+    header.writeUInt32LE(size, 22);
+    header.writeUInt16LE(fileName.length, 26);
+    header.writeUInt16LE(0, 28);
+    return Buffer.concat([header, fileName]);
+  }
+
+  async addFile(name, content) {
+    const data = Buffer.from(content);
+    const compressed = zlib.deflateRawSync(data);
+    const entry = {
+      name,
+      flags: 0,
+      crc: crc32(data),
+      size: data.length,
+      compressedSize: compressed.length,
+      offset: this.offset,
+    };
+    this.entries.push(entry);
+    await this.write(this.localHeader(name, entry));
+    await this.write(compressed);
+  }
+
+  // The fixed parts, then the start of the sheet
+  async start() {
+    this.started = true;
+    for (const [name, content] of fixedParts(this.sheetName)) {
+      await this.addFile(name, content);
+    }
+
+    this.sheet = {
+      name: 'xl/worksheets/sheet1.xml',
+      flags: 0x08, // sizes follow the data
+      crc: 0,
+      size: 0,
+      compressedSize: 0,
+      offset: this.offset,
+    };
+    this.entries.push(this.sheet);
+    await this.write(this.localHeader(this.sheet.name, this.sheet));
+
+    this.deflate = zlib.createDeflateRaw();
+    this.deflate.on('data', (chunk) => {
+      this.sheet.compressedSize += chunk.length;
+      this.offset += chunk.length;
+      if (!this.output.write(chunk)) {
+        this.deflate.pause();
+        this.output.once('drain', () => this.deflate.resume());
+      }
+    });
+
+    const frozen = this.freezeHeader
+      ? '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+      : '';
+    await this.sheetXml(
+      `${XML_HEAD}<worksheet xmlns="${SHEET_NS}">${frozen}<sheetData>`,
+    );
+  }
+
+  async sheetXml(text) {
+    const data = Buffer.from(text);
+    this.sheet.crc = crc32(data, this.sheet.crc);
+    this.sheet.size += data.length;
+    if (!this.deflate.write(data)) await once(this.deflate, 'drain');
+  }
+
+  cellXml(value, ref, bold) {
+    if (value === undefined || value === null || value === '') return '';
+    const style = bold ? ` s="${STYLE_BOLD}"` : '';
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return `<c r="${ref}"${style}><v>${value}</v></c>`;
+    }
+    if (typeof value === 'boolean') {
+      return `<c r="${ref}" t="b"${style}><v>${value ? 1 : 0}</v></c>`;
+    }
+    if (value instanceof Date && !Number.isNaN(value.getTime())) {
+      // Days since 1899-12-30, the way spreadsheets count dates
+      const serial = value.getTime() / 86400000 + 25569;
+      return `<c r="${ref}" s="${STYLE_DATE}"><v>${serial}</v></c>`;
+    }
+    const text = String(value).slice(0, MAX_CELL_LENGTH);
+    return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${xmlText(text)}</t></is></c>`;
+  }
+
+  /**
+   * Add the next row. Numbers, booleans and dates keep their type; anything
+   * else is written as text.
+   *
+   * @param {Array} cells
+   * @param {Object} [options]  { bold } for a header row
+   */
+  async addRow(cells, { bold = false } = {}) {
+    if (!this.started) await this.start();
+    this.rowCount += 1;
+    const row = this.rowCount;
+    const xml = cells
+      .map((value, index) =>
+        this.cellXml(value, `${columnName(index)}${row}`, bold),
+      )
+      .join('');
+    await this.sheetXml(`<row r="${row}">${xml}</row>`);
+  }
+
+  // Finish the sheet and write the zip's directory
+  async end() {
+    if (!this.started) await this.start();
+    await this.sheetXml('</sheetData></worksheet>');
+    this.deflate.end();
+    await once(this.deflate, 'end');
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(this.sheet.crc, 4);
+    descriptor.writeUInt32LE(this.sheet.compressedSize, 8);
+    descriptor.writeUInt32LE(this.sheet.size, 12);
+    await this.write(descriptor);
+
+    const directoryOffset = this.offset;
+    for (const entry of this.entries) {
+      const fileName = Buffer.from(entry.name);
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(20, 6);
+      header.writeUInt16LE(entry.flags, 8);
+      header.writeUInt16LE(8, 10);
+      header.writeUInt16LE(this.modified.time, 12);
+      header.writeUInt16LE(this.modified.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(fileName.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+      await this.write(Buffer.concat([header, fileName]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(this.offset - directoryOffset, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    await this.write(end);
+  }
+}
+
+module.exports = XlsxWriter;